@@ -0,0 +1,33 @@
+-- Access Token Revocation
+
+-- Revoked tokens table
+-- Rows with a jti revoke a single access token; rows without one revoke
+-- every token issued to the user before revoked_at ("logout everywhere").
+-- Rows are only needed until the revoked tokens would have expired anyway.
+CREATE TABLE revoked_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    jti VARCHAR(64) UNIQUE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    reason VARCHAR(50),
+    revoked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_revoked_tokens_user_id ON revoked_tokens(user_id);
+CREATE INDEX idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+
+-- Revocations are only ever touched by the API server
+ALTER TABLE revoked_tokens ENABLE ROW LEVEL SECURITY;
+
+-- TTL cleanup helper (also run periodically by the API server)
+CREATE OR REPLACE FUNCTION delete_expired_revoked_tokens()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM revoked_tokens WHERE expires_at < NOW();
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
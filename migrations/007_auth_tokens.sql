@@ -0,0 +1,19 @@
+-- Single-use Action Tokens (email verification, password reset, ...)
+
+-- Auth tokens table (only a hash of each token is stored)
+CREATE TABLE auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_auth_tokens_user_type ON auth_tokens(user_id, type);
+CREATE INDEX idx_auth_tokens_expires_at ON auth_tokens(expires_at);
+
+-- Auth tokens are only ever touched by the API server
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
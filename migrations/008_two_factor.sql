@@ -0,0 +1,30 @@
+-- TOTP Two-Factor Authentication
+
+-- One TOTP credential per user (the secret is stored encrypted)
+CREATE TABLE two_factor_credentials (
+    user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    secret TEXT NOT NULL,
+    enabled_at TIMESTAMP WITH TIME ZONE, -- NULL until enrollment is confirmed
+    last_used_step BIGINT, -- Last accepted time step, prevents code replay
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Single-use recovery codes (only a hash of each code is stored)
+CREATE TABLE two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the normalized code
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Sessions remember whether the login completed a second factor
+ALTER TABLE sessions ADD COLUMN two_factor_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes for better performance
+CREATE INDEX idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+
+-- Two-factor data is only ever touched by the API server
+ALTER TABLE two_factor_credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE two_factor_recovery_codes ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,20 @@
+-- Security Events
+
+-- Append-only log of security relevant events (failed logins, lockouts, ...)
+CREATE TABLE security_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES profiles(id) ON DELETE SET NULL, -- Account the event is about
+    actor_id UUID REFERENCES profiles(id) ON DELETE SET NULL, -- Who triggered it, when not the user (e.g. an admin)
+    type VARCHAR(50) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_security_events_user_id ON security_events(user_id, created_at DESC);
+CREATE INDEX idx_security_events_type ON security_events(type, created_at DESC);
+
+-- Security events are only ever touched by the API server
+ALTER TABLE security_events ENABLE ROW LEVEL SECURITY;
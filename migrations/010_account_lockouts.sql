@@ -0,0 +1,14 @@
+-- Per-Account Login Lockout
+
+-- Failed login attempts per account (a row exists only after a failure)
+CREATE TABLE account_lockouts (
+    user_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP WITH TIME ZONE,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    lock_count INTEGER NOT NULL DEFAULT 0, -- Lockouts since the last successful login (lock time doubles each time)
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Lockouts are only ever touched by the API server
+ALTER TABLE account_lockouts ENABLE ROW LEVEL SECURITY;
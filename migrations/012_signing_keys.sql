@@ -0,0 +1,20 @@
+-- Asymmetric JWT Signing Keys
+
+-- Key pairs for RS256/ES256 access tokens. A key is published in the JWKS as soon
+-- as it exists, signs from activates_at until retired_at, and is removed at expires_at.
+CREATE TABLE signing_keys (
+    kid VARCHAR(64) PRIMARY KEY, -- RFC 7638 JWK thumbprint
+    algorithm VARCHAR(10) NOT NULL,
+    private_key TEXT NOT NULL, -- Encrypted PKCS#8 PEM
+    public_key JSONB NOT NULL, -- Public JWK
+    activates_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    retired_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_signing_keys_expires_at ON signing_keys(expires_at);
+
+-- Private keys are only ever touched by the API server
+ALTER TABLE signing_keys ENABLE ROW LEVEL SECURITY;
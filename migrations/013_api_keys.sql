@@ -0,0 +1,24 @@
+-- Scoped API Keys
+
+-- Keys for machine-to-machine clients (ERP, warehouse). Only a SHA-256 hash of the
+-- key is stored; the prefix is the visible part that identifies a key in lists and logs.
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(20) NOT NULL UNIQUE,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes JSONB NOT NULL DEFAULT '[]', -- e.g. ["products:write", "orders:read"]
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_api_keys_created_at ON api_keys(created_at DESC);
+
+-- Keys are only ever touched by the API server
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
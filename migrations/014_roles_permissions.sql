@@ -0,0 +1,51 @@
+-- Roles and Permissions
+
+-- Roles are named sets of permissions. The system roles match profiles.role
+-- ('customer', 'admin'); further roles are granted to users through user_roles.
+CREATE TABLE roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    is_system BOOLEAN NOT NULL DEFAULT FALSE, -- Built-in roles cannot be changed or deleted
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Permissions granted by a role (e.g. 'orders.update_status', '*' for everything)
+CREATE TABLE role_permissions (
+    role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (role_id, permission)
+);
+
+-- Additional roles of a user (on top of profiles.role)
+CREATE TABLE user_roles (
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    assigned_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, role_id)
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_user_roles_role_id ON user_roles(role_id);
+
+-- Built-in roles
+INSERT INTO roles (name, description, is_system) VALUES
+    ('admin', 'Full access to every endpoint', TRUE),
+    ('customer', 'Regular shop customer', TRUE),
+    ('warehouse', 'Warehouse staff: view all orders and update shipping status', FALSE);
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, '*' FROM roles WHERE name = 'admin';
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, permission
+FROM roles, (VALUES ('orders.read_all'), ('orders.update_status')) AS p(permission)
+WHERE name = 'warehouse';
+
+-- Roles are only ever touched by the API server
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
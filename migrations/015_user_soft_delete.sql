@@ -0,0 +1,9 @@
+-- Soft-Deleted Accounts
+
+-- Deleted accounts keep their orders and audit history; they are disabled and
+-- hidden from the admin user list unless explicitly requested
+ALTER TABLE profiles ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE profiles ADD COLUMN deleted_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- Create indexes for better performance
+CREATE INDEX idx_profiles_deleted_at ON profiles(deleted_at);
@@ -0,0 +1,13 @@
+-- Self-Service Account Deletion
+
+-- Customers can ask for their account to be deleted. The request only takes effect
+-- after a cooling-off period (deletion_scheduled_at), during which it can be cancelled.
+-- Orders reference profiles with ON DELETE RESTRICT, so a deleted account is anonymized
+-- instead of removed: personal data is erased and the financial records are kept.
+ALTER TABLE profiles ADD COLUMN deletion_requested_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE profiles ADD COLUMN deletion_scheduled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE profiles ADD COLUMN anonymized_at TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes for better performance
+CREATE INDEX idx_profiles_deletion_scheduled_at ON profiles(deletion_scheduled_at)
+    WHERE deletion_scheduled_at IS NOT NULL AND anonymized_at IS NULL;
@@ -0,0 +1,19 @@
+-- Password Policy
+
+-- When the current password was set (for the maximum password age)
+ALTER TABLE profiles ADD COLUMN password_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Hashes of previous passwords, so recent ones cannot be reused. Only the most
+-- recent PASSWORD_HISTORY_SIZE entries per user are kept.
+CREATE TABLE password_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    password_hash VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_password_history_user_id ON password_history(user_id, created_at DESC);
+
+-- Password hashes are only ever touched by the API server
+ALTER TABLE password_history ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,19 @@
+-- Passwordless Magic-Link Login
+
+-- Magic-link tokens are bound to an email address rather than a profile,
+-- so unknown addresses can be registered when the link is used
+CREATE TABLE magic_link_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_magic_link_tokens_email ON magic_link_tokens(email);
+CREATE INDEX idx_magic_link_tokens_expires_at ON magic_link_tokens(expires_at);
+
+-- Magic-link tokens are only ever touched by the API server
+ALTER TABLE magic_link_tokens ENABLE ROW LEVEL SECURITY;
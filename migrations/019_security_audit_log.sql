@@ -0,0 +1,29 @@
+-- Security Audit Log
+
+-- Whether the audited action succeeded (e.g. a login) or was refused
+ALTER TABLE security_events ADD COLUMN outcome VARCHAR(20) NOT NULL DEFAULT 'success';
+
+UPDATE security_events SET outcome = 'failure' WHERE type IN ('login_failed', 'login_blocked');
+
+-- Create indexes for the admin query API
+CREATE INDEX idx_security_events_created_at ON security_events(created_at DESC);
+CREATE INDEX idx_security_events_actor_id ON security_events(actor_id, created_at DESC);
+
+-- Security events are append-only. The only change allowed is the one made by
+-- ON DELETE SET NULL when a referenced profile is deleted.
+CREATE OR REPLACE FUNCTION prevent_security_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND ROW(NEW.id, NEW.type, NEW.outcome, NEW.ip_address, NEW.user_agent, NEW.details, NEW.created_at)
+            IS NOT DISTINCT FROM ROW(OLD.id, OLD.type, OLD.outcome, OLD.ip_address, OLD.user_agent, OLD.details, OLD.created_at)
+        AND (NEW.user_id IS NULL OR NEW.user_id = OLD.user_id)
+        AND (NEW.actor_id IS NULL OR NEW.actor_id = OLD.actor_id) THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'security_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER security_events_append_only BEFORE UPDATE OR DELETE ON security_events FOR EACH ROW EXECUTE FUNCTION prevent_security_event_changes();
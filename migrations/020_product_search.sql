@@ -0,0 +1,29 @@
+-- Product Full-Text Search
+
+-- Text search configuration for a language code. Chinese has no built-in
+-- parser, so zh-TW uses 'simple' (no stemming; the API adds substring matching).
+CREATE OR REPLACE FUNCTION search_config(p_language_code VARCHAR(10))
+RETURNS REGCONFIG AS $$
+    SELECT CASE p_language_code
+        WHEN 'en' THEN 'english'::REGCONFIG
+        WHEN 'de' THEN 'german'::REGCONFIG
+        ELSE 'simple'::REGCONFIG
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Base product texts are English. Names and SKUs weigh more than descriptions.
+ALTER TABLE products ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(sku, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+) STORED;
+
+-- Translations are indexed with their own language's configuration
+ALTER TABLE product_translations ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector(search_config(language_code), COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector(search_config(language_code), COALESCE(description, '')), 'B')
+) STORED;
+
+-- Create indexes for better performance
+CREATE INDEX idx_products_search_vector ON products USING GIN(search_vector);
+CREATE INDEX idx_product_translations_search_vector ON product_translations USING GIN(search_vector);
@@ -0,0 +1,62 @@
+-- Product Variants
+
+-- Option types of a product (e.g. 'Size', 'Color'), in display order
+CREATE TABLE product_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(product_id, name)
+);
+
+-- Values of an option (e.g. 'S', 'M', 'L'), in display order
+CREATE TABLE product_option_values (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    option_id UUID NOT NULL REFERENCES product_options(id) ON DELETE CASCADE,
+    value VARCHAR(50) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(option_id, value)
+);
+
+-- Purchasable combinations of option values with their own SKU and stock.
+-- A NULL price means the product's price.
+CREATE TABLE product_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(100) NOT NULL UNIQUE,
+    price DECIMAL(10,2) CHECK (price >= 0),
+    stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One value per option for each variant
+CREATE TABLE product_variant_values (
+    variant_id UUID NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+    option_value_id UUID NOT NULL REFERENCES product_option_values(id) ON DELETE CASCADE,
+    PRIMARY KEY (variant_id, option_value_id)
+);
+
+CREATE INDEX idx_product_options_product_id ON product_options(product_id);
+CREATE INDEX idx_product_option_values_option_id ON product_option_values(option_id);
+CREATE INDEX idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX idx_product_variant_values_option_value_id ON product_variant_values(option_value_id);
+
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Cart items of products with variants name the variant. The same product can
+-- be in the cart once per variant (NULL variants count as equal).
+ALTER TABLE cart_items ADD COLUMN variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE cart_items DROP CONSTRAINT cart_items_user_id_product_id_key;
+ALTER TABLE cart_items ADD CONSTRAINT cart_items_user_product_variant_unique
+    UNIQUE NULLS NOT DISTINCT (user_id, product_id, variant_id);
+CREATE INDEX idx_cart_items_variant_id ON cart_items(variant_id);
+
+-- Order items keep the variant and a snapshot of its options (e.g. 'Size: M / Color: Blue')
+ALTER TABLE order_items ADD COLUMN variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN variant_name VARCHAR(200);
+CREATE INDEX idx_order_items_variant_id ON order_items(variant_id);
+
@@ -0,0 +1,44 @@
+-- Category Attributes
+
+-- Typed attributes that products of a category can have (e.g. 'Screen size' in
+-- inches for Electronics, 'Material' for Clothing), in display order. Enum
+-- attributes list their allowed values in options ([{ "value", "label" }]).
+-- Keys and types are fixed once created, since product values are stored under the key.
+CREATE TABLE category_attributes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    key VARCHAR(50) NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+    label VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('text', 'number', 'boolean', 'enum')),
+    unit VARCHAR(20),
+    options JSONB NOT NULL DEFAULT '[]',
+    is_required BOOLEAN NOT NULL DEFAULT FALSE,
+    is_filterable BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(category_id, key)
+);
+
+-- Translated labels of an attribute and of its enum values ({ value: label })
+CREATE TABLE category_attribute_translations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attribute_id UUID NOT NULL REFERENCES category_attributes(id) ON DELETE CASCADE,
+    language_code VARCHAR(10) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    option_labels JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(attribute_id, language_code)
+);
+
+CREATE INDEX idx_category_attributes_category_id ON category_attributes(category_id);
+CREATE INDEX idx_category_attribute_translations_attribute_id ON category_attribute_translations(attribute_id);
+
+CREATE TRIGGER update_category_attributes_updated_at BEFORE UPDATE ON category_attributes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_category_attribute_translations_updated_at BEFORE UPDATE ON category_attribute_translations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Attribute values of a product by key ({ "screen_size": 15.6, "material": "cotton" }),
+-- checked against the attributes of its category by the API
+ALTER TABLE products ADD COLUMN attributes JSONB NOT NULL DEFAULT '{}';
+CREATE INDEX idx_products_attributes ON products USING GIN(attributes jsonb_path_ops);
@@ -0,0 +1,29 @@
+-- Anonymizing Security Events
+
+-- Security events stay append-only, but anonymizing an account has to erase
+-- the IP addresses and user agents recorded for it. The anonymization sets
+-- app.anonymize_user_id in its transaction; only then may these two columns
+-- be cleared on events of that user (as subject or actor).
+CREATE OR REPLACE FUNCTION prevent_security_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND ROW(NEW.id, NEW.type, NEW.outcome, NEW.ip_address, NEW.user_agent, NEW.details, NEW.created_at)
+            IS NOT DISTINCT FROM ROW(OLD.id, OLD.type, OLD.outcome, OLD.ip_address, OLD.user_agent, OLD.details, OLD.created_at)
+        AND (NEW.user_id IS NULL OR NEW.user_id = OLD.user_id)
+        AND (NEW.actor_id IS NULL OR NEW.actor_id = OLD.actor_id) THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+        AND current_setting('app.anonymize_user_id', true) IN (OLD.user_id::text, OLD.actor_id::text)
+        AND NEW.ip_address IS NULL
+        AND NEW.user_agent IS NULL
+        AND ROW(NEW.id, NEW.user_id, NEW.actor_id, NEW.type, NEW.outcome, NEW.details, NEW.created_at)
+            IS NOT DISTINCT FROM ROW(OLD.id, OLD.user_id, OLD.actor_id, OLD.type, OLD.outcome, OLD.details, OLD.created_at) THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'security_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
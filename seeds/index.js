@@ -7,6 +7,7 @@ const {
   supportedLanguages 
 } = require('../src/models/schema');
 const { v4: uuidv4 } = require('uuid');
+const ProductVariantModel = require('../src/models/productVariants');
 
 const seedData = {
   // Supported languages (already inserted in migration)
@@ -128,6 +129,17 @@ const seedData = {
   products: []
 };
 
+// Variants for every combination of option values, e.g. { Size: ['S', 'M'], Color: ['White'] }.
+// prices overrides the product price by the first option's value (e.g. { XL: '32.99' }).
+const variantCombinations = (skuPrefix, options, stockQuantity, prices = {}) => Object.entries(options)
+  .reduce((combinations, [name, values]) => combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))), [{}])
+  .map(combination => ({
+    sku: [skuPrefix, ...Object.values(combination)].join('-').toUpperCase(),
+    price: prices[Object.values(combination)[0]],
+    stockQuantity,
+    options: combination
+  }));
+
 // Generate products for each category
 const generateProducts = () => {
   const productTemplates = {
@@ -229,6 +241,7 @@ const generateProducts = () => {
         sku: 'SHIRT-001',
         imageUrl: 'https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=400',
         weight: 0.2,
+        variants: variantCombinations('SHIRT-001', { Size: ['S', 'M', 'L', 'XL'], Color: ['White', 'Black', 'Navy'] }, 15, { XL: '32.99' }),
         translations: {
           'en': {
             name: 'Classic Cotton T-Shirt',
@@ -258,6 +271,7 @@ const generateProducts = () => {
         sku: 'JEANS-001',
         imageUrl: 'https://images.unsplash.com/photo-1542272604-787c3835535d?w=400',
         weight: 0.6,
+        variants: variantCombinations('JEANS-001', { Waist: ['30', '32', '34', '36'], Length: ['32', '34'] }, 10),
         translations: {
           'en': {
             name: 'Premium Denim Jeans',
@@ -368,7 +382,7 @@ async function seedDatabase() {
     console.log('🧹 Clearing existing data...');
     await db.delete(productTranslations);
     await db.delete(categoryTranslations);
-    await db.delete(products);
+    await db.delete(products); // Also deletes their options and variants
     await db.delete(categories);
 
     // Seed categories
@@ -406,7 +420,7 @@ async function seedDatabase() {
     // Seed products
     console.log('📦 Seeding products...');
     for (const productData of seedData.products) {
-      const { translations, ...productBase } = productData;
+      const { translations, variants = [], ...productBase } = productData;
       
       // Insert base product
       await db.insert(products).values({
@@ -440,6 +454,11 @@ async function seedDatabase() {
           updatedAt: new Date()
         });
       }
+
+      // Insert variants (with their options and values)
+      for (const variant of variants) {
+        await ProductVariantModel.create(productBase.id, variant);
+      }
     }
 
     console.log('✅ Database seeding completed successfully!');
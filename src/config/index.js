@@ -1,5 +1,30 @@
 require('dotenv').config();
 
+// OpenID Connect providers: OIDC_PROVIDERS=google,github plus OIDC_<NAME>_* variables per provider
+const parseOidcProviders = (env) => (env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .reduce((providers, name) => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    
+    providers[name] = {
+      displayName: env[`${prefix}DISPLAY_NAME`] || name,
+      issuer: env[`${prefix}ISSUER`],
+      clientId: env[`${prefix}CLIENT_ID`],
+      clientSecret: env[`${prefix}CLIENT_SECRET`],
+      scopes: env[`${prefix}SCOPES`] || 'openid email profile',
+      redirectUri: env[`${prefix}REDIRECT_URI`], // Default: APP_URL/api/v1/auth/oidc/<name>/callback
+      // Endpoints are discovered from the issuer; set these for providers without discovery
+      authorizationEndpoint: env[`${prefix}AUTHORIZATION_URL`],
+      tokenEndpoint: env[`${prefix}TOKEN_URL`],
+      userinfoEndpoint: env[`${prefix}USERINFO_URL`],
+      jwksUri: env[`${prefix}JWKS_URL`],
+    };
+    
+    return providers;
+  }, {});
+
 const config = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -11,12 +36,80 @@ const config = {
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
   supabaseServiceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+  // Accept access tokens issued by Supabase Auth next to our own tokens
+  supabaseAuthEnabled: process.env.SUPABASE_AUTH_ENABLED === 'true',
+  supabaseJwtSecret: process.env.SUPABASE_JWT_SECRET, // Projects still on the shared HS256 secret
+  supabaseJwksUrl: process.env.SUPABASE_JWKS_URL, // Default: SUPABASE_URL/auth/v1/.well-known/jwks.json
+  supabaseJwtIssuer: process.env.SUPABASE_JWT_ISSUER, // Default: SUPABASE_URL/auth/v1
+  supabaseJwtAudience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
   
   // JWT
   jwtSecret: process.env.JWT_SECRET || 'your-fallback-secret-key',
   jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
   jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || 'your-fallback-refresh-secret',
   jwtRefreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  // Access token signing: HS256 (JWT_SECRET) or RS256/ES256 with rotating keys published at /.well-known/jwks.json
+  jwtAlgorithm: (process.env.JWT_ALGORITHM || 'HS256').toUpperCase(),
+  jwtKeyRotationInterval: process.env.JWT_KEY_ROTATION_INTERVAL || '30d',
+  jwtKeyActivationDelay: process.env.JWT_KEY_ACTIVATION_DELAY || '10m', // New keys are published this long before use
+  jwtKeyGracePeriod: process.env.JWT_KEY_GRACE_PERIOD || '1d', // Old keys stay verifiable this long (must exceed JWT_EXPIRES_IN)
+  jwtKeyRefreshIntervalMs: parseInt(process.env.JWT_KEY_REFRESH_INTERVAL_MS) || 60 * 1000, // 1 minute
+  jwtKeyEncryptionKey: process.env.JWT_KEY_ENCRYPTION_KEY, // Encrypts private keys at rest (default: derived from JWT_SECRET)
+  tokenCleanupIntervalMs: parseInt(process.env.TOKEN_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  // The storefront may present a just-rotated refresh token again this long (parallel page loads)
+  webRefreshReuseGraceMs: process.env.WEB_REFRESH_REUSE_GRACE_MS ? parseInt(process.env.WEB_REFRESH_REUSE_GRACE_MS) : 10 * 1000,
+  
+  // OpenID Connect Login
+  oidcProviders: parseOidcProviders(process.env),
+  oidcStateExpiresIn: process.env.OIDC_STATE_EXPIRES_IN || '10m',
+  
+  // Login Lockout (per account)
+  loginMaxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  loginFailureWindowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS) || 60 * 60 * 1000, // 1 hour
+  loginLockoutDurationMs: parseInt(process.env.LOGIN_LOCKOUT_DURATION_MS) || 15 * 60 * 1000, // 15 minutes, doubles per lockout
+  loginMaxLockoutDurationMs: parseInt(process.env.LOGIN_MAX_LOCKOUT_DURATION_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  loginFailureDelayMs: parseInt(process.env.LOGIN_FAILURE_DELAY_MS) || 250, // Doubles per failed attempt
+  loginMaxFailureDelayMs: parseInt(process.env.LOGIN_MAX_FAILURE_DELAY_MS) || 4000,
+  
+  // Password Policy
+  passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  passwordRequireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  passwordRequireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  passwordRequireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+  passwordRequireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  passwordBlocklistEnabled: process.env.PASSWORD_BLOCKLIST_ENABLED !== 'false',
+  passwordBlocklistFile: process.env.PASSWORD_BLOCKLIST_FILE, // Default: src/data/common-passwords.txt
+  passwordHistorySize: process.env.PASSWORD_HISTORY_SIZE ? parseInt(process.env.PASSWORD_HISTORY_SIZE) : 5, // Last N passwords cannot be reused (0 = off)
+  passwordMaxAge: process.env.PASSWORD_MAX_AGE || null, // e.g. "90d"; expired passwords must be changed at login
+  
+  // Two-Factor Authentication
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'E-commerce Demo',
+  twoFactorEncryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY, // Encrypts TOTP secrets (default: derived from JWT_SECRET)
+  twoFactorChallengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  twoFactorRequiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean), // e.g. "admin"
+  
+  // Impersonation (customer support)
+  impersonationExpiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+  
+  // API Keys (machine-to-machine clients)
+  apiKeyDefaultExpiresIn: process.env.API_KEY_DEFAULT_EXPIRES_IN || '90d',
+  apiKeyMaxExpiresIn: process.env.API_KEY_MAX_EXPIRES_IN || '365d',
+  
+  // Account Deletion (GDPR)
+  accountDeletionCoolingOffPeriod: process.env.ACCOUNT_DELETION_COOLING_OFF_PERIOD || '14d', // Can be cancelled until then
+  accountDeletionReauthMaxAge: process.env.ACCOUNT_DELETION_REAUTH_MAX_AGE || '10m', // A login this recent replaces the password
+  accountDeletionJobIntervalMs: parseInt(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  
+  // Product Listing
+  productPriceBuckets: (process.env.PRODUCT_PRICE_BUCKETS || '25,50,100,500')
+    .split(',')
+    .map(Number)
+    .filter(price => Number.isFinite(price) && price > 0)
+    .sort((a, b) => a - b), // Bucket boundaries of the price facet (0-25, 25-50, ..., 500+)
+  productImportMaxRows: parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000, // Products per import file
   
   // Rate Limiting
   rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -25,6 +118,22 @@ const config = {
   // File Upload
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
   uploadPath: process.env.UPLOAD_PATH || 'uploads/',
+  uploadUrl: process.env.UPLOAD_URL || '/uploads', // Public URL of uploadPath (e.g. a CDN in front of it)
+  storageDriver: process.env.STORAGE_DRIVER || 'local', // Where uploads are stored (local disk)
+  maxUploadFiles: parseInt(process.env.MAX_UPLOAD_FILES) || 10, // Files per upload request
+  productImageSizes: { thumbnail: 200, medium: 600, large: 1200 }, // Longest side of each rendition in pixels
+  
+  // Email
+  appUrl: process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`,
+  mailTransport: process.env.MAIL_TRANSPORT || 'console', // console | file
+  mailFrom: process.env.MAIL_FROM || 'E-commerce Demo <no-reply@example.com>',
+  mailFileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+  passwordResetExpiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+  passwordResetUrl: process.env.PASSWORD_RESET_URL, // Page with the reset form (default: the storefront's APP_URL/auth/reset-password)
+  magicLinkExpiresIn: process.env.MAGIC_LINK_EXPIRES_IN || '15m',
+  magicLinkUrl: process.env.MAGIC_LINK_URL, // Page that signs in with the token (default: the storefront's APP_URL/auth/magic-link)
+  magicLinkAutoRegister: process.env.MAGIC_LINK_AUTO_REGISTER === 'true', // Create accounts for unknown emails
   
   // API
   apiVersion: 'v1',
@@ -34,7 +143,7 @@ const config = {
 // Validation
 const requiredEnvVars = ['DATABASE_URL', 'JWT_SECRET'];
 if (config.nodeEnv === 'production') {
-  requiredEnvVars.push('SUPABASE_URL', 'SUPABASE_ANON_KEY');
+  requiredEnvVars.push('SUPABASE_URL', 'SUPABASE_ANON_KEY', 'JWT_REFRESH_SECRET');
 }
 
 for (const envVar of requiredEnvVars) {
@@ -43,4 +152,33 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+if (!['HS256', 'RS256', 'ES256'].includes(config.jwtAlgorithm)) {
+  throw new Error(`Unsupported JWT_ALGORITHM ${config.jwtAlgorithm} (use HS256, RS256 or ES256)`);
+}
+
+if (config.supabaseAuthEnabled && !config.supabaseUrl && !config.supabaseJwtIssuer) {
+  throw new Error('SUPABASE_AUTH_ENABLED needs SUPABASE_URL (or SUPABASE_JWT_ISSUER)');
+}
+
+// Placeholder secrets from this file and .env.example
+const INSECURE_SECRETS = [
+  'your-fallback-secret-key',
+  'your-fallback-refresh-secret',
+  'your-super-secret-jwt-key-change-this-in-production',
+  'your-super-secret-refresh-key-change-this-in-production',
+];
+
+// Refuse to boot in production with guessable or shared signing secrets
+if (config.nodeEnv === 'production') {
+  for (const [name, value] of [['JWT_SECRET', config.jwtSecret], ['JWT_REFRESH_SECRET', config.jwtRefreshSecret]]) {
+    if (INSECURE_SECRETS.includes(value) || value.length < 32) {
+      throw new Error(`${name} must be a random value of at least 32 characters in production`);
+    }
+  }
+  
+  if (config.jwtSecret === config.jwtRefreshSecret) {
+    throw new Error('JWT_SECRET and JWT_REFRESH_SECRET must be different in production');
+  }
+}
+
 module.exports = config;
\ No newline at end of file
@@ -0,0 +1,118 @@
+const UserModel = require('../models/users');
+const DataExportService = require('../utils/dataExport');
+const AccountDeletionService = require('../utils/accountDeletion');
+const SecurityEventService = require('../utils/securityEvents');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Send operational errors (AppError) with their status, everything else as 500
+const handleError = (res, error, failure, logLabel) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: failure,
+      message: error.message
+    });
+  }
+
+  console.error(`${logLabel} error:`, error);
+  return res.status(500).json({
+    success: false,
+    error: failure,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+class AccountController {
+  // Download everything we store about the current user (JSON or ZIP)
+  async exportData(req, res) {
+    try {
+      const file = await DataExportService.export(req.user.id, {
+        format: req.query.format || 'json',
+        context: getRequestContext(req)
+      });
+
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      res.set('Cache-Control', 'no-store');
+      res.send(file.body);
+    } catch (error) {
+      handleError(res, error, 'Failed to export account data', 'Account data export');
+    }
+  }
+
+  // Request deletion of the current user's account, confirmed with the password
+  // or, for accounts without a known password, by a recent login.
+  // The deletion happens after the cooling-off period and can be cancelled until then.
+  async requestDeletion(req, res) {
+    try {
+      const { password } = req.body;
+
+      if (password !== undefined) {
+        const user = await UserModel.findByEmail(req.user.email, true);
+        const isPasswordValid = user && await UserModel.verifyPassword(password, user.password);
+        if (!isPasswordValid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid password',
+            message: 'Password is incorrect'
+          });
+        }
+      } else if (!AccountDeletionService.isRecentLogin(req.tokenPayload)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Confirmation required',
+          message: 'Confirm with your password, or log in again and retry'
+        });
+      }
+
+      const scheduled = await AccountDeletionService.request(req.user, {
+        locale: req.getLocale(),
+        context: getRequestContext(req)
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Account deletion scheduled. You can cancel it until it takes effect',
+        data: {
+          deletionScheduledAt: scheduled.deletionScheduledAt
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to request account deletion', 'Account deletion request');
+    }
+  }
+
+  // Cancel a pending deletion of the current user's account
+  async cancelDeletion(req, res) {
+    try {
+      await AccountDeletionService.cancel(req.user, {
+        context: getRequestContext(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Account deletion cancelled'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to cancel account deletion', 'Account deletion cancel');
+    }
+  }
+
+  // Recent security activity on the current account (logins, password changes, ...)
+  async getSecurityActivity(req, res) {
+    try {
+      const events = await SecurityEventService.getRecentActivity(req.user.id, {
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.json({
+        success: true,
+        data: events
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to get security activity', 'Security activity');
+    }
+  }
+}
+
+module.exports = new AccountController();
@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const UserModel = require('../models/users');
+const AccountLockoutModel = require('../models/accountLockouts');
+const AccountLockoutService = require('../utils/accountLockout');
+const TokenService = require('../utils/tokenService');
+const PasswordPolicy = require('../utils/passwordPolicy');
+const SecurityEventService = require('../utils/securityEvents');
+const ImpersonationService = require('../utils/impersonation');
+const { sendPasswordResetEmail } = require('../utils/accountEmails');
+const { getRequestContext } = require('../utils/requestContext');
+
+const { EVENTS } = SecurityEventService;
+
+// Reason an admin may not disable, delete or demote this user, or null.
+// Admins cannot do this to themselves, and the last active admin stays.
+const getProtectedChangeReason = async (req, user) => {
+  if (user.id === req.user.id) {
+    return 'You cannot change your own account here';
+  }
+
+  if (user.role === 'admin' && user.isActive && await UserModel.countByRole('admin') <= 1) {
+    return 'The last active admin cannot be disabled, deleted or demoted';
+  }
+
+  return null;
+};
+
+class AdminUsersController {
+  // List and search users (admin only)
+  async getUsers(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        search,
+        role,
+        status = 'all',
+        includeDeleted = false,
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = req.query;
+
+      const isActive = { active: true, disabled: false }[status] ?? null;
+
+      const result = await UserModel.findMany({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        search,
+        role,
+        isActive,
+        includeDeleted: includeDeleted === true || includeDeleted === 'true',
+        sortBy,
+        sortOrder
+      });
+
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get users error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get users',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Get a user with order statistics (admin only)
+  async getUser(req, res) {
+    try {
+      const user = await UserModel.findWithStats(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      console.error('Get user error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get user',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Disable or enable an account; disabling also signs the user out everywhere (admin only)
+  async updateStatus(req, res) {
+    try {
+      const { userId } = req.params;
+      const { isActive, reason } = req.body;
+
+      const user = await UserModel.findById(userId);
+      if (!user || user.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (!isActive) {
+        const protectedReason = await getProtectedChangeReason(req, user);
+        if (protectedReason) {
+          return res.status(400).json({
+            success: false,
+            error: 'Failed to disable user',
+            message: protectedReason
+          });
+        }
+      }
+
+      const updated = await UserModel.setActive(userId, isActive);
+
+      if (!isActive) {
+        await TokenService.revokeAllForUser(userId, 'admin_disabled', req.user.id);
+      }
+
+      await SecurityEventService.record(isActive ? EVENTS.USER_ENABLED : EVENTS.USER_DISABLED, {
+        userId,
+        actorId: req.user.id,
+        context: getRequestContext(req),
+        details: reason ? { reason } : null
+      });
+
+      res.json({
+        success: true,
+        message: isActive ? 'User enabled successfully' : 'User disabled successfully',
+        data: updated
+      });
+    } catch (error) {
+      console.error('Update user status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user status',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Change a user's role (admin only)
+  async updateRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      const user = await UserModel.findById(userId);
+      if (!user || user.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      if (user.role === role) {
+        return res.json({
+          success: true,
+          message: 'User already has this role',
+          data: user
+        });
+      }
+
+      const protectedReason = await getProtectedChangeReason(req, user);
+      if (protectedReason) {
+        return res.status(400).json({
+          success: false,
+          error: 'Failed to change role',
+          message: protectedReason
+        });
+      }
+
+      // Permissions are loaded per request, so the change applies immediately
+      const updated = await UserModel.update(userId, { role });
+
+      await SecurityEventService.record(EVENTS.USER_ROLE_CHANGED, {
+        userId,
+        actorId: req.user.id,
+        context: getRequestContext(req),
+        details: { previousRole: user.role, role }
+      });
+
+      res.json({
+        success: true,
+        message: 'Role changed successfully',
+        data: updated
+      });
+    } catch (error) {
+      console.error('Update user role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Force a password reset: the current password stops working, every device
+  // is signed out and the user gets a reset link by email (admin only)
+  async forcePasswordReset(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user || !user.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          message: 'The user does not exist or is disabled'
+        });
+      }
+
+      // Through the policy, so the old (possibly compromised) password ends up in the history
+      await PasswordPolicy.changePassword(userId, crypto.randomBytes(32).toString('hex'));
+      await TokenService.revokeAllForUser(userId, 'password_reset_forced', req.user.id);
+      await sendPasswordResetEmail(user);
+
+      await SecurityEventService.record(EVENTS.PASSWORD_RESET_FORCED, {
+        userId,
+        actorId: req.user.id,
+        context: getRequestContext(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Password reset forced. The user has been signed out and emailed a reset link',
+        data: {
+          userId
+        }
+      });
+    } catch (error) {
+      console.error('Force password reset error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to force password reset',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Soft delete an account: disabled, signed out and hidden from lists; orders are kept (admin only)
+  async deleteUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user || user.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const protectedReason = await getProtectedChangeReason(req, user);
+      if (protectedReason) {
+        return res.status(400).json({
+          success: false,
+          error: 'Failed to delete user',
+          message: protectedReason
+        });
+      }
+
+      const deleted = await UserModel.delete(userId, req.user.id);
+      await TokenService.revokeAllForUser(userId, 'account_deleted', req.user.id);
+
+      await SecurityEventService.record(EVENTS.USER_DELETED, {
+        userId,
+        actorId: req.user.id,
+        context: getRequestContext(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully',
+        data: deleted
+      });
+    } catch (error) {
+      console.error('Delete user error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete user',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Issue a short-lived token to act as a customer, e.g. to reproduce a support
+  // ticket. It is never refreshed; the admin ends it early by logging out with it.
+  async impersonate(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const token = await ImpersonationService.start(req.user, user, {
+        reason: req.body.reason,
+        context: getRequestContext(req)
+      });
+
+      res.json({
+        success: true,
+        message: `Impersonating ${user.email}. Requests made with this token are audited`,
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            fullName: user.fullName
+          },
+          ...token
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Failed to impersonate user',
+          message: error.message
+        });
+      }
+
+      console.error('Impersonate user error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to impersonate user',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Search the security audit log (admin only)
+  async getSecurityEvents(req, res) {
+    try {
+      const { page = 1, limit = 50, userId, actorId, type, outcome, ipAddress, from, to } = req.query;
+
+      const result = await SecurityEventService.search({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        userId,
+        actorId,
+        type,
+        outcome,
+        ipAddress,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: result.data,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get security events error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get security events',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Get a user's failed login state (admin only)
+  async getLockout(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const lockout = await AccountLockoutModel.findByUser(userId);
+      const activeLock = await AccountLockoutService.getActiveLock(userId);
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          isLocked: Boolean(activeLock),
+          lockedUntil: activeLock ? activeLock.lockedUntil : null,
+          failedAttempts: lockout ? lockout.failedAttempts : 0,
+          lastFailedAt: lockout ? lockout.lastFailedAt : null,
+          lockCount: lockout ? lockout.lockCount : 0
+        }
+      });
+    } catch (error) {
+      console.error('Get lockout error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get lockout status',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Unlock a user's account and clear failed attempts (admin only)
+  async unlock(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      await AccountLockoutService.unlock(userId, req.user.id, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Account unlocked successfully',
+        data: {
+          userId
+        }
+      });
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlock account',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new AdminUsersController();
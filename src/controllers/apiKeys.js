@@ -0,0 +1,127 @@
+const ApiKeyModel = require('../models/apiKeys');
+const ApiKeyService = require('../utils/apiKeys');
+const { getRequestContext } = require('../utils/requestContext');
+
+class ApiKeysController {
+  // List API keys (admin only)
+  async getApiKeys(req, res) {
+    try {
+      const includeRevoked = req.query.includeRevoked === 'true';
+      const apiKeys = await ApiKeyModel.findAll({ includeRevoked });
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys: apiKeys.map(apiKey => ApiKeyService.toPublic(apiKey)),
+          scopes: Object.values(ApiKeyService.SCOPES)
+        }
+      });
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get API keys',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Get one API key (admin only)
+  async getApiKey(req, res) {
+    try {
+      const apiKey = await ApiKeyModel.findById(req.params.id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          apiKey: ApiKeyService.toPublic(apiKey)
+        }
+      });
+    } catch (error) {
+      console.error('Get API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Create an API key; the key itself is only part of this response (admin only)
+  async createApiKey(req, res) {
+    try {
+      const { name, scopes, expiresAt } = req.body;
+
+      const { apiKey, key } = await ApiKeyService.create({
+        name,
+        scopes,
+        expiresAt,
+        createdBy: req.user.id,
+        context: getRequestContext(req)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully. Store the key now, it cannot be shown again',
+        data: {
+          apiKey,
+          key
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Failed to create API key',
+          message: error.message
+        });
+      }
+
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Revoke an API key (admin only)
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await ApiKeyService.revoke(req.params.id, req.user.id, getRequestContext(req));
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found',
+          message: 'The API key does not exist or has already been revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: {
+          apiKey
+        }
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeysController();
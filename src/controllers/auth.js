@@ -1,5 +1,33 @@
 const UserModel = require('../models/users');
 const JWTUtils = require('../utils/jwt');
+const TokenService = require('../utils/tokenService');
+const ActionTokenService = require('../utils/actionTokens');
+const TwoFactorService = require('../utils/twoFactor');
+const PasswordPolicy = require('../utils/passwordPolicy');
+const MagicLinkService = require('../utils/magicLink');
+const LoginService = require('../utils/login');
+const SecurityEventService = require('../utils/securityEvents');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { getRequestContext } = require('../utils/requestContext');
+const config = require('../config');
+
+const { TOKEN_TYPES } = ActionTokenService;
+const { OUTCOMES } = LoginService;
+const { EVENTS } = SecurityEventService;
+
+// Same response for unknown emails, wrong passwords and locked accounts,
+// so login attempts cannot be used to find out which accounts exist
+const INVALID_CREDENTIALS = {
+  success: false,
+  error: 'Invalid credentials',
+  message: 'Email or password is incorrect'
+};
+
+const PASSWORD_REUSED = {
+  success: false,
+  error: 'Password recently used',
+  message: `Please choose a password you have not used for your last ${config.passwordHistorySize} passwords`
+};
 
 class AuthController {
   // User registration
@@ -30,16 +58,27 @@ class AuthController {
       
       const user = await UserModel.create(userData);
       
-      // Generate tokens
-      const tokens = JWTUtils.generateTokenPair({
+      // Send verification email (registration succeeds even if sending fails)
+      try {
+        await sendVerificationEmail(user, req.getLocale());
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+      
+      const context = getRequestContext(req);
+      
+      await SecurityEventService.record(EVENTS.USER_REGISTERED, {
         userId: user.id,
-        email: user.email,
-        role: user.role
+        context,
+        details: { method: 'password' }
       });
       
+      // Generate tokens (starts a new session)
+      const { tokens } = await TokenService.issueTokenPair(user, { context });
+      
       res.status(201).json({
         success: true,
-        message: 'User registered successfully',
+        message: 'User registered successfully. Please check your email to verify your address',
         data: {
           user: {
             id: user.id,
@@ -67,18 +106,99 @@ class AuthController {
     try {
       const { email, password } = req.body;
       
-      // Find user with password
-      const user = await UserModel.findByEmail(email, true);
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid credentials',
-          message: 'Email or password is incorrect'
-        });
+      const result = await LoginService.withPassword(email, password, {
+        context: getRequestContext(req)
+      });
+      
+      switch (result.outcome) {
+        case OUTCOMES.INVALID_CREDENTIALS:
+          return res.status(401).json(INVALID_CREDENTIALS);
+        
+        case OUTCOMES.ACCOUNT_DISABLED:
+          return res.status(401).json({
+            success: false,
+            error: 'Account disabled',
+            message: 'Your account has been disabled. Please contact support.'
+          });
+        
+        // Expired passwords have to be replaced first: instead of tokens the client
+        // gets a password reset token to use with /auth/reset-password
+        case OUTCOMES.PASSWORD_EXPIRED:
+          return res.json({
+            success: true,
+            message: 'Your password has expired. Please choose a new one',
+            data: {
+              passwordChangeRequired: true,
+              passwordResetToken: result.passwordResetToken,
+              expiresIn: config.passwordResetExpiresIn
+            }
+          });
+        
+        // Accounts with two-factor authentication get a challenge instead of tokens
+        case OUTCOMES.TWO_FACTOR_REQUIRED:
+          return res.json({
+            success: true,
+            message: 'Two-factor authentication required',
+            data: {
+              twoFactorRequired: true,
+              challengeToken: result.challengeToken,
+              expiresIn: config.twoFactorChallengeExpiresIn
+            }
+          });
       }
       
-      // Check if user is active
-      if (!user.isActive) {
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: result.user,
+          tokens: result.tokens,
+          // The role requires 2FA: these tokens only work until it is set up
+          twoFactorSetupRequired: TwoFactorService.isRequiredForRole(result.user.role)
+        }
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Email a magic sign-in link
+  async requestMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+      
+      // Not awaited, so response time does not reveal whether the account exists
+      MagicLinkService.request(email, { locale: req.getLocale() }).catch((error) => {
+        console.error('Magic link email error:', error);
+      });
+      
+      res.json({
+        success: true,
+        message: 'If this email can be used to sign in, a sign-in link has been sent'
+      });
+    } catch (error) {
+      console.error('Magic link request error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request sign-in link',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Exchange a magic link token for tokens, registering unknown emails if allowed
+  async verifyMagicLink(req, res) {
+    try {
+      const result = await LoginService.withMagicLink(req.body.token, {
+        context: getRequestContext(req)
+      });
+      
+      if (result.outcome === OUTCOMES.ACCOUNT_DISABLED) {
         return res.status(401).json({
           success: false,
           error: 'Account disabled',
@@ -86,39 +206,99 @@ class AuthController {
         });
       }
       
-      // Verify password
-      const isPasswordValid = await UserModel.verifyPassword(password, user.password);
-      if (!isPasswordValid) {
-        return res.status(401).json({
+      if (result.outcome === OUTCOMES.TWO_FACTOR_REQUIRED) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: result.challengeToken,
+            expiresIn: config.twoFactorChallengeExpiresIn
+          }
+        });
+      }
+      
+      const { user, tokens, isNewUser } = result;
+      
+      res.status(isNewUser ? 201 : 200).json({
+        success: true,
+        message: isNewUser ? 'Account created successfully' : 'Login successful',
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            fullName: user.fullName,
+            phone: user.phone,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified
+          },
+          tokens,
+          isNewUser,
+          twoFactorSetupRequired: TwoFactorService.isRequiredForRole(user.role)
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
           success: false,
-          error: 'Invalid credentials',
-          message: 'Email or password is incorrect'
+          error: 'Login failed',
+          message: error.message
         });
       }
       
-      // Update last login time
-      await UserModel.updateLastLogin(user.id);
+      console.error('Magic link login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code } = req.body;
       
-      // Generate tokens
-      const tokens = JWTUtils.generateTokenPair({
-        userId: user.id,
-        email: user.email,
-        role: user.role
+      const result = await LoginService.withTwoFactor(challengeToken, code, {
+        context: getRequestContext(req)
       });
       
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      if (result.outcome === OUTCOMES.INVALID_CREDENTIALS) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid credentials',
+          message: 'Please log in again'
+        });
+      }
+      
+      if (result.outcome === OUTCOMES.INVALID_CODE) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid authentication code',
+          message: 'The authentication code is incorrect or has already been used'
+        });
+      }
       
       res.json({
         success: true,
         message: 'Login successful',
         data: {
-          user: userWithoutPassword,
-          tokens
+          user: result.user,
+          tokens: result.tokens,
+          usedRecoveryCode: result.usedRecoveryCode
         }
       });
     } catch (error) {
-      console.error('Login error:', error);
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Two-factor authentication failed',
+          message: error.message
+        });
+      }
+      
+      console.error('Two-factor login error:', error);
       res.status(500).json({
         success: false,
         error: 'Login failed',
@@ -140,25 +320,11 @@ class AuthController {
         });
       }
       
-      // Verify refresh token
-      const decoded = JWTUtils.verifyRefreshToken(refreshToken);
-      
-      // Get user details
-      const user = await UserModel.findById(decoded.userId);
-      if (!user || !user.isActive) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid refresh token',
-          message: 'User not found or account disabled'
-        });
-      }
-      
-      // Generate new tokens
-      const tokens = JWTUtils.generateTokenPair({
-        userId: user.id,
-        email: user.email,
-        role: user.role
-      });
+      // Rotate refresh token (single use, reuse revokes the whole family)
+      const { tokens } = await TokenService.rotateRefreshToken(
+        refreshToken,
+        getRequestContext(req)
+      );
       
       res.json({
         success: true,
@@ -195,6 +361,7 @@ class AuthController {
             isActive: user.isActive,
             isEmailVerified: user.isEmailVerified,
             lastLoginAt: user.lastLoginAt,
+            deletionScheduledAt: user.deletionScheduledAt,
             createdAt: user.createdAt,
             updatedAt: user.updatedAt
           }
@@ -272,6 +439,12 @@ class AuthController {
       // Verify current password
       const isCurrentPasswordValid = await UserModel.verifyPassword(currentPassword, user.password);
       if (!isCurrentPasswordValid) {
+        await SecurityEventService.recordFailure(EVENTS.PASSWORD_CHANGE_FAILED, {
+          userId,
+          context: getRequestContext(req),
+          details: { reason: 'invalid_current_password' }
+        });
+        
         return res.status(400).json({
           success: false,
           error: 'Invalid current password',
@@ -279,8 +452,17 @@ class AuthController {
         });
       }
       
+      if (await PasswordPolicy.isReused(userId, newPassword)) {
+        return res.status(400).json(PASSWORD_REUSED);
+      }
+      
       // Change password
-      await UserModel.changePassword(userId, newPassword);
+      await PasswordPolicy.changePassword(userId, newPassword);
+      
+      await SecurityEventService.record(EVENTS.PASSWORD_CHANGED, {
+        userId,
+        context: getRequestContext(req)
+      });
       
       res.json({
         success: true,
@@ -296,13 +478,94 @@ class AuthController {
     }
   }
   
-  // Verify email
+  // Request a password reset email. Always answers the same way so the
+  // endpoint cannot be used to find out which emails are registered.
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      
+      const user = await UserModel.findByEmail(email);
+      
+      if (user && user.isActive) {
+        // Not awaited, so response time does not reveal whether the account exists
+        sendPasswordResetEmail(user, req.getLocale()).catch((error) => {
+          console.error('Password reset email error:', error);
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request password reset',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Set a new password with the single-use token from the reset email
+  async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+      
+      // Check the new password before using up the token, so the user can try another one
+      if (await PasswordPolicy.isReused(ActionTokenService.verify(token, TOKEN_TYPES.PASSWORD_RESET), newPassword)) {
+        return res.status(400).json(PASSWORD_REUSED);
+      }
+      
+      const userId = await ActionTokenService.consume(token, TOKEN_TYPES.PASSWORD_RESET);
+      
+      const user = await UserModel.findById(userId);
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password reset failed',
+          message: 'This link has already been used or is no longer valid'
+        });
+      }
+      
+      await PasswordPolicy.changePassword(userId, newPassword);
+      
+      // Sign out every device, including whoever may have known the old password
+      await TokenService.revokeAllForUser(userId, 'password_reset');
+      
+      await SecurityEventService.record(EVENTS.PASSWORD_RESET, {
+        userId,
+        context: getRequestContext(req)
+      });
+      
+      res.json({
+        success: true,
+        message: 'Password has been reset successfully. Please log in with your new password'
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Password reset failed',
+          message: error.message
+        });
+      }
+      
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset password',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Verify email with the single-use token from the verification email
   async verifyEmail(req, res) {
     try {
-      const userId = req.user.id;
+      const { token } = req.params;
       
-      // In a real application, you would verify a token sent via email
-      // For demo purposes, we'll just mark the email as verified
+      const userId = await ActionTokenService.consume(token, TOKEN_TYPES.EMAIL_VERIFICATION);
       const result = await UserModel.verifyEmail(userId);
       
       if (!result) {
@@ -312,6 +575,11 @@ class AuthController {
         });
       }
       
+      await SecurityEventService.record(EVENTS.EMAIL_VERIFIED, {
+        userId,
+        context: getRequestContext(req)
+      });
+      
       res.json({
         success: true,
         message: 'Email verified successfully',
@@ -320,6 +588,14 @@ class AuthController {
         }
       });
     } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Email verification failed',
+          message: error.message
+        });
+      }
+      
       console.error('Email verification error:', error);
       res.status(500).json({
         success: false,
@@ -329,17 +605,60 @@ class AuthController {
     }
   }
   
-  // Logout (client-side token invalidation)
+  // Resend the verification email to the current user
+  async resendVerificationEmail(req, res) {
+    try {
+      const user = req.user;
+      
+      if (user.isEmailVerified) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email already verified',
+          message: 'Your email address has already been verified'
+        });
+      }
+      
+      await sendVerificationEmail(user, req.getLocale());
+      
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      console.error('Resend verification email error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send verification email',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Logout (revokes the current access token and ends its session)
   async logout(req, res) {
     try {
-      // In a real application, you might want to blacklist the token
-      // For now, we'll just return a success message
-      // The client should remove the token from storage
+      const { refreshToken } = req.body;
+      
+      await TokenService.revokeAccessToken(req.tokenPayload, 'logout');
+      
+      if (req.sessionId) {
+        await TokenService.endSession(req.sessionId, req.user.id);
+      }
+      
+      if (refreshToken) {
+        await TokenService.revokeRefreshToken(refreshToken, req.user.id);
+      }
+      
+      await SecurityEventService.record(EVENTS.LOGOUT, {
+        userId: req.user.id,
+        actorId: req.impersonator ? req.impersonator.id : null,
+        context: getRequestContext(req),
+        details: { sessionId: req.sessionId }
+      });
       
       res.json({
         success: true,
-        message: 'Logged out successfully',
-        note: 'Please remove the token from client storage'
+        message: 'Logged out successfully'
       });
     } catch (error) {
       console.error('Logout error:', error);
@@ -351,6 +670,38 @@ class AuthController {
     }
   }
   
+  // Logout everywhere (revokes every token issued to the user)
+  async logoutAll(req, res) {
+    try {
+      await TokenService.revokeAllForUser(req.user.id, 'logout_all');
+      
+      await SecurityEventService.record(EVENTS.LOGOUT_ALL, {
+        userId: req.user.id,
+        context: getRequestContext(req)
+      });
+      
+      res.json({
+        success: true,
+        message: 'Logged out from all devices successfully'
+      });
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Logout failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Password rules, so clients can check new passwords before submitting them
+  async getPasswordPolicy(req, res) {
+    res.json({
+      success: true,
+      data: PasswordPolicy.getRules()
+    });
+  }
+  
   // Validate token endpoint
   async validateToken(req, res) {
     try {
@@ -1,5 +1,6 @@
 const CartModel = require('../models/cart');
 const ProductModel = require('../models/products');
+const ProductVariantModel = require('../models/productVariants');
 
 class CartController {
   // Get user's cart items
@@ -36,11 +37,11 @@ class CartController {
     }
   }
 
-  // Add item to cart
+  // Add item to cart (products with variants need a variantId)
   async addToCart(req, res) {
     try {
       const userId = req.user.id;
-      const { productId, quantity = 1 } = req.body;
+      const { productId, variantId = null, quantity = 1 } = req.body;
 
       // Validate product exists and is active
       const product = await ProductModel.findById(productId);
@@ -59,37 +60,58 @@ class CartController {
         });
       }
 
+      // Variants have their own stock
+      let variant = null;
+      if (variantId) {
+        variant = await ProductVariantModel.findById(variantId);
+        if (!variant || variant.productId !== productId || !variant.isActive) {
+          return res.status(404).json({
+            success: false,
+            error: 'Variant not found',
+            message: 'This product variant is not available'
+          });
+        }
+      } else if (await ProductVariantModel.hasVariants(productId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Variant required',
+          message: 'Please choose a variant of this product'
+        });
+      }
+
+      const stockQuantity = variant ? variant.stockQuantity : product.stockQuantity;
+
       // Check stock availability
-      if (quantity > product.stockQuantity) {
+      if (quantity > stockQuantity) {
         return res.status(400).json({
           success: false,
           error: 'Insufficient stock',
-          message: `Only ${product.stockQuantity} items available in stock`,
-          availableStock: product.stockQuantity
+          message: `Only ${stockQuantity} items available in stock`,
+          availableStock: stockQuantity
         });
       }
 
       // Check if item is already in cart
-      const existingInCart = await CartModel.isProductInCart(userId, productId);
+      const existingInCart = await CartModel.isProductInCart(userId, productId, variantId);
       if (existingInCart) {
         // Get current cart item to check total quantity
         const cartItems = await CartModel.getCartItems(userId);
-        const currentCartItem = cartItems.find(item => item.productId === productId);
+        const currentCartItem = cartItems.find(item => item.productId === productId && item.variantId === variantId);
         const totalQuantity = currentCartItem.quantity + quantity;
         
-        if (totalQuantity > product.stockQuantity) {
+        if (totalQuantity > stockQuantity) {
           return res.status(400).json({
             success: false,
             error: 'Insufficient stock',
-            message: `Cannot add ${quantity} more items. Only ${product.stockQuantity - currentCartItem.quantity} more items can be added`,
+            message: `Cannot add ${quantity} more items. Only ${stockQuantity - currentCartItem.quantity} more items can be added`,
             currentInCart: currentCartItem.quantity,
-            availableToAdd: product.stockQuantity - currentCartItem.quantity
+            availableToAdd: stockQuantity - currentCartItem.quantity
           });
         }
       }
 
       // Add to cart
-      const cartItem = await CartModel.addToCart(userId, productId, quantity);
+      const cartItem = await CartModel.addToCart(userId, productId, quantity, variantId);
 
       // Get updated cart summary
       const summary = await CartModel.getCartSummary(userId);
@@ -140,18 +162,19 @@ class CartController {
         });
       }
 
-      // Check stock availability for the new quantity
-      if (quantity > cartItem.product.stockQuantity) {
+      // Check stock availability for the new quantity (of the variant, if any)
+      const stockQuantity = cartItem.variant ? cartItem.variant.stockQuantity : cartItem.product.stockQuantity;
+      if (quantity > stockQuantity) {
         return res.status(400).json({
           success: false,
           error: 'Insufficient stock',
-          message: `Only ${cartItem.product.stockQuantity} items available in stock`,
-          availableStock: cartItem.product.stockQuantity
+          message: `Only ${stockQuantity} items available in stock`,
+          availableStock: stockQuantity
         });
       }
 
-      // Check if product is still active
-      if (!cartItem.product.isActive) {
+      // Check if product (and variant) is still active
+      if (!cartItem.product.isActive || (cartItem.variant && !cartItem.variant.isActive)) {
         return res.status(400).json({
           success: false,
           error: 'Product not available',
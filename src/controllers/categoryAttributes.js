@@ -0,0 +1,211 @@
+const CategoryModel = require('../models/categories');
+const CategoryAttributeModel = require('../models/categoryAttributes');
+const TranslationModel = require('../models/translations');
+const ProductAttributeService = require('../utils/productAttributes');
+
+// Languages attribute labels can be translated into (the base labels are in the default language)
+const getTranslationLanguages = async () => (await TranslationModel.getSupportedLanguages())
+  .filter(language => !language.isDefault)
+  .map(language => language.code);
+
+class CategoryAttributesController {
+  // Get a category's attributes with labels in the request language
+  async getAttributes(req, res) {
+    try {
+      const { id } = req.params;
+
+      const category = await CategoryModel.findById(id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const attributes = await CategoryAttributeModel.findByCategory(id, { language: req.getLocale() });
+
+      res.json({
+        success: true,
+        data: attributes
+      });
+    } catch (error) {
+      console.error('Get category attributes error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get category attributes',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Add an attribute, e.g. { key: 'screen_size', label: 'Screen size', type: 'number', unit: 'in' }
+  // or { key: 'material', label: 'Material', type: 'enum', options: ['cotton', 'wool'],
+  // translations: { de: { label: 'Material', options: { cotton: 'Baumwolle' } } } }
+  async createAttribute(req, res) {
+    try {
+      const { id } = req.params;
+      const { key, label, type, unit, options, isRequired, isFilterable, position, translations = {} } = req.body;
+
+      const category = await CategoryModel.findById(id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const normalizedOptions = type === 'enum' ? ProductAttributeService.normalizeOptions(options) : [];
+
+      const translationsError = ProductAttributeService.getTranslationsError(translations, {
+        languages: await getTranslationLanguages(),
+        values: normalizedOptions.map(option => option.value)
+      });
+      if (translationsError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid translations',
+          message: translationsError
+        });
+      }
+
+      if (await CategoryAttributeModel.findByKey(id, key)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Attribute already exists',
+          message: `This category already has an attribute "${key}"`
+        });
+      }
+
+      const attribute = await CategoryAttributeModel.create(id, {
+        key,
+        label,
+        type,
+        unit: unit || null,
+        options: normalizedOptions,
+        isRequired,
+        isFilterable,
+        position
+      }, translations);
+
+      res.status(201).json({
+        success: true,
+        message: 'Attribute created successfully',
+        data: attribute
+      });
+    } catch (error) {
+      console.error('Create category attribute error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create attribute',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Update an attribute's labels, unit, options, flags or position. Options that
+  // products of the category still have cannot be removed.
+  async updateAttribute(req, res) {
+    try {
+      const { id, attributeId } = req.params;
+      const { label, unit, options, isRequired, isFilterable, position, translations = {} } = req.body;
+
+      const attribute = await CategoryAttributeModel.findById(attributeId);
+      if (!attribute || attribute.categoryId !== id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attribute not found'
+        });
+      }
+
+      if ((unit !== undefined && attribute.type !== 'number') || (options !== undefined && attribute.type !== 'enum')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          message: 'Only number attributes have a unit and only enum attributes have options'
+        });
+      }
+
+      const normalizedOptions = options !== undefined ? ProductAttributeService.normalizeOptions(options) : attribute.options;
+
+      const translationsError = ProductAttributeService.getTranslationsError(translations, {
+        languages: await getTranslationLanguages(),
+        values: normalizedOptions.map(option => option.value)
+      });
+      if (translationsError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid translations',
+          message: translationsError
+        });
+      }
+
+      const removedValues = attribute.options
+        .map(option => option.value)
+        .filter(value => !normalizedOptions.some(option => option.value === value));
+
+      const productsWithRemovedValues = await CategoryAttributeModel.countProductsWithValues(id, attribute.key, removedValues);
+      if (productsWithRemovedValues > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Options in use',
+          message: `${productsWithRemovedValues} product(s) still have one of these options: ${removedValues.join(', ')}`
+        });
+      }
+
+      const updateData = Object.fromEntries(Object.entries({
+        label,
+        unit: unit === undefined ? undefined : unit || null,
+        options: options === undefined ? undefined : normalizedOptions,
+        isRequired,
+        isFilterable,
+        position
+      }).filter(([, value]) => value !== undefined));
+
+      const updatedAttribute = await CategoryAttributeModel.update(attributeId, updateData, translations);
+
+      res.json({
+        success: true,
+        message: 'Attribute updated successfully',
+        data: updatedAttribute
+      });
+    } catch (error) {
+      console.error('Update category attribute error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update attribute',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Delete an attribute; the category's products lose their values of it
+  async deleteAttribute(req, res) {
+    try {
+      const { id, attributeId } = req.params;
+
+      const attribute = await CategoryAttributeModel.findById(attributeId);
+      if (!attribute || attribute.categoryId !== id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attribute not found'
+        });
+      }
+
+      await CategoryAttributeModel.delete(attribute);
+
+      res.json({
+        success: true,
+        message: 'Attribute deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete category attribute error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete attribute',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new CategoryAttributesController();
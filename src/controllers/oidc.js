@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const UserModel = require('../models/users');
+const UserIdentityModel = require('../models/userIdentities');
+const OidcAuthRequestModel = require('../models/oidcAuthRequests');
+const JWTUtils = require('../utils/jwt');
+const TokenService = require('../utils/tokenService');
+const TwoFactorService = require('../utils/twoFactor');
+const SecurityEventService = require('../utils/securityEvents');
+const { getProvider, listProviders } = require('../utils/oidc');
+const { getRequestContext } = require('../utils/requestContext');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Find the account for a verified provider identity: an existing link, an
+// existing account with the same (provider-verified) email, or a new account.
+const resolveUser = async (provider, identity, context) => {
+  const linked = await UserIdentityModel.findByProviderSubject(provider, identity.subject);
+  if (linked) {
+    await UserIdentityModel.touch(linked.id, identity.email);
+    return { user: await UserModel.findById(linked.userId), isNewUser: false };
+  }
+
+  if (!identity.email) {
+    throw new AppError('The login provider did not share an email address', 400);
+  }
+
+  let user = await UserModel.findByEmail(identity.email);
+  const isNewUser = !user;
+
+  if (user && !identity.emailVerified) {
+    // Linking on an unverified email would let anyone take over the account
+    throw new AppError('An account with this email already exists. Log in with your password first', 409);
+  }
+
+  if (!user) {
+    user = await UserModel.create({
+      email: identity.email,
+      // Random password: the account can set one later via forgot-password
+      password: crypto.randomBytes(32).toString('base64'),
+      fullName: identity.name,
+      role: 'customer',
+      isActive: true,
+      isEmailVerified: identity.emailVerified
+    });
+  }
+
+  await UserIdentityModel.create({
+    userId: user.id,
+    provider,
+    subject: identity.subject,
+    email: identity.email
+  });
+
+  await SecurityEventService.record(SecurityEventService.EVENTS.IDENTITY_LINKED, {
+    userId: user.id,
+    context,
+    details: { provider, isNewUser }
+  });
+
+  return { user, isNewUser };
+};
+
+class OidcController {
+  // List the configured login providers
+  async getProviders(req, res) {
+    res.json({
+      success: true,
+      data: {
+        providers: listProviders()
+      }
+    });
+  }
+
+  // Start a login: store state, nonce and PKCE verifier, then send the browser to the provider
+  async start(req, res) {
+    try {
+      const provider = getProvider(req.params.provider);
+      const { url, state, nonce, codeVerifier } = await provider.createAuthorizationRequest();
+
+      await OidcAuthRequestModel.create({
+        provider: provider.name,
+        stateHash: JWTUtils.hashToken(state),
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + ms(config.oidcStateExpiresIn))
+      });
+
+      // API clients can ask for the URL instead of a redirect
+      if (req.query.redirect === 'false') {
+        return res.json({
+          success: true,
+          data: {
+            authorizationUrl: url
+          }
+        });
+      }
+
+      res.redirect(url);
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Login failed',
+          message: error.message
+        });
+      }
+
+      console.error('OIDC start error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Provider redirect back: verify state and ID token, link or create the account, issue tokens
+  async callback(req, res) {
+    try {
+      const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+      if (providerError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Login cancelled',
+          message: providerErrorDescription || providerError
+        });
+      }
+
+      if (!code || !state) {
+        return res.status(400).json({
+          success: false,
+          error: 'Login failed',
+          message: 'Authorization code and state are required'
+        });
+      }
+
+      const provider = getProvider(req.params.provider);
+
+      const pending = await OidcAuthRequestModel.consume(provider.name, JWTUtils.hashToken(String(state)));
+      if (!pending) {
+        return res.status(400).json({
+          success: false,
+          error: 'Login failed',
+          message: 'This login attempt has expired or was already used. Please start again'
+        });
+      }
+
+      const identity = await provider.authenticate({
+        code: String(code),
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+
+      const context = getRequestContext(req);
+      const { user, isNewUser } = await resolveUser(provider.name, identity, context);
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          error: 'Account disabled',
+          message: 'Your account has been disabled. Please contact support.'
+        });
+      }
+
+      // The provider replaces the password, not the second factor
+      if (await TwoFactorService.isEnabled(user.id)) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: TwoFactorService.generateLoginChallenge(user.id),
+            expiresIn: config.twoFactorChallengeExpiresIn
+          }
+        });
+      }
+
+      await UserModel.updateLastLogin(user.id);
+
+      const { tokens, sessionId } = await TokenService.issueTokenPair(user, { context });
+
+      await SecurityEventService.record(SecurityEventService.EVENTS.LOGIN_SUCCEEDED, {
+        userId: user.id,
+        context,
+        details: { method: 'oidc', provider: provider.name, sessionId }
+      });
+
+      res.status(isNewUser ? 201 : 200).json({
+        success: true,
+        message: isNewUser ? 'Account created successfully' : 'Login successful',
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            fullName: user.fullName,
+            phone: user.phone,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified
+          },
+          tokens,
+          provider: provider.name,
+          isNewUser
+        }
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Login failed',
+          message: error.message
+        });
+      }
+
+      console.error('OIDC callback error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new OidcController();
@@ -1,5 +1,8 @@
 const OrderModel = require('../models/orders');
 const CartModel = require('../models/cart');
+const PermissionService = require('../utils/permissions');
+
+const { PERMISSIONS } = PermissionService;
 
 class OrdersController {
   // Get user's orders with pagination
@@ -90,7 +93,8 @@ class OrdersController {
   async getOrder(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const canReadAll = await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_READ_ALL);
+      const userId = canReadAll ? null : req.user.id;
 
       const order = await OrderModel.findById(id, userId);
 
@@ -119,7 +123,8 @@ class OrdersController {
   async getOrderByNumber(req, res) {
     try {
       const { orderNumber } = req.params;
-      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const canReadAll = await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_READ_ALL);
+      const userId = canReadAll ? null : req.user.id;
 
       const order = await OrderModel.findByOrderNumber(orderNumber, userId);
 
@@ -174,7 +179,7 @@ class OrdersController {
 
       // Calculate total amount
       const totalAmount = cartItems.reduce((total, item) => {
-        return total + (parseFloat(item.product.price) * item.quantity);
+        return total + (parseFloat(item.unitPrice) * item.quantity);
       }, 0);
 
       // Prepare order data
@@ -305,7 +310,8 @@ class OrdersController {
   async cancelOrder(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const canUpdateAll = await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_UPDATE);
+      const userId = canUpdateAll ? null : req.user.id;
 
       const order = await OrderModel.cancel(id, userId);
 
@@ -350,8 +356,9 @@ class OrdersController {
     try {
       const { dateFrom, dateTo, userId } = req.query;
       
-      // Only admin can see all stats, users can only see their own
-      const targetUserId = req.user.role === 'admin' ? userId : req.user.id;
+      // Only staff with orders.read_all can see all stats, users can only see their own
+      const canReadAll = await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_READ_ALL);
+      const targetUserId = canReadAll ? userId : req.user.id;
 
       const stats = await OrderModel.getOrderStats(targetUserId, dateFrom, dateTo);
 
@@ -395,7 +402,8 @@ class OrdersController {
   async updateOrder(req, res) {
     try {
       const { id } = req.params;
-      const userId = req.user.role === 'admin' ? null : req.user.id;
+      const canUpdateAll = await PermissionService.hasPermission(req, PERMISSIONS.ORDERS_UPDATE);
+      const userId = canUpdateAll ? null : req.user.id;
       
       // Get current order to check if it can be updated
       const currentOrder = await OrderModel.findById(id, userId);
@@ -416,10 +424,10 @@ class OrdersController {
         });
       }
 
-      // Filter allowed fields based on user role
+      // Filter allowed fields based on the user's permissions
       let updateData = {};
-      if (req.user.role === 'admin') {
-        // Admin can update more fields
+      if (canUpdateAll) {
+        // Staff can update more fields
         const allowedFields = ['shippingAddress', 'billingAddress', 'paymentMethod', 'notes', 'status', 'paymentStatus'];
         for (const field of allowedFields) {
           if (req.body[field] !== undefined) {
@@ -0,0 +1,148 @@
+const ProductModel = require('../models/products');
+const ProductImageModel = require('../models/productImages');
+const ProductImageService = require('../utils/productImages');
+const { AppError } = require('../middleware/errorHandler');
+
+// Send operational errors (AppError) with their status, everything else as 500
+const handleError = (res, error, failure, logLabel) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: failure,
+      message: error.message
+    });
+  }
+
+  console.error(`${logLabel} error:`, error);
+  return res.status(500).json({
+    success: false,
+    error: failure,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+class ProductImagesController {
+  // Upload images (multipart field "images"): each is resized into its renditions,
+  // stored and appended to the product's images
+  async uploadImages(req, res) {
+    try {
+      const { id } = req.params;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found'
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No images uploaded',
+          message: 'Send the images as multipart/form-data in the "images" field'
+        });
+      }
+
+      // Render every file before storing any, so that one bad file rejects the upload
+      const rendered = [];
+      for (const file of req.files) {
+        try {
+          rendered.push(await ProductImageService.render(file.buffer));
+        } catch (error) {
+          throw error.isOperational ? new AppError(`${file.originalname}: ${error.message}`, error.statusCode) : error;
+        }
+      }
+
+      const images = [];
+      let result;
+
+      try {
+        for (const image of rendered) {
+          images.push(await ProductImageService.store(id, image));
+        }
+
+        result = await ProductImageModel.add(id, images);
+      } catch (error) {
+        await Promise.all(images.map(image => ProductImageService.remove(image)));
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Images uploaded successfully',
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to upload images', 'Upload product images');
+    }
+  }
+
+  // Set the order of the product's images; the first one becomes its imageUrl
+  async reorderImages(req, res) {
+    try {
+      const { id } = req.params;
+      const { images: keys } = req.body;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found'
+        });
+      }
+
+      const currentKeys = (product.images || []).map(image => ProductImageService.getKey(image));
+
+      if (keys.length !== currentKeys.length || new Set(keys).size !== keys.length ||
+        !keys.every(key => currentKeys.includes(key))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid image order',
+          message: 'List each of the product\'s images exactly once (image IDs, or URLs of linked images)'
+        });
+      }
+
+      const result = await ProductImageModel.reorder(id, keys);
+
+      res.json({
+        success: true,
+        message: 'Images reordered successfully',
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to reorder images', 'Reorder product images');
+    }
+  }
+
+  // Delete an uploaded image and its files
+  async deleteImage(req, res) {
+    try {
+      const { id, imageId } = req.params;
+
+      const product = await ProductModel.findById(id);
+      const image = product && (product.images || []).find(image =>
+        ProductImageService.isUploaded(image) && image.id === imageId);
+
+      if (!image) {
+        return res.status(404).json({
+          success: false,
+          error: 'Image not found'
+        });
+      }
+
+      const result = await ProductImageModel.remove(id, imageId);
+      await ProductImageService.remove(image);
+
+      res.json({
+        success: true,
+        message: 'Image deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to delete image', 'Delete product image');
+    }
+  }
+}
+
+module.exports = new ProductImagesController();
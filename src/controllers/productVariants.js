@@ -0,0 +1,182 @@
+const ProductModel = require('../models/products');
+const ProductVariantModel = require('../models/productVariants');
+
+class ProductVariantsController {
+  // Get a product's options and purchasable variants
+  async getVariants(req, res) {
+    try {
+      const { id } = req.params;
+
+      const product = await ProductModel.findById(id);
+      if (!product || !product.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found'
+        });
+      }
+
+      const [options, variants] = await Promise.all([
+        ProductVariantModel.getOptions(id),
+        ProductVariantModel.findByProduct(id, { isActive: true })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          options,
+          variants
+        }
+      });
+    } catch (error) {
+      console.error('Get product variants error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get product variants',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Add a variant, e.g. { sku, price, stockQuantity, options: { Size: 'M', Color: 'Blue' } }
+  async createVariant(req, res) {
+    try {
+      const { id } = req.params;
+      const { sku, price, stockQuantity, isActive, options } = req.body;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Product not found'
+        });
+      }
+
+      // All variants of a product have the same options
+      const existingOptions = await ProductVariantModel.getOptions(id);
+      const optionNames = Object.keys(options);
+
+      if (existingOptions.length > 0 && (
+        existingOptions.length !== optionNames.length ||
+        !existingOptions.every(option => optionNames.includes(option.name))
+      )) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid variant options',
+          message: `Variants of this product need a value for each of: ${existingOptions.map(option => option.name).join(', ')}`
+        });
+      }
+
+      if (await ProductVariantModel.findByOptions(id, options)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Variant already exists',
+          message: 'This product already has a variant with these options'
+        });
+      }
+
+      if (await ProductVariantModel.findBySku(sku)) {
+        return res.status(409).json({
+          success: false,
+          error: 'SKU already exists',
+          message: `A variant with SKU "${sku}" already exists`
+        });
+      }
+
+      const variant = await ProductVariantModel.create(id, {
+        sku,
+        price,
+        stockQuantity,
+        isActive,
+        options
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Variant created successfully',
+        data: variant
+      });
+    } catch (error) {
+      console.error('Create product variant error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create variant',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Update a variant's SKU, price, stock or status
+  async updateVariant(req, res) {
+    try {
+      const { id, variantId } = req.params;
+      const { sku, price, stockQuantity, isActive } = req.body;
+
+      const variant = await ProductVariantModel.findById(variantId);
+      if (!variant || variant.productId !== id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found'
+        });
+      }
+
+      if (sku && sku !== variant.sku && await ProductVariantModel.findBySku(sku)) {
+        return res.status(409).json({
+          success: false,
+          error: 'SKU already exists',
+          message: `A variant with SKU "${sku}" already exists`
+        });
+      }
+
+      const updatedVariant = await ProductVariantModel.update(variantId, {
+        sku,
+        price,
+        stockQuantity,
+        isActive
+      });
+
+      res.json({
+        success: true,
+        message: 'Variant updated successfully',
+        data: updatedVariant
+      });
+    } catch (error) {
+      console.error('Update product variant error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update variant',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Delete a variant (it is removed from carts; orders keep their snapshot)
+  async deleteVariant(req, res) {
+    try {
+      const { id, variantId } = req.params;
+
+      const variant = await ProductVariantModel.findById(variantId);
+      if (!variant || variant.productId !== id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found'
+        });
+      }
+
+      await ProductVariantModel.delete(variantId);
+
+      res.json({
+        success: true,
+        message: 'Variant deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete product variant error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete variant',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new ProductVariantsController();
@@ -1,6 +1,21 @@
 const ProductModel = require('../models/products');
 const CategoryModel = require('../models/categories');
 const TranslationModel = require('../models/translations');
+const ProductVariantModel = require('../models/productVariants');
+const CategoryAttributeModel = require('../models/categoryAttributes');
+const ProductCatalogService = require('../utils/productCatalog');
+const ProductAttributeService = require('../utils/productAttributes');
+
+// Attributes products of a category can have (none without a category)
+const getAttributeDefinitions = async (categoryId) => (categoryId
+  ? await CategoryAttributeModel.findByCategory(categoryId)
+  : []);
+
+const sendAttributeErrors = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: errors.map(error => error.message)
+});
 
 class ProductsController {
   // Get all products with pagination and filters
@@ -14,6 +29,8 @@ class ProductsController {
         sort = 'newest',
         minPrice,
         maxPrice,
+        inStock,
+        attributes,
         isActive = true,
         fields
       } = req.query;
@@ -53,10 +70,14 @@ class ProductsController {
         categoryId,
         minPrice: minPrice ? parseFloat(minPrice) : undefined,
         maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+        inStock: inStock === undefined ? undefined : inStock === 'true',
+        attributes: ProductAttributeService.parseFilters(attributes),
         sortBy,
         sortOrder,
         isActive: isActive === 'false' ? false : true,
-        fields: fields ? fields.split(',') : undefined
+        fields: fields ? fields.split(',') : undefined,
+        language: req.getLocale(),
+        withFacets: true
       };
 
       const result = await ProductModel.findMany(filters);
@@ -76,6 +97,7 @@ class ProductsController {
         success: true,
         data: result.data,
         pagination: result.pagination,
+        facets: result.facets,
         meta: {
           total: result.pagination.total,
           page: result.pagination.page,
@@ -124,6 +146,18 @@ class ProductsController {
         product.category = category;
       }
 
+      // Attribute values with labels in the request language
+      product.specifications = product.categoryId
+        ? ProductAttributeService.getSpecifications(
+          await CategoryAttributeModel.findByCategory(product.categoryId, { language: req.getLocale() }),
+          product.attributes
+        )
+        : [];
+
+      // Options and purchasable variants (empty for products without variants)
+      product.options = await ProductVariantModel.getOptions(id);
+      product.variants = await ProductVariantModel.findByProduct(id, { isActive: true });
+
       res.json({
         success: true,
         data: product
@@ -231,7 +265,16 @@ class ProductsController {
         }
       }
 
-      const product = await ProductModel.create(productData);
+      // Attribute values must fit the attributes of the category
+      const { attributes, errors } = ProductAttributeService.validate(
+        await getAttributeDefinitions(productData.categoryId),
+        productData.attributes || {}
+      );
+      if (errors.length > 0) {
+        return sendAttributeErrors(res, errors);
+      }
+
+      const product = await ProductModel.create({ ...productData, attributes });
 
       res.status(201).json({
         success: true,
@@ -253,7 +296,7 @@ class ProductsController {
     try {
 
       const { id } = req.params;
-      const updateData = req.body;
+      let updateData = req.body;
 
       // Check if product exists
       const existingProduct = await ProductModel.findById(id);
@@ -275,6 +318,28 @@ class ProductsController {
         }
       }
 
+      // Given attribute values replace the current ones (null removes one). Products
+      // moving to another category keep the values of attributes it has too.
+      const categoryId = updateData.categoryId || existingProduct.categoryId;
+      const categoryChanged = categoryId !== existingProduct.categoryId;
+
+      if (updateData.attributes !== undefined || categoryChanged) {
+        const definitions = await getAttributeDefinitions(categoryId);
+        const currentAttributes = categoryChanged
+          ? ProductAttributeService.keepDefined(definitions, existingProduct.attributes)
+          : existingProduct.attributes;
+
+        const { attributes, errors } = ProductAttributeService.validate(
+          definitions,
+          ProductAttributeService.merge(currentAttributes, updateData.attributes || {})
+        );
+        if (errors.length > 0) {
+          return sendAttributeErrors(res, errors);
+        }
+
+        updateData = { ...updateData, attributes };
+      }
+
       const product = await ProductModel.update(id, updateData);
 
       res.json({
@@ -355,10 +420,10 @@ class ProductsController {
     }
   }
 
-  // Search products
+  // Search products (ranked full-text search in the request language)
   async searchProducts(req, res) {
     try {
-      const { q: query, limit = 10 } = req.query;
+      const { q: query, page = 1, limit = 10, category: categoryId } = req.query;
 
       if (!query || query.trim().length === 0) {
         return res.status(400).json({
@@ -367,32 +432,25 @@ class ProductsController {
         });
       }
 
-      const result = await ProductModel.findMany({
-        search: query.trim(),
-        limit: parseInt(limit),
-        isActive: true,
-        sortBy: 'createdAt',
-        sortOrder: 'desc'
-      });
+      // The language comes from ?lang=, the lang cookie or the Accept-Language header
+      const language = req.getLocale();
 
-      // If language is specified, get translations
-      const language = req.language || req.headers['accept-language'] || 'en';
-      if (language && language !== 'en') {
-        result.data = await Promise.all(
-          result.data.map(async (product) => {
-            const translated = await TranslationModel.getProductWithTranslation(product.id, language);
-            return translated || product;
-          })
-        );
-      }
+      const result = await ProductModel.search(query.trim(), {
+        language,
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 50),
+        categoryId
+      });
 
       res.json({
         success: true,
         data: result.data,
+        pagination: result.pagination,
         meta: {
           query: query.trim(),
-          total: result.data.length,
-          limit: parseInt(limit)
+          language,
+          total: result.pagination.total,
+          limit: result.pagination.limit
         }
       });
     } catch (error) {
@@ -404,6 +462,86 @@ class ProductsController {
       });
     }
   }
+
+  // Create or update products by SKU from a CSV (text/csv) or JSON file.
+  // With ?dryRun=true only the validation report is returned.
+  async importProducts(req, res) {
+    try {
+      const format = req.is('text/csv') ? 'csv' : req.is('application/json') ? 'json' : null;
+
+      if (!format) {
+        return res.status(415).json({
+          success: false,
+          error: 'Unsupported content type',
+          message: 'Send the file as text/csv or application/json'
+        });
+      }
+
+      const report = await ProductCatalogService.import(req.body, {
+        format,
+        dryRun: req.query.dryRun === 'true'
+      });
+
+      if (!report.valid && !report.dryRun) {
+        return res.status(422).json({
+          success: false,
+          error: 'Import failed',
+          message: `${report.errors.length} error(s) found, no products were imported`,
+          data: report
+        });
+      }
+
+      res.json({
+        success: true,
+        message: report.dryRun
+          ? `Dry run: ${report.created} product(s) would be created and ${report.updated} updated`
+          : `${report.created} product(s) created and ${report.updated} updated`,
+        data: report
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: 'Import failed',
+          message: error.message
+        });
+      }
+
+      console.error('Error importing products:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import products',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Download all products as CSV or JSON (streamed), in the import format
+  async exportProducts(req, res) {
+    const format = req.query.format || 'csv';
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+      res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+
+      await ProductCatalogService.export(res, format);
+    } catch (error) {
+      console.error('Error exporting products:', error);
+
+      // Once the download has started the error can only end it
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export products',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
 }
 
 module.exports = new ProductsController();
\ No newline at end of file
@@ -0,0 +1,319 @@
+const RoleModel = require('../models/roles');
+const UserModel = require('../models/users');
+const PermissionService = require('../utils/permissions');
+const SecurityEventService = require('../utils/securityEvents');
+const { getRequestContext } = require('../utils/requestContext');
+
+const { EVENTS } = SecurityEventService;
+
+class RolesController {
+  // List the permissions that roles can grant
+  async getPermissions(req, res) {
+    res.json({
+      success: true,
+      data: {
+        permissions: PermissionService.list()
+      }
+    });
+  }
+
+  // List roles with their permissions
+  async getRoles(req, res) {
+    try {
+      const roles = await RoleModel.findAll();
+
+      res.json({
+        success: true,
+        data: {
+          roles
+        }
+      });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get roles',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Create a role
+  async createRole(req, res) {
+    try {
+      const { name, description, permissions } = req.body;
+
+      if (await RoleModel.findByName(name)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Role already exists',
+          message: `A role named "${name}" already exists`
+        });
+      }
+
+      const role = await RoleModel.create({
+        name,
+        description,
+        permissions: [...new Set(permissions)]
+      });
+
+      await SecurityEventService.record(EVENTS.ROLE_CHANGED, {
+        actorId: req.user.id,
+        context: getRequestContext(req),
+        details: { action: 'created', roleId: role.id, name, permissions: role.permissions }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: {
+          role
+        }
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Update a role's description and permissions (system roles are fixed)
+  async updateRole(req, res) {
+    try {
+      const { id } = req.params;
+      const { description, permissions } = req.body;
+
+      const existingRole = await RoleModel.findById(id);
+      if (!existingRole) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role not found'
+        });
+      }
+
+      if (existingRole.isSystem) {
+        return res.status(400).json({
+          success: false,
+          error: 'System role',
+          message: 'Built-in roles cannot be changed'
+        });
+      }
+
+      const role = await RoleModel.update(id, {
+        description,
+        permissions: permissions === undefined ? undefined : [...new Set(permissions)]
+      });
+
+      await SecurityEventService.record(EVENTS.ROLE_CHANGED, {
+        actorId: req.user.id,
+        context: getRequestContext(req),
+        details: {
+          action: 'updated',
+          roleId: id,
+          name: role.name,
+          previousPermissions: existingRole.permissions,
+          permissions: role.permissions
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: {
+          role
+        }
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Delete a role and remove it from every user (system roles are fixed)
+  async deleteRole(req, res) {
+    try {
+      const { id } = req.params;
+
+      const role = await RoleModel.findById(id);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role not found'
+        });
+      }
+
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          error: 'System role',
+          message: 'Built-in roles cannot be deleted'
+        });
+      }
+
+      await RoleModel.delete(id);
+
+      await SecurityEventService.record(EVENTS.ROLE_CHANGED, {
+        actorId: req.user.id,
+        context: getRequestContext(req),
+        details: { action: 'deleted', roleId: id, name: role.name, permissions: role.permissions }
+      });
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully',
+        data: {
+          id
+        }
+      });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Get a user's roles and effective permissions
+  async getUserRoles(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const roles = await RoleModel.findByUser(userId);
+      const access = await PermissionService.getUserAccess(user);
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          role: user.role,
+          roles,
+          permissions: [...access.permissions].sort()
+        }
+      });
+    } catch (error) {
+      console.error('Get user roles error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get user roles',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Give a user an additional role
+  async assignRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const { roleId } = req.body;
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const role = await RoleModel.findById(roleId);
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role not found'
+        });
+      }
+
+      // System roles follow profiles.role
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          error: 'System role',
+          message: 'Built-in roles are set through the user\'s role, not assigned'
+        });
+      }
+
+      const assigned = await RoleModel.assignToUser(userId, roleId, req.user.id);
+
+      if (assigned) {
+        await SecurityEventService.record(EVENTS.ROLE_ASSIGNED, {
+          userId,
+          actorId: req.user.id,
+          context: getRequestContext(req),
+          details: { roleId, name: role.name }
+        });
+      }
+
+      res.status(assigned ? 201 : 200).json({
+        success: true,
+        message: assigned ? 'Role assigned successfully' : 'User already has this role',
+        data: {
+          userId,
+          roleId
+        }
+      });
+    } catch (error) {
+      console.error('Assign role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to assign role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Take an additional role away from a user
+  async unassignRole(req, res) {
+    try {
+      const { userId, roleId } = req.params;
+
+      const removed = await RoleModel.removeFromUser(userId, roleId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Role assignment not found'
+        });
+      }
+
+      await SecurityEventService.record(EVENTS.ROLE_UNASSIGNED, {
+        userId,
+        actorId: req.user.id,
+        context: getRequestContext(req),
+        details: { roleId }
+      });
+
+      res.json({
+        success: true,
+        message: 'Role removed successfully',
+        data: {
+          userId,
+          roleId
+        }
+      });
+    } catch (error) {
+      console.error('Unassign role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove role',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new RolesController();
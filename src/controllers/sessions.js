@@ -0,0 +1,173 @@
+const SessionModel = require('../models/sessions');
+const UserModel = require('../models/users');
+const TokenService = require('../utils/tokenService');
+
+// Shape a session row for API responses
+const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  revokedAt: session.revokedAt,
+  isActive: SessionModel.isActive(session),
+  current: session.id === currentSessionId
+});
+
+class SessionsController {
+  // List the current user's active sessions
+  async getSessions(req, res) {
+    try {
+      const sessions = await SessionModel.findActiveByUser(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => formatSession(session, req.sessionId))
+        }
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get sessions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // End one of the current user's sessions
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const session = await SessionModel.findById(id);
+      if (!session || session.userId !== req.user.id || !SessionModel.isActive(session)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      await TokenService.endSession(session.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Session ended successfully',
+        data: {
+          id: session.id,
+          current: session.id === req.sessionId
+        }
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to end session',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // List sessions of any user (admin only)
+  async getUserSessions(req, res) {
+    try {
+      const { userId } = req.params;
+      const includeInactive = req.query.includeInactive === 'true';
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const sessions = await SessionModel.findByUser(userId, { includeInactive });
+
+      res.json({
+        success: true,
+        data: {
+          userId,
+          sessions: sessions.map(session => formatSession(session))
+        }
+      });
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get user sessions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // End any session (admin only)
+  async revokeAnySession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const session = await SessionModel.findById(id);
+      if (!session || !SessionModel.isActive(session)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      await TokenService.endSession(session.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Session ended successfully',
+        data: {
+          id: session.id,
+          userId: session.userId
+        }
+      });
+    } catch (error) {
+      console.error('Admin revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to end session',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // End every session of a user (admin only)
+  async revokeUserSessions(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const user = await UserModel.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      await TokenService.revokeAllForUser(userId, 'admin_revoked', req.user.id);
+
+      res.json({
+        success: true,
+        message: 'All sessions of the user have been ended',
+        data: {
+          userId
+        }
+      });
+    } catch (error) {
+      console.error('Admin revoke user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to end user sessions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new SessionsController();
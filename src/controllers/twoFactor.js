@@ -0,0 +1,160 @@
+const UserModel = require('../models/users');
+const SessionModel = require('../models/sessions');
+const TwoFactorService = require('../utils/twoFactor');
+const SecurityEventService = require('../utils/securityEvents');
+const { getRequestContext } = require('../utils/requestContext');
+
+const { EVENTS } = SecurityEventService;
+
+// Send operational errors (AppError) as 400/401 responses, everything else as 500
+const handleError = (res, error, failure, logLabel) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: failure,
+      message: error.message
+    });
+  }
+
+  console.error(`${logLabel} error:`, error);
+  return res.status(500).json({
+    success: false,
+    error: failure,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+class TwoFactorController {
+  // Get the current user's two-factor status
+  async getStatus(req, res) {
+    try {
+      const status = await TwoFactorService.getStatus(req.user);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to get two-factor status', 'Get two-factor status');
+    }
+  }
+
+  // Start enrollment and return the secret and otpauth URI for the authenticator app
+  async setup(req, res) {
+    try {
+      const { secret, otpauthUri } = await TwoFactorService.setup(req.user);
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUri
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to set up two-factor authentication', 'Two-factor setup');
+    }
+  }
+
+  // Confirm enrollment with a code from the authenticator app
+  async enable(req, res) {
+    try {
+      const recoveryCodes = await TwoFactorService.enable(req.user.id, req.body.code);
+
+      // The current session has just proven the second factor
+      if (req.sessionId) {
+        await SessionModel.markTwoFactorVerified(req.sessionId);
+      }
+
+      await SecurityEventService.record(EVENTS.TWO_FACTOR_ENABLED, {
+        userId: req.user.id,
+        context: getRequestContext(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes in a safe place',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to enable two-factor authentication', 'Two-factor enable');
+    }
+  }
+
+  // Turn two-factor authentication off (password and a current code required)
+  async disable(req, res) {
+    try {
+      const { password, code } = req.body;
+
+      if (TwoFactorService.isRequiredForRole(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication required',
+          message: 'Two-factor authentication cannot be disabled for your role'
+        });
+      }
+
+      const user = await UserModel.findByEmail(req.user.email, true);
+      const isPasswordValid = await UserModel.verifyPassword(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid password',
+          message: 'Password is incorrect'
+        });
+      }
+
+      if (!(await TwoFactorService.verify(req.user.id, code))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid authentication code',
+          message: 'The authentication code is incorrect or has already been used'
+        });
+      }
+
+      await TwoFactorService.disable(req.user.id);
+
+      await SecurityEventService.record(EVENTS.TWO_FACTOR_DISABLED, {
+        userId: req.user.id,
+        context: getRequestContext(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to disable two-factor authentication', 'Two-factor disable');
+    }
+  }
+
+  // Replace the recovery codes (a current code is required)
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      if (!(await TwoFactorService.verify(req.user.id, req.body.code))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid authentication code',
+          message: 'The authentication code is incorrect or has already been used'
+        });
+      }
+
+      const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work',
+        data: {
+          recoveryCodes
+        }
+      });
+    } catch (error) {
+      handleError(res, error, 'Failed to generate recovery codes', 'Recovery codes');
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
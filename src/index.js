@@ -12,6 +12,9 @@ const routes = require('./routes');
 const webRoutes = require('./routes/web');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { i18n, redirectToDefaultLanguage } = require('./middleware/i18n');
+const TokenService = require('./utils/tokenService');
+const SigningKeyStore = require('./utils/signingKeys');
+const AccountDeletionService = require('./utils/accountDeletion');
 
 const app = express();
 
@@ -62,7 +65,7 @@ app.use(i18n.init);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', express.static(config.uploadPath));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -74,6 +77,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens (empty when tokens use HS256)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(SigningKeyStore.getJwks());
+});
+
 // Redirect root to default language
 app.use(redirectToDefaultLanguage);
 
@@ -91,12 +100,30 @@ app.use(errorHandler);
 const PORT = config.port;
 
 if (require.main === module) {
-  app.listen(PORT, () => {
-    console.log(`🚀 E-commerce API server running on port ${PORT}`);
-    console.log(`📍 Environment: ${config.nodeEnv}`);
-    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-    console.log(`📋 API base URL: http://localhost:${PORT}${config.apiPrefix}`);
-  });
+  // Periodically purge expired revocations and refresh tokens
+  TokenService.startCleanupJob();
+
+  // Carry out account deletions whose cooling-off period is over
+  AccountDeletionService.startJob();
+
+  // Load (or create) the signing keys before accepting requests
+  SigningKeyStore.initialize()
+    .then(() => {
+      if (SigningKeyStore.isEnabled()) {
+        SigningKeyStore.startRefreshJob();
+      }
+
+      app.listen(PORT, () => {
+        console.log(`🚀 E-commerce API server running on port ${PORT}`);
+        console.log(`📍 Environment: ${config.nodeEnv}`);
+        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+        console.log(`📋 API base URL: http://localhost:${PORT}${config.apiPrefix}`);
+      });
+    })
+    .catch((error) => {
+      console.error('Failed to load JWT signing keys:', error);
+      process.exit(1);
+    });
 }
 
 module.exports = app;
\ No newline at end of file
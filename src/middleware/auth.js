@@ -1,12 +1,109 @@
 const JWTUtils = require('../utils/jwt');
 const UserModel = require('../models/users');
+const RevokedTokenModel = require('../models/revokedTokens');
+const SessionModel = require('../models/sessions');
+const TwoFactorService = require('../utils/twoFactor');
+const ApiKeyService = require('../utils/apiKeys');
+const PermissionService = require('../utils/permissions');
+const SupabaseAuthService = require('../utils/supabaseAuth');
+const ImpersonationService = require('../utils/impersonation');
+const SecurityEventService = require('../utils/securityEvents');
+const { getRequestContext } = require('../utils/requestContext');
+const { COOKIES } = require('../utils/sessionCookies');
+const { verifyToken: verifyCsrfToken, isUnsafeMethod } = require('../utils/csrf');
+
+// Verify a bearer token: our own access tokens, or Supabase Auth tokens when enabled
+const verifyAccessToken = async (token) => {
+  if (SupabaseAuthService.isSupabaseToken(token)) {
+    return await SupabaseAuthService.verifyAccessToken(token);
+  }
+  
+  return JWTUtils.verifyAccessToken(token);
+};
+
+// The access token of a request: the Authorization header, or else the
+// storefront's session cookie. Returns { token, fromCookie } or null.
+const getRequestToken = (req) => {
+  const authHeader = req.headers.authorization;
+  
+  if (authHeader) {
+    return { token: JWTUtils.extractTokenFromHeader(authHeader), fromCookie: false };
+  }
+  
+  const cookieToken = req.cookies && req.cookies[COOKIES.ACCESS_TOKEN];
+  
+  return cookieToken ? { token: cookieToken, fromCookie: true } : null;
+};
+
+// Browsers send cookies with cross-site requests too, so state-changing requests
+// authenticated by the session cookie must carry the page's CSRF token
+const isCsrfSafe = (req, fromCookie) => !fromCookie
+  || !isUnsafeMethod(req.method)
+  || verifyCsrfToken(req.cookies[COOKIES.CSRF_SECRET], req.get('x-csrf-token'));
+
+// Check a verified access token against the revocation store and its session.
+// Returns { error, message } when the token must be rejected, otherwise null.
+const getTokenRejection = async (decoded, req) => {
+  // Tokens revoked by logout or "logout everywhere"
+  if (await RevokedTokenModel.isRevoked(decoded)) {
+    return {
+      error: 'Token revoked',
+      message: 'This token has been revoked. Please log in again'
+    };
+  }
+  
+  // Tokens whose session was ended (by the user or an admin)
+  if (decoded.sid) {
+    const session = await SessionModel.findById(decoded.sid);
+    
+    if (!SessionModel.isActive(session)) {
+      return {
+        error: 'Session ended',
+        message: 'This session has been ended. Please log in again'
+      };
+    }
+    
+    await SessionModel.touch(session.id, { ipAddress: req.ip });
+  }
+  
+  return null;
+};
+
+// Refuse a request whose credentials were rejected, and record it in the
+// security audit log. Missing and expired tokens are routine and not recorded.
+const denyAccess = async (req, res, statusCode, { error, message }, userId = null) => {
+  await SecurityEventService.recordFailure(SecurityEventService.EVENTS.ACCESS_DENIED, {
+    userId,
+    context: getRequestContext(req),
+    details: { reason: error, method: req.method, path: req.originalUrl },
+  });
+  
+  return res.status(statusCode).json({
+    success: false,
+    error,
+    message
+  });
+};
+
+// Attach a resolved token's user to the request (and audit impersonated requests)
+const attachUser = (req, res, token, { user, decoded, impersonator }) => {
+  req.user = user;
+  req.token = token;
+  req.tokenPayload = decoded;
+  req.sessionId = decoded.sid || null;
+  req.impersonator = impersonator;
+  
+  if (impersonator) {
+    ImpersonationService.recordRequest(req, res);
+  }
+};
 
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
+    const requestToken = getRequestToken(req);
     
-    if (!authHeader) {
+    if (!requestToken) {
       return res.status(401).json({
         success: false,
         error: 'Authentication required',
@@ -14,8 +111,21 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    const token = JWTUtils.extractTokenFromHeader(authHeader);
-    const decoded = JWTUtils.verifyAccessToken(token);
+    if (!isCsrfSafe(req, requestToken.fromCookie)) {
+      return denyAccess(req, res, 403, {
+        error: 'Invalid CSRF token',
+        message: 'Reload the page and try again'
+      });
+    }
+    
+    const { token } = requestToken;
+    const decoded = await verifyAccessToken(token);
+    
+    // Reject revoked tokens and tokens of ended sessions
+    const rejection = await getTokenRejection(decoded, req);
+    if (rejection) {
+      return denyAccess(req, res, 401, rejection, decoded.userId);
+    }
     
     // Get user details from database
     const user = await UserModel.findById(decoded.userId);
@@ -29,16 +139,27 @@ const authenticate = async (req, res, next) => {
     }
     
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
+      return denyAccess(req, res, 401, {
         error: 'Account disabled',
         message: 'Your account has been disabled'
-      });
+      }, user.id);
+    }
+    
+    // Impersonation tokens only work while the admin behind them still may impersonate
+    let impersonator = null;
+    if (ImpersonationService.isImpersonation(decoded)) {
+      impersonator = await ImpersonationService.verifyActor(decoded);
+      
+      if (!impersonator) {
+        return denyAccess(req, res, 401, {
+          error: 'Impersonation ended',
+          message: 'The admin behind this token can no longer impersonate users'
+        }, user.id);
+      }
     }
     
-    // Attach user info to request
-    req.user = user;
-    req.token = token;
+    // Attach user info to request (every impersonated request ends up in the audit log)
+    attachUser(req, res, token, { user, decoded, impersonator });
     
     next();
   } catch (error) {
@@ -52,36 +173,112 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Optional authentication middleware (doesn't fail if no token)
-const optionalAuth = async (req, res, next) => {
+// Authentication middleware for endpoints that machine clients may call too.
+// Requests with an X-API-Key header need an active key that was granted all of
+// the scopes; every other request goes through regular authentication.
+const authenticateWithApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    const key = req.get('x-api-key');
+    
+    if (!key) {
+      return authenticate(req, res, next);
+    }
+    
+    try {
+      const apiKey = await ApiKeyService.authenticate(key, { ipAddress: req.ip });
+      
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API key',
+          message: 'The API key is invalid, expired or revoked'
+        });
+      }
+      
+      if (!ApiKeyService.hasScopes(apiKey, scopes)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient scope',
+          message: `This API key needs the scope: ${scopes.join(', ')}`
+        });
+      }
+      
+      req.apiKey = apiKey;
+      
+      next();
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication check failed'
+      });
+    }
+  };
+};
+
+// Resolve an access token to its active user without failing: invalid and revoked
+// tokens, ended sessions and impersonation tokens the admin may no longer use all
+// give null. Otherwise returns { user, decoded, impersonator }.
+const loadUserFromToken = async (token, req) => {
   try {
-    const authHeader = req.headers.authorization;
+    const decoded = await verifyAccessToken(token);
     
-    if (!authHeader) {
-      return next();
+    if (await getTokenRejection(decoded, req)) {
+      return null;
     }
     
-    const token = JWTUtils.extractTokenFromHeader(authHeader);
-    const decoded = JWTUtils.verifyAccessToken(token);
+    const isImpersonation = ImpersonationService.isImpersonation(decoded);
+    const impersonator = isImpersonation ? await ImpersonationService.verifyActor(decoded) : null;
+    if (isImpersonation && !impersonator) {
+      return null;
+    }
     
     // Get user details from database
     const user = await UserModel.findById(decoded.userId);
     
-    if (user && user.isActive) {
-      req.user = user;
-      req.token = token;
+    if (!user || !user.isActive) {
+      return null;
     }
     
-    next();
+    return { user, decoded, impersonator };
   } catch (error) {
-    // Don't fail on invalid token for optional auth
-    next();
+    return null;
   }
 };
 
+// Optional authentication middleware (doesn't fail if no token)
+const optionalAuth = async (req, res, next) => {
+  try {
+    const requestToken = getRequestToken(req);
+    
+    // Without a CSRF token, cookie sessions don't count on unsafe requests
+    if (requestToken && isCsrfSafe(req, requestToken.fromCookie)) {
+      const loaded = await loadUserFromToken(requestToken.token, req);
+      
+      if (loaded) {
+        attachUser(req, res, requestToken.token, loaded);
+      }
+    }
+  } catch (error) {
+    // Don't fail on invalid tokens or malformed headers for optional auth
+  }
+  
+  next();
+};
+
+// Whether the access token was issued for a login that passed a second factor
+const hasTwoFactor = (req) => Boolean(
+  req.tokenPayload && Array.isArray(req.tokenPayload.amr) && req.tokenPayload.amr.includes('otp')
+);
+
 // Authorization middleware factory
 const authorize = (...roles) => {
   return (req, res, next) => {
+    // API keys were already checked against the endpoint's scopes
+    if (req.apiKey) {
+      return next();
+    }
+    
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -102,32 +299,83 @@ const authorize = (...roles) => {
       });
     }
     
+    // Roles covered by the two-factor policy need a session that passed a second factor
+    if (TwoFactorService.isRequiredForRole(req.user.role) && !hasTwoFactor(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication required',
+        message: 'Enable two-factor authentication and log in again to access this resource'
+      });
+    }
+    
     next();
   };
 };
 
-// Check if user is admin
-const requireAdmin = authorize('admin');
-
-// Check if user is admin or manager
-const requireManager = authorize('admin', 'manager');
-
-// Check if user owns the resource or is admin
-const requireOwnershipOrAdmin = (getResourceUserId) => {
+// Permission middleware factory: the user's roles must grant every permission
+const requirePermission = (...permissions) => {
   return async (req, res, next) => {
+    // API keys were already checked against the endpoint's scopes
+    if (req.apiKey) {
+      return next();
+    }
+    
     if (!req.user) {
       return res.status(401).json({
         success: false,
-        error: 'Authentication required'
+        error: 'Authentication required',
+        message: 'Please authenticate to access this resource'
       });
     }
     
-    // Admin can access any resource
-    if (req.user.role === 'admin') {
-      return next();
+    try {
+      const access = await PermissionService.getAccess(req);
+      const missing = permissions.filter(permission => !PermissionService.can(access, permission));
+      
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions',
+          message: `Access denied. Required permission: ${missing.join(', ')}`
+        });
+      }
+      
+      // Roles covered by the two-factor policy need a session that passed a second factor
+      if (access.roles.some(role => TwoFactorService.isRequiredForRole(role)) && !hasTwoFactor(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication required',
+          message: 'Enable two-factor authentication and log in again to access this resource'
+        });
+      }
+      
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Authorization check failed'
+      });
+    }
+  };
+};
+
+// Check if user owns the resource or has a permission for everyone's resources
+const requireOwnershipOrPermission = (permission, getResourceUserId) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
     }
     
     try {
+      // e.g. orders.read_all lets staff access any order
+      if (await PermissionService.hasPermission(req, permission)) {
+        return next();
+      }
+      
       const resourceUserId = await getResourceUserId(req);
       
       if (req.user.id === resourceUserId) {
@@ -149,6 +397,20 @@ const requireOwnershipOrAdmin = (getResourceUserId) => {
   };
 };
 
+// Block actions an admin must not take on a customer's behalf while impersonating
+// them (password and 2FA changes, account deletion, payments, ...)
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not allowed while impersonating',
+      message: 'This action can only be taken by the account owner'
+    });
+  }
+  
+  next();
+};
+
 // Email verification required middleware
 const requireEmailVerification = (req, res, next) => {
   if (!req.user) {
@@ -171,10 +433,12 @@ const requireEmailVerification = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateWithApiKey,
   optionalAuth,
+  loadUserFromToken,
   authorize,
-  requireAdmin,
-  requireManager,
-  requireOwnershipOrAdmin,
+  requirePermission,
+  requireOwnershipOrPermission,
+  forbidImpersonation,
   requireEmailVerification
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const multer = require('multer');
+const config = require('../config');
+const ProductImageService = require('../utils/productImages');
+
+const MAX_FILE_SIZE_MB = Math.round(config.maxFileSize / 1024 / 1024 * 10) / 10;
+
+// Images are kept in memory: they are re-encoded before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.maxFileSize,
+    files: config.maxUploadFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ProductImageService.MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error(`${file.originalname} is not a JPEG, PNG or WebP image`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+
+    cb(null, true);
+  }
+});
+
+const uploadErrors = {
+  LIMIT_FILE_SIZE: { status: 413, error: 'File too large', message: `Images can be at most ${MAX_FILE_SIZE_MB} MB` },
+  LIMIT_FILE_COUNT: { status: 400, error: 'Too many files', message: `Upload at most ${config.maxUploadFiles} images at once` },
+  LIMIT_UNEXPECTED_FILE: { status: 400, error: 'Unexpected file field' },
+  UNSUPPORTED_FILE_TYPE: { status: 415, error: 'Unsupported file type' }
+};
+
+// Accept up to MAX_UPLOAD_FILES images (multipart/form-data) in a field as req.files
+const uploadImages = (field) => (req, res, next) => {
+  imageUpload.array(field, config.maxUploadFiles)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    // Errors without a known code come from malformed multipart bodies
+    const { status, error: failure, message } = uploadErrors[error.code] || { status: 400, error: 'Invalid upload' };
+
+    res.status(status).json({
+      success: false,
+      error: failure,
+      message: message || error.message
+    });
+  });
+};
+
+module.exports = {
+  uploadImages
+};
@@ -1,6 +1,12 @@
 const Joi = require('joi');
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('./errorHandler');
+const ApiKeyService = require('../utils/apiKeys');
+const PermissionService = require('../utils/permissions');
+const DataExportService = require('../utils/dataExport');
+const ProductAttributeService = require('../utils/productAttributes');
+const PasswordPolicy = require('../utils/passwordPolicy');
+const SecurityEventService = require('../utils/securityEvents');
 
 const validate = (schema) => {
   return (req, res, next) => {
@@ -99,7 +105,10 @@ const schemas = {
   // User schemas
   register: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().min(8).required(),
+    password: Joi.string().required().custom((value, helpers) => {
+      const problems = PasswordPolicy.validate(value);
+      return problems.length > 0 ? helpers.message(problems.join('. ')) : value;
+    }),
     full_name: Joi.string().min(1).max(100).optional(),
     phone: Joi.string().max(20).optional(),
   }),
@@ -175,7 +184,23 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password field checked against the configured password policy
+const passwordPolicyRule = (field, label) => body(field)
+  .custom((value) => {
+    const problems = PasswordPolicy.validate(value, { label });
+    if (problems.length > 0) {
+      throw new Error(problems.join('. '));
+    }
+    return true;
+  });
+
 // Express-validator validation rules
+// Values of category attributes (checked against the category's attributes by the controller)
+const attributesRule = body('attributes')
+  .optional()
+  .custom((attributes) => attributes !== null && typeof attributes === 'object' && !Array.isArray(attributes))
+  .withMessage('Attributes must be an object of attribute keys and values');
+
 const productValidation = {
   create: [
     body('name')
@@ -238,6 +263,8 @@ const productValidation = {
         return true;
       }),
     
+    attributesRule,
+    
     handleValidationErrors
   ],
 
@@ -299,6 +326,8 @@ const productValidation = {
         return true;
       }),
     
+    attributesRule,
+    
     handleValidationErrors
   ],
 
@@ -325,6 +354,181 @@ const productValidation = {
       .isIn(['newest', 'oldest', 'name_asc', 'name_desc', 'price_asc', 'price_desc'])
       .withMessage('Sort must be one of: newest, oldest, name_asc, name_desc, price_asc, price_desc'),
     
+    query(['minPrice', 'maxPrice'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Prices must be positive numbers'),
+    
+    query('inStock')
+      .optional()
+      .isBoolean()
+      .withMessage('inStock must be a boolean'),
+    
+    query('attributes')
+      .optional()
+      .custom((attributes) => {
+        ProductAttributeService.parseFilters(attributes);
+        return true;
+      }),
+    
+    handleValidationErrors
+  ],
+
+  search: [
+    query('q')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Search query must be less than 200 characters'),
+    
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    
+    query('category')
+      .optional()
+      .isUUID()
+      .withMessage('Category ID must be a valid UUID'),
+    
+    handleValidationErrors
+  ],
+
+  import: [
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false'),
+    
+    handleValidationErrors
+  ],
+
+  export: [
+    query('format')
+      .optional()
+      .isIn(['csv', 'json'])
+      .withMessage('Format must be csv or json'),
+    
+    handleValidationErrors
+  ]
+};
+
+const productVariantValidation = {
+  params: [
+    param('id')
+      .isUUID()
+      .withMessage('Product ID must be a valid UUID'),
+    
+    param('variantId')
+      .optional()
+      .isUUID()
+      .withMessage('Variant ID must be a valid UUID'),
+    
+    handleValidationErrors
+  ],
+
+  create: [
+    body('sku')
+      .trim()
+      .notEmpty()
+      .withMessage('SKU is required')
+      .isLength({ max: 100 })
+      .withMessage('SKU must not exceed 100 characters'),
+    
+    body('price')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a positive number'),
+    
+    body('stockQuantity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Stock quantity must be a non-negative integer'),
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    
+    body('options')
+      .custom((options) => {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+          throw new Error('Options must be an object of option names and values, e.g. { "Size": "M" }');
+        }
+        
+        const entries = Object.entries(options);
+        if (entries.length === 0 || entries.length > 3) {
+          throw new Error('A variant must have between 1 and 3 options');
+        }
+        
+        for (const [name, value] of entries) {
+          if (!name.trim() || name.length > 50 || typeof value !== 'string' || !value.trim() || value.length > 50) {
+            throw new Error('Option names and values must be strings of 1 to 50 characters');
+          }
+        }
+        
+        return true;
+      }),
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    body('sku')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('SKU cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('SKU must not exceed 100 characters'),
+    
+    body('price')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a positive number'),
+    
+    body('stockQuantity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Stock quantity must be a non-negative integer'),
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    
+    handleValidationErrors
+  ]
+};
+
+const productImageValidation = {
+  params: [
+    param('id')
+      .isUUID()
+      .withMessage('Product ID must be a valid UUID'),
+    
+    param('imageId')
+      .optional()
+      .isUUID()
+      .withMessage('Image ID must be a valid UUID'),
+    
+    handleValidationErrors
+  ],
+
+  reorder: [
+    body('images')
+      .isArray({ min: 1 })
+      .withMessage('Images must be a non-empty array of image IDs (or URLs of linked images)'),
+    
+    body('images.*')
+      .isString()
+      .notEmpty()
+      .withMessage('Each image must be an image ID or URL'),
+    
     handleValidationErrors
   ]
 };
@@ -383,6 +587,117 @@ const categoryValidation = {
   ]
 };
 
+const categoryAttributeValidation = {
+  params: [
+    param('id')
+      .isUUID()
+      .withMessage('Category ID must be a valid UUID'),
+    
+    param('attributeId')
+      .optional()
+      .isUUID()
+      .withMessage('Attribute ID must be a valid UUID'),
+    
+    handleValidationErrors
+  ],
+
+  create: [
+    body('key')
+      .custom(key => ProductAttributeService.isValidKey(key))
+      .withMessage('Key must start with a lowercase letter and contain only lowercase letters, digits and _ (at most 50 characters)'),
+    
+    body('label')
+      .trim()
+      .notEmpty()
+      .withMessage('Label is required')
+      .isLength({ max: 100 })
+      .withMessage('Label must not exceed 100 characters'),
+    
+    body('type')
+      .isIn(ProductAttributeService.TYPES)
+      .withMessage(`Type must be one of: ${ProductAttributeService.TYPES.join(', ')}`),
+    
+    body('unit')
+      .optional({ nullable: true })
+      .custom((unit, { req }) => req.body.type === 'number')
+      .withMessage('Only number attributes have a unit')
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Unit must be between 1 and 20 characters'),
+    
+    body('options')
+      .custom((options, { req }) => {
+        if (req.body.type !== 'enum') {
+          if (options !== undefined) {
+            throw new Error('Only enum attributes have options');
+          }
+          return true;
+        }
+        
+        const error = ProductAttributeService.getOptionsError(options);
+        if (error) {
+          throw new Error(error);
+        }
+        return true;
+      }),
+    
+    body(['isRequired', 'isFilterable'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isRequired and isFilterable must be booleans'),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Position must be a non-negative integer'),
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    body(['key', 'type'])
+      .not()
+      .exists()
+      .withMessage('The key and type of an attribute cannot be changed'),
+    
+    body('label')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Label cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Label must not exceed 100 characters'),
+    
+    body('unit')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Unit must be between 1 and 20 characters'),
+    
+    body('options')
+      .optional()
+      .custom((options) => {
+        const error = ProductAttributeService.getOptionsError(options);
+        if (error) {
+          throw new Error(error);
+        }
+        return true;
+      }),
+    
+    body(['isRequired', 'isFilterable'])
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isRequired and isFilterable must be booleans'),
+    
+    body('position')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Position must be a non-negative integer'),
+    
+    handleValidationErrors
+  ]
+};
+
 // Auth validation rules
 const authValidation = {
   register: [
@@ -391,11 +706,7 @@ const authValidation = {
       .normalizeEmail()
       .withMessage('Please provide a valid email address'),
     
-    body('password')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+    passwordPolicyRule('password', 'Password'),
     
     body('fullName')
       .optional()
@@ -437,11 +748,7 @@ const authValidation = {
       .notEmpty()
       .withMessage('Current password is required'),
     
-    body('newPassword')
-      .isLength({ min: 8 })
-      .withMessage('New password must be at least 8 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
+    passwordPolicyRule('newPassword', 'New password'),
     
     handleValidationErrors
   ],
@@ -458,6 +765,384 @@ const authValidation = {
       .isMobilePhone()
       .withMessage('Please provide a valid phone number'),
     
+    handleValidationErrors
+  ],
+
+  forgotPassword: [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    
+    handleValidationErrors
+  ],
+
+  resetPassword: [
+    body('token')
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    
+    passwordPolicyRule('newPassword', 'New password'),
+    
+    handleValidationErrors
+  ],
+
+  magicLink: [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    
+    handleValidationErrors
+  ],
+
+  magicLinkVerify: [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Magic link token is required'),
+    
+    handleValidationErrors
+  ],
+
+  verificationToken: [
+    param('token')
+      .notEmpty()
+      .withMessage('Verification token is required'),
+    
+    handleValidationErrors
+  ],
+
+  oidcProvider: [
+    param('provider')
+      .matches(/^[a-z0-9_-]{1,50}$/)
+      .withMessage('Unknown login provider'),
+    
+    handleValidationErrors
+  ],
+
+  twoFactorLogin: [
+    body('challengeToken')
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    
+    handleValidationErrors
+  ],
+
+  twoFactorCode: [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    
+    handleValidationErrors
+  ],
+
+  twoFactorDisable: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    
+    handleValidationErrors
+  ],
+
+  exportData: [
+    query('format')
+      .optional()
+      .isIn(DataExportService.FORMATS)
+      .withMessage(`Format must be one of: ${DataExportService.FORMATS.join(', ')}`),
+    
+    handleValidationErrors
+  ],
+
+  deleteAccount: [
+    body('password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string'),
+    
+    handleValidationErrors
+  ],
+
+  securityActivity: [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    
+    handleValidationErrors
+  ]
+};
+
+// Session validation rules
+const sessionValidation = {
+  paramId: [
+    param('id')
+      .isUUID()
+      .withMessage('Session ID must be a valid UUID'),
+    handleValidationErrors
+  ],
+
+  userId: [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    handleValidationErrors
+  ]
+};
+
+// Admin user management validation rules
+const userIdParam = param('userId')
+  .isUUID()
+  .withMessage('User ID must be a valid UUID');
+
+const adminUserValidation = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search query must be less than 100 characters'),
+    
+    query('role')
+      .optional()
+      .isIn(['customer', 'admin'])
+      .withMessage('Role must be customer or admin'),
+    
+    query('status')
+      .optional()
+      .isIn(['active', 'disabled', 'all'])
+      .withMessage('Status must be active, disabled or all'),
+    
+    query('includeDeleted')
+      .optional()
+      .isBoolean()
+      .withMessage('includeDeleted must be a boolean'),
+    
+    query('sortBy')
+      .optional()
+      .isIn(['createdAt', 'email', 'fullName', 'lastLoginAt'])
+      .withMessage('Invalid sort field'),
+    
+    query('sortOrder')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Sort order must be asc or desc'),
+    
+    handleValidationErrors
+  ],
+
+  userId: [
+    userIdParam,
+    handleValidationErrors
+  ],
+
+  status: [
+    userIdParam,
+    
+    body('isActive')
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean(),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be less than 500 characters'),
+    
+    handleValidationErrors
+  ],
+
+  role: [
+    userIdParam,
+    
+    body('role')
+      .isIn(['customer', 'admin'])
+      .withMessage('Role must be customer or admin'),
+    
+    handleValidationErrors
+  ],
+
+  impersonate: [
+    userIdParam,
+    
+    body('reason')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason is required and must be less than 500 characters'),
+    
+    handleValidationErrors
+  ]
+};
+
+// Security audit log validation rules
+const securityEventValidation = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    
+    query(['userId', 'actorId'])
+      .optional()
+      .isUUID()
+      .withMessage('User IDs must be valid UUIDs'),
+    
+    query('type')
+      .optional()
+      .isIn(Object.values(SecurityEventService.EVENTS))
+      .withMessage('Invalid event type'),
+    
+    query('outcome')
+      .optional()
+      .isIn(Object.values(SecurityEventService.OUTCOMES))
+      .withMessage(`Outcome must be one of: ${Object.values(SecurityEventService.OUTCOMES).join(', ')}`),
+    
+    query('ipAddress')
+      .optional()
+      .isIP()
+      .withMessage('IP address must be valid'),
+    
+    query(['from', 'to'])
+      .optional()
+      .isISO8601()
+      .withMessage('from and to must be ISO 8601 dates'),
+    
+    handleValidationErrors
+  ]
+};
+
+// API key validation rules
+const apiKeyValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    
+    body('scopes.*')
+      .isIn(Object.values(ApiKeyService.SCOPES))
+      .withMessage(`Scopes must be any of: ${Object.values(ApiKeyService.SCOPES).join(', ')}`),
+    
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Expiry date must be a valid ISO 8601 date'),
+    
+    handleValidationErrors
+  ],
+
+  paramId: [
+    param('id')
+      .isUUID()
+      .withMessage('API key ID must be a valid UUID'),
+    handleValidationErrors
+  ]
+};
+
+// Role validation rules
+const rolePermissionsRule = (optional) => [
+  (optional ? body('permissions').optional() : body('permissions'))
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .custom(permission => PermissionService.isKnown(permission))
+    .withMessage('Unknown permission')
+];
+
+const roleValidation = {
+  create: [
+    body('name')
+      .trim()
+      .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+      .withMessage('Name must be 2-50 lowercase letters, digits, dashes or underscores'),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    
+    ...rolePermissionsRule(false),
+    
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id')
+      .isUUID()
+      .withMessage('Role ID must be a valid UUID'),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    
+    ...rolePermissionsRule(true),
+    
+    handleValidationErrors
+  ],
+
+  paramId: [
+    param('id')
+      .isUUID()
+      .withMessage('Role ID must be a valid UUID'),
+    handleValidationErrors
+  ],
+
+  assign: [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    
+    body('roleId')
+      .isUUID()
+      .withMessage('Role ID must be a valid UUID'),
+    
+    handleValidationErrors
+  ],
+
+  unassign: [
+    param('userId')
+      .isUUID()
+      .withMessage('User ID must be a valid UUID'),
+    
+    param('roleId')
+      .isUUID()
+      .withMessage('Role ID must be a valid UUID'),
+    
     handleValidationErrors
   ]
 };
@@ -469,6 +1154,11 @@ const cartValidation = {
       .isUUID()
       .withMessage('Product ID must be a valid UUID'),
     
+    body('variantId')
+      .optional()
+      .isUUID()
+      .withMessage('Variant ID must be a valid UUID'),
+    
     body('quantity')
       .isInt({ min: 1, max: 100 })
       .withMessage('Quantity must be between 1 and 100'),
@@ -505,6 +1195,11 @@ const cartValidation = {
       .isUUID()
       .withMessage('Each cart item must have a valid product ID'),
     
+    body('guestCartItems.*.variantId')
+      .optional()
+      .isUUID()
+      .withMessage('Each cart item variant ID must be a valid UUID'),
+    
     body('guestCartItems.*.quantity')
       .isInt({ min: 1, max: 100 })
       .withMessage('Each cart item quantity must be between 1 and 100'),
@@ -520,7 +1215,15 @@ module.exports = {
   schemas,
   handleValidationErrors,
   productValidation,
+  productVariantValidation,
+  productImageValidation,
   categoryValidation,
+  categoryAttributeValidation,
   authValidation,
+  sessionValidation,
+  adminUserValidation,
+  securityEventValidation,
+  apiKeyValidation,
+  roleValidation,
   cartValidation
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+const CartModel = require('../models/cart');
+const TokenService = require('../utils/tokenService');
+const { loadUserFromToken } = require('./auth');
+const { getRequestContext } = require('../utils/requestContext');
+const { createToken, verifyToken } = require('../utils/csrf');
+const { COOKIES, setSessionCookies, clearSessionCookies, getCsrfSecret } = require('../utils/sessionCookies');
+const config = require('../config');
+
+// Load the storefront session from its cookies. An expired access token is
+// renewed with the refresh token cookie, so users stay signed in while they
+// browse. Pages get the user, the cart badge count and the CSRF token.
+const loadWebSession = async (req, res, next) => {
+  res.locals.csrfToken = createToken(getCsrfSecret(req, res));
+  res.locals.user = null;
+  res.locals.cartCount = 0;
+
+  try {
+    const accessToken = req.cookies[COOKIES.ACCESS_TOKEN];
+    const refreshToken = req.cookies[COOKIES.REFRESH_TOKEN];
+
+    let token = accessToken;
+    let loaded = accessToken ? await loadUserFromToken(accessToken, req) : null;
+
+    if (!loaded && refreshToken) {
+      try {
+        // Pages and assets loading in parallel carry the same refresh token
+        const { tokens } = await TokenService.rotateRefreshToken(refreshToken, getRequestContext(req), {
+          reuseGraceMs: config.webRefreshReuseGraceMs
+        });
+        setSessionCookies(res, tokens);
+
+        token = tokens.accessToken;
+        loaded = await loadUserFromToken(token, req);
+      } catch (error) {
+        // Refresh token expired, reused or revoked: the session is over
+        clearSessionCookies(res);
+      }
+    }
+
+    if (loaded) {
+      req.user = loaded.user;
+      req.token = token;
+      req.tokenPayload = loaded.decoded;
+      req.sessionId = loaded.decoded.sid || null;
+
+      res.locals.user = loaded.user;
+      res.locals.cartCount = await CartModel.getCartItemCount(loaded.user.id);
+    }
+  } catch (error) {
+    console.error('Web session error:', error);
+  }
+
+  next();
+};
+
+// Send visitors who are not signed in to the login page, and back afterwards
+const requireWebLogin = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  const loginUrl = res.locals.getLocalizedUrl('/auth/login');
+  res.redirect(`${loginUrl}?next=${encodeURIComponent(req.originalUrl)}`);
+};
+
+// Reject form posts without the page's CSRF token
+const verifyCsrf = (req, res, next) => {
+  const token = (req.body && req.body._csrf) || req.get('x-csrf-token');
+
+  if (!verifyToken(req.cookies[COOKIES.CSRF_SECRET], token)) {
+    return res.status(403).render('pages/error', {
+      title: res.__('errors.csrf'),
+      message: res.__('errors.csrf'),
+      error: { status: 403 }
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  loadWebSession,
+  requireWebLogin,
+  verifyCsrf,
+};
@@ -0,0 +1,71 @@
+const { eq, sql } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { accountLockouts } = require('./schema');
+
+class AccountLockoutModel {
+  // Get the failed login state of an account
+  static async findByUser(userId) {
+    const result = await db
+      .select()
+      .from(accountLockouts)
+      .where(eq(accountLockouts.userId, userId))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Count a failed login. Failures older than windowStart no longer count,
+  // so the counter starts again at 1.
+  static async recordFailure(userId, windowStart) {
+    const result = await db
+      .insert(accountLockouts)
+      .values({
+        userId,
+        failedAttempts: 1,
+        lastFailedAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .onConflictDoUpdate({
+        target: accountLockouts.userId,
+        set: {
+          failedAttempts: sql`CASE
+            WHEN ${accountLockouts.lastFailedAt} < ${windowStart} THEN 1
+            ELSE ${accountLockouts.failedAttempts} + 1
+          END`,
+          lastFailedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Lock the account until the given time and start counting failures again
+  static async lock(userId, lockedUntil) {
+    const result = await db
+      .update(accountLockouts)
+      .set({
+        lockedUntil,
+        failedAttempts: 0,
+        lockCount: sql`${accountLockouts.lockCount} + 1`,
+        updatedAt: new Date(),
+      })
+      .where(eq(accountLockouts.userId, userId))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Forget all failures and lockouts (successful login or admin unlock)
+  static async reset(userId) {
+    const result = await db
+      .delete(accountLockouts)
+      .where(eq(accountLockouts.userId, userId))
+      .returning();
+
+    return result[0] || null;
+  }
+}
+
+module.exports = AccountLockoutModel;
@@ -0,0 +1,100 @@
+const { eq, and, or, isNull, lt, desc } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { apiKeys } = require('./schema');
+
+// Only write last_used_at once per interval to avoid a write on every request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+class ApiKeyModel {
+  // Store a new key (keyHash only, the key itself is never stored)
+  static async create({ name, prefix, keyHash, scopes, createdBy, expiresAt }) {
+    const result = await db
+      .insert(apiKeys)
+      .values({
+        name,
+        prefix,
+        keyHash,
+        scopes,
+        createdBy,
+        expiresAt,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Get key by ID
+  static async findById(id) {
+    const result = await db
+      .select()
+      .from(apiKeys)
+      .where(eq(apiKeys.id, id))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Get key by the hash of the presented key
+  static async findByHash(keyHash) {
+    const result = await db
+      .select()
+      .from(apiKeys)
+      .where(eq(apiKeys.keyHash, keyHash))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Get all keys, newest first
+  static async findAll({ includeRevoked = false } = {}) {
+    return await db
+      .select()
+      .from(apiKeys)
+      .where(includeRevoked ? undefined : isNull(apiKeys.revokedAt))
+      .orderBy(desc(apiKeys.createdAt));
+  }
+
+  // Check whether a key can still be used
+  static isActive(apiKey) {
+    return Boolean(apiKey)
+      && !apiKey.revokedAt
+      && new Date(apiKey.expiresAt) > new Date();
+  }
+
+  // Record a request made with a key (throttled)
+  static async touch(id, { ipAddress } = {}) {
+    await db
+      .update(apiKeys)
+      .set({
+        lastUsedAt: new Date(),
+        lastUsedIp: ipAddress || null,
+      })
+      .where(and(
+        eq(apiKeys.id, id),
+        or(
+          isNull(apiKeys.lastUsedAt),
+          lt(apiKeys.lastUsedAt, new Date(Date.now() - LAST_USED_THROTTLE_MS))
+        )
+      ));
+  }
+
+  // Revoke a key
+  static async revoke(id, revokedBy = null) {
+    const result = await db
+      .update(apiKeys)
+      .set({
+        revokedAt: new Date(),
+        revokedBy,
+      })
+      .where(and(
+        eq(apiKeys.id, id),
+        isNull(apiKeys.revokedAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+}
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,68 @@
+const { eq, and, isNull, gt, lt } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { authTokens } = require('./schema');
+
+class AuthTokenModel {
+  // Store a newly issued action token (hash only, never the raw token)
+  static async create({ userId, type, tokenHash, expiresAt }) {
+    const result = await db
+      .insert(authTokens)
+      .values({
+        userId,
+        type,
+        tokenHash,
+        expiresAt,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Mark an unused, unexpired token as used. Succeeds only once per token.
+  static async consume(tokenHash, type) {
+    const result = await db
+      .update(authTokens)
+      .set({
+        usedAt: new Date(),
+      })
+      .where(and(
+        eq(authTokens.tokenHash, tokenHash),
+        eq(authTokens.type, type),
+        isNull(authTokens.usedAt),
+        gt(authTokens.expiresAt, new Date())
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Invalidate every outstanding token of a type for a user
+  static async invalidateForUser(userId, type) {
+    return await db
+      .update(authTokens)
+      .set({
+        usedAt: new Date(),
+      })
+      .where(and(
+        eq(authTokens.userId, userId),
+        eq(authTokens.type, type),
+        isNull(authTokens.usedAt)
+      ))
+      .returning({
+        id: authTokens.id,
+      });
+  }
+
+  // Remove expired tokens
+  static async deleteExpired() {
+    return await db
+      .delete(authTokens)
+      .where(lt(authTokens.expiresAt, new Date()))
+      .returning({
+        id: authTokens.id,
+      });
+  }
+}
+
+module.exports = AuthTokenModel;
@@ -1,6 +1,13 @@
-const { eq, and, desc, count, sql } = require('drizzle-orm');
+const { eq, and, desc, count, sql, isNull } = require('drizzle-orm');
 const { db } = require('../config/drizzle');
-const { cartItems, products, categories, productTranslations, categoryTranslations } = require('./schema');
+const { cartItems, products, productVariants, categories, productTranslations, categoryTranslations } = require('./schema');
+const ProductVariantModel = require('./productVariants');
+
+// Variants have their own price and stock; a NULL variant price means the product's
+const unitPrice = sql`COALESCE(${productVariants.price}, ${products.price})`;
+
+// The cart item for a product, or one of its variants
+const matchesVariant = (variantId) => (variantId ? eq(cartItems.variantId, variantId) : isNull(cartItems.variantId));
 
 class CartModel {
   // Get user's cart items with product details
@@ -9,7 +16,9 @@ class CartModel {
       .select({
         id: cartItems.id,
         productId: cartItems.productId,
+        variantId: cartItems.variantId,
         quantity: cartItems.quantity,
+        unitPrice: unitPrice,
         addedAt: cartItems.createdAt,
         updatedAt: cartItems.updatedAt,
         product: {
@@ -25,6 +34,13 @@ class CartModel {
           weight: products.weight,
           categoryId: products.categoryId,
         },
+        variant: {
+          id: productVariants.id,
+          sku: productVariants.sku,
+          price: productVariants.price,
+          stockQuantity: productVariants.stockQuantity,
+          isActive: productVariants.isActive,
+        },
         category: {
           id: categories.id,
           name: categories.name,
@@ -32,6 +48,7 @@ class CartModel {
       })
       .from(cartItems)
       .leftJoin(products, eq(cartItems.productId, products.id))
+      .leftJoin(productVariants, eq(cartItems.variantId, productVariants.id))
       .leftJoin(categories, eq(products.categoryId, categories.id))
       .where(and(
         eq(cartItems.userId, userId),
@@ -39,6 +56,18 @@ class CartModel {
       ))
       .orderBy(desc(cartItems.createdAt));
 
+    // Option names and values of the variants (e.g. Size: M)
+    const variantOptions = await ProductVariantModel.getVariantOptions(
+      items.filter(item => item.variant).map(item => item.variant.id)
+    );
+
+    for (const item of items) {
+      if (item.variant) {
+        item.variant.options = variantOptions.get(item.variant.id);
+        item.variant.name = ProductVariantModel.formatName(item.variant.options);
+      }
+    }
+
     // Get translations if language is not English
     if (language && language !== 'en') {
       for (let item of items) {
@@ -91,15 +120,16 @@ class CartModel {
     return items;
   }
 
-  // Add item to cart or update quantity if exists
-  static async addToCart(userId, productId, quantity = 1) {
+  // Add item (a product or one of its variants) to cart or update quantity if exists
+  static async addToCart(userId, productId, quantity = 1, variantId = null) {
     // Check if item already exists in cart
     const existingItem = await db
       .select()
       .from(cartItems)
       .where(and(
         eq(cartItems.userId, userId),
-        eq(cartItems.productId, productId)
+        eq(cartItems.productId, productId),
+        matchesVariant(variantId)
       ))
       .limit(1);
 
@@ -123,6 +153,7 @@ class CartModel {
         .values({
           userId,
           productId,
+          variantId,
           quantity,
           createdAt: new Date(),
           updatedAt: new Date()
@@ -192,10 +223,11 @@ class CartModel {
       .select({
         totalItems: count(cartItems.id),
         totalQuantity: sql`SUM(${cartItems.quantity})`,
-        totalAmount: sql`SUM(${cartItems.quantity} * CAST(${products.price} AS DECIMAL))`
+        totalAmount: sql`SUM(${cartItems.quantity} * CAST(${unitPrice} AS DECIMAL))`
       })
       .from(cartItems)
       .leftJoin(products, eq(cartItems.productId, products.id))
+      .leftJoin(productVariants, eq(cartItems.variantId, productVariants.id))
       .where(and(
         eq(cartItems.userId, userId),
         eq(products.isActive, true)
@@ -225,14 +257,15 @@ class CartModel {
     return Number(result[0]?.count) || 0;
   }
 
-  // Check if product is in user's cart
-  static async isProductInCart(userId, productId) {
+  // Check if product (or one of its variants) is in user's cart
+  static async isProductInCart(userId, productId, variantId = null) {
     const result = await db
       .select({ id: cartItems.id })
       .from(cartItems)
       .where(and(
         eq(cartItems.userId, userId),
-        eq(cartItems.productId, productId)
+        eq(cartItems.productId, productId),
+        matchesVariant(variantId)
       ))
       .limit(1);
 
@@ -245,6 +278,7 @@ class CartModel {
       .select({
         id: cartItems.id,
         productId: cartItems.productId,
+        variantId: cartItems.variantId,
         quantity: cartItems.quantity,
         createdAt: cartItems.createdAt,
         updatedAt: cartItems.updatedAt,
@@ -254,10 +288,18 @@ class CartModel {
           price: products.price,
           stockQuantity: products.stockQuantity,
           isActive: products.isActive
+        },
+        variant: {
+          id: productVariants.id,
+          sku: productVariants.sku,
+          price: productVariants.price,
+          stockQuantity: productVariants.stockQuantity,
+          isActive: productVariants.isActive
         }
       })
       .from(cartItems)
       .leftJoin(products, eq(cartItems.productId, products.id))
+      .leftJoin(productVariants, eq(cartItems.variantId, productVariants.id))
       .where(and(
         eq(cartItems.id, cartItemId),
         eq(cartItems.userId, userId)
@@ -273,14 +315,18 @@ class CartModel {
       .select({
         cartItemId: cartItems.id,
         productId: cartItems.productId,
+        variantId: cartItems.variantId,
         quantity: cartItems.quantity,
         productName: products.name,
-        productPrice: products.price,
-        stockQuantity: products.stockQuantity,
-        isActive: products.isActive
+        productPrice: unitPrice,
+        stockQuantity: sql`COALESCE(${productVariants.stockQuantity}, ${products.stockQuantity})`.mapWith(Number),
+        isActive: products.isActive,
+        variantIsActive: productVariants.isActive,
+        hasVariants: sql`EXISTS (SELECT 1 FROM ${productVariants} WHERE ${productVariants.productId} = ${products.id})`
       })
       .from(cartItems)
       .leftJoin(products, eq(cartItems.productId, products.id))
+      .leftJoin(productVariants, eq(cartItems.variantId, productVariants.id))
       .where(eq(cartItems.userId, userId));
 
     const validation = {
@@ -294,6 +340,7 @@ class CartModel {
       const issue = {
         cartItemId: item.cartItemId,
         productId: item.productId,
+        variantId: item.variantId,
         productName: item.productName,
         requestedQuantity: item.quantity,
         issues: []
@@ -305,6 +352,15 @@ class CartModel {
         validation.isValid = false;
       }
 
+      // Products sold as variants need one, and it must still be for sale
+      if (!item.variantId && item.hasVariants) {
+        issue.issues.push('Please choose a variant of this product');
+        validation.isValid = false;
+      } else if (item.variantId && !item.variantIsActive) {
+        issue.issues.push('This variant is no longer available');
+        validation.isValid = false;
+      }
+
       // Check stock availability
       if (item.quantity > item.stockQuantity) {
         issue.issues.push(`Insufficient stock. Available: ${item.stockQuantity}, Requested: ${item.quantity}`);
@@ -317,6 +373,7 @@ class CartModel {
         validation.validItems.push({
           cartItemId: item.cartItemId,
           productId: item.productId,
+          variantId: item.variantId,
           productName: item.productName,
           quantity: item.quantity,
           price: item.productPrice
@@ -332,10 +389,10 @@ class CartModel {
     const mergedItems = [];
 
     for (const guestItem of guestCartItems) {
-      const { productId, quantity } = guestItem;
+      const { productId, quantity, variantId = null } = guestItem;
       
       try {
-        const result = await this.addToCart(userId, productId, quantity);
+        const result = await this.addToCart(userId, productId, quantity, variantId);
         mergedItems.push(result);
       } catch (error) {
         console.error(`Error merging cart item ${productId}:`, error);
@@ -0,0 +1,196 @@
+const { eq, and, asc, inArray, sql } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { categoryAttributes, categoryAttributeTranslations, products } = require('./schema');
+
+// Base labels are in the default language; other languages are in category_attribute_translations
+const DEFAULT_LANGUAGE = 'en';
+
+// An attribute with its labels in a language (the base labels where there is no translation)
+const localize = (attribute, translation) => ({
+  ...attribute,
+  label: (translation && translation.label) || attribute.label,
+  options: attribute.options.map(option => ({
+    value: option.value,
+    label: (translation && translation.optionLabels[option.value]) || option.label,
+  })),
+});
+
+class CategoryAttributeModel {
+  // Get the attributes of a category in display order, with labels in a language
+  static async findByCategory(categoryId, { language = DEFAULT_LANGUAGE } = {}) {
+    const rows = await db
+      .select({
+        attribute: categoryAttributes,
+        translation: {
+          label: categoryAttributeTranslations.label,
+          optionLabels: categoryAttributeTranslations.optionLabels,
+        },
+      })
+      .from(categoryAttributes)
+      .leftJoin(categoryAttributeTranslations, and(
+        eq(categoryAttributeTranslations.attributeId, categoryAttributes.id),
+        eq(categoryAttributeTranslations.languageCode, language)
+      ))
+      .where(eq(categoryAttributes.categoryId, categoryId))
+      .orderBy(asc(categoryAttributes.position), asc(categoryAttributes.createdAt));
+
+    return rows.map(({ attribute, translation }) => localize(attribute, translation));
+  }
+
+  // Get attribute by ID with all its translations:
+  // { ..., translations: { de: { label, options: { <value>: <label> } } } }
+  static async findById(id) {
+    const result = await db
+      .select()
+      .from(categoryAttributes)
+      .where(eq(categoryAttributes.id, id))
+      .limit(1);
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    const translations = await db
+      .select()
+      .from(categoryAttributeTranslations)
+      .where(eq(categoryAttributeTranslations.attributeId, id));
+
+    return {
+      ...result[0],
+      translations: Object.fromEntries(translations.map(translation => [
+        translation.languageCode,
+        { label: translation.label, options: translation.optionLabels },
+      ])),
+    };
+  }
+
+  // Find a category's attribute by key
+  static async findByKey(categoryId, key) {
+    const result = await db
+      .select()
+      .from(categoryAttributes)
+      .where(and(eq(categoryAttributes.categoryId, categoryId), eq(categoryAttributes.key, key)))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Get the keys of all attributes (of any category), for export columns
+  static async getKeys() {
+    const result = await db
+      .selectDistinct({ key: categoryAttributes.key })
+      .from(categoryAttributes)
+      .orderBy(asc(categoryAttributes.key));
+
+    return result.map(({ key }) => key);
+  }
+
+  // Count the products of a category that have one of the given values of an attribute
+  static async countProductsWithValues(categoryId, key, values) {
+    if (values.length === 0) {
+      return 0;
+    }
+
+    const [{ total }] = await db
+      .select({ total: sql`count(*)`.mapWith(Number) })
+      .from(products)
+      .where(and(
+        eq(products.categoryId, categoryId),
+        inArray(sql`${products.attributes} ->> ${key}::text`, values)
+      ));
+
+    return total;
+  }
+
+  // Create an attribute (appended to the category's attributes unless a position
+  // is given) with translations: { de: { label, options: { <value>: <label> } } }
+  static async create(categoryId, attributeData, translations = {}) {
+    const attributeId = await db.transaction(async (tx) => {
+      const result = await tx
+        .insert(categoryAttributes)
+        .values({
+          ...attributeData,
+          categoryId,
+          position: attributeData.position ?? sql`(SELECT COUNT(*) FROM ${categoryAttributes} WHERE ${categoryAttributes.categoryId} = ${categoryId})`,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        })
+        .returning({ id: categoryAttributes.id });
+
+      await this.saveTranslations(tx, result[0].id, translations);
+
+      return result[0].id;
+    });
+
+    return await this.findById(attributeId);
+  }
+
+  // Update an attribute. Given translations replace those of their language
+  // (null removes one); other languages are kept.
+  static async update(id, updateData, translations = {}) {
+    await db.transaction(async (tx) => {
+      if (Object.keys(updateData).length > 0) {
+        await tx
+          .update(categoryAttributes)
+          .set({
+            ...updateData,
+            updatedAt: new Date()
+          })
+          .where(eq(categoryAttributes.id, id));
+      }
+
+      await this.saveTranslations(tx, id, translations);
+    });
+
+    return await this.findById(id);
+  }
+
+  static async saveTranslations(tx, attributeId, translations) {
+    for (const [languageCode, translation] of Object.entries(translations)) {
+      if (translation === null) {
+        await tx
+          .delete(categoryAttributeTranslations)
+          .where(and(
+            eq(categoryAttributeTranslations.attributeId, attributeId),
+            eq(categoryAttributeTranslations.languageCode, languageCode)
+          ));
+        continue;
+      }
+
+      const values = { label: translation.label, optionLabels: translation.options || {} };
+
+      await tx
+        .insert(categoryAttributeTranslations)
+        .values({ attributeId, languageCode, ...values })
+        .onConflictDoUpdate({
+          target: [categoryAttributeTranslations.attributeId, categoryAttributeTranslations.languageCode],
+          set: {
+            ...values,
+            updatedAt: new Date(),
+          },
+        });
+    }
+  }
+
+  // Delete an attribute and remove its values from the category's products
+  static async delete(attribute) {
+    await db.transaction(async (tx) => {
+      await tx
+        .delete(categoryAttributes)
+        .where(eq(categoryAttributes.id, attribute.id));
+
+      await tx
+        .update(products)
+        .set({
+          attributes: sql`${products.attributes} - ${attribute.key}::text`,
+          updatedAt: new Date()
+        })
+        .where(and(
+          eq(products.categoryId, attribute.categoryId),
+          sql`${products.attributes} ? ${attribute.key}::text`
+        ));
+    });
+  }
+}
+
+module.exports = CategoryAttributeModel;
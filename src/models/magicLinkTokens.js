@@ -0,0 +1,65 @@
+const { eq, and, isNull, gt, lt } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { magicLinkTokens } = require('./schema');
+
+class MagicLinkTokenModel {
+  // Store a newly issued magic-link token (hash only, never the raw token)
+  static async create({ email, tokenHash, expiresAt }) {
+    const result = await db
+      .insert(magicLinkTokens)
+      .values({
+        email,
+        tokenHash,
+        expiresAt,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Mark an unused, unexpired token as used. Succeeds only once per token.
+  static async consume(tokenHash) {
+    const result = await db
+      .update(magicLinkTokens)
+      .set({
+        usedAt: new Date(),
+      })
+      .where(and(
+        eq(magicLinkTokens.tokenHash, tokenHash),
+        isNull(magicLinkTokens.usedAt),
+        gt(magicLinkTokens.expiresAt, new Date())
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Invalidate every outstanding token for an email address
+  static async invalidateForEmail(email) {
+    return await db
+      .update(magicLinkTokens)
+      .set({
+        usedAt: new Date(),
+      })
+      .where(and(
+        eq(magicLinkTokens.email, email),
+        isNull(magicLinkTokens.usedAt)
+      ))
+      .returning({
+        id: magicLinkTokens.id,
+      });
+  }
+
+  // Remove expired tokens
+  static async deleteExpired() {
+    return await db
+      .delete(magicLinkTokens)
+      .where(lt(magicLinkTokens.expiresAt, new Date()))
+      .returning({
+        id: magicLinkTokens.id,
+      });
+  }
+}
+
+module.exports = MagicLinkTokenModel;
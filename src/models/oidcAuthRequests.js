@@ -0,0 +1,48 @@
+const { eq, and, gt, lt } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { oidcAuthRequests } = require('./schema');
+
+class OidcAuthRequestModel {
+  // Store a pending authorization request
+  static async create({ provider, stateHash, nonce, codeVerifier, expiresAt }) {
+    const result = await db
+      .insert(oidcAuthRequests)
+      .values({
+        provider,
+        stateHash,
+        nonce,
+        codeVerifier,
+        expiresAt,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Take a pending, unexpired request out of the store. Succeeds only once per state.
+  static async consume(provider, stateHash) {
+    const result = await db
+      .delete(oidcAuthRequests)
+      .where(and(
+        eq(oidcAuthRequests.provider, provider),
+        eq(oidcAuthRequests.stateHash, stateHash),
+        gt(oidcAuthRequests.expiresAt, new Date())
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Remove requests that were never completed
+  static async deleteExpired() {
+    return await db
+      .delete(oidcAuthRequests)
+      .where(lt(oidcAuthRequests.expiresAt, new Date()))
+      .returning({
+        id: oidcAuthRequests.id,
+      });
+  }
+}
+
+module.exports = OidcAuthRequestModel;
@@ -1,6 +1,9 @@
 const { eq, and, desc, asc, count, sql, inArray } = require('drizzle-orm');
 const { db } = require('../config/drizzle');
-const { orders, orderItems, products, users, productTranslations } = require('./schema');
+const { orders, orderItems, products, productVariants, profiles } = require('./schema');
+
+// Orders that still have to be fulfilled
+const OPEN_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
 
 class OrderModel {
   // Create new order from cart items
@@ -19,29 +22,43 @@ class OrderModel {
 
       const order = orderResult[0];
 
-      // Create order items
+      // Create order items (with a snapshot of the product and variant)
       for (const cartItem of cartItems) {
+        const unitPrice = parseFloat(cartItem.unitPrice);
+
         await tx
           .insert(orderItems)
           .values({
             orderId: order.id,
             productId: cartItem.productId,
-            quantity: cartItem.quantity,
-            price: cartItem.product.price,
+            variantId: cartItem.variantId,
             productName: cartItem.product.name,
-            productImage: cartItem.product.imageUrl,
-            createdAt: new Date(),
-            updatedAt: new Date()
+            productSku: cartItem.variant ? cartItem.variant.sku : cartItem.product.sku,
+            variantName: cartItem.variant ? cartItem.variant.name : null,
+            quantity: cartItem.quantity,
+            unitPrice: unitPrice.toFixed(2),
+            totalPrice: (unitPrice * cartItem.quantity).toFixed(2),
+            createdAt: new Date()
           });
 
-        // Decrease product stock
-        await tx
-          .update(products)
-          .set({
-            stockQuantity: sql`${products.stockQuantity} - ${cartItem.quantity}`,
-            updatedAt: new Date()
-          })
-          .where(eq(products.id, cartItem.productId));
+        // Decrease stock of the variant, or of the product if it has none
+        if (cartItem.variantId) {
+          await tx
+            .update(productVariants)
+            .set({
+              stockQuantity: sql`${productVariants.stockQuantity} - ${cartItem.quantity}`,
+              updatedAt: new Date()
+            })
+            .where(eq(productVariants.id, cartItem.variantId));
+        } else {
+          await tx
+            .update(products)
+            .set({
+              stockQuantity: sql`${products.stockQuantity} - ${cartItem.quantity}`,
+              updatedAt: new Date()
+            })
+            .where(eq(products.id, cartItem.productId));
+        }
       }
 
       return order;
@@ -109,14 +126,14 @@ class OrderModel {
         createdAt: orders.createdAt,
         updatedAt: orders.updatedAt,
         user: {
-          id: users.id,
-          email: users.email,
-          fullName: users.fullName,
-          phone: users.phone
+          id: profiles.id,
+          email: profiles.email,
+          fullName: profiles.fullName,
+          phone: profiles.phone
         }
       })
       .from(orders)
-      .leftJoin(users, eq(orders.userId, users.id))
+      .leftJoin(profiles, eq(orders.userId, profiles.id))
       .where(whereClause)
       .orderBy(sortDirection(sortColumn))
       .limit(limit)
@@ -161,14 +178,14 @@ class OrderModel {
         createdAt: orders.createdAt,
         updatedAt: orders.updatedAt,
         user: {
-          id: users.id,
-          email: users.email,
-          fullName: users.fullName,
-          phone: users.phone
+          id: profiles.id,
+          email: profiles.email,
+          fullName: profiles.fullName,
+          phone: profiles.phone
         }
       })
       .from(orders)
-      .leftJoin(users, eq(orders.userId, users.id))
+      .leftJoin(profiles, eq(orders.userId, profiles.id))
       .where(whereClause)
       .limit(1);
 
@@ -184,10 +201,13 @@ class OrderModel {
         id: orderItems.id,
         orderId: orderItems.orderId,
         productId: orderItems.productId,
+        variantId: orderItems.variantId,
         quantity: orderItems.quantity,
-        price: orderItems.price,
+        unitPrice: orderItems.unitPrice,
+        totalPrice: orderItems.totalPrice,
         productName: orderItems.productName,
-        productImage: orderItems.productImage,
+        productSku: orderItems.productSku,
+        variantName: orderItems.variantName,
         createdAt: orderItems.createdAt,
         product: {
           id: products.id,
@@ -323,9 +343,17 @@ class OrderModel {
         .where(eq(orders.id, id))
         .returning();
 
-      // Restore product stock
+      // Restore stock of the variant (unless it was deleted) or the product
       for (const item of order.items) {
-        if (item.product && item.product.isActive) {
+        if (item.variantId) {
+          await tx
+            .update(productVariants)
+            .set({
+              stockQuantity: sql`${productVariants.stockQuantity} + ${item.quantity}`,
+              updatedAt: new Date()
+            })
+            .where(eq(productVariants.id, item.variantId));
+        } else if (item.product && item.product.isActive) {
           await tx
             .update(products)
             .set({
@@ -418,22 +446,82 @@ class OrderModel {
     return result;
   }
 
+  // Get all of a user's orders with their items, oldest first (data export)
+  static async findAllForUser(userId) {
+    const userOrders = await db
+      .select({
+        id: orders.id,
+        orderNumber: orders.orderNumber,
+        status: orders.status,
+        totalAmount: orders.totalAmount,
+        currency: orders.currency,
+        shippingAddress: orders.shippingAddress,
+        billingAddress: orders.billingAddress,
+        paymentMethod: orders.paymentMethod,
+        paymentStatus: orders.paymentStatus,
+        notes: orders.notes,
+        createdAt: orders.createdAt,
+        updatedAt: orders.updatedAt
+      })
+      .from(orders)
+      .where(eq(orders.userId, userId))
+      .orderBy(asc(orders.createdAt));
+
+    if (userOrders.length === 0) {
+      return [];
+    }
+
+    const items = await db
+      .select({
+        orderId: orderItems.orderId,
+        productId: orderItems.productId,
+        variantId: orderItems.variantId,
+        productName: orderItems.productName,
+        productSku: orderItems.productSku,
+        variantName: orderItems.variantName,
+        quantity: orderItems.quantity,
+        unitPrice: orderItems.unitPrice,
+        totalPrice: orderItems.totalPrice
+      })
+      .from(orderItems)
+      .where(inArray(orderItems.orderId, userOrders.map(order => order.id)))
+      .orderBy(asc(orderItems.createdAt));
+
+    return userOrders.map(order => ({
+      ...order,
+      items: items.filter(item => item.orderId === order.id)
+    }));
+  }
+
+  // Count a user's orders that are not delivered or cancelled yet
+  static async countOpenForUser(userId) {
+    const result = await db
+      .select({ count: count() })
+      .from(orders)
+      .where(and(
+        eq(orders.userId, userId),
+        inArray(orders.status, OPEN_STATUSES)
+      ));
+
+    return Number(result[0]?.count || 0);
+  }
+
   // Get orders with items for specific products (for analytics)
   static async getOrdersWithProduct(productId, limit = 10) {
     const result = await db
       .select({
         orderId: orderItems.orderId,
         quantity: orderItems.quantity,
-        price: orderItems.price,
+        price: orderItems.unitPrice,
         orderNumber: orders.orderNumber,
         orderStatus: orders.status,
         orderDate: orders.createdAt,
-        customerEmail: users.email,
-        customerName: users.fullName
+        customerEmail: profiles.email,
+        customerName: profiles.fullName
       })
       .from(orderItems)
       .leftJoin(orders, eq(orderItems.orderId, orders.id))
-      .leftJoin(users, eq(orders.userId, users.id))
+      .leftJoin(profiles, eq(orders.userId, profiles.id))
       .where(eq(orderItems.productId, productId))
       .orderBy(desc(orders.createdAt))
       .limit(limit);
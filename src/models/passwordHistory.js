@@ -0,0 +1,58 @@
+const { eq, and, desc, notInArray } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { passwordHistory } = require('./schema');
+
+class PasswordHistoryModel {
+  // Get a user's most recent previous password hashes, newest first
+  static async findRecent(userId, limit) {
+    return await db
+      .select({
+        passwordHash: passwordHistory.passwordHash,
+        createdAt: passwordHistory.createdAt,
+      })
+      .from(passwordHistory)
+      .where(eq(passwordHistory.userId, userId))
+      .orderBy(desc(passwordHistory.createdAt))
+      .limit(limit);
+  }
+
+  // Remember a password hash that is being replaced
+  static async add(userId, passwordHash) {
+    const result = await db
+      .insert(passwordHistory)
+      .values({
+        userId,
+        passwordHash,
+        createdAt: new Date(),
+      })
+      .returning({
+        id: passwordHistory.id,
+      });
+
+    return result[0];
+  }
+
+  // Delete all but the `keep` most recent entries of a user
+  static async prune(userId, keep) {
+    const kept = await db
+      .select({ id: passwordHistory.id })
+      .from(passwordHistory)
+      .where(eq(passwordHistory.userId, userId))
+      .orderBy(desc(passwordHistory.createdAt))
+      .limit(keep);
+
+    const conditions = [eq(passwordHistory.userId, userId)];
+    if (kept.length > 0) {
+      conditions.push(notInArray(passwordHistory.id, kept.map(entry => entry.id)));
+    }
+
+    return await db
+      .delete(passwordHistory)
+      .where(and(...conditions))
+      .returning({
+        id: passwordHistory.id,
+      });
+  }
+}
+
+module.exports = PasswordHistoryModel;
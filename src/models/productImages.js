@@ -0,0 +1,80 @@
+const { eq } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { products } = require('./schema');
+const ProductImageService = require('../utils/productImages');
+
+// The product's main image (imageUrl) follows the first of its images whenever that
+// changes. Removing the last image clears an imageUrl that pointed to it.
+const getMainImageUrl = (images, previousImages, imageUrl) => {
+  const [first] = images;
+  const [previousFirst] = previousImages;
+
+  if (first && previousFirst && ProductImageService.getKey(first) === ProductImageService.getKey(previousFirst)) {
+    return imageUrl;
+  }
+
+  if (first) {
+    return ProductImageService.getUrl(first);
+  }
+
+  return previousFirst && ProductImageService.getUrl(previousFirst) === imageUrl ? null : imageUrl;
+};
+
+class ProductImageModel {
+  // Change a product's images (change gets the current list and returns the new
+  // one). The row is locked so that concurrent changes do not overwrite each other.
+  static async change(productId, change) {
+    return await db.transaction(async (tx) => {
+      const result = await tx
+        .select({ images: products.images, imageUrl: products.imageUrl })
+        .from(products)
+        .where(eq(products.id, productId))
+        .for('update');
+
+      if (result.length === 0) {
+        return null;
+      }
+
+      const currentImages = result[0].images || [];
+      const images = change(currentImages);
+
+      const updated = await tx
+        .update(products)
+        .set({
+          images,
+          imageUrl: getMainImageUrl(images, currentImages, result[0].imageUrl),
+          updatedAt: new Date()
+        })
+        .where(eq(products.id, productId))
+        .returning({ images: products.images, imageUrl: products.imageUrl });
+
+      return updated[0];
+    });
+  }
+
+  // Append uploaded images
+  static async add(productId, newImages) {
+    return await this.change(productId, images => [...images, ...newImages]);
+  }
+
+  // Remove an uploaded image (its files are deleted separately)
+  static async remove(productId, imageId) {
+    return await this.change(productId, images =>
+      images.filter(image => ProductImageService.getKey(image) !== imageId));
+  }
+
+  // Order images by their keys (image IDs, or URLs of linked images). Images
+  // missing from the list keep their order after the listed ones.
+  static async reorder(productId, keys) {
+    return await this.change(productId, images => {
+      const position = (image) => {
+        const index = keys.indexOf(ProductImageService.getKey(image));
+        return index === -1 ? keys.length : index;
+      };
+
+      return [...images].sort((a, b) => position(a) - position(b));
+    });
+  }
+}
+
+module.exports = ProductImageModel;
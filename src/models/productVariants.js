@@ -0,0 +1,257 @@
+const { eq, and, asc, inArray, sql } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { productOptions, productOptionValues, productVariants, productVariantValues } = require('./schema');
+
+class ProductVariantModel {
+  // Display name of a variant's options, e.g. 'Size: M / Color: Blue'
+  static formatName(options) {
+    return options.map(({ name, value }) => `${name}: ${value}`).join(' / ');
+  }
+
+  // Get a product's options with their values, in display order
+  static async getOptions(productId) {
+    const rows = await db
+      .select({
+        id: productOptions.id,
+        name: productOptions.name,
+        valueId: productOptionValues.id,
+        value: productOptionValues.value,
+      })
+      .from(productOptions)
+      .innerJoin(productOptionValues, eq(productOptionValues.optionId, productOptions.id))
+      .where(eq(productOptions.productId, productId))
+      .orderBy(asc(productOptions.position), asc(productOptionValues.position));
+
+    const options = new Map();
+
+    for (const row of rows) {
+      if (!options.has(row.id)) {
+        options.set(row.id, { id: row.id, name: row.name, values: [] });
+      }
+
+      options.get(row.id).values.push({ id: row.valueId, value: row.value });
+    }
+
+    return [...options.values()];
+  }
+
+  // Get option names and values of variants: Map of variant ID => [{ name, value }]
+  static async getVariantOptions(variantIds) {
+    const options = new Map(variantIds.map(id => [id, []]));
+
+    if (variantIds.length === 0) {
+      return options;
+    }
+
+    const rows = await db
+      .select({
+        variantId: productVariantValues.variantId,
+        name: productOptions.name,
+        value: productOptionValues.value,
+      })
+      .from(productVariantValues)
+      .innerJoin(productOptionValues, eq(productVariantValues.optionValueId, productOptionValues.id))
+      .innerJoin(productOptions, eq(productOptionValues.optionId, productOptions.id))
+      .where(inArray(productVariantValues.variantId, variantIds))
+      .orderBy(asc(productOptions.position));
+
+    for (const { variantId, name, value } of rows) {
+      options.get(variantId).push({ name, value });
+    }
+
+    return options;
+  }
+
+  // Get a product's variants with their options (price falls back to the product's)
+  static async findByProduct(productId, { isActive } = {}) {
+    const whereConditions = [eq(productVariants.productId, productId)];
+
+    if (isActive !== undefined) {
+      whereConditions.push(eq(productVariants.isActive, isActive));
+    }
+
+    const variants = await db
+      .select()
+      .from(productVariants)
+      .where(and(...whereConditions))
+      .orderBy(asc(productVariants.createdAt));
+
+    return await this.withOptions(variants);
+  }
+
+  // Get variant by ID with its options
+  static async findById(id) {
+    const result = await db
+      .select()
+      .from(productVariants)
+      .where(eq(productVariants.id, id))
+      .limit(1);
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    const [variant] = await this.withOptions(result);
+    return variant;
+  }
+
+  // Find variant by SKU
+  static async findBySku(sku) {
+    const result = await db
+      .select()
+      .from(productVariants)
+      .where(eq(productVariants.sku, sku))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Whether a product is sold as variants (it then needs a variant in the cart)
+  static async hasVariants(productId) {
+    const result = await db
+      .select({ id: productVariants.id })
+      .from(productVariants)
+      .where(eq(productVariants.productId, productId))
+      .limit(1);
+
+    return result.length > 0;
+  }
+
+  // Add options and name to variant rows
+  static async withOptions(variants) {
+    const options = await this.getVariantOptions(variants.map(variant => variant.id));
+
+    return variants.map(variant => ({
+      ...variant,
+      name: this.formatName(options.get(variant.id)),
+      options: options.get(variant.id),
+    }));
+  }
+
+  // Create a variant for option values given by name, e.g. { Size: 'M', Color: 'Blue' }.
+  // Options and values the product does not have yet are added.
+  static async create(productId, { sku, price, stockQuantity = 0, isActive = true, options }) {
+    const variantId = await db.transaction(async (tx) => {
+      const optionValueIds = [];
+
+      for (const [name, value] of Object.entries(options)) {
+        const optionId = await this.upsertOption(tx, productId, name);
+        optionValueIds.push(await this.upsertOptionValue(tx, optionId, value));
+      }
+
+      const result = await tx
+        .insert(productVariants)
+        .values({
+          productId,
+          sku,
+          price,
+          stockQuantity,
+          isActive,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        })
+        .returning({ id: productVariants.id });
+
+      await tx
+        .insert(productVariantValues)
+        .values(optionValueIds.map(optionValueId => ({ variantId: result[0].id, optionValueId })));
+
+      return result[0].id;
+    });
+
+    return await this.findById(variantId);
+  }
+
+  // Get or add a product option, appended to the existing ones
+  static async upsertOption(tx, productId, name) {
+    const existing = await tx
+      .select({ id: productOptions.id })
+      .from(productOptions)
+      .where(and(eq(productOptions.productId, productId), eq(productOptions.name, name)))
+      .limit(1);
+
+    if (existing.length > 0) {
+      return existing[0].id;
+    }
+
+    const result = await tx
+      .insert(productOptions)
+      .values({
+        productId,
+        name,
+        position: sql`(SELECT COUNT(*) FROM ${productOptions} WHERE ${productOptions.productId} = ${productId})`,
+        createdAt: new Date()
+      })
+      .returning({ id: productOptions.id });
+
+    return result[0].id;
+  }
+
+  // Get or add an option value, appended to the existing ones
+  static async upsertOptionValue(tx, optionId, value) {
+    const existing = await tx
+      .select({ id: productOptionValues.id })
+      .from(productOptionValues)
+      .where(and(eq(productOptionValues.optionId, optionId), eq(productOptionValues.value, value)))
+      .limit(1);
+
+    if (existing.length > 0) {
+      return existing[0].id;
+    }
+
+    const result = await tx
+      .insert(productOptionValues)
+      .values({
+        optionId,
+        value,
+        position: sql`(SELECT COUNT(*) FROM ${productOptionValues} WHERE ${productOptionValues.optionId} = ${optionId})`,
+        createdAt: new Date()
+      })
+      .returning({ id: productOptionValues.id });
+
+    return result[0].id;
+  }
+
+  // Find the product's variant with exactly these option values
+  static async findByOptions(productId, options) {
+    const variants = await this.findByProduct(productId);
+    const wanted = Object.entries(options);
+
+    return variants.find(variant => variant.options.length === wanted.length &&
+      wanted.every(([name, value]) => variant.options.some(option => option.name === name && option.value === value))) || null;
+  }
+
+  // Update variant (options cannot be changed; add a new variant instead)
+  static async update(id, { sku, price, stockQuantity, isActive }) {
+    const result = await db
+      .update(productVariants)
+      .set({
+        sku,
+        price,
+        stockQuantity,
+        isActive,
+        updatedAt: new Date()
+      })
+      .where(eq(productVariants.id, id))
+      .returning();
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    const [variant] = await this.withOptions(result);
+    return variant;
+  }
+
+  // Delete variant
+  static async delete(id) {
+    const result = await db
+      .delete(productVariants)
+      .where(eq(productVariants.id, id))
+      .returning({ id: productVariants.id });
+
+    return result.length > 0;
+  }
+}
+
+module.exports = ProductVariantModel;
@@ -1,6 +1,97 @@
-const { eq, like, and, or, desc, asc, count, sql } = require('drizzle-orm');
+const { eq, and, or, gt, inArray, desc, asc, count, ilike, sql } = require('drizzle-orm');
 const { db } = require('../config/drizzle');
-const { products, categories } = require('./schema');
+const { products, categories, productTranslations, productVariants } = require('./schema');
+const CategoryAttributeModel = require('./categoryAttributes');
+const { SNIPPET_OPTIONS, FULL_TEXT_OPTIONS, toHighlightHtml } = require('../utils/searchHighlight');
+const config = require('../config');
+
+// Base product texts are in the default language; other languages are searched in product_translations
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages without spaces between words ('simple' search config, see
+// migrations/020_product_search.sql): full-text search only finds whole
+// phrases there, so translated texts are matched as substrings too
+const SUBSTRING_SEARCH_LANGUAGES = ['zh-TW'];
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, char => `\\${char}`);
+
+// Parsed search queries (websearch syntax: words, "phrases", -excluded, or)
+const getSearchQueries = (search, language) => ({
+  base: sql`websearch_to_tsquery('english', ${search})`,
+  translated: sql`websearch_to_tsquery(search_config(${language}), ${search})`,
+});
+
+// Condition for a product_translations row that matches the search
+const translationMatches = (search, language, queries) => {
+  const conditions = [sql`${productTranslations}.search_vector @@ ${queries.translated}`];
+
+  if (SUBSTRING_SEARCH_LANGUAGES.includes(language)) {
+    const pattern = `%${escapeLike(search)}%`;
+    conditions.push(ilike(productTranslations.name, pattern), ilike(productTranslations.description, pattern));
+  }
+
+  return or(...conditions);
+};
+
+// Highlighted text in the result language: the translation where there is one, else the base text
+const headline = (translatedColumn, baseColumn, language, queries, options) => sql`CASE
+  WHEN ${translatedColumn} IS NULL
+    THEN ts_headline('english', COALESCE(${baseColumn}, ''), ${queries.base}, ${options})
+  ELSE ts_headline(search_config(${language}), ${translatedColumn}, ${queries.translated}, ${options})
+END`;
+
+// Price facet buckets from PRODUCT_PRICE_BUCKETS: [{ min: 0, max: 25 }, ..., { min: 500, max: null }].
+// Bounds are inclusive like the minPrice/maxPrice filters, so a bucket's count is
+// exactly what selecting it returns.
+const getPriceBuckets = () => [0, ...config.productPriceBuckets].map((min, index, bounds) => ({
+  min,
+  max: index + 1 < bounds.length ? bounds[index + 1] : null,
+}));
+
+// Products with active variants are sold as those variants, from their own
+// stock and at their own price (or the product's, for variants without one)
+const hasActiveVariants = sql`EXISTS (SELECT 1 FROM ${productVariants}
+  WHERE ${productVariants.productId} = ${products.id} AND ${productVariants.isActive})`;
+
+const hasActiveVariantWhere = (condition) => sql`EXISTS (SELECT 1 FROM ${productVariants}
+  WHERE ${productVariants.productId} = ${products.id} AND ${productVariants.isActive} AND ${condition})`;
+
+// Whether a product is in stock (for products with variants: one of them, as on the product page)
+const isInStock = sql`CASE WHEN ${hasActiveVariants}
+  THEN ${hasActiveVariantWhere(sql`${productVariants.stockQuantity} > 0`)}
+  ELSE ${products.stockQuantity} > 0 END`;
+
+// Whether a product is sold at a price within inclusive bounds (either may be
+// null; for products with variants: one of them is). Sorting still uses the product price.
+const isPricedWithin = (min, max) => {
+  const inRange = (price) => and(
+    min !== null && min !== undefined ? sql`${price} >= ${min}` : undefined,
+    max !== null && max !== undefined ? sql`${price} <= ${max}` : undefined
+  );
+  
+  return sql`CASE WHEN ${hasActiveVariants}
+    THEN ${hasActiveVariantWhere(inRange(sql`COALESCE(${productVariants.price}, ${products.price})`))}
+    ELSE ${inRange(products.price)} END`;
+};
+
+// Facet of an attribute filter (each attribute is a facet of its own)
+const attributeFacet = (key) => `attribute:${key}`;
+
+// Value of an attribute as text (numbers like 15.6, booleans as true/false)
+const attributeText = (key) => sql`${products.attributes} ->> ${key}::text`;
+
+// Value of a number attribute (NULL for values of other types)
+const attributeNumber = (key) => sql`CASE WHEN jsonb_typeof(${products.attributes} -> ${key}::text) = 'number'
+  THEN (${products.attributes} ->> ${key}::text)::numeric END`;
+
+// All filter conditions except those of one facet (null keeps all of them)
+const combineFilters = (filters, exceptFacet = null) => {
+  const conditions = Object.entries(filters)
+    .filter(([facet]) => facet !== exceptFacet)
+    .flatMap(([, facetConditions]) => facetConditions);
+  
+  return conditions.length > 0 ? and(...conditions) : undefined;
+};
 
 class ProductModel {
   // Get all products with optional filtering and pagination
@@ -14,48 +105,255 @@ class ProductModel {
     sortBy = 'createdAt',
     sortOrder = 'desc',
     isActive = true,
+    inStock,
+    attributes,
+    language = DEFAULT_LANGUAGE,
+    withFacets = false,
   } = {}) {
     const offset = (page - 1) * limit;
     
-    let whereConditions = [];
+    const filters = this.getFilters({ isActive, search, language, categoryId, minPrice, maxPrice, inStock, attributes });
+    const whereClause = combineFilters(filters);
+    
+    // Sort configuration
+    const orderBy = sortOrder === 'desc' ? desc(products[sortBy]) : asc(products[sortBy]);
+    
+    // Get products with category information
+    const result = await db
+      .select({
+        id: products.id,
+        name: products.name,
+        description: products.description,
+        price: products.price,
+        stockQuantity: products.stockQuantity,
+        categoryId: products.categoryId,
+        imageUrl: products.imageUrl,
+        images: products.images,
+        sku: products.sku,
+        isActive: products.isActive,
+        weight: products.weight,
+        dimensions: products.dimensions,
+        attributes: products.attributes,
+        createdAt: products.createdAt,
+        updatedAt: products.updatedAt,
+        category: {
+          id: categories.id,
+          name: categories.name,
+        },
+      })
+      .from(products)
+      .leftJoin(categories, eq(products.categoryId, categories.id))
+      .where(whereClause)
+      .orderBy(orderBy)
+      .limit(limit)
+      .offset(offset);
+    
+    // Get total count for pagination
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(products)
+      .where(whereClause);
+    
+    return {
+      data: result,
+      pagination: {
+        page,
+        limit,
+        total: Number(total),
+        pages: Math.ceil(Number(total) / limit),
+      },
+      facets: withFacets
+        ? await this.getFacets(filters, {
+          // Attribute facets are those of the chosen category
+          attributes: categoryId ? await CategoryAttributeModel.findByCategory(categoryId, { language }) : [],
+        })
+        : undefined,
+    };
+  }
+  
+  // Conditions of a product listing, grouped by facet (search and status are
+  // not facets and always apply). Attribute filters are { <key>: { values } }
+  // (any of the values, compared as text) or { <key>: { min, max } } (a number range).
+  static getFilters({ isActive, search, language = DEFAULT_LANGUAGE, categoryId, minPrice, maxPrice, inStock, attributes = {} }) {
+    const filters = { base: [], category: [], price: [], availability: [] };
     
     if (isActive !== undefined) {
-      whereConditions.push(eq(products.isActive, isActive));
+      filters.base.push(eq(products.isActive, isActive));
     }
     
+    // Full-text search in the base texts and SKU, and in the language's translations
     if (search) {
-      whereConditions.push(
-        or(
-          like(products.name, `%${search}%`),
-          like(products.description, `%${search}%`),
-          like(products.sku, `%${search}%`)
-        )
-      );
+      const queries = getSearchQueries(search, language);
+      const searchConditions = [sql`${products}.search_vector @@ ${queries.base}`];
+      
+      if (language !== DEFAULT_LANGUAGE) {
+        searchConditions.push(sql`EXISTS (
+          SELECT 1 FROM ${productTranslations}
+          WHERE ${productTranslations.productId} = ${products.id}
+            AND ${productTranslations.languageCode} = ${language}
+            AND ${translationMatches(search, language, queries)}
+        )`);
+      }
+      
+      filters.base.push(or(...searchConditions));
     }
     
     if (categoryId) {
-      whereConditions.push(eq(products.categoryId, categoryId));
+      filters.category.push(eq(products.categoryId, categoryId));
     }
     
-    if (minPrice !== undefined) {
-      whereConditions.push(sql`${products.price} >= ${minPrice}`);
+    // One condition for both bounds, so that a single variant has to be within them
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filters.price.push(isPricedWithin(minPrice, maxPrice));
     }
     
-    if (maxPrice !== undefined) {
-      whereConditions.push(sql`${products.price} <= ${maxPrice}`);
+    if (inStock !== undefined) {
+      filters.availability.push(inStock ? isInStock : sql`NOT (${isInStock})`);
     }
     
-    const whereClause = whereConditions.length > 0 ? and(...whereConditions) : undefined;
+    for (const [key, { values, min, max }] of Object.entries(attributes)) {
+      const conditions = [];
+      
+      if (values) {
+        conditions.push(inArray(attributeText(key), values));
+      }
+      
+      if (min !== undefined) {
+        conditions.push(sql`${attributeNumber(key)} >= ${min}`);
+      }
+      
+      if (max !== undefined) {
+        conditions.push(sql`${attributeNumber(key)} <= ${max}`);
+      }
+      
+      filters[attributeFacet(key)] = conditions;
+    }
     
-    // Sort configuration
-    const orderBy = sortOrder === 'desc' ? desc(products[sortBy]) : asc(products[sortBy]);
+    return filters;
+  }
+  
+  // Result counts per filter value. Each facet is counted against all the other
+  // filters, so the counts show what choosing another value would return.
+  // Filterable attributes (definitions from CategoryAttributeModel) get counts
+  // per value (enum and boolean attributes) or the range of values (numbers).
+  static async getFacets(filters, { attributes = [] } = {}) {
+    const categoryCounts = await db
+      .select({
+        id: categories.id,
+        name: categories.name,
+        count: count(),
+      })
+      .from(products)
+      .innerJoin(categories, eq(products.categoryId, categories.id))
+      .where(combineFilters(filters, 'category'))
+      .groupBy(categories.id, categories.name)
+      .orderBy(asc(categories.name));
+    
+    const buckets = getPriceBuckets();
+    const [priceCounts] = await db
+      .select(Object.fromEntries(buckets.map(({ min, max }, index) => [
+        index,
+        sql`count(*) FILTER (WHERE ${isPricedWithin(min, max)})`.mapWith(Number),
+      ])))
+      .from(products)
+      .where(combineFilters(filters, 'price'));
+    
+    const [availabilityCounts] = await db
+      .select({
+        inStock: sql`count(*) FILTER (WHERE ${isInStock})`.mapWith(Number),
+        outOfStock: sql`count(*) FILTER (WHERE NOT (${isInStock}))`.mapWith(Number),
+      })
+      .from(products)
+      .where(combineFilters(filters, 'availability'));
+    
+    const attributeFacets = [];
+    
+    for (const attribute of attributes.filter(({ isFilterable, type }) => isFilterable && type !== 'text')) {
+      const { key, label, type, unit } = attribute;
+      const where = combineFilters(filters, attributeFacet(key));
+      
+      if (type === 'number') {
+        const [range] = await db
+          .select({
+            min: sql`min(${attributeNumber(key)})`.mapWith(Number),
+            max: sql`max(${attributeNumber(key)})`.mapWith(Number),
+          })
+          .from(products)
+          .where(where);
+        
+        attributeFacets.push({ key, label, type, unit, min: range.min, max: range.max });
+        continue;
+      }
+      
+      const valueCounts = await db
+        .select({
+          value: attributeText(key),
+          count: count(),
+        })
+        .from(products)
+        .where(and(where, sql`${products.attributes} ? ${key}::text`))
+        // By position: the key is a separate parameter in the select and Postgres
+        // would not see the two expressions as the same
+        .groupBy(sql`1`);
+      
+      const counts = new Map(valueCounts.map(row => [row.value, Number(row.count)]));
+      const values = type === 'enum'
+        ? attribute.options
+        : [{ value: 'true' }, { value: 'false' }];
+      
+      attributeFacets.push({
+        key,
+        label,
+        type,
+        values: values.map(({ value, label }) => ({ value, label, count: counts.get(value) || 0 })),
+      });
+    }
+    
+    return {
+      categories: categoryCounts.map(category => ({ ...category, count: Number(category.count) })),
+      price: buckets.map((bucket, index) => ({ ...bucket, count: priceCounts[index] })),
+      availability: availabilityCounts,
+      attributes: attributeFacets,
+    };
+  }
+  
+  // Ranked full-text search of active products in a language. Results carry the
+  // name and description in that language (where translated) and highlighted
+  // snippets (HTML with <mark> around the matched words).
+  static async search(search, {
+    language = DEFAULT_LANGUAGE,
+    page = 1,
+    limit = 10,
+    categoryId,
+  } = {}) {
+    const offset = (page - 1) * limit;
+    const queries = getSearchQueries(search, language);
+    
+    const whereClause = and(
+      eq(products.isActive, true),
+      or(
+        sql`${products}.search_vector @@ ${queries.base}`,
+        translationMatches(search, language, queries)
+      ),
+      categoryId ? eq(products.categoryId, categoryId) : undefined
+    );
+    
+    // At most one translation per product and language
+    const translationJoin = and(
+      eq(productTranslations.productId, products.id),
+      eq(productTranslations.languageCode, language)
+    );
+    
+    const rank = sql`GREATEST(
+      ts_rank(${products}.search_vector, ${queries.base}),
+      COALESCE(ts_rank(${productTranslations}.search_vector, ${queries.translated}), 0)
+    )`.mapWith(Number);
     
-    // Get products with category information
     const result = await db
       .select({
         id: products.id,
-        name: products.name,
-        description: products.description,
+        name: sql`COALESCE(${productTranslations.name}, ${products.name})`,
+        description: sql`COALESCE(${productTranslations.description}, ${products.description})`,
         price: products.price,
         stockQuantity: products.stockQuantity,
         categoryId: products.categoryId,
@@ -63,30 +361,42 @@ class ProductModel {
         images: products.images,
         sku: products.sku,
         isActive: products.isActive,
-        weight: products.weight,
-        dimensions: products.dimensions,
+        attributes: products.attributes,
+        languageCode: sql`COALESCE(${productTranslations.languageCode}, ${DEFAULT_LANGUAGE})`,
         createdAt: products.createdAt,
         updatedAt: products.updatedAt,
         category: {
           id: categories.id,
           name: categories.name,
         },
+        rank,
+        highlights: {
+          name: headline(productTranslations.name, products.name, language, queries, FULL_TEXT_OPTIONS),
+          description: headline(productTranslations.description, products.description, language, queries, SNIPPET_OPTIONS),
+        },
       })
       .from(products)
+      .leftJoin(productTranslations, translationJoin)
       .leftJoin(categories, eq(products.categoryId, categories.id))
       .where(whereClause)
-      .orderBy(orderBy)
+      .orderBy(desc(rank), desc(products.createdAt))
       .limit(limit)
       .offset(offset);
     
-    // Get total count for pagination
     const [{ total }] = await db
       .select({ total: count() })
       .from(products)
+      .leftJoin(productTranslations, translationJoin)
       .where(whereClause);
     
     return {
-      data: result,
+      data: result.map(product => ({
+        ...product,
+        highlights: {
+          name: toHighlightHtml(product.highlights.name),
+          description: toHighlightHtml(product.highlights.description),
+        },
+      })),
       pagination: {
         page,
         limit,
@@ -112,6 +422,7 @@ class ProductModel {
         isActive: products.isActive,
         weight: products.weight,
         dimensions: products.dimensions,
+        attributes: products.attributes,
         createdAt: products.createdAt,
         updatedAt: products.updatedAt,
         category: {
@@ -139,6 +450,82 @@ class ProductModel {
     return result[0] || null;
   }
   
+  // Get a batch of products (active or not) for export, ordered by ID: the
+  // next batch starts after the last ID of the previous one
+  static async findForExport({ afterId, limit = 500 } = {}) {
+    return await db
+      .select({
+        id: products.id,
+        sku: products.sku,
+        name: products.name,
+        description: products.description,
+        price: products.price,
+        stockQuantity: products.stockQuantity,
+        categoryName: categories.name,
+        imageUrl: products.imageUrl,
+        images: products.images,
+        isActive: products.isActive,
+        weight: products.weight,
+        attributes: products.attributes,
+      })
+      .from(products)
+      .leftJoin(categories, eq(products.categoryId, categories.id))
+      .where(afterId ? gt(products.id, afterId) : undefined)
+      .orderBy(asc(products.id))
+      .limit(limit);
+  }
+  
+  // Create or update products and their translations in one transaction.
+  // Entries are { id, data, translations: { <language>: { name, description } } }
+  // with id null for new products.
+  static async importMany(entries) {
+    return await db.transaction(async (tx) => {
+      for (const { id, data, translations } of entries) {
+        let productId = id;
+
+        if (productId) {
+          await tx
+            .update(products)
+            .set({
+              ...data,
+              updatedAt: new Date(),
+            })
+            .where(eq(products.id, productId));
+        } else {
+          const result = await tx
+            .insert(products)
+            .values({
+              ...data,
+              createdAt: new Date(),
+              updatedAt: new Date(),
+            })
+            .returning({ id: products.id });
+
+          productId = result[0].id;
+        }
+
+        for (const [languageCode, translation] of Object.entries(translations)) {
+          await tx
+            .insert(productTranslations)
+            .values({
+              productId,
+              languageCode,
+              ...translation,
+              createdAt: new Date(),
+              updatedAt: new Date(),
+            })
+            .onConflictDoUpdate({
+              target: [productTranslations.productId, productTranslations.languageCode],
+              set: {
+                ...translation,
+                updatedAt: new Date(),
+              },
+            });
+        }
+      }
+    });
+  }
+  
   // Create new product
   static async create(productData) {
     const result = await db
@@ -0,0 +1,110 @@
+const { eq, and, isNull, lt, or } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { refreshTokens } = require('./schema');
+
+class RefreshTokenModel {
+  // Store a newly issued refresh token (hash only, never the raw token)
+  static async create({ userId, familyId, tokenHash, expiresAt }) {
+    const result = await db
+      .insert(refreshTokens)
+      .values({
+        userId,
+        familyId,
+        tokenHash,
+        expiresAt,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Get refresh token by hash
+  static async findByHash(tokenHash) {
+    const result = await db
+      .select()
+      .from(refreshTokens)
+      .where(eq(refreshTokens.tokenHash, tokenHash))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Mark a token as used. Only succeeds once, so concurrent refreshes
+  // with the same token cannot both win.
+  static async markUsed(id) {
+    const result = await db
+      .update(refreshTokens)
+      .set({
+        usedAt: new Date(),
+      })
+      .where(and(
+        eq(refreshTokens.id, id),
+        isNull(refreshTokens.usedAt),
+        isNull(refreshTokens.revokedAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Link a used token to the token that replaced it
+  static async setReplacedBy(id, replacedById) {
+    const result = await db
+      .update(refreshTokens)
+      .set({
+        replacedBy: replacedById,
+      })
+      .where(eq(refreshTokens.id, id))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Revoke every token in a family (reuse detected or session ended)
+  static async revokeFamily(familyId) {
+    return await db
+      .update(refreshTokens)
+      .set({
+        revokedAt: new Date(),
+      })
+      .where(and(
+        eq(refreshTokens.familyId, familyId),
+        isNull(refreshTokens.revokedAt)
+      ))
+      .returning({
+        id: refreshTokens.id,
+      });
+  }
+
+  // Revoke every token belonging to a user
+  static async revokeAllForUser(userId) {
+    return await db
+      .update(refreshTokens)
+      .set({
+        revokedAt: new Date(),
+      })
+      .where(and(
+        eq(refreshTokens.userId, userId),
+        isNull(refreshTokens.revokedAt)
+      ))
+      .returning({
+        id: refreshTokens.id,
+      });
+  }
+
+  // Remove expired and revoked tokens
+  static async deleteExpired() {
+    return await db
+      .delete(refreshTokens)
+      .where(or(
+        lt(refreshTokens.expiresAt, new Date()),
+        lt(refreshTokens.revokedAt, new Date())
+      ))
+      .returning({
+        id: refreshTokens.id,
+      });
+  }
+}
+
+module.exports = RefreshTokenModel;
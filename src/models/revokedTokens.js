@@ -0,0 +1,86 @@
+const { eq, and, or, isNull, lt, sql } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { revokedTokens, sessions } = require('./schema');
+
+class RevokedTokenModel {
+  // Revoke a single access token by its jti
+  static async revoke({ jti, userId, expiresAt, reason = 'logout' }) {
+    const result = await db
+      .insert(revokedTokens)
+      .values({
+        jti,
+        userId,
+        reason,
+        revokedAt: new Date(),
+        expiresAt,
+      })
+      .onConflictDoNothing()
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Revoke every access token issued to a user up to now.
+  // expiresAt should be when the newest of those tokens expires.
+  static async revokeAllForUser(userId, expiresAt, reason = 'logout_all') {
+    const result = await db
+      .insert(revokedTokens)
+      .values({
+        jti: null,
+        userId,
+        reason,
+        revokedAt: new Date(),
+        expiresAt,
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Check a decoded access token against the revocation store
+  static async isRevoked({ jti, userId, iat, sid }) {
+    const conditions = [];
+
+    if (jti) {
+      conditions.push(eq(revokedTokens.jti, jti));
+    }
+
+    // iat has whole seconds, so tokens issued in the same second as a user-wide
+    // revocation count as revoked. A login right after it is told apart by its
+    // session, which was started after the revocation.
+    if (userId && iat) {
+      conditions.push(and(
+        isNull(revokedTokens.jti),
+        eq(revokedTokens.userId, userId),
+        sql`${iat} <= floor(extract(epoch from ${revokedTokens.revokedAt}))`,
+        sid
+          ? sql`NOT EXISTS (SELECT 1 FROM ${sessions} WHERE ${sessions.id} = ${sid} AND ${sessions.createdAt} >= ${revokedTokens.revokedAt})`
+          : undefined
+      ));
+    }
+
+    if (conditions.length === 0) {
+      return false;
+    }
+
+    const result = await db
+      .select({ id: revokedTokens.id })
+      .from(revokedTokens)
+      .where(or(...conditions))
+      .limit(1);
+
+    return result.length > 0;
+  }
+
+  // Remove revocations for tokens that have expired anyway
+  static async deleteExpired() {
+    return await db
+      .delete(revokedTokens)
+      .where(lt(revokedTokens.expiresAt, new Date()))
+      .returning({
+        id: revokedTokens.id,
+      });
+  }
+}
+
+module.exports = RevokedTokenModel;
@@ -0,0 +1,193 @@
+const { eq, and, or, asc, inArray, isNotNull } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { roles, rolePermissions, userRoles } = require('./schema');
+
+// Attach the permission list to role rows
+const withPermissions = async (roleRows) => {
+  if (roleRows.length === 0) {
+    return [];
+  }
+
+  const permissionRows = await db
+    .select()
+    .from(rolePermissions)
+    .where(inArray(rolePermissions.roleId, roleRows.map(role => role.id)))
+    .orderBy(asc(rolePermissions.permission));
+
+  return roleRows.map(role => ({
+    ...role,
+    permissions: permissionRows
+      .filter(row => row.roleId === role.id)
+      .map(row => row.permission),
+  }));
+};
+
+class RoleModel {
+  // Get all roles with their permissions
+  static async findAll() {
+    const result = await db
+      .select()
+      .from(roles)
+      .orderBy(asc(roles.name));
+
+    return await withPermissions(result);
+  }
+
+  // Get role by ID (with permissions)
+  static async findById(id) {
+    const result = await db
+      .select()
+      .from(roles)
+      .where(eq(roles.id, id))
+      .limit(1);
+
+    const [role] = await withPermissions(result);
+    return role || null;
+  }
+
+  // Get role by name
+  static async findByName(name) {
+    const result = await db
+      .select()
+      .from(roles)
+      .where(eq(roles.name, name))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Create a role with its permissions
+  static async create({ name, description, permissions = [] }) {
+    const role = await db.transaction(async (tx) => {
+      const [created] = await tx
+        .insert(roles)
+        .values({
+          name,
+          description,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        })
+        .returning();
+
+      if (permissions.length > 0) {
+        await tx
+          .insert(rolePermissions)
+          .values(permissions.map(permission => ({ roleId: created.id, permission })));
+      }
+
+      return created;
+    });
+
+    return await this.findById(role.id);
+  }
+
+  // Update a role's description and/or replace its permissions
+  static async update(id, { description, permissions }) {
+    await db.transaction(async (tx) => {
+      const updateData = { updatedAt: new Date() };
+
+      if (description !== undefined) {
+        updateData.description = description;
+      }
+
+      await tx
+        .update(roles)
+        .set(updateData)
+        .where(eq(roles.id, id));
+
+      if (permissions !== undefined) {
+        await tx
+          .delete(rolePermissions)
+          .where(eq(rolePermissions.roleId, id));
+
+        if (permissions.length > 0) {
+          await tx
+            .insert(rolePermissions)
+            .values(permissions.map(permission => ({ roleId: id, permission })));
+        }
+      }
+    });
+
+    return await this.findById(id);
+  }
+
+  // Delete a role (also removes it from every user)
+  static async delete(id) {
+    const result = await db
+      .delete(roles)
+      .where(eq(roles.id, id))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Role names and permissions of a user: their primary role (profiles.role)
+  // plus the roles assigned in user_roles. One row per role and permission.
+  static async findAccessForUser(userId, primaryRole) {
+    return await db
+      .select({
+        role: roles.name,
+        permission: rolePermissions.permission,
+      })
+      .from(roles)
+      .leftJoin(userRoles, and(
+        eq(userRoles.roleId, roles.id),
+        eq(userRoles.userId, userId)
+      ))
+      .leftJoin(rolePermissions, eq(rolePermissions.roleId, roles.id))
+      .where(or(
+        eq(roles.name, primaryRole),
+        isNotNull(userRoles.userId)
+      ));
+  }
+
+  // Get the roles assigned to a user in user_roles
+  static async findByUser(userId) {
+    const result = await db
+      .select({
+        id: roles.id,
+        name: roles.name,
+        description: roles.description,
+        isSystem: roles.isSystem,
+        assignedBy: userRoles.assignedBy,
+        assignedAt: userRoles.createdAt,
+      })
+      .from(userRoles)
+      .innerJoin(roles, eq(roles.id, userRoles.roleId))
+      .where(eq(userRoles.userId, userId))
+      .orderBy(asc(roles.name));
+
+    return result;
+  }
+
+  // Assign a role to a user (no-op if already assigned)
+  static async assignToUser(userId, roleId, assignedBy = null) {
+    const result = await db
+      .insert(userRoles)
+      .values({
+        userId,
+        roleId,
+        assignedBy,
+        createdAt: new Date(),
+      })
+      .onConflictDoNothing()
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Remove a role from a user
+  static async removeFromUser(userId, roleId) {
+    const result = await db
+      .delete(userRoles)
+      .where(and(
+        eq(userRoles.userId, userId),
+        eq(userRoles.roleId, roleId)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+}
+
+module.exports = RoleModel;
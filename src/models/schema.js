@@ -8,8 +8,10 @@ const {
   boolean, 
   timestamp, 
   jsonb,
+  bigint,
   unique,
-  index
+  index,
+  primaryKey
 } = require('drizzle-orm/pg-core');
 const { relations } = require('drizzle-orm');
 
@@ -41,8 +43,11 @@ const products = pgTable('products', {
   isActive: boolean('is_active').notNull().default(true),
   weight: decimal('weight', { precision: 8, scale: 2 }),
   dimensions: jsonb('dimensions'),
+  attributes: jsonb('attributes').notNull().default({}),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  // search_vector (generated tsvector, see migrations/020_product_search.sql) is
+  // left out on purpose: it is only read by search queries and never written
 }, (table) => ({
   skuUnique: unique('products_sku_unique').on(table.sku),
   categoryIdx: index('idx_products_category_id').on(table.categoryId),
@@ -51,6 +56,73 @@ const products = pgTable('products', {
   priceIdx: index('idx_products_price').on(table.price),
 }));
 
+// Typed attributes of the products in a category (e.g. screen size, material)
+const categoryAttributes = pgTable('category_attributes', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  categoryId: uuid('category_id').notNull().references(() => categories.id, { onDelete: 'cascade' }),
+  key: varchar('key', { length: 50 }).notNull(),
+  label: varchar('label', { length: 100 }).notNull(),
+  type: varchar('type', { length: 20 }).notNull(), // text, number, boolean or enum
+  unit: varchar('unit', { length: 20 }),
+  options: jsonb('options').notNull().default([]), // Allowed values of enum attributes: [{ value, label }]
+  isRequired: boolean('is_required').notNull().default(false),
+  isFilterable: boolean('is_filterable').notNull().default(true),
+  position: integer('position').notNull().default(0),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  categoryKeyUnique: unique('category_attributes_category_id_key_key').on(table.categoryId, table.key),
+  categoryIdx: index('idx_category_attributes_category_id').on(table.categoryId),
+}));
+
+// Option types of a product (e.g. Size, Color)
+const productOptions = pgTable('product_options', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  productId: uuid('product_id').notNull().references(() => products.id, { onDelete: 'cascade' }),
+  name: varchar('name', { length: 50 }).notNull(),
+  position: integer('position').notNull().default(0),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  productNameUnique: unique('product_options_product_id_name_key').on(table.productId, table.name),
+  productIdx: index('idx_product_options_product_id').on(table.productId),
+}));
+
+// Values of a product option (e.g. S, M, L)
+const productOptionValues = pgTable('product_option_values', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  optionId: uuid('option_id').notNull().references(() => productOptions.id, { onDelete: 'cascade' }),
+  value: varchar('value', { length: 50 }).notNull(),
+  position: integer('position').notNull().default(0),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  optionValueUnique: unique('product_option_values_option_id_value_key').on(table.optionId, table.value),
+  optionIdx: index('idx_product_option_values_option_id').on(table.optionId),
+}));
+
+// Purchasable combinations of option values (price null = product price)
+const productVariants = pgTable('product_variants', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  productId: uuid('product_id').notNull().references(() => products.id, { onDelete: 'cascade' }),
+  sku: varchar('sku', { length: 100 }).notNull(),
+  price: decimal('price', { precision: 10, scale: 2 }),
+  stockQuantity: integer('stock_quantity').notNull().default(0),
+  isActive: boolean('is_active').notNull().default(true),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  skuUnique: unique('product_variants_sku_key').on(table.sku),
+  productIdx: index('idx_product_variants_product_id').on(table.productId),
+}));
+
+// Option values of a variant (one per option)
+const productVariantValues = pgTable('product_variant_values', {
+  variantId: uuid('variant_id').notNull().references(() => productVariants.id, { onDelete: 'cascade' }),
+  optionValueId: uuid('option_value_id').notNull().references(() => productOptionValues.id, { onDelete: 'cascade' }),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.variantId, table.optionValueId] }),
+  optionValueIdx: index('idx_product_variant_values_option_value_id').on(table.optionValueId),
+}));
+
 // Profiles table (extends Supabase auth.users)
 const profiles = pgTable('profiles', {
   id: uuid('id').primaryKey(), // References auth.users(id)
@@ -61,11 +133,19 @@ const profiles = pgTable('profiles', {
   avatarUrl: varchar('avatar_url', { length: 500 }),
   role: varchar('role', { length: 20 }).notNull().default('customer'),
   isActive: boolean('is_active').notNull().default(true),
+  deletedAt: timestamp('deleted_at', { withTimezone: true }),
+  deletedBy: uuid('deleted_by'),
+  deletionRequestedAt: timestamp('deletion_requested_at', { withTimezone: true }),
+  deletionScheduledAt: timestamp('deletion_scheduled_at', { withTimezone: true }),
+  anonymizedAt: timestamp('anonymized_at', { withTimezone: true }),
+  passwordChangedAt: timestamp('password_changed_at', { withTimezone: true }).defaultNow(),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
 }, (table) => ({
   emailIdx: index('idx_profiles_email').on(table.email),
   roleIdx: index('idx_profiles_role').on(table.role),
+  deletedAtIdx: index('idx_profiles_deleted_at').on(table.deletedAt),
+  deletionScheduledAtIdx: index('idx_profiles_deletion_scheduled_at').on(table.deletionScheduledAt),
 }));
 
 // Cart items table
@@ -73,13 +153,17 @@ const cartItems = pgTable('cart_items', {
   id: uuid('id').primaryKey().defaultRandom(),
   userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
   productId: uuid('product_id').notNull().references(() => products.id, { onDelete: 'cascade' }),
+  variantId: uuid('variant_id').references(() => productVariants.id, { onDelete: 'cascade' }), // Required for products with variants
   quantity: integer('quantity').notNull().default(1),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
 }, (table) => ({
-  userProductUnique: unique('cart_items_user_product_unique').on(table.userId, table.productId),
+  userProductVariantUnique: unique('cart_items_user_product_variant_unique')
+    .on(table.userId, table.productId, table.variantId)
+    .nullsNotDistinct(),
   userIdx: index('idx_cart_items_user_id').on(table.userId),
   productIdx: index('idx_cart_items_product_id').on(table.productId),
+  variantIdx: index('idx_cart_items_variant_id').on(table.variantId),
 }));
 
 // Orders table
@@ -109,8 +193,10 @@ const orderItems = pgTable('order_items', {
   id: uuid('id').primaryKey().defaultRandom(),
   orderId: uuid('order_id').notNull().references(() => orders.id, { onDelete: 'cascade' }),
   productId: uuid('product_id').notNull().references(() => products.id, { onDelete: 'restrict' }),
+  variantId: uuid('variant_id').references(() => productVariants.id, { onDelete: 'set null' }),
   productName: varchar('product_name', { length: 200 }).notNull(),
   productSku: varchar('product_sku', { length: 100 }),
+  variantName: varchar('variant_name', { length: 200 }), // Snapshot of the variant's options
   quantity: integer('quantity').notNull(),
   unitPrice: decimal('unit_price', { precision: 10, scale: 2 }).notNull(),
   totalPrice: decimal('total_price', { precision: 10, scale: 2 }).notNull(),
@@ -118,6 +204,7 @@ const orderItems = pgTable('order_items', {
 }, (table) => ({
   orderIdx: index('idx_order_items_order_id').on(table.orderId),
   productIdx: index('idx_order_items_product_id').on(table.productId),
+  variantIdx: index('idx_order_items_variant_id').on(table.variantId),
 }));
 
 // Define relations
@@ -148,6 +235,10 @@ const cartItemsRelations = relations(cartItems, ({ one }) => ({
     fields: [cartItems.productId],
     references: [products.id],
   }),
+  variant: one(productVariants, {
+    fields: [cartItems.variantId],
+    references: [productVariants.id],
+  }),
 }));
 
 const ordersRelations = relations(orders, ({ one, many }) => ({
@@ -167,6 +258,10 @@ const orderItemsRelations = relations(orderItems, ({ one }) => ({
     fields: [orderItems.productId],
     references: [products.id],
   }),
+  variant: one(productVariants, {
+    fields: [orderItems.variantId],
+    references: [productVariants.id],
+  }),
 }));
 
 // Supported languages table
@@ -190,6 +285,7 @@ const productTranslations = pgTable('product_translations', {
   metaDescription: text('meta_description'),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
   updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+  // search_vector: generated, like products.search_vector
 }, (table) => ({
   productLanguageUnique: unique('product_translations_product_language_unique').on(table.productId, table.languageCode),
   productIdx: index('idx_product_translations_product_id').on(table.productId),
@@ -213,6 +309,20 @@ const categoryTranslations = pgTable('category_translations', {
   languageIdx: index('idx_category_translations_language_code').on(table.languageCode),
 }));
 
+// Category attribute translations table (label and enum value labels)
+const categoryAttributeTranslations = pgTable('category_attribute_translations', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  attributeId: uuid('attribute_id').notNull().references(() => categoryAttributes.id, { onDelete: 'cascade' }),
+  languageCode: varchar('language_code', { length: 10 }).notNull(),
+  label: varchar('label', { length: 100 }).notNull(),
+  optionLabels: jsonb('option_labels').notNull().default({}),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  attributeLanguageUnique: unique('category_attribute_translations_attribute_id_language_code_key').on(table.attributeId, table.languageCode),
+  attributeIdx: index('idx_category_attribute_translations_attribute_id').on(table.attributeId),
+}));
+
 // Define additional relations
 const productTranslationsRelations = relations(productTranslations, ({ one }) => ({
   product: one(products, {
@@ -245,16 +355,320 @@ const productsRelationsUpdated = relations(products, ({ one, many }) => ({
   cartItems: many(cartItems),
   orderItems: many(orderItems),
   translations: many(productTranslations),
+  options: many(productOptions),
+  variants: many(productVariants),
+}));
+
+const productOptionsRelations = relations(productOptions, ({ one, many }) => ({
+  product: one(products, {
+    fields: [productOptions.productId],
+    references: [products.id],
+  }),
+  values: many(productOptionValues),
+}));
+
+const productOptionValuesRelations = relations(productOptionValues, ({ one }) => ({
+  option: one(productOptions, {
+    fields: [productOptionValues.optionId],
+    references: [productOptions.id],
+  }),
+}));
+
+const productVariantsRelations = relations(productVariants, ({ one, many }) => ({
+  product: one(products, {
+    fields: [productVariants.productId],
+    references: [products.id],
+  }),
+  values: many(productVariantValues),
+}));
+
+const productVariantValuesRelations = relations(productVariantValues, ({ one }) => ({
+  variant: one(productVariants, {
+    fields: [productVariantValues.variantId],
+    references: [productVariants.id],
+  }),
+  optionValue: one(productOptionValues, {
+    fields: [productVariantValues.optionValueId],
+    references: [productOptionValues.id],
+  }),
 }));
 
 const categoriesRelationsUpdated = relations(categories, ({ many }) => ({
   products: many(products),
   translations: many(categoryTranslations),
+  attributes: many(categoryAttributes),
+}));
+
+const categoryAttributesRelations = relations(categoryAttributes, ({ one, many }) => ({
+  category: one(categories, {
+    fields: [categoryAttributes.categoryId],
+    references: [categories.id],
+  }),
+  translations: many(categoryAttributeTranslations),
+}));
+
+const categoryAttributeTranslationsRelations = relations(categoryAttributeTranslations, ({ one }) => ({
+  attribute: one(categoryAttributes, {
+    fields: [categoryAttributeTranslations.attributeId],
+    references: [categoryAttributes.id],
+  }),
+}));
+
+// Refresh tokens table (rotated on every use, grouped into families)
+const refreshTokens = pgTable('refresh_tokens', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  familyId: uuid('family_id').notNull(),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  usedAt: timestamp('used_at', { withTimezone: true }),
+  replacedBy: uuid('replaced_by').references(() => refreshTokens.id, { onDelete: 'set null' }),
+  revokedAt: timestamp('revoked_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  tokenHashUnique: unique('refresh_tokens_token_hash_unique').on(table.tokenHash),
+  userIdx: index('idx_refresh_tokens_user_id').on(table.userId),
+  familyIdx: index('idx_refresh_tokens_family_id').on(table.familyId),
+  expiresAtIdx: index('idx_refresh_tokens_expires_at').on(table.expiresAt),
+}));
+
+const refreshTokensRelations = relations(refreshTokens, ({ one }) => ({
+  user: one(profiles, {
+    fields: [refreshTokens.userId],
+    references: [profiles.id],
+  }),
+}));
+
+// Revoked access tokens (single jti, or every token for a user before revokedAt)
+const revokedTokens = pgTable('revoked_tokens', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  jti: varchar('jti', { length: 64 }),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  reason: varchar('reason', { length: 50 }),
+  revokedAt: timestamp('revoked_at', { withTimezone: true }).notNull().defaultNow(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+}, (table) => ({
+  jtiUnique: unique('revoked_tokens_jti_unique').on(table.jti),
+  userIdx: index('idx_revoked_tokens_user_id').on(table.userId),
+  expiresAtIdx: index('idx_revoked_tokens_expires_at').on(table.expiresAt),
+}));
+
+// Sessions table (one per login, id is also the refresh token family id)
+const sessions = pgTable('sessions', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  device: varchar('device', { length: 100 }),
+  userAgent: varchar('user_agent', { length: 500 }),
+  ipAddress: varchar('ip_address', { length: 45 }),
+  lastSeenAt: timestamp('last_seen_at', { withTimezone: true }).defaultNow(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  revokedAt: timestamp('revoked_at', { withTimezone: true }),
+  revokedBy: uuid('revoked_by').references(() => profiles.id, { onDelete: 'set null' }),
+  twoFactorVerifiedAt: timestamp('two_factor_verified_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  userIdx: index('idx_sessions_user_id').on(table.userId),
+  expiresAtIdx: index('idx_sessions_expires_at').on(table.expiresAt),
+}));
+
+const sessionsRelations = relations(sessions, ({ one }) => ({
+  user: one(profiles, {
+    fields: [sessions.userId],
+    references: [profiles.id],
+  }),
+}));
+
+// Single-use action tokens (email verification, password reset, ...)
+const authTokens = pgTable('auth_tokens', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  type: varchar('type', { length: 30 }).notNull(),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  usedAt: timestamp('used_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  tokenHashUnique: unique('auth_tokens_token_hash_unique').on(table.tokenHash),
+  userTypeIdx: index('idx_auth_tokens_user_type').on(table.userId, table.type),
+  expiresAtIdx: index('idx_auth_tokens_expires_at').on(table.expiresAt),
+}));
+
+// TOTP two-factor credentials (secret encrypted at rest)
+const twoFactorCredentials = pgTable('two_factor_credentials', {
+  userId: uuid('user_id').primaryKey().references(() => profiles.id, { onDelete: 'cascade' }),
+  secret: text('secret').notNull(),
+  enabledAt: timestamp('enabled_at', { withTimezone: true }),
+  lastUsedStep: bigint('last_used_step', { mode: 'number' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+// Two-factor recovery codes (hash only, single use)
+const twoFactorRecoveryCodes = pgTable('two_factor_recovery_codes', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  codeHash: varchar('code_hash', { length: 64 }).notNull(),
+  usedAt: timestamp('used_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  codeHashUnique: unique('two_factor_recovery_codes_code_hash_unique').on(table.codeHash),
+  userIdx: index('idx_two_factor_recovery_codes_user_id').on(table.userId),
+}));
+
+// Security events (append-only)
+const securityEvents = pgTable('security_events', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').references(() => profiles.id, { onDelete: 'set null' }),
+  actorId: uuid('actor_id').references(() => profiles.id, { onDelete: 'set null' }),
+  type: varchar('type', { length: 50 }).notNull(),
+  outcome: varchar('outcome', { length: 20 }).notNull().default('success'), // success, failure
+  ipAddress: varchar('ip_address', { length: 45 }),
+  userAgent: varchar('user_agent', { length: 500 }),
+  details: jsonb('details'),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  userIdx: index('idx_security_events_user_id').on(table.userId, table.createdAt),
+  actorIdx: index('idx_security_events_actor_id').on(table.actorId, table.createdAt),
+  typeIdx: index('idx_security_events_type').on(table.type, table.createdAt),
+  createdAtIdx: index('idx_security_events_created_at').on(table.createdAt),
+}));
+
+// Failed login tracking per account
+const accountLockouts = pgTable('account_lockouts', {
+  userId: uuid('user_id').primaryKey().references(() => profiles.id, { onDelete: 'cascade' }),
+  failedAttempts: integer('failed_attempts').notNull().default(0),
+  lastFailedAt: timestamp('last_failed_at', { withTimezone: true }),
+  lockedUntil: timestamp('locked_until', { withTimezone: true }),
+  lockCount: integer('lock_count').notNull().default(0),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+// External identities (OpenID Connect) linked to accounts
+const userIdentities = pgTable('user_identities', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  provider: varchar('provider', { length: 50 }).notNull(),
+  subject: varchar('subject', { length: 255 }).notNull(),
+  email: varchar('email', { length: 255 }),
+  lastLoginAt: timestamp('last_login_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  providerSubjectUnique: unique('user_identities_provider_subject_key').on(table.provider, table.subject),
+  userIdx: index('idx_user_identities_user_id').on(table.userId),
+}));
+
+// Pending OpenID Connect authorization requests
+const oidcAuthRequests = pgTable('oidc_auth_requests', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  provider: varchar('provider', { length: 50 }).notNull(),
+  stateHash: varchar('state_hash', { length: 64 }).notNull(),
+  nonce: varchar('nonce', { length: 100 }).notNull(),
+  codeVerifier: varchar('code_verifier', { length: 128 }).notNull(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  stateHashUnique: unique('oidc_auth_requests_state_hash_unique').on(table.stateHash),
+  expiresAtIdx: index('idx_oidc_auth_requests_expires_at').on(table.expiresAt),
+}));
+
+// Key pairs for asymmetric access token signing
+const signingKeys = pgTable('signing_keys', {
+  kid: varchar('kid', { length: 64 }).primaryKey(),
+  algorithm: varchar('algorithm', { length: 10 }).notNull(),
+  privateKey: text('private_key').notNull(),
+  publicKey: jsonb('public_key').notNull(),
+  activatesAt: timestamp('activates_at', { withTimezone: true }).notNull(),
+  retiredAt: timestamp('retired_at', { withTimezone: true }),
+  expiresAt: timestamp('expires_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  expiresAtIdx: index('idx_signing_keys_expires_at').on(table.expiresAt),
+}));
+
+// Scoped API keys for machine-to-machine clients (only the hash is stored)
+const apiKeys = pgTable('api_keys', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  name: varchar('name', { length: 100 }).notNull(),
+  prefix: varchar('prefix', { length: 20 }).notNull(),
+  keyHash: varchar('key_hash', { length: 64 }).notNull(),
+  scopes: jsonb('scopes').notNull().default([]),
+  createdBy: uuid('created_by').references(() => profiles.id, { onDelete: 'set null' }),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  lastUsedAt: timestamp('last_used_at', { withTimezone: true }),
+  lastUsedIp: varchar('last_used_ip', { length: 45 }),
+  revokedAt: timestamp('revoked_at', { withTimezone: true }),
+  revokedBy: uuid('revoked_by').references(() => profiles.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  prefixUnique: unique('api_keys_prefix_unique').on(table.prefix),
+  keyHashUnique: unique('api_keys_key_hash_unique').on(table.keyHash),
+  createdAtIdx: index('idx_api_keys_created_at').on(table.createdAt),
+}));
+
+// Roles (named sets of permissions); system roles match profiles.role
+const roles = pgTable('roles', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  name: varchar('name', { length: 50 }).notNull(),
+  description: varchar('description', { length: 255 }),
+  isSystem: boolean('is_system').notNull().default(false),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  nameUnique: unique('roles_name_unique').on(table.name),
+}));
+
+// Permissions granted by a role
+const rolePermissions = pgTable('role_permissions', {
+  roleId: uuid('role_id').notNull().references(() => roles.id, { onDelete: 'cascade' }),
+  permission: varchar('permission', { length: 100 }).notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.roleId, table.permission] }),
+}));
+
+// Additional roles of a user (on top of profiles.role)
+const userRoles = pgTable('user_roles', {
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  roleId: uuid('role_id').notNull().references(() => roles.id, { onDelete: 'cascade' }),
+  assignedBy: uuid('assigned_by').references(() => profiles.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.userId, table.roleId] }),
+  roleIdx: index('idx_user_roles_role_id').on(table.roleId),
+}));
+
+// Password history table (hashes of previous passwords)
+const passwordHistory = pgTable('password_history', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').notNull().references(() => profiles.id, { onDelete: 'cascade' }),
+  passwordHash: varchar('password_hash', { length: 100 }).notNull(),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  userIdx: index('idx_password_history_user_id').on(table.userId, table.createdAt),
+}));
+
+// Magic-link login tokens (bound to an email address, hash only)
+const magicLinkTokens = pgTable('magic_link_tokens', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  email: varchar('email', { length: 255 }).notNull(),
+  tokenHash: varchar('token_hash', { length: 64 }).notNull(),
+  expiresAt: timestamp('expires_at', { withTimezone: true }).notNull(),
+  usedAt: timestamp('used_at', { withTimezone: true }),
+  createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  tokenHashUnique: unique('magic_link_tokens_token_hash_unique').on(table.tokenHash),
+  emailIdx: index('idx_magic_link_tokens_email').on(table.email),
+  expiresAtIdx: index('idx_magic_link_tokens_expires_at').on(table.expiresAt),
 }));
 
 module.exports = {
   categories,
   products,
+  productOptions,
+  productOptionValues,
+  productVariants,
+  productVariantValues,
+  categoryAttributes,
   profiles,
   cartItems,
   orders,
@@ -262,6 +676,24 @@ module.exports = {
   supportedLanguages,
   productTranslations,
   categoryTranslations,
+  categoryAttributeTranslations,
+  refreshTokens,
+  revokedTokens,
+  sessions,
+  authTokens,
+  twoFactorCredentials,
+  twoFactorRecoveryCodes,
+  securityEvents,
+  accountLockouts,
+  userIdentities,
+  oidcAuthRequests,
+  signingKeys,
+  apiKeys,
+  roles,
+  rolePermissions,
+  userRoles,
+  passwordHistory,
+  magicLinkTokens,
   // Relations
   categoriesRelations: categoriesRelationsUpdated,
   productsRelations: productsRelationsUpdated,
@@ -271,4 +703,12 @@ module.exports = {
   orderItemsRelations,
   productTranslationsRelations,
   categoryTranslationsRelations,
+  productOptionsRelations,
+  productOptionValuesRelations,
+  productVariantsRelations,
+  productVariantValuesRelations,
+  categoryAttributesRelations,
+  categoryAttributeTranslationsRelations,
+  refreshTokensRelations,
+  sessionsRelations,
 };
\ No newline at end of file
@@ -0,0 +1,119 @@
+const { eq, and, gte, lte, asc, desc, count } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { securityEvents } = require('./schema');
+
+class SecurityEventModel {
+  // Append an event (rows are never updated)
+  static async create({ userId, actorId, type, outcome, ipAddress, userAgent, details }) {
+    const result = await db
+      .insert(securityEvents)
+      .values({
+        userId,
+        actorId,
+        type,
+        outcome,
+        ipAddress,
+        userAgent,
+        details,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // A user's most recent events, newest first
+  static async findByUser(userId, { limit = 50 } = {}) {
+    return await db
+      .select()
+      .from(securityEvents)
+      .where(eq(securityEvents.userId, userId))
+      .orderBy(desc(securityEvents.createdAt))
+      .limit(limit);
+  }
+
+  // All of a user's events, oldest first (data export)
+  static async findAllForUser(userId) {
+    return await db
+      .select()
+      .from(securityEvents)
+      .where(eq(securityEvents.userId, userId))
+      .orderBy(asc(securityEvents.createdAt));
+  }
+
+  // Search the audit log, newest first
+  static async findMany({
+    page = 1,
+    limit = 50,
+    userId,
+    actorId,
+    type,
+    outcome,
+    ipAddress,
+    from,
+    to,
+  } = {}) {
+    const offset = (page - 1) * limit;
+
+    const whereConditions = [];
+
+    if (userId) {
+      whereConditions.push(eq(securityEvents.userId, userId));
+    }
+
+    if (actorId) {
+      whereConditions.push(eq(securityEvents.actorId, actorId));
+    }
+
+    if (type) {
+      whereConditions.push(eq(securityEvents.type, type));
+    }
+
+    if (outcome) {
+      whereConditions.push(eq(securityEvents.outcome, outcome));
+    }
+
+    if (ipAddress) {
+      whereConditions.push(eq(securityEvents.ipAddress, ipAddress));
+    }
+
+    if (from) {
+      whereConditions.push(gte(securityEvents.createdAt, from));
+    }
+
+    if (to) {
+      whereConditions.push(lte(securityEvents.createdAt, to));
+    }
+
+    const whereClause = whereConditions.length > 0 ? and(...whereConditions) : undefined;
+
+    const totalResult = await db
+      .select({ count: count() })
+      .from(securityEvents)
+      .where(whereClause);
+
+    const total = totalResult[0]?.count || 0;
+
+    const result = await db
+      .select()
+      .from(securityEvents)
+      .where(whereClause)
+      .orderBy(desc(securityEvents.createdAt))
+      .limit(limit)
+      .offset(offset);
+
+    return {
+      data: result,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+}
+
+module.exports = SecurityEventModel;
@@ -0,0 +1,167 @@
+const { eq, and, or, isNull, gt, lt, desc, sql } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { sessions } = require('./schema');
+
+// Only write last_seen_at once per interval to avoid a write on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+class SessionModel {
+  // Create a session for a new login
+  static async create({ userId, device, userAgent, ipAddress, expiresAt, twoFactorVerifiedAt = null }) {
+    const result = await db
+      .insert(sessions)
+      .values({
+        userId,
+        device,
+        userAgent,
+        ipAddress,
+        expiresAt,
+        twoFactorVerifiedAt,
+        lastSeenAt: new Date(),
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Get session by ID
+  static async findById(id) {
+    const result = await db
+      .select()
+      .from(sessions)
+      .where(eq(sessions.id, id))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Get a user's sessions that are neither revoked nor expired
+  static async findActiveByUser(userId) {
+    return await db
+      .select()
+      .from(sessions)
+      .where(and(
+        eq(sessions.userId, userId),
+        isNull(sessions.revokedAt),
+        gt(sessions.expiresAt, new Date())
+      ))
+      .orderBy(desc(sessions.lastSeenAt));
+  }
+
+  // Get all sessions of a user, including ended ones (admin view)
+  static async findByUser(userId, { includeInactive = false } = {}) {
+    if (!includeInactive) {
+      return this.findActiveByUser(userId);
+    }
+
+    return await db
+      .select()
+      .from(sessions)
+      .where(eq(sessions.userId, userId))
+      .orderBy(desc(sessions.createdAt));
+  }
+
+  // Check whether a session can still be used
+  static isActive(session) {
+    return Boolean(session)
+      && !session.revokedAt
+      && new Date(session.expiresAt) > new Date();
+  }
+
+  // Record activity on a session (throttled)
+  static async touch(id, { ipAddress, expiresAt } = {}) {
+    const updateData = {
+      lastSeenAt: new Date(),
+    };
+
+    if (ipAddress) {
+      updateData.ipAddress = ipAddress;
+    }
+
+    if (expiresAt) {
+      updateData.expiresAt = expiresAt;
+    }
+
+    const throttled = expiresAt
+      ? undefined
+      : lt(sessions.lastSeenAt, new Date(Date.now() - LAST_SEEN_THROTTLE_MS));
+
+    const result = await db
+      .update(sessions)
+      .set(updateData)
+      .where(and(
+        eq(sessions.id, id),
+        isNull(sessions.revokedAt),
+        throttled
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Record that a session has passed a second factor (after enrolling)
+  static async markTwoFactorVerified(id) {
+    const result = await db
+      .update(sessions)
+      .set({
+        twoFactorVerifiedAt: new Date(),
+      })
+      .where(and(
+        eq(sessions.id, id),
+        isNull(sessions.revokedAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // End a session
+  static async revoke(id, revokedBy = null) {
+    const result = await db
+      .update(sessions)
+      .set({
+        revokedAt: new Date(),
+        revokedBy,
+      })
+      .where(and(
+        eq(sessions.id, id),
+        isNull(sessions.revokedAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // End every session of a user
+  static async revokeAllForUser(userId, revokedBy = null) {
+    return await db
+      .update(sessions)
+      .set({
+        revokedAt: new Date(),
+        revokedBy,
+      })
+      .where(and(
+        eq(sessions.userId, userId),
+        isNull(sessions.revokedAt)
+      ))
+      .returning({
+        id: sessions.id,
+      });
+  }
+
+  // Remove sessions that expired or were revoked more than a day ago
+  static async deleteExpired() {
+    return await db
+      .delete(sessions)
+      .where(or(
+        lt(sessions.expiresAt, new Date()),
+        lt(sessions.revokedAt, sql`NOW() - INTERVAL '1 day'`)
+      ))
+      .returning({
+        id: sessions.id,
+      });
+  }
+}
+
+module.exports = SessionModel;
@@ -0,0 +1,63 @@
+const { eq, and, or, isNull, gt, lt, asc } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { signingKeys } = require('./schema');
+
+class SigningKeyModel {
+  // Get all keys that have not expired yet (oldest first)
+  static async findUsable() {
+    return await db
+      .select()
+      .from(signingKeys)
+      .where(or(
+        isNull(signingKeys.expiresAt),
+        gt(signingKeys.expiresAt, new Date())
+      ))
+      .orderBy(asc(signingKeys.activatesAt));
+  }
+
+  // Store a new key pair
+  static async create({ kid, algorithm, privateKey, publicKey, activatesAt }) {
+    const result = await db
+      .insert(signingKeys)
+      .values({
+        kid,
+        algorithm,
+        privateKey,
+        publicKey,
+        activatesAt,
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Stop signing with a key; it stays in the JWKS until expiresAt
+  static async retire(kid, expiresAt) {
+    const result = await db
+      .update(signingKeys)
+      .set({
+        retiredAt: new Date(),
+        expiresAt,
+      })
+      .where(and(
+        eq(signingKeys.kid, kid),
+        isNull(signingKeys.retiredAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Remove keys past their grace period
+  static async deleteExpired() {
+    return await db
+      .delete(signingKeys)
+      .where(lt(signingKeys.expiresAt, new Date()))
+      .returning({
+        kid: signingKeys.kid,
+      });
+  }
+}
+
+module.exports = SigningKeyModel;
@@ -1,4 +1,4 @@
-const { eq, and, or } = require('drizzle-orm');
+const { eq, and, or, inArray } = require('drizzle-orm');
 const { db } = require('../config/drizzle');
 const { 
   supportedLanguages, 
@@ -60,6 +60,18 @@ class TranslationModel {
     return result[0] || null;
   }
 
+  // All translations of several products
+  static async getProductTranslations(productIds) {
+    if (productIds.length === 0) {
+      return [];
+    }
+
+    return await db
+      .select()
+      .from(productTranslations)
+      .where(inArray(productTranslations.productId, productIds));
+  }
+
   static async createProductTranslation(translationData) {
     const result = await db
       .insert(productTranslations)
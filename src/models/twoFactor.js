@@ -0,0 +1,153 @@
+const { eq, and, or, isNull, lt, count } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { twoFactorCredentials, twoFactorRecoveryCodes } = require('./schema');
+
+class TwoFactorModel {
+  // Get a user's TOTP credential (pending or enabled)
+  static async findByUser(userId) {
+    const result = await db
+      .select()
+      .from(twoFactorCredentials)
+      .where(eq(twoFactorCredentials.userId, userId))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Store a new, not yet confirmed secret (replaces any pending one)
+  static async savePending(userId, secret) {
+    const result = await db
+      .insert(twoFactorCredentials)
+      .values({
+        userId,
+        secret,
+        enabledAt: null,
+        lastUsedStep: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      })
+      .onConflictDoUpdate({
+        target: twoFactorCredentials.userId,
+        set: {
+          secret,
+          enabledAt: null,
+          lastUsedStep: null,
+          updatedAt: new Date(),
+        },
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Confirm enrollment
+  static async enable(userId, step) {
+    const result = await db
+      .update(twoFactorCredentials)
+      .set({
+        enabledAt: new Date(),
+        lastUsedStep: step,
+        updatedAt: new Date(),
+      })
+      .where(and(
+        eq(twoFactorCredentials.userId, userId),
+        isNull(twoFactorCredentials.enabledAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Record the time step of an accepted code. Fails when the same or a later
+  // step was already used, so every code works only once.
+  static async markStepUsed(userId, step) {
+    const result = await db
+      .update(twoFactorCredentials)
+      .set({
+        lastUsedStep: step,
+        updatedAt: new Date(),
+      })
+      .where(and(
+        eq(twoFactorCredentials.userId, userId),
+        or(
+          isNull(twoFactorCredentials.lastUsedStep),
+          lt(twoFactorCredentials.lastUsedStep, step)
+        )
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Remove the credential and all recovery codes
+  static async disable(userId) {
+    await this.deleteRecoveryCodes(userId);
+
+    const result = await db
+      .delete(twoFactorCredentials)
+      .where(eq(twoFactorCredentials.userId, userId))
+      .returning({
+        userId: twoFactorCredentials.userId,
+      });
+
+    return result[0] || null;
+  }
+
+  // Replace a user's recovery codes with a new set of hashes
+  static async replaceRecoveryCodes(userId, codeHashes) {
+    await this.deleteRecoveryCodes(userId);
+
+    return await db
+      .insert(twoFactorRecoveryCodes)
+      .values(codeHashes.map(codeHash => ({
+        userId,
+        codeHash,
+        createdAt: new Date(),
+      })))
+      .returning({
+        id: twoFactorRecoveryCodes.id,
+      });
+  }
+
+  // Mark an unused recovery code as used. Succeeds only once per code.
+  static async useRecoveryCode(userId, codeHash) {
+    const result = await db
+      .update(twoFactorRecoveryCodes)
+      .set({
+        usedAt: new Date(),
+      })
+      .where(and(
+        eq(twoFactorRecoveryCodes.userId, userId),
+        eq(twoFactorRecoveryCodes.codeHash, codeHash),
+        isNull(twoFactorRecoveryCodes.usedAt)
+      ))
+      .returning();
+
+    return result[0] || null;
+  }
+
+  // Count the recovery codes a user has left
+  static async countUnusedRecoveryCodes(userId) {
+    const result = await db
+      .select({ count: count() })
+      .from(twoFactorRecoveryCodes)
+      .where(and(
+        eq(twoFactorRecoveryCodes.userId, userId),
+        isNull(twoFactorRecoveryCodes.usedAt)
+      ));
+
+    return result[0]?.count || 0;
+  }
+
+  // Delete all recovery codes of a user
+  static async deleteRecoveryCodes(userId) {
+    return await db
+      .delete(twoFactorRecoveryCodes)
+      .where(eq(twoFactorRecoveryCodes.userId, userId))
+      .returning({
+        id: twoFactorRecoveryCodes.id,
+      });
+  }
+}
+
+module.exports = TwoFactorModel;
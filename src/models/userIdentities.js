@@ -0,0 +1,65 @@
+const { eq, and } = require('drizzle-orm');
+const { db } = require('../config/drizzle');
+const { userIdentities } = require('./schema');
+
+class UserIdentityModel {
+  // Get the identity a provider subject is linked to
+  static async findByProviderSubject(provider, subject) {
+    const result = await db
+      .select()
+      .from(userIdentities)
+      .where(and(
+        eq(userIdentities.provider, provider),
+        eq(userIdentities.subject, subject)
+      ))
+      .limit(1);
+
+    return result[0] || null;
+  }
+
+  // Get all identities linked to a user
+  static async findByUser(userId) {
+    return await db
+      .select()
+      .from(userIdentities)
+      .where(eq(userIdentities.userId, userId));
+  }
+
+  // Link a provider subject to a user
+  static async create({ userId, provider, subject, email }) {
+    const result = await db
+      .insert(userIdentities)
+      .values({
+        userId,
+        provider,
+        subject,
+        email,
+        lastLoginAt: new Date(),
+        createdAt: new Date(),
+      })
+      .returning();
+
+    return result[0];
+  }
+
+  // Record a login through an identity
+  static async touch(id, email) {
+    const updateData = {
+      lastLoginAt: new Date(),
+    };
+
+    if (email) {
+      updateData.email = email;
+    }
+
+    const result = await db
+      .update(userIdentities)
+      .set(updateData)
+      .where(eq(userIdentities.id, id))
+      .returning();
+
+    return result[0] || null;
+  }
+}
+
+module.exports = UserIdentityModel;
@@ -1,8 +1,27 @@
-const { eq, and, or, desc, asc, count, ilike } = require('drizzle-orm');
+const crypto = require('crypto');
+const { eq, and, or, desc, asc, count, ilike, isNull, lte, sql } = require('drizzle-orm');
 const { db } = require('../config/drizzle');
-const { users } = require('./schema');
+const {
+  users,
+  orders,
+  cartItems,
+  sessions,
+  refreshTokens,
+  authTokens,
+  userIdentities,
+  twoFactorCredentials,
+  twoFactorRecoveryCodes,
+  userRoles,
+  passwordHistory,
+  magicLinkTokens,
+  securityEvents,
+} = require('./schema');
 const bcrypt = require('bcryptjs');
 
+// Hash compared against when an email is unknown, so the lookup takes as long
+// as checking a real password (created on first use)
+let dummyPasswordHash = null;
+
 class UserModel {
   // Get all users with optional filtering and pagination
   static async findMany({
@@ -11,6 +30,7 @@ class UserModel {
     search,
     role,
     isActive = true,
+    includeDeleted = false,
     sortBy = 'createdAt',
     sortOrder = 'desc',
   } = {}) {
@@ -18,10 +38,15 @@ class UserModel {
     
     let whereConditions = [];
     
-    if (isActive !== undefined) {
+    // null lists active and disabled users
+    if (isActive !== undefined && isActive !== null) {
       whereConditions.push(eq(users.isActive, isActive));
     }
     
+    if (!includeDeleted) {
+      whereConditions.push(isNull(users.deletedAt));
+    }
+    
     if (search) {
       whereConditions.push(
         or(
@@ -60,6 +85,7 @@ class UserModel {
         isActive: users.isActive,
         isEmailVerified: users.isEmailVerified,
         lastLoginAt: users.lastLoginAt,
+        deletedAt: users.deletedAt,
         createdAt: users.createdAt,
         updatedAt: users.updatedAt,
       })
@@ -94,6 +120,8 @@ class UserModel {
         isActive: users.isActive,
         isEmailVerified: users.isEmailVerified,
         lastLoginAt: users.lastLoginAt,
+        deletedAt: users.deletedAt,
+        deletionScheduledAt: users.deletionScheduledAt,
         createdAt: users.createdAt,
         updatedAt: users.updatedAt,
       })
@@ -115,6 +143,7 @@ class UserModel {
       isActive: users.isActive,
       isEmailVerified: users.isEmailVerified,
       lastLoginAt: users.lastLoginAt,
+      passwordChangedAt: users.passwordChangedAt,
       createdAt: users.createdAt,
       updatedAt: users.updatedAt,
     };
@@ -198,24 +227,257 @@ class UserModel {
     return result[0] || null;
   }
   
-  // Delete user (soft delete by setting isActive to false)
-  static async delete(id) {
+  // Get user with order and cart statistics
+  static async findWithStats(id) {
+    const user = await this.findById(id);
+    
+    if (!user) {
+      return null;
+    }
+    
+    // Get order count, total spent and last order date
+    const orderStats = await db
+      .select({
+        orderCount: count(orders.id),
+        totalSpent: sql`COALESCE(SUM(${orders.totalAmount}), 0)`,
+        lastOrderAt: sql`MAX(${orders.createdAt})`,
+      })
+      .from(orders)
+      .where(eq(orders.userId, id));
+    
+    // Get cart items count
+    const cartStats = await db
+      .select({
+        cartItemCount: count(cartItems.id),
+      })
+      .from(cartItems)
+      .where(eq(cartItems.userId, id));
+    
+    return {
+      ...user,
+      stats: {
+        orderCount: Number(orderStats[0]?.orderCount || 0),
+        totalSpent: Number(orderStats[0]?.totalSpent || 0),
+        lastOrderAt: orderStats[0]?.lastOrderAt || null,
+        cartItemCount: Number(cartStats[0]?.cartItemCount || 0),
+      },
+    };
+  }
+  
+  // Enable or disable an account
+  static async setActive(id, isActive) {
+    const result = await db
+      .update(users)
+      .set({
+        isActive,
+        updatedAt: new Date(),
+      })
+      .where(and(
+        eq(users.id, id),
+        isNull(users.deletedAt)
+      ))
+      .returning({
+        id: users.id,
+        email: users.email,
+        isActive: users.isActive,
+      });
+    
+    return result[0] || null;
+  }
+  
+  // Delete user (soft delete: disabled and marked as deleted, data is kept)
+  static async delete(id, deletedBy = null) {
     const result = await db
       .update(users)
       .set({
         isActive: false,
+        deletedAt: new Date(),
+        deletedBy,
         updatedAt: new Date(),
       })
-      .where(eq(users.id, id))
+      .where(and(
+        eq(users.id, id),
+        isNull(users.deletedAt)
+      ))
       .returning({
         id: users.id,
         email: users.email,
         isActive: users.isActive,
+        deletedAt: users.deletedAt,
       });
     
     return result[0] || null;
   }
   
+  // Get all personal data stored on the profile (data export)
+  static async findForExport(id) {
+    const result = await db
+      .select({
+        id: users.id,
+        email: users.email,
+        fullName: users.fullName,
+        phone: users.phone,
+        address: users.address,
+        avatarUrl: users.avatarUrl,
+        role: users.role,
+        isEmailVerified: users.isEmailVerified,
+        lastLoginAt: users.lastLoginAt,
+        deletionScheduledAt: users.deletionScheduledAt,
+        createdAt: users.createdAt,
+        updatedAt: users.updatedAt,
+      })
+      .from(users)
+      .where(eq(users.id, id))
+      .limit(1);
+    
+    return result[0] || null;
+  }
+  
+  // Schedule the account for deletion at scheduledAt (cooling-off period)
+  static async scheduleDeletion(id, scheduledAt) {
+    const result = await db
+      .update(users)
+      .set({
+        deletionRequestedAt: new Date(),
+        deletionScheduledAt: scheduledAt,
+        updatedAt: new Date(),
+      })
+      .where(and(
+        eq(users.id, id),
+        isNull(users.anonymizedAt)
+      ))
+      .returning({
+        id: users.id,
+        deletionRequestedAt: users.deletionRequestedAt,
+        deletionScheduledAt: users.deletionScheduledAt,
+      });
+    
+    return result[0] || null;
+  }
+  
+  // Withdraw a deletion request that has not been carried out yet
+  static async cancelDeletion(id) {
+    const result = await db
+      .update(users)
+      .set({
+        deletionRequestedAt: null,
+        deletionScheduledAt: null,
+        updatedAt: new Date(),
+      })
+      .where(and(
+        eq(users.id, id),
+        isNull(users.anonymizedAt)
+      ))
+      .returning({
+        id: users.id,
+      });
+    
+    return result[0] || null;
+  }
+  
+  // Get accounts whose cooling-off period is over
+  static async findDueForDeletion(now = new Date(), limit = 100) {
+    return await db
+      .select({
+        id: users.id,
+        email: users.email,
+        deletionScheduledAt: users.deletionScheduledAt,
+      })
+      .from(users)
+      .where(and(
+        lte(users.deletionScheduledAt, now),
+        isNull(users.anonymizedAt)
+      ))
+      .orderBy(asc(users.deletionScheduledAt))
+      .limit(limit);
+  }
+  
+  // Erase the personal data of an account. The profile row stays because orders
+  // reference it (ON DELETE RESTRICT); orders keep their amounts and items, but
+  // their addresses are reduced to the country and notes are removed.
+  static async anonymize(id) {
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+    const anonymizedAddress = (column) => sql`CASE WHEN ${column} IS NULL THEN NULL
+      ELSE jsonb_build_object('country', ${column} -> 'country', 'anonymized', true) END`;
+    
+    return await db.transaction(async (tx) => {
+      // Magic links are stored by email address, so remove them before it is erased
+      await tx
+        .delete(magicLinkTokens)
+        .where(eq(magicLinkTokens.email, sql`(SELECT ${users.email} FROM ${users} WHERE ${users.id} = ${id})`));
+      
+      const result = await tx
+        .update(users)
+        .set({
+          email: `deleted-${id}@deleted.invalid`,
+          fullName: null,
+          phone: null,
+          address: null,
+          avatarUrl: null,
+          password: unusablePassword,
+          isActive: false,
+          isEmailVerified: false,
+          deletedAt: sql`COALESCE(${users.deletedAt}, NOW())`,
+          deletedBy: sql`COALESCE(${users.deletedBy}, ${id})`,
+          anonymizedAt: new Date(),
+          updatedAt: new Date(),
+        })
+        .where(and(
+          eq(users.id, id),
+          isNull(users.anonymizedAt)
+        ))
+        .returning({
+          id: users.id,
+          anonymizedAt: users.anonymizedAt,
+        });
+      
+      if (result.length === 0) {
+        return null;
+      }
+      
+      await tx
+        .update(orders)
+        .set({
+          shippingAddress: anonymizedAddress(orders.shippingAddress),
+          billingAddress: anonymizedAddress(orders.billingAddress),
+          notes: null,
+          updatedAt: new Date(),
+        })
+        .where(eq(orders.userId, id));
+      
+      // Security events are kept for the audit log, without the IP addresses
+      // and user agents (the append-only trigger allows this within the
+      // transaction that sets app.anonymize_user_id)
+      await tx.execute(sql`SELECT set_config('app.anonymize_user_id', ${id}, true)`);
+      await tx
+        .update(securityEvents)
+        .set({
+          ipAddress: null,
+          userAgent: null,
+        })
+        .where(or(
+          eq(securityEvents.userId, id),
+          eq(securityEvents.actorId, id)
+        ));
+      
+      for (const table of [
+        cartItems,
+        sessions,
+        refreshTokens,
+        authTokens,
+        userIdentities,
+        twoFactorRecoveryCodes,
+        twoFactorCredentials,
+        userRoles,
+        passwordHistory,
+      ]) {
+        await tx.delete(table).where(eq(table.userId, id));
+      }
+      
+      return result[0];
+    });
+  }
+  
   // Hard delete user
   static async hardDelete(id) {
     const result = await db
@@ -234,6 +496,16 @@ class UserModel {
     return bcrypt.compare(plainPassword, hashedPassword);
   }
   
+  // Spend the same time as verifyPassword for an account that does not exist
+  static async verifyDummyPassword(plainPassword) {
+    if (!dummyPasswordHash) {
+      dummyPasswordHash = await bcrypt.hash('dummy-password-for-timing', 12);
+    }
+    
+    await bcrypt.compare(String(plainPassword), dummyPasswordHash);
+    return false;
+  }
+  
   // Update last login time
   static async updateLastLogin(id) {
     const result = await db
@@ -277,6 +549,7 @@ class UserModel {
       .update(users)
       .set({
         password: hashedPassword,
+        passwordChangedAt: new Date(),
         updatedAt: new Date(),
       })
       .where(eq(users.id, id))
@@ -288,6 +561,17 @@ class UserModel {
     return result[0] || null;
   }
   
+  // Get the current password hash (password history)
+  static async findPasswordHash(id) {
+    const result = await db
+      .select({ password: users.password })
+      .from(users)
+      .where(eq(users.id, id))
+      .limit(1);
+    
+    return result[0]?.password || null;
+  }
+  
   // Get user count by role
   static async countByRole(role) {
     const result = await db
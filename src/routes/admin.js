@@ -0,0 +1,341 @@
+const express = require('express');
+const sessionsController = require('../controllers/sessions');
+const adminUsersController = require('../controllers/adminUsers');
+const apiKeysController = require('../controllers/apiKeys');
+const rolesController = require('../controllers/roles');
+const { authenticate, requirePermission, forbidImpersonation } = require('../middleware/auth');
+const { sessionValidation, adminUserValidation, securityEventValidation, apiKeyValidation, roleValidation } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+// All admin routes require an authenticated user; each route checks its permission
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List and search users
+ * @access  Private (users.read permission)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 20, max: 100)
+ * @query   {string} search - Search in email and name
+ * @query   {string} role - Filter by role (customer, admin)
+ * @query   {string} status - active, disabled or all (default: all)
+ * @query   {boolean} includeDeleted - Include deleted accounts (default: false)
+ * @query   {string} sortBy - createdAt, email, fullName or lastLoginAt (default: createdAt)
+ * @query   {string} sortOrder - asc or desc (default: desc)
+ */
+router.get('/users', 
+  requirePermission(PERMISSIONS.USERS_READ), 
+  adminUserValidation.list, 
+  adminUsersController.getUsers
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId
+ * @desc    Get a user with order statistics
+ * @access  Private (users.read permission)
+ * @param   {string} userId - User UUID
+ */
+router.get('/users/:userId', 
+  requirePermission(PERMISSIONS.USERS_READ), 
+  adminUserValidation.userId, 
+  adminUsersController.getUser
+);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/status
+ * @desc    Disable or enable an account (disabling signs the user out everywhere)
+ * @access  Private (users.manage permission)
+ * @param   {string} userId - User UUID
+ * @body    {boolean} isActive - false to disable, true to enable
+ * @body    {string} reason - Optional reason, stored in the audit log
+ */
+router.patch('/users/:userId/status', 
+  requirePermission(PERMISSIONS.USERS_MANAGE), 
+  adminUserValidation.status, 
+  adminUsersController.updateStatus
+);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId/role
+ * @desc    Change a user's role
+ * @access  Private (roles.manage permission)
+ * @param   {string} userId - User UUID
+ * @body    {string} role - customer or admin
+ */
+router.patch('/users/:userId/role', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  adminUserValidation.role, 
+  adminUsersController.updateRole
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/password-reset
+ * @desc    Force a password reset (signs the user out and emails a reset link)
+ * @access  Private (users.manage permission)
+ * @param   {string} userId - User UUID
+ */
+router.post('/users/:userId/password-reset', 
+  requirePermission(PERMISSIONS.USERS_MANAGE), 
+  adminUserValidation.userId, 
+  adminUsersController.forcePasswordReset
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId
+ * @desc    Soft delete an account (disabled and hidden, orders are kept)
+ * @access  Private (users.manage permission)
+ * @param   {string} userId - User UUID
+ */
+router.delete('/users/:userId', 
+  requirePermission(PERMISSIONS.USERS_MANAGE), 
+  adminUserValidation.userId, 
+  adminUsersController.deleteUser
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/impersonate
+ * @desc    Get a short-lived token to act as a customer (support). Every request made
+ *          with it is audited; password, 2FA, account and checkout changes are blocked
+ * @access  Private (users.impersonate permission)
+ * @param   {string} userId - User UUID
+ * @body    {string} reason - Why the account is being impersonated (e.g. ticket number)
+ */
+router.post('/users/:userId/impersonate', 
+  forbidImpersonation,
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE), 
+  adminUserValidation.impersonate, 
+  adminUsersController.impersonate
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/sessions
+ * @desc    List a user's sessions
+ * @access  Private (sessions.manage permission)
+ * @param   {string} userId - User UUID
+ * @query   {boolean} includeInactive - Include revoked and expired sessions (default: false)
+ */
+router.get('/users/:userId/sessions', 
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  sessionValidation.userId, 
+  sessionsController.getUserSessions
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId/sessions
+ * @desc    End every session of a user
+ * @access  Private (sessions.manage permission)
+ * @param   {string} userId - User UUID
+ */
+router.delete('/users/:userId/sessions', 
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  sessionValidation.userId, 
+  sessionsController.revokeUserSessions
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/lockout
+ * @desc    Get a user's failed login attempts and lockout status
+ * @access  Private (lockouts.manage permission)
+ * @param   {string} userId - User UUID
+ */
+router.get('/users/:userId/lockout', 
+  requirePermission(PERMISSIONS.LOCKOUTS_MANAGE),
+  sessionValidation.userId, 
+  adminUsersController.getLockout
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId/lockout
+ * @desc    Unlock a user's account and clear failed login attempts
+ * @access  Private (lockouts.manage permission)
+ * @param   {string} userId - User UUID
+ */
+router.delete('/users/:userId/lockout', 
+  requirePermission(PERMISSIONS.LOCKOUTS_MANAGE),
+  sessionValidation.userId, 
+  adminUsersController.unlock
+);
+
+/**
+ * @route   GET /api/v1/admin/security-events
+ * @desc    Search the security audit log (logins, failed logins, password and role changes,
+ *          token refreshes, rejected tokens, admin actions), newest first
+ * @access  Private (security_events.read permission)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 50, max: 100)
+ * @query   {string} userId - Events about this user
+ * @query   {string} actorId - Events triggered by this admin
+ * @query   {string} type - Event type (e.g. login_failed)
+ * @query   {string} outcome - success or failure
+ * @query   {string} ipAddress - Client IP address
+ * @query   {string} from - Events at or after this ISO 8601 date
+ * @query   {string} to - Events at or before this ISO 8601 date
+ */
+router.get('/security-events', 
+  requirePermission(PERMISSIONS.SECURITY_EVENTS_READ),
+  securityEventValidation.list, 
+  adminUsersController.getSecurityEvents
+);
+
+/**
+ * @route   DELETE /api/v1/admin/sessions/:id
+ * @desc    End any session
+ * @access  Private (sessions.manage permission)
+ * @param   {string} id - Session UUID
+ */
+router.delete('/sessions/:id', 
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  sessionValidation.paramId, 
+  sessionsController.revokeAnySession
+);
+
+/**
+ * @route   GET /api/v1/admin/api-keys
+ * @desc    List API keys
+ * @access  Private (api_keys.manage permission)
+ * @query   {boolean} includeRevoked - Include revoked keys (default: false)
+ */
+router.get('/api-keys', 
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE), 
+  apiKeysController.getApiKeys
+);
+
+/**
+ * @route   POST /api/v1/admin/api-keys
+ * @desc    Create an API key (the key is only returned in this response)
+ * @access  Private (api_keys.manage permission)
+ * @body    {string} name - Client name, e.g. "ERP"
+ * @body    {string[]} scopes - Granted scopes, e.g. ["products:write", "orders:read"]
+ * @body    {string} expiresAt - Expiry date (ISO 8601, default: API_KEY_DEFAULT_EXPIRES_IN from now)
+ */
+router.post('/api-keys', 
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  apiKeyValidation.create, 
+  apiKeysController.createApiKey
+);
+
+/**
+ * @route   GET /api/v1/admin/api-keys/:id
+ * @desc    Get an API key (scopes, expiry, last use)
+ * @access  Private (api_keys.manage permission)
+ * @param   {string} id - API key UUID
+ */
+router.get('/api-keys/:id', 
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  apiKeyValidation.paramId, 
+  apiKeysController.getApiKey
+);
+
+/**
+ * @route   DELETE /api/v1/admin/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api_keys.manage permission)
+ * @param   {string} id - API key UUID
+ */
+router.delete('/api-keys/:id', 
+  requirePermission(PERMISSIONS.API_KEYS_MANAGE),
+  apiKeyValidation.paramId, 
+  apiKeysController.revokeApiKey
+);
+
+/**
+ * @route   GET /api/v1/admin/permissions
+ * @desc    List the permissions that roles can grant
+ * @access  Private (roles.manage permission)
+ */
+router.get('/permissions', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  rolesController.getPermissions
+);
+
+/**
+ * @route   GET /api/v1/admin/roles
+ * @desc    List roles with their permissions
+ * @access  Private (roles.manage permission)
+ */
+router.get('/roles', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  rolesController.getRoles
+);
+
+/**
+ * @route   POST /api/v1/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles.manage permission)
+ * @body    {string} name - Role name, e.g. "warehouse"
+ * @body    {string} description - Optional description
+ * @body    {string[]} permissions - Granted permissions, e.g. ["orders.update_status"]
+ */
+router.post('/roles', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  roleValidation.create, 
+  rolesController.createRole
+);
+
+/**
+ * @route   PUT /api/v1/admin/roles/:id
+ * @desc    Update a role's description and/or replace its permissions
+ * @access  Private (roles.manage permission)
+ * @param   {string} id - Role UUID
+ * @body    {string} description - Optional description
+ * @body    {string[]} permissions - Granted permissions
+ */
+router.put('/roles/:id', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  roleValidation.update, 
+  rolesController.updateRole
+);
+
+/**
+ * @route   DELETE /api/v1/admin/roles/:id
+ * @desc    Delete a role (removes it from every user)
+ * @access  Private (roles.manage permission)
+ * @param   {string} id - Role UUID
+ */
+router.delete('/roles/:id', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  roleValidation.paramId, 
+  rolesController.deleteRole
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:userId/roles
+ * @desc    Get a user's roles and effective permissions
+ * @access  Private (roles.manage permission)
+ * @param   {string} userId - User UUID
+ */
+router.get('/users/:userId/roles', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  sessionValidation.userId, 
+  rolesController.getUserRoles
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:userId/roles
+ * @desc    Give a user an additional role
+ * @access  Private (roles.manage permission)
+ * @param   {string} userId - User UUID
+ * @body    {string} roleId - Role UUID
+ */
+router.post('/users/:userId/roles', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  roleValidation.assign, 
+  rolesController.assignRole
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:userId/roles/:roleId
+ * @desc    Take an additional role away from a user
+ * @access  Private (roles.manage permission)
+ * @param   {string} userId - User UUID
+ * @param   {string} roleId - Role UUID
+ */
+router.delete('/users/:userId/roles/:roleId', 
+  requirePermission(PERMISSIONS.ROLES_MANAGE), 
+  roleValidation.unassign, 
+  rolesController.unassignRole
+);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const categoriesController = require('../../controllers/categories');
-const { categoryValidation } = require('../../middleware/validation');
-const { authenticate, requireAdmin, optionalAuth } = require('../../middleware/auth');
+const categoryAttributesController = require('../../controllers/categoryAttributes');
+const { categoryValidation, categoryAttributeValidation } = require('../../middleware/validation');
+const { authenticate, requirePermission, optionalAuth } = require('../../middleware/auth');
+const { PERMISSIONS } = require('../../utils/permissions');
 const router = express.Router();
 
 /**
@@ -48,15 +50,79 @@ router.get('/:id/stats',
   categoriesController.getCategoryStats
 );
 
+/**
+ * @route   GET /api/v1/categories/:id/attributes
+ * @desc    Get the attributes products of the category can have, with labels in the request language
+ * @access  Public
+ * @param   {string} id - Category UUID
+ */
+router.get('/:id/attributes', 
+  categoryAttributeValidation.params, 
+  categoryAttributesController.getAttributes
+);
+
+/**
+ * @route   POST /api/v1/categories/:id/attributes
+ * @desc    Add an attribute to the category
+ * @access  Private (categories.write permission)
+ * @param   {string} id - Category UUID
+ * @body    {string} key - Key of the product values, e.g. screen_size
+ * @body    {string} label - Label in the default language
+ * @body    {string} type - text, number, boolean or enum
+ * @body    {string} unit - Unit of number attributes (optional), e.g. in
+ * @body    {Array} options - Values of enum attributes, as strings or { value, label }
+ * @body    {boolean} isRequired - Whether products of the category must have a value (default: false)
+ * @body    {boolean} isFilterable - Whether product listings offer it as a filter (default: true)
+ * @body    {number} position - Display position (default: last)
+ * @body    {object} translations - e.g. { "de": { "label": "...", "options": { "<value>": "..." } } }
+ */
+router.post('/:id/attributes', 
+  authenticate,
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
+  categoryAttributeValidation.params, 
+  categoryAttributeValidation.create, 
+  categoryAttributesController.createAttribute
+);
+
+/**
+ * @route   PUT /api/v1/categories/:id/attributes/:attributeId
+ * @desc    Update an attribute (its key and type cannot be changed)
+ * @access  Private (categories.write permission)
+ * @param   {string} id - Category UUID
+ * @param   {string} attributeId - Attribute UUID
+ * @body    {object} Attribute data (label, unit, options, isRequired, isFilterable, position, translations)
+ */
+router.put('/:id/attributes/:attributeId', 
+  authenticate,
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
+  categoryAttributeValidation.params, 
+  categoryAttributeValidation.update, 
+  categoryAttributesController.updateAttribute
+);
+
+/**
+ * @route   DELETE /api/v1/categories/:id/attributes/:attributeId
+ * @desc    Delete an attribute and the products' values of it
+ * @access  Private (categories.write permission)
+ * @param   {string} id - Category UUID
+ * @param   {string} attributeId - Attribute UUID
+ */
+router.delete('/:id/attributes/:attributeId', 
+  authenticate,
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
+  categoryAttributeValidation.params, 
+  categoryAttributesController.deleteAttribute
+);
+
 /**
  * @route   POST /api/v1/categories
  * @desc    Create new category
- * @access  Private (Admin only)
+ * @access  Private (categories.write permission)
  * @body    {object} Category data
  */
 router.post('/', 
   authenticate, 
-  requireAdmin, 
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE), 
   categoryValidation.create, 
   categoriesController.createCategory
 );
@@ -64,13 +130,13 @@ router.post('/',
 /**
  * @route   PUT /api/v1/categories/:id
  * @desc    Update category
- * @access  Private (Admin only)
+ * @access  Private (categories.write permission)
  * @param   {string} id - Category UUID
  * @body    {object} Category data
  */
 router.put('/:id', 
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   categoryValidation.paramId, 
   categoryValidation.update, 
   categoriesController.updateCategory
@@ -79,12 +145,12 @@ router.put('/:id',
 /**
  * @route   PATCH /api/v1/categories/:id/status
  * @desc    Toggle category active status
- * @access  Private (Admin only)
+ * @access  Private (categories.write permission)
  * @param   {string} id - Category UUID
  */
 router.patch('/:id/status', 
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   categoryValidation.paramId, 
   categoriesController.toggleCategoryStatus
 );
@@ -92,12 +158,12 @@ router.patch('/:id/status',
 /**
  * @route   DELETE /api/v1/categories/:id
  * @desc    Delete category
- * @access  Private (Admin only)
+ * @access  Private (categories.write permission)
  * @param   {string} id - Category UUID
  */
 router.delete('/:id', 
   authenticate,
-  requireAdmin,
+  requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   categoryValidation.paramId, 
   categoriesController.deleteCategory
 );
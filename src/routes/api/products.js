@@ -1,12 +1,18 @@
 const express = require('express');
 const productsController = require('../../controllers/products');
-const { productValidation } = require('../../middleware/validation');
-const { authenticate, requireAdmin, optionalAuth } = require('../../middleware/auth');
+const productVariantsController = require('../../controllers/productVariants');
+const productImagesController = require('../../controllers/productImages');
+const { productValidation, productVariantValidation, productImageValidation } = require('../../middleware/validation');
+const { uploadImages } = require('../../middleware/upload');
+const { authenticateWithApiKey, requirePermission, optionalAuth } = require('../../middleware/auth');
+const { PERMISSIONS } = require('../../utils/permissions');
+const { SCOPES } = require('../../utils/apiKeys');
 const router = express.Router();
 
 /**
  * @route   GET /api/v1/products
- * @desc    Get all products with pagination and filters
+ * @desc    Get all products with pagination and filters, plus result counts per
+ *          category, price bucket and availability (facets)
  * @access  Public
  * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Items per page (default: 12, max: 100)
@@ -15,6 +21,9 @@ const router = express.Router();
  * @query   {string} sort - Sort order (newest, name_asc, name_desc, price_asc, price_desc)
  * @query   {number} minPrice - Minimum price filter
  * @query   {number} maxPrice - Maximum price filter
+ * @query   {boolean} inStock - Only products in stock (true) or out of stock (false)
+ * @query   {object} attributes - Attribute filters: attributes[material]=cotton,wool (any of the values)
+ *                                or attributes[screen_size][min]=13&attributes[screen_size][max]=15
  * @query   {boolean} isActive - Filter by active status (default: true)
  * @query   {string} fields - Comma-separated fields to include
  */
@@ -22,12 +31,46 @@ router.get('/', optionalAuth, productValidation.query, productsController.getPro
 
 /**
  * @route   GET /api/v1/products/search
- * @desc    Search products by query
+ * @desc    Full-text search in the request language, ranked by relevance, with highlighted snippets
  * @access  Public
- * @query   {string} q - Search query (required)
+ * @headers {string} Accept-Language - Result language (or ?lang=en|de|zh-TW)
+ * @query   {string} q - Search query (required; "phrases", -excluded words and or are supported)
+ * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Number of results (default: 10, max: 50)
+ * @query   {string} category - Category ID filter
+ */
+router.get('/search', productValidation.search, productsController.searchProducts);
+
+/**
+ * @route   GET /api/v1/products/export
+ * @desc    Download all products (active or not) with category names and translations,
+ *          streamed in the import format
+ * @access  Private (products.write permission, or API key with products:write)
+ * @query   {string} format - csv (default) or json
+ */
+router.get('/export',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productValidation.export,
+  productsController.exportProducts
+);
+
+/**
+ * @route   POST /api/v1/products/import
+ * @desc    Create or update products by SKU from a CSV or JSON file. Nothing is imported
+ *          when a row has errors; the report lists them per row.
+ * @access  Private (products.write permission, or API key with products:write)
+ * @headers {string} Content-Type - text/csv or application/json
+ * @query   {boolean} dryRun - Only validate and report what would change (default: false)
+ * @body    {string|object[]} CSV file, or an array of products
  */
-router.get('/search', productsController.searchProducts);
+router.post('/import',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  productValidation.import,
+  productsController.importProducts
+);
 
 /**
  * @route   GET /api/v1/products/category/:categoryId
@@ -39,7 +82,7 @@ router.get('/category/:categoryId', productsController.getProductsByCategory);
 
 /**
  * @route   GET /api/v1/products/:id
- * @desc    Get product by ID
+ * @desc    Get product by ID (with its options and active variants)
  * @access  Public
  * @param   {string} id - Product UUID
  */
@@ -48,12 +91,12 @@ router.get('/:id', productValidation.paramId, productsController.getProduct);
 /**
  * @route   POST /api/v1/products
  * @desc    Create new product
- * @access  Private (Admin only)
+ * @access  Private (products.write permission, or API key with products:write)
  * @body    {object} Product data
  */
 router.post('/', 
-  authenticate, 
-  requireAdmin, 
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE), 
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE), 
   productValidation.create, 
   productsController.createProduct
 );
@@ -61,13 +104,13 @@ router.post('/',
 /**
  * @route   PUT /api/v1/products/:id
  * @desc    Update product
- * @access  Private (Admin only)
+ * @access  Private (products.write permission, or API key with products:write)
  * @param   {string} id - Product UUID
  * @body    {object} Product data
  */
 router.put('/:id', 
-  authenticate,
-  requireAdmin,
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   productValidation.paramId, 
   productValidation.update, 
   productsController.updateProduct
@@ -76,12 +119,12 @@ router.put('/:id',
 /**
  * @route   PATCH /api/v1/products/:id/status
  * @desc    Toggle product active status
- * @access  Private (Admin only)
+ * @access  Private (products.write permission, or API key with products:write)
  * @param   {string} id - Product UUID
  */
 router.patch('/:id/status', 
-  authenticate,
-  requireAdmin,
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   productValidation.paramId, 
   productsController.toggleProductStatus
 );
@@ -89,14 +132,116 @@ router.patch('/:id/status',
 /**
  * @route   DELETE /api/v1/products/:id
  * @desc    Delete product
- * @access  Private (Admin only)
+ * @access  Private (products.write permission, or API key with products:write)
  * @param   {string} id - Product UUID
  */
 router.delete('/:id', 
-  authenticate,
-  requireAdmin,
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
   productValidation.paramId, 
   productsController.deleteProduct
 );
 
+/**
+ * @route   GET /api/v1/products/:id/variants
+ * @desc    Get a product's options and active variants
+ * @access  Public
+ * @param   {string} id - Product UUID
+ */
+router.get('/:id/variants', productVariantValidation.params, productVariantsController.getVariants);
+
+/**
+ * @route   POST /api/v1/products/:id/variants
+ * @desc    Add a variant (options and values the product does not have yet are added)
+ * @access  Private (products.write permission, or API key with products:write)
+ * @param   {string} id - Product UUID
+ * @body    {string} sku - Variant SKU (unique)
+ * @body    {number} price - Variant price (optional, defaults to the product's price)
+ * @body    {number} stockQuantity - Stock of the variant
+ * @body    {boolean} isActive - Whether the variant can be bought (default: true)
+ * @body    {object} options - Option values by option name, e.g. { "Size": "M", "Color": "Blue" }
+ */
+router.post('/:id/variants',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productVariantValidation.params,
+  productVariantValidation.create,
+  productVariantsController.createVariant
+);
+
+/**
+ * @route   PUT /api/v1/products/:id/variants/:variantId
+ * @desc    Update a variant's SKU, price, stock or status (options cannot be changed)
+ * @access  Private (products.write permission, or API key with products:write)
+ * @param   {string} id - Product UUID
+ * @param   {string} variantId - Variant UUID
+ * @body    {object} Variant data (sku, price, stockQuantity, isActive)
+ */
+router.put('/:id/variants/:variantId',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productVariantValidation.params,
+  productVariantValidation.update,
+  productVariantsController.updateVariant
+);
+
+/**
+ * @route   DELETE /api/v1/products/:id/variants/:variantId
+ * @desc    Delete a variant
+ * @access  Private (products.write permission, or API key with products:write)
+ * @param   {string} id - Product UUID
+ * @param   {string} variantId - Variant UUID
+ */
+router.delete('/:id/variants/:variantId',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productVariantValidation.params,
+  productVariantsController.deleteVariant
+);
+
+/**
+ * @route   POST /api/v1/products/:id/images
+ * @desc    Upload images (JPEG, PNG or WebP). Each is stored in several sizes without
+ *          metadata and appended to the product's images.
+ * @access  Private (products.write permission, or API key with products:write)
+ * @param   {string} id - Product UUID
+ * @body    {file[]} images - Image files (multipart/form-data, up to MAX_UPLOAD_FILES of MAX_FILE_SIZE each)
+ */
+router.post('/:id/images',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productImageValidation.params,
+  uploadImages('images'),
+  productImagesController.uploadImages
+);
+
+/**
+ * @route   PUT /api/v1/products/:id/images/order
+ * @desc    Reorder the product's images (the first one becomes its imageUrl)
+ * @access  Private (products.write permission, or API key with products:write)
+ * @param   {string} id - Product UUID
+ * @body    {string[]} images - All image IDs (or URLs of linked images) in the new order
+ */
+router.put('/:id/images/order',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productImageValidation.params,
+  productImageValidation.reorder,
+  productImagesController.reorderImages
+);
+
+/**
+ * @route   DELETE /api/v1/products/:id/images/:imageId
+ * @desc    Delete an uploaded image and its files
+ * @access  Private (products.write permission, or API key with products:write)
+ * @param   {string} id - Product UUID
+ * @param   {string} imageId - Image UUID
+ */
+router.delete('/:id/images/:imageId',
+  authenticateWithApiKey(SCOPES.PRODUCTS_WRITE),
+  requirePermission(PERMISSIONS.PRODUCTS_WRITE),
+  productImageValidation.params,
+  productImagesController.deleteImage
+);
+
 module.exports = router;
\ No newline at end of file
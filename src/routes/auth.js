@@ -1,8 +1,12 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/auth');
-const { authenticate } = require('../middleware/auth');
-const { authValidation } = require('../middleware/validation');
+const sessionsController = require('../controllers/sessions');
+const twoFactorController = require('../controllers/twoFactor');
+const oidcController = require('../controllers/oidc');
+const accountController = require('../controllers/account');
+const { authenticate, forbidImpersonation } = require('../middleware/auth');
+const { authValidation, sessionValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -43,12 +47,62 @@ const passwordResetLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 codes per window
+  message: {
+    success: false,
+    error: 'Too many authentication code attempts',
+    message: 'Please try again after 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 emails per hour per user
+  keyGenerator: (req) => (req.user ? req.user.id : req.ip),
+  message: {
+    success: false,
+    error: 'Too many verification emails requested',
+    message: 'Please try again after 1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 links per window
+  message: {
+    success: false,
+    error: 'Too many sign-in links requested',
+    message: 'Please try again after 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 exports per hour per user
+  keyGenerator: (req) => (req.user ? req.user.id : req.ip),
+  message: {
+    success: false,
+    error: 'Too many data exports requested',
+    message: 'Please try again after 1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * @route   POST /api/v1/auth/register
  * @desc    Register a new user
  * @access  Public
  * @body    {string} email - User's email address
- * @body    {string} password - User's password (min 8 chars, must contain uppercase, lowercase, and number)
+ * @body    {string} password - User's password (see GET /auth/password-policy)
  * @body    {string} [fullName] - User's full name
  * @body    {string} [phone] - User's phone number
  */
@@ -64,6 +118,7 @@ router.post('/register',
  * @access  Public
  * @body    {string} email - User's email address
  * @body    {string} password - User's password
+ * @body    {string} [deviceName] - Name shown in the session list (defaults to browser/OS)
  */
 router.post('/login', 
   loginLimiter,
@@ -71,11 +126,85 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Complete a login that requires two-factor authentication
+ * @access  Public
+ * @body    {string} challengeToken - Challenge token returned by POST /auth/login
+ * @body    {string} code - Code from the authenticator app, or an unused recovery code
+ * @body    {string} [deviceName] - Name shown in the session list (defaults to browser/OS)
+ */
+router.post('/login/2fa', 
+  twoFactorLimiter,
+  authValidation.twoFactorLogin, 
+  authController.verifyTwoFactorLogin
+);
+
+/**
+ * @route   POST /api/v1/auth/magic-link
+ * @desc    Email a single-use sign-in link (same response whether or not the account exists)
+ * @access  Public
+ * @body    {string} email - User's email address
+ */
+router.post('/magic-link', 
+  magicLinkLimiter,
+  authValidation.magicLink, 
+  authController.requestMagicLink
+);
+
+/**
+ * @route   POST /api/v1/auth/magic-link/verify
+ * @desc    Exchange the token from a sign-in link for an access/refresh token pair
+ *          (creates the account for unknown emails when MAGIC_LINK_AUTO_REGISTER is on)
+ * @access  Public
+ * @body    {string} token - Single-use token from the sign-in link
+ */
+router.post('/magic-link/verify', 
+  loginLimiter,
+  authValidation.magicLinkVerify, 
+  authController.verifyMagicLink
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/providers
+ * @desc    List the configured OpenID Connect login providers
+ * @access  Public
+ */
+router.get('/oidc/providers', 
+  oidcController.getProviders
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/:provider/start
+ * @desc    Start an OpenID Connect login (redirects to the provider)
+ * @access  Public
+ * @param   {string} provider - Provider name from OIDC_PROVIDERS
+ * @query   {boolean} redirect - Set to false to get the authorization URL as JSON instead
+ */
+router.get('/oidc/:provider/start', 
+  loginLimiter,
+  authValidation.oidcProvider, 
+  oidcController.start
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/:provider/callback
+ * @desc    Finish an OpenID Connect login (links or creates the account, returns tokens)
+ * @access  Public
+ * @param   {string} provider - Provider name from OIDC_PROVIDERS
+ * @query   {string} code - Authorization code from the provider
+ * @query   {string} state - State from the start request
+ */
+router.get('/oidc/:provider/callback', 
+  authValidation.oidcProvider, 
+  oidcController.callback
+);
+
 /**
  * @route   POST /api/v1/auth/refresh
- * @desc    Refresh access token
+ * @desc    Refresh access token (the refresh token is rotated; reusing an old one revokes the session)
  * @access  Public
- * @body    {string} refreshToken - Valid refresh token
+ * @body    {string} refreshToken - Valid, unused refresh token
  */
 router.post('/refresh', 
   authValidation.refreshToken, 
@@ -107,43 +236,230 @@ router.put('/profile',
   authController.updateProfile
 );
 
+/**
+ * @route   GET /api/v1/auth/me/export
+ * @desc    Download all personal data stored about the current user (profile, addresses, cart, orders, logins)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ * @query   {string} [format=json] - json (single file) or zip (one file per section)
+ */
+router.get('/me/export', 
+  authenticate,
+  forbidImpersonation,
+  dataExportLimiter,
+  authValidation.exportData, 
+  accountController.exportData
+);
+
+/**
+ * @route   DELETE /api/v1/auth/me
+ * @desc    Request deletion of the current account. Takes effect after the cooling-off period
+ *          (personal data is erased, orders are kept anonymized)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ * @body    {string} [password] - Current password (not needed within ACCOUNT_DELETION_REAUTH_MAX_AGE of a login)
+ */
+router.delete('/me', 
+  authenticate,
+  forbidImpersonation,
+  passwordResetLimiter,
+  authValidation.deleteAccount, 
+  accountController.requestDeletion
+);
+
+/**
+ * @route   POST /api/v1/auth/me/deletion/cancel
+ * @desc    Cancel a pending account deletion
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ */
+router.post('/me/deletion/cancel', 
+  authenticate,
+  forbidImpersonation, 
+  accountController.cancelDeletion
+);
+
+/**
+ * @route   GET /api/v1/auth/me/security-activity
+ * @desc    Recent security activity on the current account (logins, failed logins,
+ *          password changes, token refreshes, ...), newest first
+ * @access  Private
+ * @headers {string} Authorization - Bearer token
+ * @query   {number} [limit=20] - Number of events (max: 100)
+ */
+router.get('/me/security-activity', 
+  authenticate,
+  authValidation.securityActivity, 
+  accountController.getSecurityActivity
+);
+
+/**
+ * @route   GET /api/v1/auth/password-policy
+ * @desc    Get the password rules (length, complexity, history, maximum age)
+ * @access  Public
+ */
+router.get('/password-policy', 
+  authController.getPasswordPolicy
+);
+
 /**
  * @route   POST /api/v1/auth/change-password
  * @desc    Change user password
- * @access  Private
+ * @access  Private (not while impersonating)
  * @headers {string} Authorization - Bearer token
  * @body    {string} currentPassword - Current password
- * @body    {string} newPassword - New password (min 8 chars, must contain uppercase, lowercase, and number)
+ * @body    {string} newPassword - New password (see GET /auth/password-policy; recent passwords cannot be reused)
  */
 router.post('/change-password', 
   authenticate,
+  forbidImpersonation,
   passwordResetLimiter,
   authValidation.changePassword, 
   authController.changePassword
 );
 
 /**
- * @route   POST /api/v1/auth/verify-email
- * @desc    Verify user's email address
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Email a password reset link (same response whether or not the account exists)
+ * @access  Public
+ * @body    {string} email - User's email address
+ */
+router.post('/forgot-password', 
+  passwordResetLimiter,
+  authValidation.forgotPassword, 
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Set a new password using the token from the reset email or from a login with an expired password (ends all sessions)
+ * @access  Public
+ * @body    {string} token - Single-use password reset token
+ * @body    {string} newPassword - New password (see GET /auth/password-policy; recent passwords cannot be reused)
+ */
+router.post('/reset-password', 
+  passwordResetLimiter,
+  authValidation.resetPassword, 
+  authController.resetPassword
+);
+
+/**
+ * @route   GET /api/v1/auth/verify-email/:token
+ * @desc    Verify user's email address (link from the verification email)
+ * @access  Public
+ * @param   {string} token - Single-use verification token
+ */
+router.get('/verify-email/:token', 
+  authValidation.verificationToken, 
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @desc    Send a new verification email (invalidates earlier links)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ */
+router.post('/verify-email/resend', 
+  authenticate,
+  forbidImpersonation,
+  verificationEmailLimiter, 
+  authController.resendVerificationEmail
+);
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor authentication status
  * @access  Private
  * @headers {string} Authorization - Bearer token
  */
-router.post('/verify-email', 
+router.get('/2fa', 
   authenticate, 
-  authController.verifyEmail
+  twoFactorController.getStatus
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns the secret and otpauth URI)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ */
+router.post('/2fa/setup', 
+  authenticate,
+  forbidImpersonation, 
+  twoFactorController.setup
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm two-factor enrollment (returns recovery codes once)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ * @body    {string} code - Current code from the authenticator app
+ */
+router.post('/2fa/enable', 
+  authenticate,
+  forbidImpersonation,
+  twoFactorLimiter,
+  authValidation.twoFactorCode, 
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (not allowed for roles that require it)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ * @body    {string} password - Current password
+ * @body    {string} code - Current code or an unused recovery code
+ */
+router.post('/2fa/disable', 
+  authenticate,
+  forbidImpersonation,
+  twoFactorLimiter,
+  authValidation.twoFactorDisable, 
+  twoFactorController.disable
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes (previous codes stop working)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ * @body    {string} code - Current code or an unused recovery code
+ */
+router.post('/2fa/recovery-codes', 
+  authenticate,
+  forbidImpersonation,
+  twoFactorLimiter,
+  authValidation.twoFactorCode, 
+  twoFactorController.regenerateRecoveryCodes
 );
 
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout user (client-side token invalidation)
+ * @desc    Logout user (revokes the access token and the given refresh token)
  * @access  Private
  * @headers {string} Authorization - Bearer token
+ * @body    {string} [refreshToken] - Refresh token to revoke along with the access token
  */
 router.post('/logout', 
   authenticate, 
   authController.logout
 );
 
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Logout from all devices (revokes every access and refresh token of the user)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ */
+router.post('/logout-all', 
+  authenticate,
+  forbidImpersonation, 
+  authController.logoutAll
+);
+
 /**
  * @route   GET /api/v1/auth/validate
  * @desc    Validate access token
@@ -155,4 +471,29 @@ router.get('/validate',
   authController.validateToken
 );
 
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List the current user's active sessions (devices)
+ * @access  Private
+ * @headers {string} Authorization - Bearer token
+ */
+router.get('/sessions', 
+  authenticate, 
+  sessionsController.getSessions
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    End one of the current user's sessions (its tokens stop working immediately)
+ * @access  Private (not while impersonating)
+ * @headers {string} Authorization - Bearer token
+ * @param   {string} id - Session UUID
+ */
+router.delete('/sessions/:id', 
+  authenticate,
+  forbidImpersonation,
+  sessionValidation.paramId, 
+  sessionsController.revokeSession
+);
+
 module.exports = router;
\ No newline at end of file
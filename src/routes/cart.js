@@ -55,6 +55,7 @@ router.get('/validate',
  * @access  Private
  * @headers {string} Authorization - Bearer token
  * @body    {string} productId - Product UUID
+ * @body    {string} variantId - Variant UUID (required for products with variants)
  * @body    {number} quantity - Quantity to add (1-100)
  */
 router.post('/', 
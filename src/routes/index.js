@@ -6,6 +6,7 @@ const productRoutes = require('./api/products');
 const categoryRoutes = require('./api/categories');
 const cartRoutes = require('./cart');
 const orderRoutes = require('./orders');
+const adminRoutes = require('./admin');
 
 const router = express.Router();
 
@@ -21,6 +22,7 @@ router.get('/', (req, res) => {
       categories: '/categories',
       cart: '/cart',
       orders: '/orders',
+      admin: '/admin',
     },
   });
 });
@@ -31,5 +33,6 @@ router.use('/products', productRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/cart', cartRoutes);
 router.use('/orders', orderRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
\ No newline at end of file
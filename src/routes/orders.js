@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { body, query, param } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authenticateWithApiKey, requirePermission, requireEmailVerification, forbidImpersonation } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { SCOPES } = require('../utils/apiKeys');
 const OrdersController = require('../controllers/orders');
 
 // Order status validation
@@ -87,9 +89,12 @@ router.get('/stats',
   OrdersController.getOrderStats
 );
 
-// Create new order from cart
+// Create new order from cart (requires a verified email address; places a
+// payment, so support staff impersonating the customer cannot do it)
 router.post('/',
   authenticate,
+  forbidImpersonation,
+  requireEmailVerification,
   createOrderValidation,
   validate,
   OrdersController.createOrder
@@ -111,7 +116,7 @@ router.get('/number/:orderNumber',
   OrdersController.getOrderByNumber
 );
 
-// Update order (limited fields for users, more for admins)
+// Update order (limited fields for users, more with the orders.update permission)
 router.put('/:id',
   authenticate,
   idValidation,
@@ -136,30 +141,30 @@ router.get('/:id/can-review',
   OrdersController.canReviewOrder
 );
 
-// Admin-only routes
-// Get all orders (admin only)
+// Staff routes (also available to API keys with the orders scopes)
+// Get all orders
 router.get('/admin/all',
-  authenticate,
-  authorize('admin'),
+  authenticateWithApiKey(SCOPES.ORDERS_READ),
+  requirePermission(PERMISSIONS.ORDERS_READ_ALL),
   orderQueryValidation,
   validate,
   OrdersController.getAllOrders
 );
 
-// Update order status (admin only)
+// Update order status
 router.patch('/admin/:id/status',
-  authenticate,
-  authorize('admin'),
+  authenticateWithApiKey(SCOPES.ORDERS_WRITE),
+  requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS),
   idValidation,
   orderStatusValidation,
   validate,
   OrdersController.updateOrderStatus
 );
 
-// Update payment status (admin only)
+// Update payment status
 router.patch('/admin/:id/payment-status',
-  authenticate,
-  authorize('admin'),
+  authenticateWithApiKey(SCOPES.ORDERS_WRITE),
+  requirePermission(PERMISSIONS.ORDERS_UPDATE_PAYMENT_STATUS),
   idValidation,
   paymentStatusValidation,
   validate,
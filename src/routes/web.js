@@ -1,8 +1,21 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { detectLanguage, setLanguageMeta } = require('../middleware/i18n');
+const { loadWebSession, requireWebLogin, verifyCsrf } = require('../middleware/webSession');
 const TranslationModel = require('../models/translations');
 const ProductModel = require('../models/products');
 const CategoryModel = require('../models/categories');
+const ProductVariantModel = require('../models/productVariants');
+const CategoryAttributeModel = require('../models/categoryAttributes');
+const ProductAttributeService = require('../utils/productAttributes');
+const LoginService = require('../utils/login');
+const TokenService = require('../utils/tokenService');
+const SecurityEventService = require('../utils/securityEvents');
+const { setSessionCookies, clearSessionCookies } = require('../utils/sessionCookies');
+const { getRequestContext } = require('../utils/requestContext');
+const config = require('../config');
+
+const { OUTCOMES } = LoginService;
 
 const router = express.Router();
 
@@ -10,6 +23,81 @@ const router = express.Router();
 router.use(detectLanguage);
 router.use(setLanguageMeta);
 
+// Signed-in user, cart badge and CSRF token for every page
+router.use(loadWebSession);
+
+// Same limits as the API login
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // 5 attempts per window
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Where to go after logging in: only paths on this site
+function getSafeRedirect(next, fallback) {
+    return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : fallback;
+}
+
+// Link to the current listing with some query parameters changed (null removes
+// one). Changing a filter starts again at the first page.
+function getFilterUrl(path, query, changes) {
+    const params = new URLSearchParams();
+    const merged = { ...query, page: undefined, ...changes };
+
+    Object.entries(merged).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            params.set(key, value);
+        }
+    });
+
+    const search = params.toString();
+    return search ? `${path}?${search}` : path;
+}
+
+// Attribute filters as flat query parameters for links and forms:
+// { 'attributes[material]': 'cotton,wool', 'attributes[screen_size][min]': 13 }
+function getAttributeParams(attributeFilters) {
+    const params = {};
+
+    Object.entries(attributeFilters).forEach(([key, { values, min, max }]) => {
+        if (values) {
+            params[`attributes[${key}]`] = values.join(',');
+        }
+        if (min !== undefined) {
+            params[`attributes[${key}][min]`] = min;
+        }
+        if (max !== undefined) {
+            params[`attributes[${key}][max]`] = max;
+        }
+    });
+
+    return params;
+}
+
+// Render the login form (or its second step when challengeToken is set)
+function renderLogin(req, res, { status = 200, ...locals } = {}) {
+    res.status(status).render('pages/auth/login', {
+        title: res.__('auth.login'),
+        description: 'Sign in to your account',
+        next: getSafeRedirect(req.body?.next || req.query.next, ''),
+        email: '',
+        challengeToken: null,
+        error: null,
+        ...locals,
+        breadcrumbs: [
+            { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
+            { title: res.__('auth.login'), url: res.locals.getLocalizedUrl('/auth/login') }
+        ]
+    });
+}
+
+// Start the cookie session and continue to where the user wanted to go
+function completeLogin(req, res, tokens) {
+    setSessionCookies(res, tokens);
+    res.redirect(getSafeRedirect(req.body.next, res.locals.getLocalizedUrl('/')));
+}
+
 // Helper function to get translated products
 async function getTranslatedProducts(products, language) {
     return Promise.all(products.map(async (product) => {
@@ -77,9 +165,17 @@ router.get(['/:lang(en|zh-TW|de)/products', '/products'], async (req, res) => {
             category: categoryId,
             sort = 'newest',
             minPrice,
-            maxPrice
+            maxPrice,
+            inStock
         } = req.query;
         
+        let attributeFilters = {};
+        try {
+            attributeFilters = ProductAttributeService.parseFilters(req.query.attributes);
+        } catch (error) {
+            // Invalid attribute filters (e.g. from an edited link) are left out
+        }
+        
         // Parse sort parameter
         let sortBy = 'createdAt';
         let sortOrder = 'desc';
@@ -116,9 +212,13 @@ router.get(['/:lang(en|zh-TW|de)/products', '/products'], async (req, res) => {
             categoryId,
             minPrice: minPrice ? parseFloat(minPrice) : undefined,
             maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+            inStock: inStock === undefined ? undefined : inStock === 'true',
+            attributes: attributeFilters,
             sortBy,
             sortOrder,
-            isActive: true
+            isActive: true,
+            language,
+            withFacets: true
         });
         
         // Translate products
@@ -126,7 +226,26 @@ router.get(['/:lang(en|zh-TW|de)/products', '/products'], async (req, res) => {
         
         // Get all categories for filter
         const categoriesResult = await CategoryModel.findMany({ isActive: true });
-        const categories = await getTranslatedCategories(categoriesResult.data, language);
+        const translatedCategories = await getTranslatedCategories(categoriesResult.data, language);
+        
+        // Result counts for the sidebar, with each category's count under the other filters
+        const { facets } = productsResult;
+        const categoryCounts = new Map(facets.categories.map(category => [category.id, category.count]));
+        const categories = translatedCategories.map(category => ({
+            ...category,
+            productCount: categoryCounts.get(category.id) || 0
+        }));
+        
+        const productsUrl = res.locals.getLocalizedUrl('/products');
+        
+        // Attributes belong to a category, so choosing another category drops their filters
+        const attributeParams = getAttributeParams(attributeFilters);
+        const filterQuery = { ...req.query, attributes: undefined, ...attributeParams };
+        const filterUrl = (changes) => getFilterUrl(
+            productsUrl,
+            'category' in changes ? { ...req.query, attributes: undefined } : filterQuery,
+            changes
+        );
         
         res.render('pages/products', {
             title: res.__('products.title'),
@@ -138,6 +257,10 @@ router.get(['/:lang(en|zh-TW|de)/products', '/products'], async (req, res) => {
             query: search,
             selectedCategory: categoryId,
             currentSort: sort,
+            facets: facets,
+            filters: { minPrice, maxPrice, inStock, attributes: attributeFilters },
+            attributeParams: attributeParams,
+            filterUrl: filterUrl,
             breadcrumbs: [
                 { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
                 { title: res.__('navigation.products'), url: res.locals.getLocalizedUrl('/products') }
@@ -176,6 +299,18 @@ router.get(['/:lang(en|zh-TW|de)/products/:id', '/products/:id'], async (req, re
             category = await TranslationModel.getCategoryWithTranslation(product.categoryId, language);
         }
         
+        // Attribute values with their labels in the page language
+        const specifications = product.categoryId
+            ? ProductAttributeService.getSpecifications(
+                await CategoryAttributeModel.findByCategory(product.categoryId, { language }),
+                product.attributes
+            )
+            : [];
+        
+        // Options to choose a variant from (both empty for products without variants)
+        const options = await ProductVariantModel.getOptions(productId);
+        const variants = await ProductVariantModel.findByProduct(productId, { isActive: true });
+        
         // Get related products from the same category
         let relatedProducts = [];
         if (product.categoryId) {
@@ -193,6 +328,9 @@ router.get(['/:lang(en|zh-TW|de)/products/:id', '/products/:id'], async (req, re
             title: product.name,
             description: product.description,
             product: { ...product, category },
+            specifications: specifications,
+            options: options,
+            variants: variants,
             relatedProducts: relatedProducts,
             breadcrumbs: [
                 { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
@@ -336,7 +474,7 @@ router.get(['/:lang(en|zh-TW|de)/cart', '/cart'], async (req, res) => {
 });
 
 // Checkout page
-router.get(['/:lang(en|zh-TW|de)/checkout', '/checkout'], async (req, res) => {
+router.get(['/:lang(en|zh-TW|de)/checkout', '/checkout'], requireWebLogin, async (req, res) => {
     try {
         res.render('pages/checkout', {
             title: res.__('checkout.title'),
@@ -358,7 +496,7 @@ router.get(['/:lang(en|zh-TW|de)/checkout', '/checkout'], async (req, res) => {
 });
 
 // Orders page
-router.get(['/:lang(en|zh-TW|de)/orders', '/orders'], async (req, res) => {
+router.get(['/:lang(en|zh-TW|de)/orders', '/orders'], requireWebLogin, async (req, res) => {
     try {
         res.render('pages/orders', {
             title: res.__('orders.title'),
@@ -381,14 +519,11 @@ router.get(['/:lang(en|zh-TW|de)/orders', '/orders'], async (req, res) => {
 // Authentication pages
 router.get(['/:lang(en|zh-TW|de)/auth/login', '/auth/login'], async (req, res) => {
     try {
-        res.render('pages/auth/login', {
-            title: res.__('auth.login'),
-            description: 'Sign in to your account',
-            breadcrumbs: [
-                { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
-                { title: res.__('auth.login'), url: res.locals.getLocalizedUrl('/auth/login') }
-            ]
-        });
+        if (req.user) {
+            return res.redirect(getSafeRedirect(req.query.next, res.locals.getLocalizedUrl('/')));
+        }
+        
+        renderLogin(req, res);
     } catch (error) {
         console.error('Login page error:', error);
         res.status(500).render('pages/error', {
@@ -399,6 +534,161 @@ router.get(['/:lang(en|zh-TW|de)/auth/login', '/auth/login'], async (req, res) =
     }
 });
 
+// Login form: starts a cookie session from the same token pair the API issues
+router.post(['/:lang(en|zh-TW|de)/auth/login', '/auth/login'], loginLimiter, verifyCsrf, async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        
+        const result = await LoginService.withPassword(email, String(req.body.password || ''), {
+            context: getRequestContext(req)
+        });
+        
+        switch (result.outcome) {
+            case OUTCOMES.SUCCESS:
+                return completeLogin(req, res, result.tokens);
+            
+            case OUTCOMES.TWO_FACTOR_REQUIRED:
+                return renderLogin(req, res, { email, challengeToken: result.challengeToken });
+            
+            // Expired passwords have to be replaced on the reset page first
+            case OUTCOMES.PASSWORD_EXPIRED: {
+                const resetUrl = config.passwordResetUrl || res.locals.getLocalizedUrl('/auth/reset-password');
+                return res.redirect(`${resetUrl}?token=${encodeURIComponent(result.passwordResetToken)}&expired=1`);
+            }
+            
+            case OUTCOMES.ACCOUNT_DISABLED:
+                return renderLogin(req, res, { status: 401, email, error: res.__('auth.account_disabled') });
+            
+            default:
+                return renderLogin(req, res, { status: 401, email, error: res.__('auth.invalid_credentials') });
+        }
+    } catch (error) {
+        console.error('Login form error:', error);
+        res.status(500).render('pages/error', {
+            title: res.__('errors.500'),
+            message: res.__('errors.500'),
+            error: error
+        });
+    }
+});
+
+// Second login step for accounts with two-factor authentication
+router.post(['/:lang(en|zh-TW|de)/auth/login/2fa', '/auth/login/2fa'], loginLimiter, verifyCsrf, async (req, res) => {
+    try {
+        const { challengeToken } = req.body;
+        
+        const result = await LoginService.withTwoFactor(String(challengeToken || ''), String(req.body.code || '').trim(), {
+            context: getRequestContext(req)
+        });
+        
+        if (result.outcome === OUTCOMES.SUCCESS) {
+            return completeLogin(req, res, result.tokens);
+        }
+        
+        if (result.outcome === OUTCOMES.INVALID_CODE) {
+            return renderLogin(req, res, { status: 401, challengeToken, error: res.__('auth.invalid_code') });
+        }
+        
+        renderLogin(req, res, { status: 401, error: res.__('auth.login_expired') });
+    } catch (error) {
+        // Invalid or expired challenge: start over
+        if (error.isOperational) {
+            return renderLogin(req, res, { status: 401, error: res.__('auth.login_expired') });
+        }
+        
+        console.error('Two-factor form error:', error);
+        res.status(500).render('pages/error', {
+            title: res.__('errors.500'),
+            message: res.__('errors.500'),
+            error: error
+        });
+    }
+});
+
+// Render the page of a magic link (the emailed link opens it with ?token=)
+function renderMagicLink(req, res, { status = 200, ...locals } = {}) {
+    res.status(status).render('pages/auth/magic-link', {
+        title: res.__('auth.magic_link_title'),
+        description: 'Sign in with the link from your email',
+        token: typeof req.query.token === 'string' ? req.query.token : '',
+        linkError: false,
+        ...locals,
+        breadcrumbs: [
+            { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
+            { title: res.__('auth.magic_link_title'), url: res.locals.getLocalizedUrl('/auth/magic-link') }
+        ]
+    });
+}
+
+router.get(['/:lang(en|zh-TW|de)/auth/magic-link', '/auth/magic-link'], async (req, res) => {
+    try {
+        renderMagicLink(req, res);
+    } catch (error) {
+        console.error('Magic link page error:', error);
+        res.status(500).render('pages/error', {
+            title: res.__('errors.500'),
+            message: res.__('errors.500'),
+            error: error
+        });
+    }
+});
+
+// Magic link form: starts a cookie session like the login form
+router.post(['/:lang(en|zh-TW|de)/auth/magic-link', '/auth/magic-link'], loginLimiter, verifyCsrf, async (req, res) => {
+    try {
+        const result = await LoginService.withMagicLink(String(req.body.token || ''), {
+            context: getRequestContext(req)
+        });
+        
+        switch (result.outcome) {
+            case OUTCOMES.SUCCESS:
+                return completeLogin(req, res, result.tokens);
+            
+            case OUTCOMES.TWO_FACTOR_REQUIRED:
+                return renderLogin(req, res, { challengeToken: result.challengeToken });
+            
+            default:
+                return renderLogin(req, res, { status: 401, error: res.__('auth.account_disabled') });
+        }
+    } catch (error) {
+        // Used, replaced or expired link
+        if (error.isOperational) {
+            return renderMagicLink(req, res, { status: 400, linkError: true });
+        }
+        
+        console.error('Magic link form error:', error);
+        res.status(500).render('pages/error', {
+            title: res.__('errors.500'),
+            message: res.__('errors.500'),
+            error: error
+        });
+    }
+});
+
+// Logout: ends the session behind the cookies (a form post, so other sites cannot log users out)
+router.post(['/:lang(en|zh-TW|de)/auth/logout', '/auth/logout'], verifyCsrf, async (req, res) => {
+    try {
+        if (req.user) {
+            await TokenService.revokeAccessToken(req.tokenPayload, 'logout');
+            
+            if (req.sessionId) {
+                await TokenService.endSession(req.sessionId, req.user.id);
+            }
+            
+            await SecurityEventService.record(SecurityEventService.EVENTS.LOGOUT, {
+                userId: req.user.id,
+                context: getRequestContext(req),
+                details: { sessionId: req.sessionId }
+            });
+        }
+    } catch (error) {
+        console.error('Logout form error:', error);
+    }
+    
+    clearSessionCookies(res);
+    res.redirect(res.locals.getLocalizedUrl('/'));
+});
+
 router.get(['/:lang(en|zh-TW|de)/auth/register', '/auth/register'], async (req, res) => {
     try {
         res.render('pages/auth/register', {
@@ -419,6 +709,53 @@ router.get(['/:lang(en|zh-TW|de)/auth/register', '/auth/register'], async (req,
     }
 });
 
+// Forgot password: asks the API to email a reset link
+router.get(['/:lang(en|zh-TW|de)/auth/forgot-password', '/auth/forgot-password'], async (req, res) => {
+    try {
+        res.render('pages/auth/forgot-password', {
+            title: res.__('auth.reset_password'),
+            description: 'Request a password reset link',
+            breadcrumbs: [
+                { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
+                { title: res.__('auth.login'), url: res.locals.getLocalizedUrl('/auth/login') },
+                { title: res.__('auth.reset_password'), url: res.locals.getLocalizedUrl('/auth/forgot-password') }
+            ]
+        });
+    } catch (error) {
+        console.error('Forgot password page error:', error);
+        res.status(500).render('pages/error', {
+            title: res.__('errors.500'),
+            message: res.__('errors.500'),
+            error: error
+        });
+    }
+});
+
+// Reset password: the link in the reset email; the form sends the token and
+// the new password to the API
+router.get(['/:lang(en|zh-TW|de)/auth/reset-password', '/auth/reset-password'], async (req, res) => {
+    try {
+        res.render('pages/auth/reset-password', {
+            title: res.__('auth.reset_password'),
+            description: 'Choose a new password',
+            token: typeof req.query.token === 'string' ? req.query.token : '',
+            // Sent here by the login form because the password is too old
+            passwordExpired: req.query.expired === '1',
+            breadcrumbs: [
+                { title: res.__('navigation.home'), url: res.locals.getLocalizedUrl('/') },
+                { title: res.__('auth.reset_password'), url: res.locals.getLocalizedUrl('/auth/reset-password') }
+            ]
+        });
+    } catch (error) {
+        console.error('Reset password page error:', error);
+        res.status(500).render('pages/error', {
+            title: res.__('errors.500'),
+            message: res.__('errors.500'),
+            error: error
+        });
+    }
+});
+
 // Error page
 router.get('/error', (req, res) => {
     res.render('pages/error', {
@@ -0,0 +1,123 @@
+const ms = require('ms');
+const UserModel = require('../models/users');
+const OrderModel = require('../models/orders');
+const TokenService = require('./tokenService');
+const SecurityEventService = require('./securityEvents');
+const { sendAccountDeletionScheduledEmail } = require('./accountEmails');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const { EVENTS } = SecurityEventService;
+
+class AccountDeletionService {
+  // When a deletion requested now takes effect
+  static getScheduledDate(from = new Date()) {
+    return new Date(from.getTime() + ms(config.accountDeletionCoolingOffPeriod));
+  }
+
+  // Whether an access token comes from a login within ACCOUNT_DELETION_REAUTH_MAX_AGE,
+  // which confirms a deletion like the password does (for accounts that have
+  // none, e.g. from magic links, OIDC or Supabase)
+  static isRecentLogin(tokenPayload) {
+    const authTime = tokenPayload && tokenPayload.auth_time;
+
+    return Number.isFinite(authTime)
+      && Date.now() - authTime * 1000 <= ms(config.accountDeletionReauthMaxAge);
+  }
+
+  // Schedule the user's account for deletion after the cooling-off period.
+  // The account keeps working until then, so the request can be cancelled.
+  static async request(user, { locale = 'en', context = {} } = {}) {
+    if (user.deletionScheduledAt) {
+      throw new AppError('Account deletion has already been requested', 409);
+    }
+
+    if (user.role === 'admin' && await UserModel.countByRole('admin') <= 1) {
+      throw new AppError('The last active admin cannot be deleted', 409);
+    }
+
+    if (await OrderModel.countOpenForUser(user.id) > 0) {
+      throw new AppError('Accounts with open orders cannot be deleted until the orders are completed or cancelled', 409);
+    }
+
+    const scheduled = await UserModel.scheduleDeletion(user.id, this.getScheduledDate());
+
+    if (!scheduled) {
+      throw new AppError('User not found', 404);
+    }
+
+    await SecurityEventService.record(EVENTS.ACCOUNT_DELETION_REQUESTED, {
+      userId: user.id,
+      actorId: user.id,
+      context,
+      details: { scheduledAt: scheduled.deletionScheduledAt },
+    });
+
+    sendAccountDeletionScheduledEmail(user, scheduled.deletionScheduledAt, locale).catch((error) => {
+      console.error('Account deletion email error:', error);
+    });
+
+    return scheduled;
+  }
+
+  // Withdraw a pending deletion request
+  static async cancel(user, { context = {} } = {}) {
+    if (!user.deletionScheduledAt) {
+      throw new AppError('No account deletion has been requested', 400);
+    }
+
+    await UserModel.cancelDeletion(user.id);
+
+    await SecurityEventService.record(EVENTS.ACCOUNT_DELETION_CANCELLED, {
+      userId: user.id,
+      actorId: user.id,
+      context,
+    });
+  }
+
+  // Carry out a deletion: sign the user out everywhere and erase their personal data
+  static async anonymize(userId) {
+    await TokenService.revokeAllForUser(userId, 'account_deleted');
+
+    const anonymized = await UserModel.anonymize(userId);
+
+    if (anonymized) {
+      await SecurityEventService.record(EVENTS.ACCOUNT_ANONYMIZED, { userId });
+    }
+
+    return anonymized;
+  }
+
+  // Anonymize every account whose cooling-off period is over. Accounts that placed
+  // an order in the meantime are left scheduled and retried once it is completed.
+  static async processDue(now = new Date()) {
+    const due = await UserModel.findDueForDeletion(now);
+    let anonymized = 0;
+
+    for (const user of due) {
+      if (await OrderModel.countOpenForUser(user.id) > 0) {
+        continue;
+      }
+
+      if (await this.anonymize(user.id)) {
+        anonymized++;
+      }
+    }
+
+    return { due: due.length, anonymized };
+  }
+
+  // Process due deletions periodically (does not keep the process alive)
+  static startJob(intervalMs = config.accountDeletionJobIntervalMs) {
+    const timer = setInterval(() => {
+      this.processDue().catch((error) => {
+        console.error('Account deletion job error:', error);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = AccountDeletionService;
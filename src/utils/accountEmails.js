@@ -0,0 +1,79 @@
+const ActionTokenService = require('./actionTokens');
+const { mailer } = require('./mailer');
+const config = require('../config');
+
+const { TOKEN_TYPES } = ActionTokenService;
+
+// Issue a verification token and email the verification link to the user
+const sendVerificationEmail = async (user, locale) => {
+  const token = await ActionTokenService.issue(
+    user.id,
+    TOKEN_TYPES.EMAIL_VERIFICATION,
+    config.emailVerificationExpiresIn
+  );
+  
+  await mailer.sendTemplate('verify_email', {
+    to: user.email,
+    locale,
+    data: {
+      name: user.fullName || user.email,
+      link: `${config.appUrl}${config.apiPrefix}/auth/verify-email/${encodeURIComponent(token)}`,
+      expiresIn: config.emailVerificationExpiresIn
+    }
+  });
+};
+
+// Issue a password reset token and email the reset link to the user
+const sendPasswordResetEmail = async (user, locale) => {
+  const token = await ActionTokenService.issue(
+    user.id,
+    TOKEN_TYPES.PASSWORD_RESET,
+    config.passwordResetExpiresIn
+  );
+  
+  const resetUrl = config.passwordResetUrl || `${config.appUrl}/auth/reset-password`;
+  
+  await mailer.sendTemplate('password_reset', {
+    to: user.email,
+    locale,
+    data: {
+      name: user.fullName || user.email,
+      link: `${resetUrl}?token=${encodeURIComponent(token)}`,
+      expiresIn: config.passwordResetExpiresIn
+    }
+  });
+};
+
+// Email a magic sign-in link ({ email, name } works for addresses without an account yet)
+const sendMagicLinkEmail = async (recipient, token, locale) => {
+  const magicLinkUrl = config.magicLinkUrl || `${config.appUrl}/auth/magic-link`;
+  
+  await mailer.sendTemplate('magic_link', {
+    to: recipient.email,
+    locale,
+    data: {
+      name: recipient.name || recipient.email,
+      link: `${magicLinkUrl}?token=${encodeURIComponent(token)}`,
+      expiresIn: config.magicLinkExpiresIn
+    }
+  });
+};
+
+// Confirm a deletion request and tell the user until when it can be cancelled
+const sendAccountDeletionScheduledEmail = async (user, scheduledAt, locale = 'en') => {
+  await mailer.sendTemplate('account_deletion_scheduled', {
+    to: user.email,
+    locale,
+    data: {
+      name: user.fullName || user.email,
+      date: new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeStyle: 'short' }).format(scheduledAt)
+    }
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendAccountDeletionScheduledEmail,
+};
@@ -0,0 +1,137 @@
+const AccountLockoutModel = require('../models/accountLockouts');
+const SecurityEventService = require('./securityEvents');
+const config = require('../config');
+
+const { EVENTS } = SecurityEventService;
+
+// Recent failed logins by normalised email, for the response delay. Emails are
+// counted whether or not they belong to an account, and locked accounts count
+// like any other, so the delay does not tell them apart. Kept in memory per
+// process: it only slows down attempts, the lockout itself is tracked in the
+// database. Entries expire after LOGIN_FAILURE_WINDOW_MS and at most
+// MAX_TRACKED_EMAILS are kept (the least recently failed go first).
+const recentFailures = new Map();
+const MAX_TRACKED_EMAILS = 10000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+class AccountLockoutService {
+  // Get the account's lockout if it is currently locked, otherwise null
+  static async getActiveLock(userId) {
+    const lockout = await AccountLockoutModel.findByUser(userId);
+
+    if (!lockout || !lockout.lockedUntil || new Date(lockout.lockedUntil) <= new Date()) {
+      return null;
+    }
+
+    return lockout;
+  }
+
+  // Response delay after a failure; doubles with every failed attempt
+  static getFailureDelay(failedAttempts = 1) {
+    return Math.min(
+      config.loginFailureDelayMs * 2 ** Math.max(failedAttempts - 1, 0),
+      config.loginMaxFailureDelayMs
+    );
+  }
+
+  // Count a failed login for an email and return its recent failures
+  static countFailure(email) {
+    const key = normalizeEmail(email);
+    const now = Date.now();
+
+    // The map is ordered by last failure, so expired entries are at the front
+    for (const [trackedEmail, entry] of recentFailures) {
+      if (entry.lastFailedAt > now - config.loginFailureWindowMs) {
+        break;
+      }
+      recentFailures.delete(trackedEmail);
+    }
+
+    const previous = recentFailures.get(key);
+    const failures = previous ? previous.failures + 1 : 1;
+
+    recentFailures.delete(key);
+    recentFailures.set(key, { failures, lastFailedAt: now });
+
+    if (recentFailures.size > MAX_TRACKED_EMAILS) {
+      recentFailures.delete(recentFailures.keys().next().value);
+    }
+
+    return failures;
+  }
+
+  // Number of emails whose failures are currently tracked
+  static getTrackedEmailCount() {
+    return recentFailures.size;
+  }
+
+  // Wait before answering a failed login; the delay grows with the email's recent failures
+  static async delayFailure(email) {
+    const delay = this.getFailureDelay(this.countFailure(email));
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Count a failed attempt and lock the account once the limit is reached.
+  // Each lockout since the last successful login lasts twice as long as the one before.
+  static async registerFailure(userId, context = {}, reason = 'invalid_password') {
+    const windowStart = new Date(Date.now() - config.loginFailureWindowMs);
+    const lockout = await AccountLockoutModel.recordFailure(userId, windowStart);
+
+    await SecurityEventService.recordFailure(EVENTS.LOGIN_FAILED, {
+      userId,
+      context,
+      details: { reason, failedAttempts: lockout.failedAttempts },
+    });
+
+    if (lockout.failedAttempts >= config.loginMaxFailedAttempts) {
+      const duration = Math.min(
+        config.loginLockoutDurationMs * 2 ** lockout.lockCount,
+        config.loginMaxLockoutDurationMs
+      );
+      const lockedUntil = new Date(Date.now() + duration);
+
+      await AccountLockoutModel.lock(userId, lockedUntil);
+      await SecurityEventService.record(EVENTS.ACCOUNT_LOCKED, {
+        userId,
+        context,
+        details: { failedAttempts: lockout.failedAttempts, lockedUntil },
+      });
+    }
+  }
+
+  // Record an attempt on a locked account (does not extend the lock)
+  static async registerBlocked(lockout, context = {}) {
+    await SecurityEventService.recordFailure(EVENTS.LOGIN_BLOCKED, {
+      userId: lockout.userId,
+      context,
+      details: { lockedUntil: lockout.lockedUntil },
+    });
+  }
+
+  // Clear failures after a successful login (the email's delay, and the
+  // account's failed attempts and lockouts)
+  static async registerSuccess(userId, email) {
+    recentFailures.delete(normalizeEmail(email));
+    return await AccountLockoutModel.reset(userId);
+  }
+
+  // Lift a lockout (admin)
+  static async unlock(userId, adminId, context = {}) {
+    const lockout = await AccountLockoutModel.reset(userId);
+
+    await SecurityEventService.record(EVENTS.ACCOUNT_UNLOCKED, {
+      userId,
+      actorId: adminId,
+      context,
+      details: { wasLocked: Boolean(lockout && lockout.lockedUntil && new Date(lockout.lockedUntil) > new Date()) },
+    });
+
+    return lockout;
+  }
+}
+
+module.exports = AccountLockoutService;
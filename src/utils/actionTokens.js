@@ -0,0 +1,55 @@
+const JWTUtils = require('./jwt');
+const AuthTokenModel = require('../models/authTokens');
+const { AppError } = require('../middleware/errorHandler');
+
+// Token types stored in auth_tokens.type
+const TOKEN_TYPES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+};
+
+class ActionTokenService {
+  // Issue a signed, single-use token. Earlier unused tokens of the same
+  // type are invalidated so only the most recent link works.
+  static async issue(userId, type, expiresIn) {
+    await AuthTokenModel.invalidateForUser(userId, type);
+
+    const token = JWTUtils.generateActionToken(type, userId, expiresIn);
+
+    await AuthTokenModel.create({
+      userId,
+      type,
+      tokenHash: JWTUtils.hashToken(token),
+      expiresAt: JWTUtils.getTokenExpiration(token),
+    });
+
+    return token;
+  }
+
+  // Verify a token's signature and purpose without using it up (e.g. to check
+  // a request before consuming the token). Returns the user id it was issued for.
+  static verify(token, type) {
+    try {
+      return JWTUtils.verifyActionToken(token, type).userId;
+    } catch (error) {
+      throw new AppError('Invalid or expired token', 400);
+    }
+  }
+
+  // Verify a token's signature and purpose and mark it as used.
+  // Returns the user id the token was issued for.
+  static async consume(token, type) {
+    const userId = this.verify(token, type);
+
+    const stored = await AuthTokenModel.consume(JWTUtils.hashToken(token), type);
+    if (!stored || stored.userId !== userId) {
+      throw new AppError('This link has already been used or is no longer valid', 400);
+    }
+
+    return stored.userId;
+  }
+}
+
+ActionTokenService.TOKEN_TYPES = TOKEN_TYPES;
+
+module.exports = ActionTokenService;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const JWTUtils = require('./jwt');
+const ApiKeyModel = require('../models/apiKeys');
+const SecurityEventService = require('./securityEvents');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Scopes that can be granted to API keys
+const API_KEY_SCOPES = {
+  PRODUCTS_WRITE: 'products:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+};
+
+// Keys look like "ek_3f9ac2e1b07d_<43 random characters>". The first part is the
+// prefix, which is stored in plain text to recognise a key in lists and logs.
+const KEY_PATTERN = /^(ek_[0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+const generateKey = () => {
+  const prefix = `ek_${crypto.randomBytes(6).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return { prefix, key: `${prefix}_${secret}` };
+};
+
+class ApiKeyService {
+  // Expiry for a new key: the requested date, or the default lifetime
+  static resolveExpiry(expiresAt) {
+    const now = Date.now();
+
+    if (!expiresAt) {
+      return new Date(now + ms(config.apiKeyDefaultExpiresIn));
+    }
+
+    const date = new Date(expiresAt);
+
+    if (date.getTime() <= now) {
+      throw new AppError('Expiry date must be in the future', 400);
+    }
+
+    if (date.getTime() > now + ms(config.apiKeyMaxExpiresIn)) {
+      throw new AppError(`API keys can be valid for at most ${config.apiKeyMaxExpiresIn}`, 400);
+    }
+
+    return date;
+  }
+
+  // Create a key. The plain key is only returned here and cannot be shown again.
+  static async create({ name, scopes, expiresAt, createdBy, context }) {
+    const { prefix, key } = generateKey();
+
+    const apiKey = await ApiKeyModel.create({
+      name,
+      prefix,
+      keyHash: JWTUtils.hashToken(key),
+      scopes: [...new Set(scopes)],
+      createdBy,
+      expiresAt: this.resolveExpiry(expiresAt),
+    });
+
+    await SecurityEventService.record(SecurityEventService.EVENTS.API_KEY_CREATED, {
+      actorId: createdBy,
+      context,
+      details: { apiKeyId: apiKey.id, name, prefix, scopes: apiKey.scopes },
+    });
+
+    return { apiKey: this.toPublic(apiKey), key };
+  }
+
+  // Look up the key presented by a client. Returns the key record, or null when
+  // the key is unknown, revoked or expired. Records the use on success.
+  static async authenticate(key, { ipAddress } = {}) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      return null;
+    }
+
+    const apiKey = await ApiKeyModel.findByHash(JWTUtils.hashToken(key));
+
+    if (!ApiKeyModel.isActive(apiKey)) {
+      return null;
+    }
+
+    await ApiKeyModel.touch(apiKey.id, { ipAddress });
+
+    return apiKey;
+  }
+
+  // Whether a key was granted every one of the scopes
+  static hasScopes(apiKey, scopes) {
+    const granted = Array.isArray(apiKey.scopes) ? apiKey.scopes : [];
+    return scopes.every(scope => granted.includes(scope));
+  }
+
+  // Revoke a key. Returns the revoked key, or null if it was not active.
+  static async revoke(id, adminId, context) {
+    const apiKey = await ApiKeyModel.revoke(id, adminId);
+
+    if (apiKey) {
+      await SecurityEventService.record(SecurityEventService.EVENTS.API_KEY_REVOKED, {
+        actorId: adminId,
+        context,
+        details: { apiKeyId: apiKey.id, name: apiKey.name, prefix: apiKey.prefix },
+      });
+    }
+
+    return apiKey ? this.toPublic(apiKey) : null;
+  }
+
+  // Key record as returned by the API (without the hash)
+  static toPublic(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdBy: apiKey.createdBy,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt,
+      revokedBy: apiKey.revokedBy,
+      createdAt: apiKey.createdAt,
+      isActive: ApiKeyModel.isActive(apiKey),
+    };
+  }
+}
+
+ApiKeyService.SCOPES = API_KEY_SCOPES;
+ApiKeyService.KEY_PATTERN = KEY_PATTERN;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// CSRF protection for cookie-authenticated requests. Each browser gets a random
+// secret in an httpOnly cookie; pages embed a token derived from it, which forms
+// send back as _csrf and scripts as the X-CSRF-Token header. Another site can
+// make the browser send the cookie, but cannot read the page to get the token.
+
+const createSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Token for a secret (HMAC with the JWT secret, so it cannot be computed from the cookie alone)
+const createToken = (secret) => crypto
+  .createHmac('sha256', config.jwtSecret)
+  .update(`csrf:${secret}`)
+  .digest('base64url');
+
+// Whether a submitted token belongs to the secret (constant time)
+const verifyToken = (secret, token) => {
+  if (typeof secret !== 'string' || !secret || typeof token !== 'string' || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(createToken(secret));
+  const actual = Buffer.from(token);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Requests that can change state and therefore need a token
+const isUnsafeMethod = (method) => !['GET', 'HEAD', 'OPTIONS'].includes(method);
+
+module.exports = {
+  createSecret,
+  createToken,
+  verifyToken,
+  isUnsafeMethod,
+};
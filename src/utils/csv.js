@@ -0,0 +1,92 @@
+// CSV reading and writing (RFC 4180): comma separated fields, "quoted" fields
+// that may contain commas, line breaks and "" for a quote, CRLF or LF line ends.
+
+// Byte order mark, so that spreadsheet programs read the file as UTF-8
+const BOM = '\uFEFF';
+
+// Text starting with one of these is run as a formula by spreadsheet programs
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Parse CSV text into records (arrays of fields). Blank lines are returned as
+// [''], so that record numbers match the rows of a spreadsheet.
+const parse = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.startsWith(BOM) ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+// Format one field: quoted when needed, and text that a spreadsheet would run
+// as a formula gets a leading ' (see unprotectFormula)
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// Format a record as a CSV line (with CRLF)
+const formatRecord = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+// Undo the formula protection of formatField
+const unprotectFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+module.exports = {
+  BOM,
+  parse,
+  formatField,
+  formatRecord,
+  unprotectFormula,
+};
@@ -0,0 +1,126 @@
+const UserModel = require('../models/users');
+const CartModel = require('../models/cart');
+const OrderModel = require('../models/orders');
+const SessionModel = require('../models/sessions');
+const UserIdentityModel = require('../models/userIdentities');
+const SecurityEventModel = require('../models/securityEvents');
+const SecurityEventService = require('./securityEvents');
+const { createZip } = require('./zip');
+const { AppError } = require('../middleware/errorHandler');
+
+const { EVENTS } = SecurityEventService;
+
+// Version of the archive layout, bumped when sections change shape
+const EXPORT_VERSION = 1;
+
+const FORMATS = ['json', 'zip'];
+
+class DataExportService {
+  // Collect the personal data we hold about a user, one section per kind of data
+  static async collect(userId) {
+    const profile = await UserModel.findForExport(userId);
+
+    if (!profile) {
+      throw new AppError('User not found', 404);
+    }
+
+    const [cartItems, orders, identities, sessions, securityEvents] = await Promise.all([
+      CartModel.getCartItems(userId),
+      OrderModel.findAllForUser(userId),
+      UserIdentityModel.findByUser(userId),
+      SessionModel.findByUser(userId, { includeInactive: true }),
+      SecurityEventModel.findAllForUser(userId),
+    ]);
+
+    const { address, ...account } = profile;
+
+    return {
+      exportVersion: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: account,
+      addresses: address ? [address] : [],
+      cart: cartItems.map(item => ({
+        productId: item.productId,
+        productName: item.product && item.product.name,
+        sku: item.product && item.product.sku,
+        quantity: item.quantity,
+        addedAt: item.addedAt,
+      })),
+      orders,
+      identities: identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        lastLoginAt: identity.lastLoginAt,
+        createdAt: identity.createdAt,
+      })),
+      sessions: sessions.map(session => ({
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastSeenAt: session.lastSeenAt,
+        revokedAt: session.revokedAt,
+        createdAt: session.createdAt,
+      })),
+      securityEvents: securityEvents.map(event => ({
+        type: event.type,
+        outcome: event.outcome,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        details: event.details,
+        createdAt: event.createdAt,
+      })),
+    };
+  }
+
+  // Turn collected data into a downloadable file ({ filename, contentType, body })
+  static render(data, format = 'json') {
+    const date = data.exportedAt.slice(0, 10);
+
+    if (format === 'zip') {
+      const { exportVersion, exportedAt, ...sections } = data;
+      const files = Object.entries(sections).map(([section, content]) => ({
+        name: `${section}.json`,
+        content: JSON.stringify(content, null, 2),
+      }));
+
+      files.unshift({
+        name: 'export.json',
+        content: JSON.stringify({ exportVersion, exportedAt, files: files.map(file => file.name) }, null, 2),
+      });
+
+      return {
+        filename: `account-export-${date}.zip`,
+        contentType: 'application/zip',
+        body: createZip(files),
+      };
+    }
+
+    return {
+      filename: `account-export-${date}.json`,
+      contentType: 'application/json; charset=utf-8',
+      body: JSON.stringify(data, null, 2),
+    };
+  }
+
+  // Build the export for a user and record that it was downloaded
+  static async export(userId, { format = 'json', context = {} } = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new AppError(`Unsupported export format: ${format}`, 400);
+    }
+
+    const file = this.render(await this.collect(userId), format);
+
+    await SecurityEventService.record(EVENTS.DATA_EXPORTED, {
+      userId,
+      actorId: userId,
+      context,
+      details: { format },
+    });
+
+    return file;
+  }
+}
+
+DataExportService.FORMATS = FORMATS;
+
+module.exports = DataExportService;
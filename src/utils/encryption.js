@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// 256-bit key from arbitrary key material (env secrets of any length)
+const deriveKey = (keyMaterial) => crypto.createHash('sha256').update(keyMaterial).digest();
+
+// Encrypt a string for storage (AES-256-GCM, "iv.tag.ciphertext" in base64)
+const encrypt = (plaintext, keyMaterial) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+// Decrypt a value produced by encrypt (throws if it was tampered with)
+const decrypt = (stored, keyMaterial) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
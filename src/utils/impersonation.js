@@ -0,0 +1,104 @@
+const ms = require('ms');
+const JWTUtils = require('./jwt');
+const UserModel = require('../models/users');
+const RevokedTokenModel = require('../models/revokedTokens');
+const PermissionService = require('./permissions');
+const SecurityEventService = require('./securityEvents');
+const { getRequestContext } = require('./requestContext');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const { EVENTS } = SecurityEventService;
+const { PERMISSIONS } = PermissionService;
+
+class ImpersonationService {
+  // Whether a (decoded) access token was issued for impersonation
+  static isImpersonation(decoded) {
+    return Boolean(decoded && decoded.act && decoded.act.sub);
+  }
+
+  // Issue a short-lived access token that lets an admin act as a customer.
+  // Only plain customers can be impersonated, never staff or other admins.
+  static async start(admin, target, { reason, context = {} } = {}) {
+    if (target.id === admin.id) {
+      throw new AppError('You cannot impersonate yourself', 400);
+    }
+
+    if (!target.isActive || target.deletedAt) {
+      throw new AppError('Disabled or deleted accounts cannot be impersonated', 400);
+    }
+
+    const access = await PermissionService.getUserAccess(target);
+    if (target.role !== 'customer' || access.permissions.size > 0) {
+      throw new AppError('Only customer accounts can be impersonated', 403);
+    }
+
+    const expiresIn = config.impersonationExpiresIn;
+    const accessToken = JWTUtils.generateImpersonationToken({
+      userId: target.id,
+      email: target.email,
+      role: target.role,
+      actorId: admin.id,
+    }, expiresIn);
+
+    await SecurityEventService.record(EVENTS.IMPERSONATION_STARTED, {
+      userId: target.id,
+      actorId: admin.id,
+      context,
+      details: {
+        reason,
+        jti: JWTUtils.decodeToken(accessToken).jti,
+        expiresAt: JWTUtils.getTokenExpiration(accessToken),
+      },
+    });
+
+    return {
+      accessToken,
+      tokenType: 'Bearer',
+      expiresIn: Math.floor(ms(expiresIn) / 1000),
+    };
+  }
+
+  // Whether the admin behind an impersonation token may still use it: the
+  // account must be active, keep the permission and not have logged out everywhere.
+  // Returns the admin, or null.
+  static async verifyActor(decoded) {
+    const actor = await UserModel.findById(decoded.act.sub);
+
+    if (!actor || !actor.isActive) {
+      return null;
+    }
+
+    if (await RevokedTokenModel.isRevoked({ userId: actor.id, iat: decoded.iat })) {
+      return null;
+    }
+
+    const access = await PermissionService.getUserAccess(actor);
+    if (!PermissionService.can(access, PERMISSIONS.USERS_IMPERSONATE)) {
+      return null;
+    }
+
+    return actor;
+  }
+
+  // Record an impersonated request once its response has been sent
+  static recordRequest(req, res) {
+    const context = getRequestContext(req);
+
+    res.on('finish', () => {
+      SecurityEventService.record(EVENTS.IMPERSONATED_REQUEST, {
+        userId: req.user.id,
+        actorId: req.impersonator.id,
+        context,
+        details: {
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          jti: req.tokenPayload.jti,
+        },
+      });
+    });
+  }
+}
+
+module.exports = ImpersonationService;
@@ -1,21 +1,47 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const ms = require('ms');
+const { v4: uuidv4 } = require('uuid');
+const SigningKeyStore = require('./signingKeys');
 const config = require('../config');
 
 class JWTUtils {
-  // Generate access token (short-lived)
-  static generateAccessToken(payload) {
-    return jwt.sign(
-      payload,
-      config.jwtSecret,
-      {
-        expiresIn: config.jwtExpiresIn || '15m',
-        issuer: 'ecommerce-demo-api',
-        audience: 'ecommerce-demo-client',
-      }
-    );
+  // Generate access token (short-lived, jti allows individual revocation).
+  // With RS256/ES256 it is signed with the current key pair and carries its kid,
+  // so other services can verify it using /.well-known/jwks.json.
+  static generateAccessToken(payload, { expiresIn = config.jwtExpiresIn || '15m' } = {}) {
+    const options = {
+      expiresIn,
+      issuer: 'ecommerce-demo-api',
+      audience: 'ecommerce-demo-client',
+      jwtid: uuidv4(),
+    };
+    
+    if (!SigningKeyStore.isEnabled()) {
+      return jwt.sign(payload, config.jwtSecret, { ...options, algorithm: 'HS256' });
+    }
+    
+    const key = SigningKeyStore.getSigningKey();
+    return jwt.sign(payload, key.privateKey, {
+      ...options,
+      algorithm: key.algorithm,
+      keyid: key.kid,
+    });
+  }
+  
+  // Lifetime of newly issued access tokens in milliseconds
+  static getAccessTokenTtl() {
+    const expiresIn = config.jwtExpiresIn || '15m';
+    return typeof expiresIn === 'number' ? expiresIn * 1000 : ms(expiresIn);
+  }
+  
+  // Lifetime of newly issued refresh tokens in milliseconds
+  static getRefreshTokenTtl() {
+    const expiresIn = config.jwtRefreshExpiresIn || '7d';
+    return typeof expiresIn === 'number' ? expiresIn * 1000 : ms(expiresIn);
   }
   
-  // Generate refresh token (long-lived)
+  // Generate refresh token (long-lived, unique per issue via jti)
   static generateRefreshToken(payload) {
     return jwt.sign(
       payload,
@@ -24,17 +50,30 @@ class JWTUtils {
         expiresIn: config.jwtRefreshExpiresIn || '7d',
         issuer: 'ecommerce-demo-api',
         audience: 'ecommerce-demo-client',
+        jwtid: uuidv4(),
       }
     );
   }
   
-  // Verify access token
+  // Verify access token (only the configured algorithm is accepted)
   static verifyAccessToken(token) {
     try {
-      return jwt.verify(token, config.jwtSecret, {
+      const options = {
         issuer: 'ecommerce-demo-api',
         audience: 'ecommerce-demo-client',
-      });
+      };
+      
+      if (!SigningKeyStore.isEnabled()) {
+        return jwt.verify(token, config.jwtSecret, { ...options, algorithms: ['HS256'] });
+      }
+      
+      const decoded = jwt.decode(token, { complete: true });
+      const key = decoded && SigningKeyStore.getVerificationKey(decoded.header.kid);
+      if (!key) {
+        throw new Error('unknown signing key');
+      }
+      
+      return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
     } catch (error) {
       throw new Error(`Invalid access token: ${error.message}`);
     }
@@ -46,6 +85,7 @@ class JWTUtils {
       return jwt.verify(token, config.jwtRefreshSecret || config.jwtSecret, {
         issuer: 'ecommerce-demo-api',
         audience: 'ecommerce-demo-client',
+        algorithms: ['HS256'],
       });
     } catch (error) {
       throw new Error(`Invalid refresh token: ${error.message}`);
@@ -60,14 +100,81 @@ class JWTUtils {
       role: payload.role,
     };
     
+    const refreshPayload = { userId: payload.userId };
+    
+    // Sessions double as refresh token families
+    if (payload.sessionId) {
+      tokenPayload.sid = payload.sessionId;
+      refreshPayload.familyId = payload.sessionId;
+    }
+    
+    // Authentication methods (RFC 8176) when the login completed a second factor
+    if (payload.twoFactorVerified) {
+      tokenPayload.amr = ['pwd', 'otp'];
+    }
+    
+    // When the user last logged in (OIDC auth_time); refreshes keep the original time
+    if (payload.authTime) {
+      tokenPayload.auth_time = Math.floor(new Date(payload.authTime).getTime() / 1000);
+    }
+    
     return {
       accessToken: this.generateAccessToken(tokenPayload),
-      refreshToken: this.generateRefreshToken({ userId: payload.userId }),
+      refreshToken: this.generateRefreshToken(refreshPayload),
       expiresIn: config.jwtExpiresIn || '15m',
       tokenType: 'Bearer',
     };
   }
   
+  // Generate an access token for acting as another user. The RFC 8693 "act"
+  // claim names the admin; there is no session or refresh token behind it.
+  static generateImpersonationToken({ userId, email, role, actorId }, expiresIn) {
+    return this.generateAccessToken(
+      { userId, email, role, act: { sub: actorId } },
+      { expiresIn }
+    );
+  }
+  
+  // Generate a purpose-bound action token (email verification, password reset, ...)
+  // A separate audience keeps them from being accepted as access tokens
+  static generateActionToken(purpose, userId, expiresIn) {
+    return jwt.sign(
+      { userId, purpose },
+      config.jwtSecret,
+      {
+        expiresIn,
+        issuer: 'ecommerce-demo-api',
+        audience: 'ecommerce-demo-action',
+        jwtid: uuidv4(),
+      }
+    );
+  }
+  
+  // Verify action token and its purpose
+  static verifyActionToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret, {
+        issuer: 'ecommerce-demo-api',
+        audience: 'ecommerce-demo-action',
+        algorithms: ['HS256'],
+      });
+    } catch (error) {
+      throw new Error(`Invalid token: ${error.message}`);
+    }
+    
+    if (decoded.purpose !== purpose) {
+      throw new Error('Invalid token: wrong purpose');
+    }
+    
+    return decoded;
+  }
+  
+  // Hash a token for storage (refresh tokens are never stored in plain text)
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+  
   // Extract token from Authorization header
   static extractTokenFromHeader(authHeader) {
     if (!authHeader) {
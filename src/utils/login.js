@@ -0,0 +1,193 @@
+const UserModel = require('../models/users');
+const TokenService = require('./tokenService');
+const ActionTokenService = require('./actionTokens');
+const TwoFactorService = require('./twoFactor');
+const MagicLinkService = require('./magicLink');
+const AccountLockoutService = require('./accountLockout');
+const PasswordPolicy = require('./passwordPolicy');
+const SecurityEventService = require('./securityEvents');
+const config = require('../config');
+
+const { TOKEN_TYPES } = ActionTokenService;
+const { EVENTS } = SecurityEventService;
+
+// How a login attempt ended; the API answers with JSON, the storefront with pages
+const OUTCOMES = {
+  SUCCESS: 'success',
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  INVALID_CODE: 'invalid_code',
+  ACCOUNT_DISABLED: 'account_disabled',
+  PASSWORD_EXPIRED: 'password_expired',
+  TWO_FACTOR_REQUIRED: 'two_factor_required',
+};
+
+class LoginService {
+  // Log in with email and password. Unknown emails, wrong passwords and locked
+  // accounts all end as INVALID_CREDENTIALS, after a delay that depends only on
+  // the recent failures for the email.
+  static async withPassword(email, password, { context = {} } = {}) {
+    const user = await UserModel.findByEmail(email, true);
+    if (!user) {
+      await UserModel.verifyDummyPassword(password);
+      await SecurityEventService.recordFailure(EVENTS.LOGIN_FAILED, {
+        context,
+        details: { reason: 'unknown_email', email },
+      });
+      await AccountLockoutService.delayFailure(email);
+      return { outcome: OUTCOMES.INVALID_CREDENTIALS };
+    }
+
+    if (!user.isActive) {
+      await SecurityEventService.recordFailure(EVENTS.LOGIN_FAILED, {
+        userId: user.id,
+        context,
+        details: { reason: 'account_disabled' },
+      });
+      return { outcome: OUTCOMES.ACCOUNT_DISABLED };
+    }
+
+    // Verify password (also on locked accounts, so both take the same time)
+    const lockout = await AccountLockoutService.getActiveLock(user.id);
+    const isPasswordValid = await UserModel.verifyPassword(password, user.password);
+
+    if (lockout || !isPasswordValid) {
+      if (lockout) {
+        await AccountLockoutService.registerBlocked(lockout, context);
+      } else {
+        await AccountLockoutService.registerFailure(user.id, context);
+      }
+
+      await AccountLockoutService.delayFailure(email);
+      return { outcome: OUTCOMES.INVALID_CREDENTIALS };
+    }
+
+    // Expired passwords have to be replaced first, with a password reset token
+    if (PasswordPolicy.isExpired(user)) {
+      const passwordResetToken = await ActionTokenService.issue(
+        user.id,
+        TOKEN_TYPES.PASSWORD_RESET,
+        config.passwordResetExpiresIn
+      );
+
+      return { outcome: OUTCOMES.PASSWORD_EXPIRED, passwordResetToken };
+    }
+
+    // Accounts with two-factor authentication get a challenge instead of tokens
+    if (await TwoFactorService.isEnabled(user.id)) {
+      return {
+        outcome: OUTCOMES.TWO_FACTOR_REQUIRED,
+        challengeToken: TwoFactorService.generateLoginChallenge(user.id),
+      };
+    }
+
+    // Update last login time and clear failed attempts
+    await UserModel.updateLastLogin(user.id);
+    await AccountLockoutService.registerSuccess(user.id, user.email);
+
+    // Generate tokens (starts a new session)
+    const { tokens, sessionId } = await TokenService.issueTokenPair(user, { context });
+
+    await SecurityEventService.record(EVENTS.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      context,
+      details: { method: 'password', sessionId },
+    });
+
+    // Remove password from the result
+    const userWithoutPassword = { ...user };
+    delete userWithoutPassword.password;
+
+    return { outcome: OUTCOMES.SUCCESS, user: userWithoutPassword, tokens };
+  }
+
+  // Log in with the token from a magic link, registering unknown emails if allowed.
+  // Throws an AppError when the link is invalid or has already been used.
+  static async withMagicLink(token, { context = {} } = {}) {
+    const { user, isNewUser } = await MagicLinkService.redeem(token);
+
+    if (!user.isActive) {
+      return { outcome: OUTCOMES.ACCOUNT_DISABLED };
+    }
+
+    // The link replaces the password, not the second factor
+    if (await TwoFactorService.isEnabled(user.id)) {
+      return {
+        outcome: OUTCOMES.TWO_FACTOR_REQUIRED,
+        challengeToken: TwoFactorService.generateLoginChallenge(user.id),
+      };
+    }
+
+    await UserModel.updateLastLogin(user.id);
+
+    const { tokens, sessionId } = await TokenService.issueTokenPair(user, { context });
+
+    if (isNewUser) {
+      await SecurityEventService.record(EVENTS.USER_REGISTERED, {
+        userId: user.id,
+        context,
+        details: { method: 'magic_link' },
+      });
+    }
+
+    await SecurityEventService.record(EVENTS.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      context,
+      details: { method: 'magic_link', sessionId },
+    });
+
+    return { outcome: OUTCOMES.SUCCESS, user, tokens, isNewUser };
+  }
+
+  // Second login step: a TOTP or recovery code for the challenge from withPassword or withMagicLink.
+  // Throws an AppError when the challenge is invalid or has expired.
+  static async withTwoFactor(challengeToken, code, { context = {} } = {}) {
+    const userId = TwoFactorService.verifyLoginChallenge(challengeToken);
+
+    const user = await UserModel.findById(userId);
+    if (!user || !user.isActive) {
+      return { outcome: OUTCOMES.INVALID_CREDENTIALS };
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockout = await AccountLockoutService.getActiveLock(user.id);
+    const method = lockout ? null : await TwoFactorService.verify(user.id, code);
+
+    if (!method) {
+      if (lockout) {
+        await AccountLockoutService.registerBlocked(lockout, context);
+      } else {
+        await AccountLockoutService.registerFailure(user.id, context, 'invalid_two_factor_code');
+      }
+
+      await AccountLockoutService.delayFailure(user.email);
+      return { outcome: OUTCOMES.INVALID_CODE };
+    }
+
+    // Update last login time and clear failed attempts
+    await UserModel.updateLastLogin(user.id);
+    await AccountLockoutService.registerSuccess(user.id, user.email);
+
+    // Generate tokens (starts a new session that passed two-factor authentication)
+    const { tokens, sessionId } = await TokenService.issueTokenPair(user, {
+      context,
+      twoFactorVerified: true
+    });
+
+    await SecurityEventService.record(EVENTS.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      context,
+      details: { method: 'two_factor', twoFactorMethod: method, sessionId },
+    });
+
+    return {
+      outcome: OUTCOMES.SUCCESS,
+      user,
+      tokens,
+      usedRecoveryCode: method === 'recovery_code',
+    };
+  }
+}
+
+LoginService.OUTCOMES = OUTCOMES;
+
+module.exports = LoginService;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const JWTUtils = require('./jwt');
+const UserModel = require('../models/users');
+const MagicLinkTokenModel = require('../models/magicLinkTokens');
+const { sendMagicLinkEmail } = require('./accountEmails');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+class MagicLinkService {
+  // Email a sign-in link to an active account, or to an unknown address when
+  // MAGIC_LINK_AUTO_REGISTER is on. Other addresses are silently skipped, so
+  // callers can answer the same way whether or not an account exists.
+  static async request(email, { locale = 'en' } = {}) {
+    const user = await UserModel.findByEmail(email);
+
+    if (user ? !user.isActive : !config.magicLinkAutoRegister) {
+      return false;
+    }
+
+    const token = await this.issue(email);
+    await sendMagicLinkEmail({ email, name: user && user.fullName }, token, locale);
+
+    return true;
+  }
+
+  // Issue a random single-use token for an email address. Earlier unused
+  // links for the address stop working, so only the most recent one does.
+  static async issue(email) {
+    await MagicLinkTokenModel.invalidateForEmail(email);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await MagicLinkTokenModel.create({
+      email,
+      tokenHash: JWTUtils.hashToken(token),
+      expiresAt: new Date(Date.now() + ms(config.magicLinkExpiresIn)),
+    });
+
+    return token;
+  }
+
+  // Use up a token and return the account it signs in to ({ user, isNewUser }).
+  // Following the link proves the address, so it also counts as email verification.
+  static async redeem(token) {
+    const stored = await MagicLinkTokenModel.consume(JWTUtils.hashToken(String(token)));
+
+    if (!stored) {
+      throw new AppError('This link has already been used or is no longer valid', 400);
+    }
+
+    let user = await UserModel.findByEmail(stored.email);
+    const isNewUser = !user;
+
+    if (!user) {
+      if (!config.magicLinkAutoRegister) {
+        throw new AppError('This link has already been used or is no longer valid', 400);
+      }
+
+      user = await this.register(stored.email);
+    } else if (!user.isEmailVerified && user.isActive) {
+      user = { ...user, ...await UserModel.verifyEmail(user.id) };
+    }
+
+    return { user, isNewUser };
+  }
+
+  // Create a customer account for a verified address
+  static async register(email) {
+    try {
+      return await UserModel.create({
+        email,
+        // Random password: the account can set one later via forgot-password
+        password: crypto.randomBytes(32).toString('base64'),
+        role: 'customer',
+        isActive: true,
+        isEmailVerified: true
+      });
+    } catch (error) {
+      // Created by a concurrent request for the same address
+      const created = await UserModel.findByEmail(email);
+      if (created) {
+        return created;
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = MagicLinkService;
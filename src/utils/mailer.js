@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { i18n } = require('../middleware/i18n');
+const config = require('../config');
+
+// Prints messages to stdout (local development)
+class ConsoleTransport {
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: message.id };
+  }
+}
+
+// Writes each message as a JSON file (local development and tests)
+class FileTransport {
+  constructor({ directory = config.mailFileDir } = {}) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const file = path.join(this.directory, `${Date.now()}-${message.id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+
+    return { id: message.id, file };
+  }
+
+  // Read stored messages, oldest first (optionally only those sent to one address)
+  async list(to) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+
+    const messages = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(async file => JSON.parse(
+          await fs.promises.readFile(path.join(this.directory, file), 'utf8')
+        ))
+    );
+
+    return to ? messages.filter(message => message.to === to) : messages;
+  }
+
+  // Delete stored messages
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+// Transport factories by name (MAIL_TRANSPORT); register more with registerTransport
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: (options) => new FileTransport(options),
+};
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+const createTransport = (name, options = {}) => {
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return factory(options);
+};
+
+class Mailer {
+  constructor({ transport, from = config.mailFrom } = {}) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  // Swap the transport at runtime (e.g. in tests)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(config.mailTransport);
+    }
+
+    return this.transport;
+  }
+
+  // Send a plain message ({ to, subject, text, html })
+  async send({ to, subject, text, html, template, locale }) {
+    const message = {
+      id: uuidv4(),
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      template,
+      locale,
+      sentAt: new Date().toISOString(),
+    };
+
+    return this.getTransport().send(message);
+  }
+
+  // Send a message whose subject and body come from locales/*.json
+  // (emails.<template>.subject / emails.<template>.body)
+  async sendTemplate(template, { to, locale = 'en', data = {} }) {
+    const translate = (key) => i18n.__({ phrase: `emails.${template}.${key}`, locale }, data);
+
+    return this.send({
+      to,
+      subject: translate('subject'),
+      text: translate('body'),
+      template,
+      locale,
+    });
+  }
+}
+
+const mailer = new Mailer();
+
+module.exports = {
+  mailer,
+  Mailer,
+  ConsoleTransport,
+  FileTransport,
+  registerTransport,
+  createTransport,
+};
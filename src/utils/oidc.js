@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// How long discovery documents and key sets are reused before refetching
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// Signature algorithms accepted on ID tokens (never "none" or HMAC)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Random URL-safe value (state, nonce, PKCE code verifier)
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// PKCE S256 code challenge for a code verifier (RFC 7636)
+const createCodeChallenge = (codeVerifier) =>
+  crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+// GET/POST a JSON document, turning provider failures into 502 errors
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+    });
+  } catch (error) {
+    throw new AppError(`Identity provider is unreachable: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const reason = body && (body.error_description || body.error);
+    throw new AppError(`Identity provider request failed (${response.status})${reason ? `: ${reason}` : ''}`, 502);
+  }
+
+  return body;
+};
+
+class OidcClient {
+  constructor(name, {
+    displayName = name,
+    issuer,
+    clientId,
+    clientSecret,
+    scopes = 'openid email profile',
+    redirectUri,
+    authorizationEndpoint,
+    tokenEndpoint,
+    userinfoEndpoint,
+    jwksUri,
+  }) {
+    if (!clientId || (!issuer && !(authorizationEndpoint && tokenEndpoint))) {
+      throw new Error(`OIDC provider "${name}" needs a client id and an issuer (or explicit endpoints)`);
+    }
+
+    this.name = name;
+    this.displayName = displayName;
+    this.issuer = issuer;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes;
+    this.redirectUri = redirectUri
+      || `${config.appUrl}${config.apiPrefix}/auth/oidc/${encodeURIComponent(name)}/callback`;
+    this.overrides = {
+      authorization_endpoint: authorizationEndpoint,
+      token_endpoint: tokenEndpoint,
+      userinfo_endpoint: userinfoEndpoint,
+      jwks_uri: jwksUri,
+    };
+
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.keys = null;
+    this.keysFetchedAt = 0;
+  }
+
+  // Provider metadata from /.well-known/openid-configuration (explicit endpoints win)
+  async getMetadata() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL_MS) {
+      return this.metadata;
+    }
+
+    let discovered = {};
+    if (this.issuer) {
+      discovered = await fetchJson(`${this.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+
+      if (discovered.issuer !== this.issuer) {
+        throw new AppError('Identity provider issuer does not match its discovery document', 502);
+      }
+    }
+
+    const defined = Object.fromEntries(
+      Object.entries(this.overrides).filter(([, value]) => value)
+    );
+
+    this.metadata = { ...discovered, ...defined };
+    this.metadataFetchedAt = Date.now();
+
+    return this.metadata;
+  }
+
+  // Build the authorization URL for a new login. The returned state, nonce
+  // and codeVerifier must be kept server-side until the callback.
+  async createAuthorizationRequest() {
+    const metadata = await this.getMetadata();
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken(48);
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    });
+
+    const separator = metadata.authorization_endpoint.includes('?') ? '&' : '?';
+
+    return {
+      url: `${metadata.authorization_endpoint}${separator}${params.toString()}`,
+      state,
+      nonce,
+      codeVerifier,
+    };
+  }
+
+  // Exchange the authorization code for tokens
+  async exchangeCode(code, codeVerifier) {
+    const metadata = await this.getMetadata();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier,
+    });
+
+    if (this.clientSecret) {
+      params.set('client_secret', this.clientSecret);
+    }
+
+    return await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params.toString(),
+    });
+  }
+
+  // Public key for a key id from the provider's JWKS (refetched once for unknown ids,
+  // so key rotation at the provider is picked up)
+  async getSigningKey(kid) {
+    const metadata = await this.getMetadata();
+
+    if (!metadata.jwks_uri) {
+      throw new AppError('Identity provider does not publish signing keys', 502);
+    }
+
+    const findKey = () => (this.keys || []).find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    let jwk = Date.now() - this.keysFetchedAt < METADATA_TTL_MS ? findKey() : null;
+    if (!jwk) {
+      const jwks = await fetchJson(metadata.jwks_uri);
+      this.keys = jwks.keys || [];
+      this.keysFetchedAt = Date.now();
+      jwk = findKey();
+    }
+
+    if (!jwk) {
+      throw new AppError('ID token is signed with an unknown key', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Validate an ID token: signature (JWKS), issuer, audience, expiry and nonce
+  async verifyIdToken(idToken, nonce) {
+    const metadata = await this.getMetadata();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded || !decoded.header) {
+      throw new AppError('ID token is malformed', 401);
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: this.clientId,
+        clockTolerance: 60,
+      });
+    } catch (error) {
+      throw new AppError(`ID token is invalid: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw new AppError('ID token nonce does not match', 401);
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+      throw new AppError('ID token was issued to another client', 401);
+    }
+
+    return claims;
+  }
+
+  // Claims from the userinfo endpoint
+  async fetchUserinfo(accessToken) {
+    const metadata = await this.getMetadata();
+
+    if (!metadata.userinfo_endpoint) {
+      return {};
+    }
+
+    return await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  }
+
+  // Finish a login: exchange the code and return the verified identity
+  // ({ subject, email, emailVerified, name, claims })
+  async authenticate({ code, codeVerifier, nonce }) {
+    const tokens = await this.exchangeCode(code, codeVerifier);
+
+    let claims = {};
+    if (tokens.id_token) {
+      claims = await this.verifyIdToken(tokens.id_token, nonce);
+    } else if (this.issuer) {
+      // OpenID providers must return an ID token
+      throw new AppError('Identity provider did not return an ID token', 502);
+    }
+
+    // Plain OAuth 2.0 providers (no ID token), or ID tokens without an email
+    if (!claims.email && tokens.access_token) {
+      const userinfo = await this.fetchUserinfo(tokens.access_token);
+      const userinfoSubject = userinfo.sub || (userinfo.id !== undefined ? String(userinfo.id) : undefined);
+
+      if (claims.sub && userinfoSubject && userinfoSubject !== claims.sub) {
+        throw new AppError('Userinfo does not belong to the ID token subject', 401);
+      }
+
+      claims = { ...userinfo, ...claims, sub: claims.sub || userinfoSubject };
+    }
+
+    if (!claims.sub) {
+      throw new AppError('Identity provider did not return a subject', 502);
+    }
+
+    return {
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || claims.login || null,
+      claims,
+    };
+  }
+}
+
+// Clients for the providers in config.oidcProviders, created on first use
+const clients = new Map();
+
+const getProvider = (name) => {
+  if (!clients.has(name)) {
+    const providerConfig = config.oidcProviders[name];
+
+    if (!providerConfig) {
+      throw new AppError(`Unknown login provider: ${name}`, 404);
+    }
+
+    clients.set(name, new OidcClient(name, providerConfig));
+  }
+
+  return clients.get(name);
+};
+
+// Use a custom client for a provider name (tests, providers set up in code)
+const registerProvider = (name, client) => {
+  clients.set(name, client);
+};
+
+// Configured providers for login buttons
+const listProviders = () => Object.entries(config.oidcProviders)
+  .map(([name, providerConfig]) => ({
+    name,
+    displayName: providerConfig.displayName || name,
+  }));
+
+module.exports = {
+  OidcClient,
+  getProvider,
+  registerProvider,
+  listProviders,
+  createCodeChallenge,
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const ms = require('ms');
+const UserModel = require('../models/users');
+const PasswordHistoryModel = require('../models/passwordHistory');
+const config = require('../config');
+
+// bcrypt only looks at the first 72 bytes, longer passwords would be truncated silently
+const MAX_LENGTH = 72;
+
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Digit/symbol substitutions undone before the blocklist lookup ("P@ssw0rd")
+const SUBSTITUTIONS = { '@': 'a', 4: 'a', 8: 'b', 3: 'e', 1: 'i', '!': 'i', 0: 'o', $: 's', 5: 's', 7: 't' };
+
+// Lowercased blocklist entries, loaded on first use
+let blocklist = null;
+
+const loadBlocklist = () => {
+  if (!blocklist) {
+    const file = config.passwordBlocklistFile || DEFAULT_BLOCKLIST_FILE;
+
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return blocklist;
+};
+
+// Variants of a password that are looked up in the blocklist: as typed, with
+// substitutions undone, and without digits and symbols appended at the end
+const getBlocklistCandidates = (password) => {
+  const lowered = password.toLowerCase();
+  const unsubstituted = lowered.replace(/[@483105$7!]/g, char => SUBSTITUTIONS[char]);
+
+  return new Set([lowered, unsubstituted]
+    .flatMap(candidate => [candidate, candidate.replace(/[\d\W_]+$/, '')])
+    .filter(Boolean));
+};
+
+class PasswordPolicy {
+  // The active rules (also published to clients so they can validate as the user types)
+  static getRules() {
+    return {
+      minLength: config.passwordMinLength,
+      maxLength: MAX_LENGTH,
+      requireLowercase: config.passwordRequireLowercase,
+      requireUppercase: config.passwordRequireUppercase,
+      requireDigit: config.passwordRequireDigit,
+      requireSymbol: config.passwordRequireSymbol,
+      rejectCommonPasswords: config.passwordBlocklistEnabled,
+      historySize: config.passwordHistorySize,
+      maxAge: config.passwordMaxAge,
+    };
+  }
+
+  // Whether a password is on the common/breached password list
+  static isCommon(password) {
+    const list = loadBlocklist();
+    return [...getBlocklistCandidates(password)].some(candidate => list.has(candidate));
+  }
+
+  // Check a password against the length, complexity and blocklist rules.
+  // Returns the problems found (empty when the password is acceptable).
+  static validate(password, { label = 'Password' } = {}) {
+    if (typeof password !== 'string' || password.length === 0) {
+      return [`${label} is required`];
+    }
+
+    const problems = [];
+
+    if (password.length < config.passwordMinLength) {
+      problems.push(`${label} must be at least ${config.passwordMinLength} characters long`);
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_LENGTH) {
+      problems.push(`${label} must be at most ${MAX_LENGTH} bytes long`);
+    }
+
+    if (config.passwordRequireLowercase && !/\p{Ll}/u.test(password)) {
+      problems.push(`${label} must contain at least one lowercase letter`);
+    }
+
+    if (config.passwordRequireUppercase && !/\p{Lu}/u.test(password)) {
+      problems.push(`${label} must contain at least one uppercase letter`);
+    }
+
+    if (config.passwordRequireDigit && !/\d/.test(password)) {
+      problems.push(`${label} must contain at least one number`);
+    }
+
+    if (config.passwordRequireSymbol && !/[^\p{L}\p{N}]/u.test(password)) {
+      problems.push(`${label} must contain at least one symbol`);
+    }
+
+    if (config.passwordBlocklistEnabled && this.isCommon(password)) {
+      problems.push(`${label} is too common and easy to guess`);
+    }
+
+    return problems;
+  }
+
+  // Whether the password matches the current one or one of the previous
+  // PASSWORD_HISTORY_SIZE - 1 passwords
+  static async isReused(userId, password) {
+    if (config.passwordHistorySize <= 0) {
+      return false;
+    }
+
+    const currentHash = await UserModel.findPasswordHash(userId);
+    const previous = await PasswordHistoryModel.findRecent(userId, config.passwordHistorySize - 1);
+    const hashes = [currentHash, ...previous.map(entry => entry.passwordHash)].filter(Boolean);
+
+    for (const hash of hashes) {
+      if (await UserModel.verifyPassword(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Set a new password and move the old one into the history
+  static async changePassword(userId, newPassword) {
+    const previousHash = await UserModel.findPasswordHash(userId);
+
+    const result = await UserModel.changePassword(userId, newPassword);
+
+    if (previousHash && config.passwordHistorySize > 1) {
+      await PasswordHistoryModel.add(userId, previousHash);
+      await PasswordHistoryModel.prune(userId, config.passwordHistorySize - 1);
+    }
+
+    return result;
+  }
+
+  // Whether the user's password is older than PASSWORD_MAX_AGE
+  static isExpired(user, now = Date.now()) {
+    if (!config.passwordMaxAge || !user.passwordChangedAt) {
+      return false;
+    }
+
+    return new Date(user.passwordChangedAt).getTime() + ms(config.passwordMaxAge) <= now;
+  }
+
+  // Read the blocklist file again (e.g. after changing PASSWORD_BLOCKLIST_FILE).
+  // Returns the number of entries.
+  static reloadBlocklist() {
+    blocklist = null;
+    return loadBlocklist().size;
+  }
+}
+
+module.exports = PasswordPolicy;
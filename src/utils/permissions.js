@@ -0,0 +1,90 @@
+const RoleModel = require('../models/roles');
+
+// Permissions checked by requirePermission(), with a description for the admin UI
+const PERMISSIONS = {
+  PRODUCTS_WRITE: 'products.write',
+  CATEGORIES_WRITE: 'categories.write',
+  ORDERS_READ_ALL: 'orders.read_all',
+  ORDERS_UPDATE: 'orders.update',
+  ORDERS_UPDATE_STATUS: 'orders.update_status',
+  ORDERS_UPDATE_PAYMENT_STATUS: 'orders.update_payment_status',
+  USERS_READ: 'users.read',
+  USERS_MANAGE: 'users.manage',
+  USERS_IMPERSONATE: 'users.impersonate',
+  SESSIONS_MANAGE: 'sessions.manage',
+  LOCKOUTS_MANAGE: 'lockouts.manage',
+  SECURITY_EVENTS_READ: 'security_events.read',
+  API_KEYS_MANAGE: 'api_keys.manage',
+  ROLES_MANAGE: 'roles.manage',
+};
+
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.PRODUCTS_WRITE]: 'Create, update and delete products',
+  [PERMISSIONS.CATEGORIES_WRITE]: 'Create, update and delete categories',
+  [PERMISSIONS.ORDERS_READ_ALL]: 'View the orders and order statistics of all customers',
+  [PERMISSIONS.ORDERS_UPDATE]: 'Edit and cancel any order',
+  [PERMISSIONS.ORDERS_UPDATE_STATUS]: 'Change order status (e.g. shipped)',
+  [PERMISSIONS.ORDERS_UPDATE_PAYMENT_STATUS]: 'Change payment status',
+  [PERMISSIONS.USERS_READ]: 'List and search users, view account details and order statistics',
+  [PERMISSIONS.USERS_MANAGE]: 'Disable, enable and delete accounts, force password resets',
+  [PERMISSIONS.USERS_IMPERSONATE]: 'Act as a customer to see their cart and orders (audited)',
+  [PERMISSIONS.SESSIONS_MANAGE]: 'View and end sessions of any user',
+  [PERMISSIONS.LOCKOUTS_MANAGE]: 'View and clear account lockouts',
+  [PERMISSIONS.SECURITY_EVENTS_READ]: 'Search the security audit log',
+  [PERMISSIONS.API_KEYS_MANAGE]: 'Create and revoke API keys',
+  [PERMISSIONS.ROLES_MANAGE]: 'Manage roles, assign them to users and change user roles',
+};
+
+// Granted to the admin role: every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+class PermissionService {
+  // Whether a permission exists in the catalog
+  static isKnown(permission) {
+    return Object.prototype.hasOwnProperty.call(PERMISSION_DESCRIPTIONS, permission);
+  }
+
+  // Catalog for the admin UI
+  static list() {
+    return Object.entries(PERMISSION_DESCRIPTIONS)
+      .map(([name, description]) => ({ name, description }));
+  }
+
+  // Roles and permissions of a user ({ roles: string[], permissions: Set })
+  static async getUserAccess(user) {
+    const rows = await RoleModel.findAccessForUser(user.id, user.role);
+
+    return {
+      roles: [...new Set([user.role, ...rows.map(row => row.role)])],
+      permissions: new Set(rows.map(row => row.permission).filter(Boolean)),
+    };
+  }
+
+  // Access of the authenticated user, loaded once per request
+  static getAccess(req) {
+    if (!req.access) {
+      req.access = this.getUserAccess(req.user);
+    }
+
+    return req.access;
+  }
+
+  // Whether loaded access includes a permission
+  static can(access, permission) {
+    return access.permissions.has(ALL_PERMISSIONS) || access.permissions.has(permission);
+  }
+
+  // Whether the authenticated user has a permission
+  static async hasPermission(req, permission) {
+    if (!req.user) {
+      return false;
+    }
+
+    return this.can(await this.getAccess(req), permission);
+  }
+}
+
+PermissionService.PERMISSIONS = PERMISSIONS;
+PermissionService.ALL_PERMISSIONS = ALL_PERMISSIONS;
+
+module.exports = PermissionService;
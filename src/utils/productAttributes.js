@@ -0,0 +1,293 @@
+// Category attributes of products: checking product values against a category's
+// attribute definitions, and reading attribute filters of product listings.
+//
+// Definitions are { key, label, type, unit, options: [{ value, label }], isRequired }
+// as returned by CategoryAttributeModel. Product values are stored by key in
+// products.attributes: numbers as numbers, booleans as booleans, enum and text
+// values as strings.
+
+const TYPES = ['text', 'number', 'boolean', 'enum'];
+
+// Keys are used in JSON, query strings (attributes[screen_size]) and CSV columns
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const MAX_KEY_LENGTH = 50;
+
+const MAX_TEXT_LENGTH = 255;
+
+// Boolean values as written in CSV files or query strings
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const MAX_LABEL_LENGTH = 100;
+
+// Enum values are listed in filters separated by commas, so they cannot contain one
+const OPTION_VALUE_PATTERN = /^[^,]{1,50}$/;
+const MAX_OPTIONS = 100;
+
+// Filter values of one attribute (attributes[material]=cotton,wool)
+const MAX_FILTER_VALUES = 20;
+
+const isLabel = (label) => typeof label === 'string' && label.trim() !== '' && label.length <= MAX_LABEL_LENGTH;
+
+class ProductAttributeService {
+  static isValidKey(key) {
+    return typeof key === 'string' && key.length <= MAX_KEY_LENGTH && KEY_PATTERN.test(key);
+  }
+
+  // Problem with the options of an enum attribute: a list of values, or of
+  // { value, label } objects. Returns null if they are valid.
+  static getOptionsError(options) {
+    if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+      return `Options must be a list of 1 to ${MAX_OPTIONS} values`;
+    }
+
+    const values = options.map(option => (option && typeof option === 'object' ? option.value : option));
+
+    if (!values.every(value => typeof value === 'string' && OPTION_VALUE_PATTERN.test(value) && value === value.trim())) {
+      return 'Option values must be 1 to 50 characters without commas or surrounding spaces';
+    }
+
+    if (new Set(values).size !== values.length) {
+      return 'Option values must be unique';
+    }
+
+    if (!options.every(option => typeof option !== 'object' || option.label === undefined || isLabel(option.label))) {
+      return `Option labels must be 1 to ${MAX_LABEL_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  // Options as stored: [{ value, label }] (the label defaults to the value)
+  static normalizeOptions(options) {
+    return options.map(option => (option && typeof option === 'object'
+      ? { value: option.value, label: (option.label || option.value).trim() }
+      : { value: option, label: option }));
+  }
+
+  // Problem with attribute translations: { <language>: { label, options: { <value>: <label> } } }
+  // for supported languages and existing option values (null removes a translation
+  // on update). Returns null if they are valid.
+  static getTranslationsError(translations, { languages, values = [] }) {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+      return 'Translations must be an object of languages, e.g. { "de": { "label": "..." } }';
+    }
+
+    for (const [language, translation] of Object.entries(translations)) {
+      if (!languages.includes(language)) {
+        return `Translations into "${language}" are not supported (use ${languages.join(', ')})`;
+      }
+
+      if (translation === null) {
+        continue;
+      }
+
+      if (typeof translation !== 'object' || !isLabel(translation.label)) {
+        return `Translations need a label of 1 to ${MAX_LABEL_LENGTH} characters`;
+      }
+
+      const optionLabels = translation.options === undefined ? {} : translation.options;
+
+      if (!optionLabels || typeof optionLabels !== 'object' || Array.isArray(optionLabels)) {
+        return 'Translated options must be an object of option values and labels';
+      }
+
+      for (const [value, label] of Object.entries(optionLabels)) {
+        if (!values.includes(value)) {
+          return `Unknown option "${value}" in the ${language} translation`;
+        }
+
+        if (!isLabel(label)) {
+          return `Option labels must be 1 to ${MAX_LABEL_LENGTH} characters`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Read a boolean from text ('true', 'yes', '1', ...); undefined if it is none
+  static parseBoolean(value) {
+    return typeof value === 'boolean' ? value : BOOLEANS[String(value).trim().toLowerCase()];
+  }
+
+  // The value to store for an attribute, or undefined if the value does not fit
+  // its type. With coerce, numbers and booleans may be given as text (CSV files).
+  static parseValue({ type, options }, value, { coerce = false } = {}) {
+    switch (type) {
+      case 'number': {
+        const number = coerce && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+      }
+      case 'boolean':
+        return typeof value === 'boolean' || coerce ? this.parseBoolean(value) : undefined;
+      case 'enum':
+        return typeof value === 'string' && options.some(option => option.value === value.trim())
+          ? value.trim()
+          : undefined;
+      case 'text':
+        return typeof value === 'string' && value.trim() && value.trim().length <= MAX_TEXT_LENGTH
+          ? value.trim()
+          : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  static getValueError({ label, type, options }) {
+    switch (type) {
+      case 'number':
+        return `${label} must be a number`;
+      case 'boolean':
+        return `${label} must be true or false`;
+      case 'enum':
+        return `${label} must be one of: ${options.map(option => option.value).join(', ')}`;
+      default:
+        return `${label} must be text of 1 to ${MAX_TEXT_LENGTH} characters`;
+    }
+  }
+
+  // Check attribute values against the definitions of a category. Empty values
+  // (null, undefined, '') leave an attribute unset. Returns the values to store
+  // and errors as [{ key, message }].
+  static validate(definitions, values, { coerce = false } = {}) {
+    const attributes = {};
+    const errors = [];
+
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return { attributes, errors: [{ key: null, message: 'Attributes must be an object of attribute keys and values' }] };
+    }
+
+    const definitionsByKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+    for (const [key, value] of Object.entries(values)) {
+      const definition = definitionsByKey.get(key);
+
+      if (!definition) {
+        errors.push({ key, message: `Unknown attribute "${key}" for this category` });
+        continue;
+      }
+
+      if (value === null || value === undefined || value === '') {
+        continue;
+      }
+
+      const parsed = this.parseValue(definition, value, { coerce });
+
+      if (parsed === undefined) {
+        errors.push({ key, message: this.getValueError(definition) });
+      } else {
+        attributes[key] = parsed;
+      }
+    }
+
+    for (const definition of definitions) {
+      if (definition.isRequired && attributes[definition.key] === undefined && !errors.some(error => error.key === definition.key)) {
+        errors.push({ key: definition.key, message: `${definition.label} is required` });
+      }
+    }
+
+    return { attributes, errors };
+  }
+
+  // Apply changes to a product's values: given keys are replaced, null removes a key
+  static merge(current, changes) {
+    const merged = { ...(current || {}) };
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  // The values a product keeps when it moves to another category: those of
+  // attributes (by key) the new category has too
+  static keepDefined(definitions, values) {
+    return Object.fromEntries(Object.entries(values || {})
+      .filter(([key]) => definitions.some(definition => definition.key === key)));
+  }
+
+  // Read the attribute filters of a listing query:
+  //   attributes[material]=cotton,wool            -> { material: { values: ['cotton', 'wool'] } }
+  //   attributes[screen_size][min]=13&...[max]=15 -> { screen_size: { min: 13, max: 15 } }
+  // Values are compared as text, so they work the same for every type. Throws
+  // an Error with a message for the client if the filters are invalid.
+  static parseFilters(query) {
+    if (query === undefined || query === '') {
+      return {};
+    }
+
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      throw new Error('Attribute filters must look like attributes[key]=value');
+    }
+
+    const filters = {};
+
+    for (const [key, filter] of Object.entries(query)) {
+      if (!this.isValidKey(key)) {
+        throw new Error(`Invalid attribute key "${key}"`);
+      }
+
+      if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+        const range = {};
+
+        // Empty bounds (e.g. from a form field left blank) are left out
+        for (const [bound, value] of Object.entries(filter)) {
+          if (!['min', 'max'].includes(bound) || typeof value !== 'string' || !Number.isFinite(Number(value))) {
+            throw new Error(`Attribute ranges must look like attributes[${key}][min]=1&attributes[${key}][max]=10`);
+          }
+
+          if (value.trim() !== '') {
+            range[bound] = Number(value);
+          }
+        }
+
+        if (Object.keys(range).length > 0) {
+          filters[key] = range;
+        }
+        continue;
+      }
+
+      const values = [].concat(filter)
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+
+      if (values.length > MAX_FILTER_VALUES) {
+        throw new Error(`At most ${MAX_FILTER_VALUES} values can be chosen per attribute`);
+      }
+
+      if (values.length > 0) {
+        filters[key] = { values: [...new Set(values)] };
+      }
+    }
+
+    return filters;
+  }
+
+  // A product's values as a list in the order of the definitions, with labels
+  // for display: [{ key, label, type, unit, value, valueLabel }]. valueLabel is
+  // the label of an enum value.
+  static getSpecifications(definitions, values) {
+    return definitions
+      .filter(definition => values && values[definition.key] !== undefined)
+      .map(({ key, label, type, unit, options }) => ({
+        key,
+        label,
+        type,
+        unit,
+        value: values[key],
+        valueLabel: type === 'enum'
+          ? (options.find(option => option.value === values[key]) || {}).label || values[key]
+          : undefined,
+      }));
+  }
+}
+
+ProductAttributeService.TYPES = TYPES;
+
+module.exports = ProductAttributeService;
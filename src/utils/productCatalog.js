@@ -0,0 +1,503 @@
+const { once } = require('events');
+const ProductModel = require('../models/products');
+const CategoryModel = require('../models/categories');
+const CategoryAttributeModel = require('../models/categoryAttributes');
+const TranslationModel = require('../models/translations');
+const ProductImageService = require('./productImages');
+const ProductAttributeService = require('./productAttributes');
+const csv = require('./csv');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Fields of import and export files, in export order
+const FIELDS = ['sku', 'name', 'description', 'price', 'stockQuantity', 'category', 'imageUrl', 'images', 'isActive', 'weight'];
+
+// Fields with a column per language in CSV files (e.g. name.de)
+const TRANSLATED_FIELDS = ['name', 'description'];
+
+// Category attribute values have a CSV column per attribute key (e.g. attributes.material)
+const ATTRIBUTE_PREFIX = 'attributes.';
+
+// Separates the URLs in the images column of CSV files
+const IMAGE_SEPARATOR = '|';
+
+const FORMATS = ['csv', 'json'];
+
+const EXPORT_BATCH_SIZE = 500;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Absolute URLs and paths of uploaded files
+const isImageUrl = (value) => typeof value === 'string' && value.length <= 500 && /^(https?:\/\/|\/)\S+$/.test(value);
+
+// Number from a JSON number or a numeric string (NaN for anything else)
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+class ProductCatalogService {
+  // 'name.de' => { field: 'name', language: 'de' }
+  static parseTranslationColumn(column) {
+    const [field, language] = column.split(/\.(.+)/);
+    return TRANSLATED_FIELDS.includes(field) && language ? { field, language } : null;
+  }
+
+  // 'attributes.material' => 'material'
+  static parseAttributeColumn(column) {
+    const key = column.startsWith(ATTRIBUTE_PREFIX) ? column.slice(ATTRIBUTE_PREFIX.length) : null;
+    return ProductAttributeService.isValidKey(key) ? key : null;
+  }
+
+  // Records of a CSV file: a header row with field names (and name.<language>,
+  // description.<language>, attributes.<key>), then one product per row. Empty
+  // cells are left out.
+  static fromCsv(text) {
+    let records;
+    try {
+      records = csv.parse(text);
+    } catch (error) {
+      throw new AppError(`Invalid CSV: ${error.message}`, 400);
+    }
+
+    const [header = [], ...rows] = records;
+    const columns = header.map(column => column.trim());
+
+    if (!columns.includes('sku')) {
+      throw new AppError('The first row must name the columns, including sku', 400);
+    }
+
+    const unknown = columns.filter(column =>
+      !FIELDS.includes(column) && !this.parseTranslationColumn(column) && !this.parseAttributeColumn(column));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown columns: ${unknown.join(', ')}`, 400);
+    }
+
+    return rows
+      .map((fields, index) => ({ row: index + 2, fields }))
+      .filter(({ fields }) => fields.some(field => field.trim() !== ''))
+      .map(({ row, fields }) => {
+        const record = { row, translations: {} };
+
+        columns.forEach((column, index) => {
+          const value = csv.unprotectFormula((fields[index] || '').trim());
+          const translation = this.parseTranslationColumn(column);
+          const attributeKey = this.parseAttributeColumn(column);
+
+          if (value === '') {
+            return;
+          }
+
+          if (attributeKey) {
+            record.attributes = { ...record.attributes, [attributeKey]: value };
+          } else if (translation) {
+            record.translations[translation.language] = {
+              ...record.translations[translation.language],
+              [translation.field]: value,
+            };
+          } else if (column === 'images') {
+            record.images = value.split(IMAGE_SEPARATOR).map(url => url.trim()).filter(Boolean);
+          } else {
+            record[column] = value;
+          }
+        });
+
+        return record;
+      });
+  }
+
+  // Records of a JSON body: an array of products (or { products: [...] }) with
+  // translations as { "de": { "name": ..., "description": ... } } and attribute
+  // values as { "material": "cotton" }. Null values are left out (except attribute
+  // values, where null removes the value).
+  static fromJson(body) {
+    const items = Array.isArray(body) ? body : body && body.products;
+
+    if (!Array.isArray(items)) {
+      throw new AppError('Send an array of products (or { "products": [...] })', 400);
+    }
+
+    return items.map((item, index) => {
+      const row = index + 1;
+
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { row, invalid: true };
+      }
+
+      const record = {
+        row,
+        translations: isBlank(item.translations) ? {} : item.translations,
+        unknownFields: Object.keys(item).filter(key => !FIELDS.includes(key) && !['translations', 'attributes'].includes(key)),
+      };
+
+      if (!isBlank(item.attributes)) {
+        record.attributes = item.attributes;
+      }
+
+      FIELDS.filter(field => !isBlank(item[field])).forEach(field => {
+        record[field] = item[field];
+      });
+
+      return record;
+    });
+  }
+
+  // Images of an import: listed URLs that are already images of the product keep
+  // their entry (uploaded images stay uploaded), other URLs become linked images.
+  // Uploaded images that are not listed are kept after the listed ones.
+  static mergeImages(currentImages, urls) {
+    const byUrl = new Map(currentImages.map(image => [ProductImageService.getUrl(image), image]));
+    const unlisted = currentImages.filter(image =>
+      ProductImageService.isUploaded(image) && !urls.includes(image.url));
+
+    return [...urls.map(url => byUrl.get(url) || url), ...unlisted];
+  }
+
+  // Check an import record. Missing fields keep their value on existing products;
+  // new products need a name and price. Attribute values are checked against the
+  // attributes of the product's category (attributeDefinitions: Map of category
+  // ID => definitions). Returns the product data and translations to write, and
+  // the errors ({ field, message }).
+  static validateRecord(record, { existing, categoryIds, languages, seenSkus, attributeDefinitions = new Map() }) {
+    const data = {};
+    const translations = {};
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (record.invalid) {
+      fail(null, 'Each product must be an object');
+      return { data, translations, errors };
+    }
+
+    (record.unknownFields || []).forEach(field => fail(field, 'Unknown field'));
+
+    const sku = typeof record.sku === 'string' ? record.sku.trim() : '';
+    if (!sku) {
+      fail('sku', 'SKU is required');
+    } else if (sku.length > 100) {
+      fail('sku', 'SKU must not exceed 100 characters');
+    } else if (seenSkus.has(sku)) {
+      fail('sku', 'SKU appears more than once in the file');
+    } else {
+      seenSkus.add(sku);
+      data.sku = sku;
+    }
+
+    if (record.name !== undefined) {
+      if (typeof record.name !== 'string' || !record.name.trim() || record.name.trim().length > 200) {
+        fail('name', 'Name must be between 1 and 200 characters');
+      } else {
+        data.name = record.name.trim();
+      }
+    } else if (!existing) {
+      fail('name', 'Name is required for new products');
+    }
+
+    if (record.description !== undefined) {
+      if (typeof record.description !== 'string') {
+        fail('description', 'Description must be text');
+      } else {
+        data.description = record.description;
+      }
+    }
+
+    if (record.price !== undefined) {
+      const price = toNumber(record.price);
+      if (!Number.isFinite(price) || price < 0) {
+        fail('price', 'Price must be a positive number');
+      } else {
+        data.price = price.toFixed(2);
+      }
+    } else if (!existing) {
+      fail('price', 'Price is required for new products');
+    }
+
+    if (record.stockQuantity !== undefined) {
+      const stockQuantity = toNumber(record.stockQuantity);
+      if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+        fail('stockQuantity', 'Stock quantity must be a non-negative integer');
+      } else {
+        data.stockQuantity = stockQuantity;
+      }
+    }
+
+    if (record.category !== undefined) {
+      const categoryId = typeof record.category === 'string' ? categoryIds.get(record.category.trim()) : null;
+      if (!categoryId) {
+        fail('category', `Category "${record.category}" does not exist`);
+      } else {
+        data.categoryId = categoryId;
+      }
+    }
+
+    if (record.imageUrl !== undefined) {
+      if (!isImageUrl(record.imageUrl)) {
+        fail('imageUrl', 'Image URL must be a valid URL');
+      } else {
+        data.imageUrl = record.imageUrl;
+      }
+    }
+
+    if (record.images !== undefined) {
+      if (!Array.isArray(record.images) || !record.images.every(isImageUrl)) {
+        fail('images', 'Images must be a list of URLs');
+      } else {
+        data.images = this.mergeImages((existing && existing.images) || [], record.images);
+      }
+    }
+
+    if (record.isActive !== undefined) {
+      const isActive = ProductAttributeService.parseBoolean(record.isActive);
+
+      if (isActive === undefined) {
+        fail('isActive', 'isActive must be true or false');
+      } else {
+        data.isActive = isActive;
+      }
+    }
+
+    if (record.weight !== undefined) {
+      const weight = toNumber(record.weight);
+      if (!Number.isFinite(weight) || weight < 0) {
+        fail('weight', 'Weight must be a positive number');
+      } else {
+        data.weight = String(weight);
+      }
+    }
+
+    // Like product updates through the API: given values replace the current
+    // ones, and products moving to another category keep the values it has too
+    const categoryId = record.category !== undefined ? data.categoryId : existing && existing.categoryId;
+    const categoryChanged = Boolean(existing) && record.category !== undefined && categoryId !== existing.categoryId;
+
+    if (!existing || record.attributes !== undefined || categoryChanged) {
+      const definitions = (categoryId && attributeDefinitions.get(categoryId)) || [];
+      const currentAttributes = existing
+        ? ProductAttributeService.keepDefined(definitions, existing.attributes)
+        : {};
+
+      if (record.attributes !== undefined && (typeof record.attributes !== 'object' || Array.isArray(record.attributes))) {
+        fail('attributes', 'Attributes must be an object of attribute keys and values');
+      } else if (record.category === undefined || categoryId) {
+        const { attributes, errors: attributeErrors } = ProductAttributeService.validate(
+          definitions,
+          ProductAttributeService.merge(currentAttributes, record.attributes || {}),
+          { coerce: true }
+        );
+
+        attributeErrors.forEach(error => fail(error.key ? `${ATTRIBUTE_PREFIX}${error.key}` : 'attributes', error.message));
+
+        if (record.attributes !== undefined || categoryChanged) {
+          data.attributes = attributes;
+        }
+      }
+    }
+
+    if (typeof record.translations !== 'object' || Array.isArray(record.translations)) {
+      fail('translations', 'Translations must be an object of languages, e.g. { "de": { "name": "..." } }');
+      return { data, translations, errors };
+    }
+
+    for (const [language, translation] of Object.entries(record.translations)) {
+      if (!languages.includes(language)) {
+        fail(`name.${language}`, `Translations into "${language}" are not supported (use ${languages.join(', ')})`);
+        continue;
+      }
+
+      const { name, description } = translation && typeof translation === 'object' ? translation : {};
+
+      if (typeof name !== 'string' || !name.trim() || name.trim().length > 200) {
+        fail(`name.${language}`, 'Translations need a name of 1 to 200 characters');
+      } else if (!isBlank(description) && typeof description !== 'string') {
+        fail(`description.${language}`, 'Description must be text');
+      } else {
+        translations[language] = isBlank(description)
+          ? { name: name.trim() }
+          : { name: name.trim(), description };
+      }
+    }
+
+    return { data, translations, errors };
+  }
+
+  // Create or update products by SKU from a CSV or JSON file. Every row is checked
+  // first; when a row has errors (or in a dry run) nothing is written. Returns a
+  // report: { dryRun, valid, total, created, updated, rows, errors }.
+  static async import(input, { format, dryRun = false }) {
+    if (!FORMATS.includes(format)) {
+      throw new AppError(`Unsupported import format: ${format}`, 400);
+    }
+
+    const records = format === 'csv' ? this.fromCsv(String(input || '')) : this.fromJson(input);
+
+    if (records.length === 0) {
+      throw new AppError('The file contains no products', 400);
+    }
+
+    if (records.length > config.productImportMaxRows) {
+      throw new AppError(`Import at most ${config.productImportMaxRows} products at once`, 413);
+    }
+
+    // Translations are for the languages other than the default (base product texts)
+    const languages = (await TranslationModel.getSupportedLanguages())
+      .filter(language => !language.isDefault)
+      .map(language => language.code);
+
+    const categoryIds = new Map();
+    const attributeDefinitions = new Map();
+    const seenSkus = new Set();
+    const entries = [];
+    const rows = [];
+    const errors = [];
+
+    for (const record of records) {
+      const sku = typeof record.sku === 'string' ? record.sku.trim() : undefined;
+      const existing = sku ? await ProductModel.findBySku(sku) : null;
+
+      const categoryName = typeof record.category === 'string' ? record.category.trim() : undefined;
+      if (categoryName && !categoryIds.has(categoryName)) {
+        const category = await CategoryModel.findByName(categoryName);
+        categoryIds.set(categoryName, category ? category.id : null);
+      }
+
+      // Attributes of the category the product will be in
+      const categoryId = categoryName ? categoryIds.get(categoryName) : existing && existing.categoryId;
+      if (categoryId && !attributeDefinitions.has(categoryId)) {
+        attributeDefinitions.set(categoryId, await CategoryAttributeModel.findByCategory(categoryId));
+      }
+
+      const { data, translations, errors: recordErrors } = this.validateRecord(record, {
+        existing,
+        categoryIds,
+        languages,
+        seenSkus,
+        attributeDefinitions,
+      });
+
+      if (recordErrors.length > 0) {
+        errors.push(...recordErrors.map(error => ({ row: record.row, sku, ...error })));
+        continue;
+      }
+
+      entries.push({ id: existing ? existing.id : null, data, translations });
+      rows.push({ row: record.row, sku, action: existing ? 'update' : 'create' });
+    }
+
+    const report = {
+      dryRun,
+      valid: errors.length === 0,
+      total: records.length,
+      created: rows.filter(row => row.action === 'create').length,
+      updated: rows.filter(row => row.action === 'update').length,
+      rows,
+      errors,
+    };
+
+    if (!dryRun && report.valid) {
+      await ProductModel.importMany(entries);
+    }
+
+    return report;
+  }
+
+  // Import/export shape of a product
+  static toRecord(product, translations) {
+    return {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      stockQuantity: product.stockQuantity,
+      category: product.categoryName,
+      imageUrl: product.imageUrl,
+      images: (product.images || []).map(image => ProductImageService.getUrl(image)),
+      isActive: product.isActive,
+      weight: product.weight,
+      attributes: product.attributes || {},
+      translations: Object.fromEntries(translations.map(translation => [
+        translation.languageCode,
+        { name: translation.name, description: translation.description },
+      ])),
+    };
+  }
+
+  // Value of a CSV column of a record
+  static getCsvValue(record, column) {
+    const translation = this.parseTranslationColumn(column);
+    const attributeKey = this.parseAttributeColumn(column);
+
+    if (translation) {
+      return record.translations[translation.language]?.[translation.field];
+    }
+
+    if (attributeKey) {
+      return record.attributes[attributeKey];
+    }
+
+    return column === 'images' ? record.images.join(IMAGE_SEPARATOR) : record[column];
+  }
+
+  // Write all products (active or not) to a stream as CSV or JSON, in batches so
+  // that the catalog is never loaded at once. The files can be imported again.
+  static async export(stream, format) {
+    if (!FORMATS.includes(format)) {
+      throw new AppError(`Unsupported export format: ${format}`, 400);
+    }
+
+    const languages = (await TranslationModel.getSupportedLanguages())
+      .filter(language => !language.isDefault)
+      .map(language => language.code);
+    const columns = [
+      ...FIELDS,
+      ...languages.flatMap(language => TRANSLATED_FIELDS.map(field => `${field}.${language}`)),
+      ...(await CategoryAttributeModel.getKeys()).map(key => `${ATTRIBUTE_PREFIX}${key}`),
+    ];
+
+    const write = async (chunk) => {
+      if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+      }
+    };
+
+    await write(format === 'csv' ? csv.BOM + csv.formatRecord(columns) : '[');
+
+    let count = 0;
+    let afterId;
+    let batch;
+
+    do {
+      batch = await ProductModel.findForExport({ afterId, limit: EXPORT_BATCH_SIZE });
+
+      const translations = await TranslationModel.getProductTranslations(batch.map(product => product.id));
+      const translationsByProduct = new Map(batch.map(product => [product.id, []]));
+      translations
+        .filter(translation => languages.includes(translation.languageCode))
+        .forEach(translation => translationsByProduct.get(translation.productId).push(translation));
+
+      for (const product of batch) {
+        const record = this.toRecord(product, translationsByProduct.get(product.id));
+
+        await write(format === 'csv'
+          ? csv.formatRecord(columns.map(column => this.getCsvValue(record, column)))
+          : `${count > 0 ? ',' : ''}\n  ${JSON.stringify(record)}`);
+        count++;
+      }
+
+      afterId = batch.length > 0 ? batch[batch.length - 1].id : afterId;
+    } while (batch.length === EXPORT_BATCH_SIZE);
+
+    if (format === 'json') {
+      await write(count > 0 ? '\n]\n' : ']\n');
+    }
+
+    stream.end();
+    return count;
+  }
+}
+
+ProductCatalogService.FORMATS = FORMATS;
+
+module.exports = ProductCatalogService;
@@ -0,0 +1,111 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Accepted formats (as detected from the file contents) with their MIME types and extensions
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+const MIME_TYPES = Object.values(FORMATS).map(format => format.mimeType);
+
+// Larger images are rejected before decoding (a small file can expand to gigabytes)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Rendition used as the image's url (and the product's imageUrl)
+const DISPLAY_SIZE = 'medium';
+
+class ProductImageService {
+  // Decode an upload and render it in each of config.productImageSizes. The format
+  // comes from the file contents, not the declared MIME type. Renditions are turned
+  // upright by their EXIF orientation and written without any metadata (EXIF, GPS, XMP).
+  static async render(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new AppError('File is not a valid image', 400);
+    }
+
+    const format = FORMATS[metadata.format];
+    if (!format) {
+      throw new AppError(`Unsupported image format ${metadata.format}. Use JPEG, PNG or WebP`, 400);
+    }
+
+    if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+      throw new AppError('Image dimensions are too large', 400);
+    }
+
+    const renditions = {};
+
+    try {
+      for (const [name, size] of Object.entries(config.productImageSizes)) {
+        const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+          .rotate()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .toFormat(metadata.format)
+          .toBuffer({ resolveWithObject: true });
+
+        renditions[name] = { data, width: info.width, height: info.height };
+      }
+    } catch (error) {
+      throw new AppError('File is not a valid image', 400);
+    }
+
+    return { ...format, renditions };
+  }
+
+  // Store the renditions of a rendered image. Returns the entry for products.images:
+  // { id, url, mimeType, renditions: { <size>: { key, url, width, height } }, createdAt }
+  static async store(productId, { mimeType, extension, renditions }) {
+    const id = uuidv4();
+    const stored = {};
+
+    try {
+      for (const [name, { data, width, height }] of Object.entries(renditions)) {
+        const key = `products/${productId}/${id}-${name}.${extension}`;
+        const { url } = await storage.put(key, data, { contentType: mimeType });
+
+        stored[name] = { key, url, width, height };
+      }
+    } catch (error) {
+      await Promise.all(Object.values(stored).map(({ key }) => storage.delete(key)));
+      throw error;
+    }
+
+    return {
+      id,
+      url: (stored[DISPLAY_SIZE] || Object.values(stored)[0]).url,
+      mimeType,
+      renditions: stored,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  // Delete the stored files of an uploaded image
+  static async remove(image) {
+    await Promise.all(Object.values(image.renditions).map(({ key }) => storage.delete(key)));
+  }
+
+  // products.images holds uploaded images (objects) and linked images (plain URLs)
+  static isUploaded(image) {
+    return typeof image === 'object' && image !== null && Boolean(image.id);
+  }
+
+  static getUrl(image) {
+    return this.isUploaded(image) ? image.url : image;
+  }
+
+  // Identifier used for ordering: the ID of an uploaded image, the URL of a linked one
+  static getKey(image) {
+    return this.isUploaded(image) ? image.id : image;
+  }
+}
+
+ProductImageService.MIME_TYPES = MIME_TYPES;
+
+module.exports = ProductImageService;
@@ -0,0 +1,51 @@
+// Browser and OS patterns, checked in order (first match wins)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+// Build a short human readable device label from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) {
+    return userAgent.split(/[\s/]/)[0].slice(0, 100) || 'Unknown device';
+  }
+
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+};
+
+// Collect the client information we record for sessions and security events
+const getRequestContext = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500) || null;
+  const deviceName = req.body && typeof req.body.deviceName === 'string'
+    ? req.body.deviceName.trim().slice(0, 100)
+    : '';
+
+  return {
+    ipAddress: req.ip || (req.socket && req.socket.remoteAddress) || null,
+    userAgent,
+    device: deviceName || describeDevice(userAgent),
+  };
+};
+
+module.exports = {
+  describeDevice,
+  getRequestContext,
+};
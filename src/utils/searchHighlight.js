@@ -0,0 +1,41 @@
+// Search snippets come from Postgres' ts_headline with these markers around
+// the matched words. The text is HTML-escaped first and the markers are then
+// turned into <mark> tags, so product texts can never inject markup.
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// ts_headline options for a snippet of a longer text (descriptions)
+const SNIPPET_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// ts_headline options for a whole short text (names)
+const FULL_TEXT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`;
+
+// Turn a ts_headline result into safe HTML with <mark> around the matches
+const toHighlightHtml = (headline) => {
+  if (typeof headline !== 'string') {
+    return null;
+  }
+
+  return escapeHtml(headline)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+};
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  SNIPPET_OPTIONS,
+  FULL_TEXT_OPTIONS,
+  escapeHtml,
+  toHighlightHtml,
+};
@@ -0,0 +1,103 @@
+const SecurityEventModel = require('../models/securityEvents');
+
+// Event types stored in security_events.type
+const SECURITY_EVENTS = {
+  LOGIN_FAILED: 'login_failed',
+  LOGIN_BLOCKED: 'login_blocked',
+  ACCOUNT_LOCKED: 'account_locked',
+  ACCOUNT_UNLOCKED: 'account_unlocked',
+  IDENTITY_LINKED: 'identity_linked',
+  API_KEY_CREATED: 'api_key_created',
+  API_KEY_REVOKED: 'api_key_revoked',
+  ROLE_CHANGED: 'role_changed',
+  ROLE_ASSIGNED: 'role_assigned',
+  ROLE_UNASSIGNED: 'role_unassigned',
+  USER_DISABLED: 'user_disabled',
+  USER_ENABLED: 'user_enabled',
+  USER_ROLE_CHANGED: 'user_role_changed',
+  USER_DELETED: 'user_deleted',
+  PASSWORD_RESET_FORCED: 'password_reset_forced',
+  DATA_EXPORTED: 'data_exported',
+  ACCOUNT_DELETION_REQUESTED: 'account_deletion_requested',
+  ACCOUNT_DELETION_CANCELLED: 'account_deletion_cancelled',
+  ACCOUNT_ANONYMIZED: 'account_anonymized',
+  IMPERSONATION_STARTED: 'impersonation_started',
+  IMPERSONATED_REQUEST: 'impersonated_request',
+  USER_REGISTERED: 'user_registered',
+  LOGIN_SUCCEEDED: 'login_succeeded',
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  TOKEN_REFRESHED: 'token_refreshed',
+  TOKEN_REFRESH_FAILED: 'token_refresh_failed',
+  ACCESS_DENIED: 'access_denied',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_CHANGE_FAILED: 'password_change_failed',
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFIED: 'email_verified',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+};
+
+// Values stored in security_events.outcome
+const OUTCOMES = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+};
+
+class SecurityEventService {
+  // Record an event for a user. context is the result of getRequestContext(req).
+  // Errors are logged and swallowed so auditing never breaks the request itself.
+  static async record(type, {
+    userId = null,
+    actorId = null,
+    outcome = OUTCOMES.SUCCESS,
+    context = {},
+    details = null
+  } = {}) {
+    try {
+      return await SecurityEventModel.create({
+        userId,
+        actorId,
+        type,
+        outcome,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        details,
+      });
+    } catch (error) {
+      console.error(`Security event error (${type}):`, error);
+      return null;
+    }
+  }
+
+  // Record a refused attempt (failed login, rejected token, ...)
+  static async recordFailure(type, options = {}) {
+    return await this.record(type, { ...options, outcome: OUTCOMES.FAILURE });
+  }
+
+  // Search the audit log (admin)
+  static async search(filters = {}) {
+    return await SecurityEventModel.findMany(filters);
+  }
+
+  // A user's recent security activity, as shown to the user. Leaves out the
+  // details, which can hold notes meant for admins (e.g. impersonation reasons).
+  static async getRecentActivity(userId, { limit = 20 } = {}) {
+    const events = await SecurityEventModel.findByUser(userId, { limit });
+
+    return events.map(event => ({
+      id: event.id,
+      type: event.type,
+      outcome: event.outcome,
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      byAdmin: Boolean(event.actorId && event.actorId !== userId),
+      createdAt: event.createdAt,
+    }));
+  }
+}
+
+SecurityEventService.EVENTS = SECURITY_EVENTS;
+SecurityEventService.OUTCOMES = OUTCOMES;
+
+module.exports = SecurityEventService;
@@ -0,0 +1,60 @@
+const JWTUtils = require('./jwt');
+const { createSecret } = require('./csrf');
+const config = require('../config');
+
+// Cookies of the storefront's server-side session
+const COOKIES = {
+  ACCESS_TOKEN: 'access_token',
+  REFRESH_TOKEN: 'refresh_token',
+  CSRF_SECRET: 'csrf_secret',
+};
+
+// Not readable by scripts, only sent over HTTPS in production, and not sent
+// along with cross-site form posts
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: config.nodeEnv === 'production',
+  sameSite: 'lax',
+  path: '/',
+});
+
+// Store a token pair (from login or refresh) in the session cookies. Without
+// a refresh token (renewed access token only) the refresh cookie is kept.
+const setSessionCookies = (res, tokens) => {
+  res.cookie(COOKIES.ACCESS_TOKEN, tokens.accessToken, {
+    ...cookieOptions(),
+    maxAge: JWTUtils.getAccessTokenTtl(),
+  });
+
+  if (tokens.refreshToken) {
+    res.cookie(COOKIES.REFRESH_TOKEN, tokens.refreshToken, {
+      ...cookieOptions(),
+      maxAge: JWTUtils.getRefreshTokenTtl(),
+    });
+  }
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie(COOKIES.ACCESS_TOKEN, cookieOptions());
+  res.clearCookie(COOKIES.REFRESH_TOKEN, cookieOptions());
+};
+
+// The browser's CSRF secret, created on its first visit (lasts for the browser session)
+const getCsrfSecret = (req, res) => {
+  let secret = req.cookies && req.cookies[COOKIES.CSRF_SECRET];
+
+  if (!secret) {
+    secret = createSecret();
+    req.cookies = { ...req.cookies, [COOKIES.CSRF_SECRET]: secret };
+    res.cookie(COOKIES.CSRF_SECRET, secret, cookieOptions());
+  }
+
+  return secret;
+};
+
+module.exports = {
+  COOKIES,
+  setSessionCookies,
+  clearSessionCookies,
+  getCsrfSecret,
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const SigningKeyModel = require('../models/signingKeys');
+const { encrypt, decrypt } = require('./encryption');
+const config = require('../config');
+
+// Key generation options per JWT algorithm
+const KEY_TYPES = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+};
+
+// Required JWK members per key type, used for the RFC 7638 thumbprint
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+};
+
+// Key id derived from the public key itself (RFC 7638 JWK thumbprint)
+const getThumbprint = (jwk) => {
+  const members = THUMBPRINT_MEMBERS[jwk.kty].map(member => [member, jwk[member]]);
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(Object.fromEntries(members)))
+    .digest('base64url');
+};
+
+// Key material for encrypting private keys at rest (falls back to JWT_SECRET)
+const getEncryptionKey = () => config.jwtKeyEncryptionKey || `jwt-keys:${config.jwtSecret}`;
+
+const isExpired = (key, now = new Date()) => Boolean(key.expiresAt && key.expiresAt <= now);
+
+// Keys loaded from the database by kid. Signing and verification are
+// synchronous, so they read from here; load() refreshes it.
+let keys = new Map();
+
+class SigningKeyStore {
+  // Whether access tokens are signed with key pairs instead of JWT_SECRET
+  static isEnabled() {
+    return config.jwtAlgorithm !== 'HS256';
+  }
+
+  // Generate a key pair for an algorithm ({ kid, algorithm, privateKey (PEM), publicKey (JWK) })
+  static generateKeyPair(algorithm = config.jwtAlgorithm) {
+    const [type, options] = KEY_TYPES[algorithm];
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+    const jwk = publicKey.export({ format: 'jwk' });
+    const kid = getThumbprint(jwk);
+
+    return {
+      kid,
+      algorithm,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicKey: { ...jwk, kid, alg: algorithm, use: 'sig' },
+    };
+  }
+
+  // Replace the loaded keys (records with plain PEM private keys)
+  static setKeys(records) {
+    keys = new Map(records.map(record => [record.kid, {
+      kid: record.kid,
+      algorithm: record.algorithm,
+      privateKey: crypto.createPrivateKey(record.privateKey),
+      publicKey: crypto.createPublicKey({ key: record.publicKey, format: 'jwk' }),
+      jwk: record.publicKey,
+      activatesAt: new Date(record.activatesAt),
+      retiredAt: record.retiredAt ? new Date(record.retiredAt) : null,
+      expiresAt: record.expiresAt ? new Date(record.expiresAt) : null,
+    }]));
+  }
+
+  // Load all unexpired keys from the database
+  static async load() {
+    const rows = await SigningKeyModel.findUsable();
+
+    this.setKeys(rows.map(row => ({
+      ...row,
+      privateKey: decrypt(row.privateKey, getEncryptionKey()),
+    })));
+  }
+
+  // Key for signing new tokens: the most recently activated key that is not retired
+  static getSigningKey() {
+    const now = new Date();
+    const active = [...keys.values()].filter(key =>
+      key.algorithm === config.jwtAlgorithm && key.activatesAt <= now && !key.retiredAt
+    );
+
+    if (active.length === 0) {
+      throw new Error('No active JWT signing key loaded');
+    }
+
+    return active.reduce((newest, key) => (key.activatesAt > newest.activatesAt ? key : newest));
+  }
+
+  // Key for verifying a token's kid (also retired keys within their grace period)
+  static getVerificationKey(kid) {
+    const key = keys.get(kid);
+    return key && !isExpired(key) ? key : null;
+  }
+
+  // Public keys for /.well-known/jwks.json (including keys that are not active yet,
+  // so verifiers already know them when signing switches over)
+  static getJwks() {
+    return {
+      keys: [...keys.values()]
+        .filter(key => !isExpired(key))
+        .map(key => key.jwk),
+    };
+  }
+
+  // Create and store a key pair that starts signing at activatesAt
+  static async createKey(activatesAt = new Date()) {
+    const pair = this.generateKeyPair();
+
+    await SigningKeyModel.create({
+      ...pair,
+      privateKey: encrypt(pair.privateKey, getEncryptionKey()),
+      activatesAt,
+    });
+
+    return pair.kid;
+  }
+
+  // One rotation step; safe to run often and from several instances:
+  // - without a current key, create one that signs immediately
+  // - when the newest key is older than the rotation interval, create the next one
+  //   (published now, signing after the activation delay)
+  // - once a newer key signs, retire older ones and keep them for the grace period
+  // - delete keys whose grace period is over
+  static async rotate() {
+    const now = Date.now();
+    const rows = await SigningKeyModel.findUsable();
+    const current = rows.filter(row => row.algorithm === config.jwtAlgorithm && !row.retiredAt);
+    const expiresAt = new Date(now + ms(config.jwtKeyGracePeriod));
+
+    if (current.length === 0) {
+      await this.createKey(new Date(now));
+    } else {
+      const newest = current[current.length - 1];
+
+      if (new Date(newest.activatesAt).getTime() + ms(config.jwtKeyRotationInterval) <= now) {
+        await this.createKey(new Date(now + ms(config.jwtKeyActivationDelay)));
+      }
+
+      const active = current.filter(row => new Date(row.activatesAt).getTime() <= now);
+      for (const row of active.slice(0, -1)) {
+        await SigningKeyModel.retire(row.kid, expiresAt);
+      }
+    }
+
+    // Keys of a previously configured algorithm
+    for (const row of rows.filter(row => row.algorithm !== config.jwtAlgorithm && !row.retiredAt)) {
+      await SigningKeyModel.retire(row.kid, expiresAt);
+    }
+
+    await SigningKeyModel.deleteExpired();
+  }
+
+  // Make sure a signing key exists and load the keys (call before serving requests)
+  static async initialize() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    await this.rotate();
+    await this.load();
+  }
+
+  // Rotate and reload periodically (does not keep the process alive)
+  static startRefreshJob(intervalMs = config.jwtKeyRefreshIntervalMs) {
+    const timer = setInterval(() => {
+      this.rotate()
+        .then(() => this.load())
+        .catch((error) => {
+          console.error('Signing key refresh error:', error);
+        });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = SigningKeyStore;
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Stores files below a directory that is served statically (UPLOAD_PATH at UPLOAD_URL)
+class LocalStorage {
+  constructor({ directory = config.uploadPath, baseUrl = config.uploadUrl } = {}) {
+    this.directory = path.resolve(directory);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  // Absolute path of a key; keys cannot point outside the directory
+  resolve(key) {
+    const file = path.resolve(this.directory, key);
+
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  }
+
+  async put(key, data) {
+    const file = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, data);
+
+    return { key, url: this.url(key) };
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  // Deleting a missing file is not an error
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  // Delete all stored files
+  async clear() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+// Driver factories by name (STORAGE_DRIVER); register more with registerDriver.
+// A driver stores data under a key: put(key, data, { contentType }), get(key),
+// delete(key) and url(key).
+const drivers = {
+  local: (options) => new LocalStorage(options),
+};
+
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const createDriver = (name, options = {}) => {
+  const factory = drivers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return factory(options);
+};
+
+class Storage {
+  constructor({ driver } = {}) {
+    this.driver = driver;
+  }
+
+  // Swap the driver at runtime (e.g. in tests)
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createDriver(config.storageDriver);
+    }
+
+    return this.driver;
+  }
+
+  async put(key, data, options = {}) {
+    return this.getDriver().put(key, data, options);
+  }
+
+  async get(key) {
+    return this.getDriver().get(key);
+  }
+
+  async delete(key) {
+    return this.getDriver().delete(key);
+  }
+
+  url(key) {
+    return this.getDriver().url(key);
+  }
+}
+
+const storage = new Storage();
+
+module.exports = {
+  storage,
+  Storage,
+  LocalStorage,
+  registerDriver,
+  createDriver,
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserModel = require('../models/users');
+const SecurityEventService = require('./securityEvents');
+const config = require('../config');
+
+// How long the project's key set is reused, and how often an unknown kid may refetch it
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+
+// Supabase signs with the shared project secret (HS256) or with asymmetric keys
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+const getIssuer = () => config.supabaseJwtIssuer
+  || `${(config.supabaseUrl || '').replace(/\/$/, '')}/auth/v1`;
+
+const getJwksUrl = () => config.supabaseJwksUrl || `${getIssuer()}/.well-known/jwks.json`;
+
+// The project's public keys, refetched when a token uses an unknown kid
+let jwks = { keys: [], fetchedAt: 0 };
+
+const fetchJwks = async () => {
+  const response = await fetch(getJwksUrl(), { headers: { Accept: 'application/json' } });
+
+  if (!response.ok) {
+    throw new Error(`Supabase JWKS request failed (${response.status})`);
+  }
+
+  const body = await response.json();
+  jwks = { keys: body.keys || [], fetchedAt: Date.now() };
+};
+
+const getPublicKey = async (kid) => {
+  const findKey = () => jwks.keys.find(key => key.kid === kid);
+  const age = Date.now() - jwks.fetchedAt;
+
+  if (age > JWKS_TTL_MS || (!findKey() && age > JWKS_MIN_REFETCH_MS)) {
+    await fetchJwks();
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('unknown signing key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+class SupabaseAuthService {
+  // Whether Supabase Auth tokens are accepted
+  static isEnabled() {
+    return config.supabaseAuthEnabled;
+  }
+
+  // Whether a (not yet verified) token claims to be issued by Supabase Auth
+  static isSupabaseToken(token) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    const decoded = jwt.decode(token);
+    return Boolean(decoded && decoded.iss === getIssuer());
+  }
+
+  // Verify a Supabase access token (signature, issuer, audience, expiry)
+  static async verifyToken(token) {
+    const options = {
+      issuer: getIssuer(),
+      audience: config.supabaseJwtAudience,
+    };
+
+    try {
+      const decoded = jwt.decode(token, { complete: true });
+      const algorithm = decoded && decoded.header.alg;
+
+      if (algorithm === 'HS256') {
+        if (!config.supabaseJwtSecret) {
+          throw new Error('SUPABASE_JWT_SECRET is not configured');
+        }
+
+        return jwt.verify(token, config.supabaseJwtSecret, { ...options, algorithms: ['HS256'] });
+      }
+
+      if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`unsupported algorithm ${algorithm}`);
+      }
+
+      const key = await getPublicKey(decoded.header.kid);
+      return jwt.verify(token, key, { ...options, algorithms: ASYMMETRIC_ALGORITHMS });
+    } catch (error) {
+      throw new Error(`Invalid Supabase access token: ${error.message}`);
+    }
+  }
+
+  // Supabase reports authentication methods as objects ({ method: 'totp' }) and
+  // the assurance level separately; map them to the amr strings our tokens use.
+  // Our 'otp' means a second factor, so only a TOTP factor or aal2 becomes 'otp'.
+  // Supabase's own 'otp' is an emailed code or magic link, a first factor only.
+  static getAuthenticationMethods(claims) {
+    const methods = (Array.isArray(claims.amr) ? claims.amr : [])
+      .map(entry => (typeof entry === 'string' ? entry : entry && entry.method))
+      .filter(method => method && method !== 'otp')
+      .map(method => (method === 'totp' ? 'otp' : method));
+
+    if (claims.aal === 'aal2' && !methods.includes('otp')) {
+      methods.push('otp');
+    }
+
+    return [...new Set(methods)];
+  }
+
+  // When the user last authenticated (seconds), from the timestamps Supabase
+  // records per method
+  static getAuthTime(claims) {
+    const timestamps = (Array.isArray(claims.amr) ? claims.amr : [])
+      .map(entry => entry && entry.timestamp)
+      .filter(Number.isFinite);
+
+    return timestamps.length > 0 ? Math.max(...timestamps) : undefined;
+  }
+
+  // Whether Supabase has confirmed a user's email, from the Admin API. Unlike
+  // user_metadata, users cannot set email_confirmed_at themselves. Without the
+  // service role key, emails count as unconfirmed.
+  static async isEmailConfirmed(userId) {
+    if (!config.supabaseUrl || !config.supabaseServiceRoleKey) {
+      return false;
+    }
+
+    const url = `${config.supabaseUrl.replace(/\/$/, '')}/auth/v1/admin/users/${encodeURIComponent(userId)}`;
+    const response = await fetch(url, {
+      headers: {
+        Accept: 'application/json',
+        apikey: config.supabaseServiceRoleKey,
+        Authorization: `Bearer ${config.supabaseServiceRoleKey}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Supabase user request failed (${response.status})`);
+    }
+
+    const user = await response.json();
+    return Boolean(user.email_confirmed_at);
+  }
+
+  // Profile for a Supabase user (profiles.id is auth.users.id), created on first sight
+  static async findOrCreateUser(claims) {
+    const existing = await UserModel.findById(claims.sub);
+    if (existing) {
+      return existing;
+    }
+
+    if (claims.is_anonymous || !claims.email) {
+      throw new Error('Supabase users without an email address are not supported');
+    }
+
+    const email = String(claims.email).toLowerCase();
+    if (await UserModel.findByEmail(email)) {
+      throw new Error('An account with this email already exists. Log in with your password');
+    }
+
+    const metadata = claims.user_metadata || {};
+    const isEmailVerified = await this.isEmailConfirmed(claims.sub);
+
+    try {
+      const user = await UserModel.create({
+        id: claims.sub,
+        email,
+        // Supabase handles the password; this one only keeps the column filled
+        password: crypto.randomBytes(32).toString('base64'),
+        fullName: metadata.full_name || metadata.name || null,
+        role: 'customer',
+        isActive: true,
+        isEmailVerified
+      });
+
+      await SecurityEventService.record(SecurityEventService.EVENTS.IDENTITY_LINKED, {
+        userId: user.id,
+        details: { provider: 'supabase', isNewUser: true }
+      });
+
+      return user;
+    } catch (error) {
+      // Created by a concurrent request with the same token
+      const created = await UserModel.findById(claims.sub);
+      if (created) {
+        return created;
+      }
+
+      throw error;
+    }
+  }
+
+  // Verify a Supabase token and make sure its user has a profile. Returns a
+  // payload shaped like our own access tokens ({ userId, email, role, amr, ... })
+  static async verifyAccessToken(token) {
+    const claims = await this.verifyToken(token);
+    const user = await this.findOrCreateUser(claims);
+
+    return {
+      ...claims,
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      amr: this.getAuthenticationMethods(claims),
+      auth_time: this.getAuthTime(claims),
+      provider: 'supabase',
+    };
+  }
+}
+
+module.exports = SupabaseAuthService;
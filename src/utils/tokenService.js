@@ -0,0 +1,232 @@
+const JWTUtils = require('./jwt');
+const RefreshTokenModel = require('../models/refreshTokens');
+const RevokedTokenModel = require('../models/revokedTokens');
+const SessionModel = require('../models/sessions');
+const AuthTokenModel = require('../models/authTokens');
+const OidcAuthRequestModel = require('../models/oidcAuthRequests');
+const MagicLinkTokenModel = require('../models/magicLinkTokens');
+const UserModel = require('../models/users');
+const SecurityEventService = require('./securityEvents');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+const { EVENTS } = SecurityEventService;
+
+class TokenService {
+  // Issue an access/refresh token pair and persist the refresh token.
+  // Without a sessionId a new session (and refresh token family) is started
+  // for the client described by context ({ device, userAgent, ipAddress });
+  // twoFactorVerified marks that new session as having passed a second factor.
+  static async issueTokenPair(user, { sessionId, context = {}, twoFactorVerified = false } = {}) {
+    const expiresAt = new Date(Date.now() + JWTUtils.getRefreshTokenTtl());
+
+    let session;
+    if (sessionId) {
+      session = await SessionModel.touch(sessionId, {
+        ipAddress: context.ipAddress,
+        expiresAt,
+      });
+    } else {
+      session = await SessionModel.create({
+        userId: user.id,
+        device: context.device,
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress,
+        expiresAt,
+        twoFactorVerifiedAt: twoFactorVerified ? new Date() : null,
+      });
+    }
+
+    if (!session) {
+      throw new AppError('Session has ended. Please log in again', 401);
+    }
+
+    const tokens = JWTUtils.generateTokenPair({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sessionId: session.id,
+      twoFactorVerified: Boolean(session.twoFactorVerifiedAt),
+      authTime: session.createdAt,
+    });
+
+    const stored = await RefreshTokenModel.create({
+      userId: user.id,
+      familyId: session.id,
+      tokenHash: JWTUtils.hashToken(tokens.refreshToken),
+      expiresAt: JWTUtils.getTokenExpiration(tokens.refreshToken),
+    });
+
+    return { tokens, refreshTokenId: stored.id, sessionId: session.id };
+  }
+
+  // Exchange a refresh token for a new pair. Every refresh token can be
+  // used exactly once; presenting a used token again revokes its family.
+  // Within reuseGraceMs of its rotation, a used token instead gets a new access
+  // token only (tokens.refreshToken is left out), so parallel requests that
+  // carried the same token do not end the session.
+  // Refreshes of validly signed tokens are recorded in the security audit log.
+  static async rotateRefreshToken(refreshToken, context = {}, { reuseGraceMs = 0 } = {}) {
+    const decoded = JWTUtils.verifyRefreshToken(refreshToken);
+
+    try {
+      const result = await this.exchangeRefreshToken(decoded, refreshToken, context, reuseGraceMs);
+
+      await SecurityEventService.record(EVENTS.TOKEN_REFRESHED, {
+        userId: result.user.id,
+        context,
+        details: { sessionId: result.sessionId },
+      });
+
+      return result;
+    } catch (error) {
+      await SecurityEventService.recordFailure(EVENTS.TOKEN_REFRESH_FAILED, {
+        userId: decoded.userId,
+        context,
+        details: { reason: error.message },
+      });
+
+      throw error;
+    }
+  }
+
+  // Single-use check and rotation behind rotateRefreshToken
+  static async exchangeRefreshToken(decoded, refreshToken, context, reuseGraceMs = 0) {
+    const stored = await RefreshTokenModel.findByHash(JWTUtils.hashToken(refreshToken));
+
+    if (!stored || stored.userId !== decoded.userId) {
+      throw new AppError('Refresh token not recognized', 401);
+    }
+
+    if (stored.revokedAt) {
+      throw new AppError('Refresh token has been revoked', 401);
+    }
+
+    // Already used, or another request claimed it first: treat as theft,
+    // unless it was rotated just now and the caller allows that
+    const claimed = stored.usedAt ? null : await RefreshTokenModel.markUsed(stored.id);
+    if (!claimed) {
+      const used = stored.usedAt ? stored : await RefreshTokenModel.findByHash(stored.tokenHash);
+
+      if (reuseGraceMs > 0 && used && used.usedAt && !used.revokedAt
+        && Date.now() - new Date(used.usedAt) <= reuseGraceMs) {
+        return await this.renewAccessToken(used);
+      }
+
+      await this.endSession(stored.familyId);
+      throw new AppError('Refresh token reuse detected. Please log in again', 401);
+    }
+
+    const user = await UserModel.findById(stored.userId);
+    if (!user || !user.isActive) {
+      await this.endSession(stored.familyId);
+      throw new AppError('User not found or account disabled', 401);
+    }
+
+    const issued = await this.issueTokenPair(user, {
+      sessionId: stored.familyId,
+      context,
+    });
+    await RefreshTokenModel.setReplacedBy(stored.id, issued.refreshTokenId);
+
+    return { user, ...issued };
+  }
+
+  // A new access token for the session of a refresh token that was just rotated.
+  // The refresh token that replaced it stays the only usable one.
+  static async renewAccessToken(stored) {
+    const session = await SessionModel.findById(stored.familyId);
+    const user = await UserModel.findById(stored.userId);
+
+    if (!SessionModel.isActive(session) || !user || !user.isActive) {
+      throw new AppError('Session has ended. Please log in again', 401);
+    }
+
+    const { accessToken, expiresIn, tokenType } = JWTUtils.generateTokenPair({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sessionId: session.id,
+      twoFactorVerified: Boolean(session.twoFactorVerifiedAt),
+      authTime: session.createdAt,
+    });
+
+    return { user, tokens: { accessToken, expiresIn, tokenType }, refreshTokenId: null, sessionId: session.id };
+  }
+
+  // End a session: revoke the session row and its refresh token family.
+  // Access tokens carrying the session id stop working immediately.
+  static async endSession(sessionId, revokedBy = null) {
+    await RefreshTokenModel.revokeFamily(sessionId);
+    return await SessionModel.revoke(sessionId, revokedBy);
+  }
+
+  // Revoke a single (decoded) access token until it expires
+  static async revokeAccessToken(decoded, reason = 'logout') {
+    if (!decoded || !decoded.jti) {
+      return null;
+    }
+
+    return await RevokedTokenModel.revoke({
+      jti: decoded.jti,
+      userId: decoded.userId,
+      expiresAt: new Date(decoded.exp * 1000),
+      reason,
+    });
+  }
+
+  // End the refresh token family a refresh token belongs to.
+  // Unknown or foreign tokens are ignored.
+  static async revokeRefreshToken(refreshToken, userId) {
+    const stored = await RefreshTokenModel.findByHash(JWTUtils.hashToken(refreshToken));
+
+    if (!stored || stored.userId !== userId) {
+      return null;
+    }
+
+    return await this.endSession(stored.familyId);
+  }
+
+  // Revoke every access and refresh token a user currently holds
+  static async revokeAllForUser(userId, reason = 'logout_all', revokedBy = null) {
+    const expiresAt = new Date(Date.now() + JWTUtils.getAccessTokenTtl());
+
+    await RevokedTokenModel.revokeAllForUser(userId, expiresAt, reason);
+    await RefreshTokenModel.revokeAllForUser(userId);
+    await SessionModel.revokeAllForUser(userId, revokedBy);
+  }
+
+  // Delete revocations, refresh tokens, sessions, action tokens, magic links
+  // and unfinished OpenID Connect logins past their expiry
+  static async cleanupExpired() {
+    const revoked = await RevokedTokenModel.deleteExpired();
+    const refresh = await RefreshTokenModel.deleteExpired();
+    const ended = await SessionModel.deleteExpired();
+    const actionTokens = await AuthTokenModel.deleteExpired();
+    const oidcRequests = await OidcAuthRequestModel.deleteExpired();
+    const magicLinks = await MagicLinkTokenModel.deleteExpired();
+
+    return {
+      revokedTokens: revoked.length,
+      refreshTokens: refresh.length,
+      sessions: ended.length,
+      authTokens: actionTokens.length,
+      oidcAuthRequests: oidcRequests.length,
+      magicLinkTokens: magicLinks.length,
+    };
+  }
+
+  // Run cleanupExpired periodically (does not keep the process alive)
+  static startCleanupJob(intervalMs = config.tokenCleanupIntervalMs) {
+    const timer = setInterval(() => {
+      this.cleanupExpired().catch((error) => {
+        console.error('Token cleanup error:', error);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = TokenService;
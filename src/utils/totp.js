@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { encrypt, decrypt } = require('./encryption');
+const config = require('../config');
+
+// RFC 6238 defaults understood by every authenticator app
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const ALGORITHM = 'sha1';
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode bytes as RFC 4648 base32 (no padding, as used in otpauth URIs)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string (case-insensitive, spaces and padding ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// Time step for a timestamp (milliseconds)
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+// HOTP value for a time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac(ALGORITHM, base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and `window` steps either side
+// (clock drift). Returns the matching step, or null when the code is wrong.
+const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateCode(secret, step));
+
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI that authenticator apps import (usually via QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer = config.twoFactorIssuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHM.toUpperCase(),
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Key material for encrypting secrets at rest (falls back to JWT_SECRET)
+const getEncryptionKey = () => config.twoFactorEncryptionKey || `totp:${config.jwtSecret}`;
+
+// Encrypt a secret for storage
+const encryptSecret = (secret) => encrypt(secret, getEncryptionKey());
+
+// Decrypt a secret produced by encryptSecret
+const decryptSecret = (stored) => decrypt(stored, getEncryptionKey());
+
+module.exports = {
+  DIGITS,
+  PERIOD_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const TOTP = require('./totp');
+const JWTUtils = require('./jwt');
+const TwoFactorModel = require('../models/twoFactor');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Purpose of the short-lived token that links the two login steps
+const LOGIN_CHALLENGE_PURPOSE = 'two_factor_login';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared case- and separator-insensitively
+const hashRecoveryCode = (code) => JWTUtils.hashToken(
+  String(code).toLowerCase().replace(/[^a-z0-9]/g, '')
+);
+
+// Generate codes like "3f9a-c2e1"
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+class TwoFactorService {
+  // Whether users with this role must use two-factor authentication
+  static isRequiredForRole(role) {
+    return config.twoFactorRequiredRoles.includes(role);
+  }
+
+  // Whether a user has confirmed two-factor enrollment
+  static async isEnabled(userId) {
+    const credential = await TwoFactorModel.findByUser(userId);
+    return Boolean(credential && credential.enabledAt);
+  }
+
+  // Status summary for the account settings screen
+  static async getStatus(user) {
+    const credential = await TwoFactorModel.findByUser(user.id);
+    const enabled = Boolean(credential && credential.enabledAt);
+
+    return {
+      enabled,
+      enabledAt: enabled ? credential.enabledAt : null,
+      required: this.isRequiredForRole(user.role),
+      recoveryCodesRemaining: enabled
+        ? await TwoFactorModel.countUnusedRecoveryCodes(user.id)
+        : 0,
+    };
+  }
+
+  // Start enrollment: create a pending secret and return it with its otpauth URI
+  static async setup(user) {
+    if (await this.isEnabled(user.id)) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = TOTP.generateSecret();
+    await TwoFactorModel.savePending(user.id, TOTP.encryptSecret(secret));
+
+    return {
+      secret,
+      otpauthUri: TOTP.buildOtpauthUri({ secret, accountName: user.email }),
+    };
+  }
+
+  // Finish enrollment with a code from the app. Returns the recovery codes,
+  // which are shown to the user exactly once.
+  static async enable(userId, code) {
+    const credential = await TwoFactorModel.findByUser(userId);
+
+    if (!credential) {
+      throw new AppError('Two-factor setup has not been started', 400);
+    }
+
+    if (credential.enabledAt) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const step = TOTP.verifyCode(TOTP.decryptSecret(credential.secret), code);
+    if (step === null || !(await TwoFactorModel.enable(userId, step))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    return await this.regenerateRecoveryCodes(userId);
+  }
+
+  // Check a TOTP code or an unused recovery code. Returns the method that
+  // matched ('totp' or 'recovery_code'), or null.
+  static async verify(userId, code) {
+    const credential = await TwoFactorModel.findByUser(userId);
+
+    if (!credential || !credential.enabledAt || !code) {
+      return null;
+    }
+
+    const step = TOTP.verifyCode(TOTP.decryptSecret(credential.secret), code);
+    if (step !== null) {
+      // A code that was already accepted once is not accepted again
+      return (await TwoFactorModel.markStepUsed(userId, step)) ? 'totp' : null;
+    }
+
+    const recovery = await TwoFactorModel.useRecoveryCode(userId, hashRecoveryCode(code));
+    return recovery ? 'recovery_code' : null;
+  }
+
+  // Replace all recovery codes with a new set
+  static async regenerateRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+    await TwoFactorModel.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+
+    return codes;
+  }
+
+  // Turn two-factor authentication off
+  static async disable(userId) {
+    return await TwoFactorModel.disable(userId);
+  }
+
+  // Token returned by the password step of login when a second factor is needed
+  static generateLoginChallenge(userId) {
+    return JWTUtils.generateActionToken(
+      LOGIN_CHALLENGE_PURPOSE,
+      userId,
+      config.twoFactorChallengeExpiresIn
+    );
+  }
+
+  // Verify a login challenge token and return the user id it was issued for
+  static verifyLoginChallenge(challengeToken) {
+    try {
+      return JWTUtils.verifyActionToken(challengeToken, LOGIN_CHALLENGE_PURPOSE).userId;
+    } catch (error) {
+      throw new AppError('Login challenge is invalid or has expired. Please log in again', 401);
+    }
+  }
+}
+
+module.exports = TwoFactorService;
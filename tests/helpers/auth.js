@@ -1,21 +1,13 @@
 // Authentication test helpers
-const jwt = require('jsonwebtoken');
-const config = require('../../src/config');
+const request = require('supertest');
 const UserModel = require('../../src/models/users');
+const TokenService = require('../../src/utils/tokenService');
 const { testData } = require('../setup');
 
 // Create test user and return auth token
 async function createTestUser(userData = testData.user) {
   const user = await UserModel.create(userData);
-  const token = jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    config.jwtSecret,
-    { expiresIn: '24h' }
-  );
+  const token = await generateToken(user);
   
   return { user, token };
 }
@@ -23,30 +15,35 @@ async function createTestUser(userData = testData.user) {
 // Create test admin and return auth token
 async function createTestAdmin(userData = testData.admin) {
   const admin = await UserModel.create(userData);
-  const token = jwt.sign(
-    { 
-      id: admin.id, 
-      email: admin.email, 
-      role: admin.role 
-    },
-    config.jwtSecret,
-    { expiresIn: '24h' }
-  );
+  const token = await generateToken(admin);
   
   return { user: admin, token };
 }
 
-// Generate JWT token for existing user
-function generateToken(user) {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      email: user.email, 
-      role: user.role 
-    },
-    config.jwtSecret,
-    { expiresIn: '24h' }
-  );
+// Create test admin and register testData.user through the API (for admin
+// endpoint tests). asAdmin(req) sends a request with the admin's token.
+async function createTestAdminAndUser(app) {
+  const { user: admin, token: adminToken } = await createTestAdmin();
+  
+  const registered = await request(app)
+    .post('/api/v1/auth/register')
+    .send(testData.user);
+  
+  return {
+    admin,
+    adminToken,
+    userId: registered.body.data.user.id,
+    userToken: registered.body.data.tokens.accessToken,
+    tokens: registered.body.data.tokens,
+    asAdmin: (req) => req.set('Authorization', createAuthHeader(adminToken))
+  };
+}
+
+// Issue an access token for an existing user, with a session like a real login
+async function generateToken(user) {
+  const { tokens } = await TokenService.issueTokenPair(user);
+  
+  return tokens.accessToken;
 }
 
 // Create authorization header
@@ -57,6 +54,7 @@ function createAuthHeader(token) {
 module.exports = {
   createTestUser,
   createTestAdmin,
+  createTestAdminAndUser,
   generateToken,
   createAuthHeader
 };
\ No newline at end of file
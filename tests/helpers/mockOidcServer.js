@@ -0,0 +1,131 @@
+// Minimal OpenID Connect provider for tests (discovery, authorize, token, JWKS, userinfo)
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createCodeChallenge } = require('../../src/utils/oidc');
+
+async function startMockOidcServer({
+  clientId = 'test-client',
+  clientSecret = 'test-secret',
+  user = {
+    sub: 'mock-user-1',
+    email: 'oidc-user@example.com',
+    email_verified: true,
+    name: 'OIDC User'
+  }
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const mock = {
+    issuer,
+    clientId,
+    clientSecret,
+    user,
+    // Claims to merge into the next ID token (e.g. { aud: 'someone-else' })
+    idTokenOverrides: {},
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+    });
+  });
+
+  // Log the user in immediately and redirect back with a code
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      nonce: req.query.nonce,
+      codeChallenge: req.query.code_challenge,
+      redirectUri: req.query.redirect_uri
+    });
+
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const pending = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!pending
+      || req.body.client_id !== clientId
+      || req.body.client_secret !== clientSecret
+      || req.body.redirect_uri !== pending.redirectUri
+      || createCodeChallenge(req.body.code_verifier || '') !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      {
+        ...mock.user,
+        iss: issuer,
+        aud: clientId,
+        nonce: pending.nonce,
+        ...mock.idTokenOverrides
+      },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        expiresIn: '5m'
+      }
+    );
+
+    res.json({
+      access_token: 'mock-access-token',
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    res.json(mock.user);
+  });
+
+  return mock;
+}
+
+// Follow the provider redirect for an authorization URL and return the callback query
+async function authorizeWithMock(authorizationUrl) {
+  const response = await fetch(authorizationUrl, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+
+  return {
+    code: callback.searchParams.get('code'),
+    state: callback.searchParams.get('state'),
+    callbackUrl: callback
+  };
+}
+
+module.exports = {
+  startMockOidcServer,
+  authorizeWithMock
+};
@@ -0,0 +1,99 @@
+// Locally signed tokens that mimic Supabase Auth access tokens
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const SUPABASE_URL = 'https://test-project.supabase.co';
+const SUPABASE_JWT_SECRET = 'test-supabase-jwt-secret-with-enough-length';
+const SUPABASE_SERVICE_ROLE_KEY = 'test-supabase-service-role-key';
+
+// Claims of a signed-in Supabase user
+function supabaseClaims(overrides = {}) {
+  return {
+    sub: crypto.randomUUID(),
+    email: 'supabase-user@example.com',
+    role: 'authenticated',
+    aal: 'aal1',
+    amr: [{ method: 'password', timestamp: Math.floor(Date.now() / 1000) }],
+    session_id: crypto.randomUUID(),
+    is_anonymous: false,
+    app_metadata: { provider: 'email', providers: ['email'] },
+    user_metadata: { full_name: 'Supabase User', email_verified: true },
+    ...overrides
+  };
+}
+
+// Sign with the project's shared secret (HS256), like older Supabase projects
+function signSupabaseToken(claims = supabaseClaims(), {
+  secret = SUPABASE_JWT_SECRET,
+  issuer = `${SUPABASE_URL}/auth/v1`,
+  audience = 'authenticated',
+  expiresIn = '1h'
+} = {}) {
+  return jwt.sign(claims, secret, { algorithm: 'HS256', issuer, audience, expiresIn });
+}
+
+// Serve an ES256 key set like a project with asymmetric signing keys.
+// Returns { jwksUrl, sign(claims), close() }.
+async function startSupabaseJwksServer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = crypto.randomUUID();
+
+  const app = express();
+  app.get('/auth/v1/.well-known/jwks.json', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' }] });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    jwksUrl: `http://127.0.0.1:${server.address().port}/auth/v1/.well-known/jwks.json`,
+    sign: (claims = supabaseClaims()) => jwt.sign(claims, privateKey, {
+      algorithm: 'ES256',
+      keyid: kid,
+      issuer: `${SUPABASE_URL}/auth/v1`,
+      audience: 'authenticated',
+      expiresIn: '1h'
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Serve the Admin API's user lookup for the given users ({ <id>: { email_confirmed_at } }).
+// Returns { url, close() }; url stands in for SUPABASE_URL.
+async function startSupabaseAdminServer(users = {}) {
+  const app = express();
+  app.get('/auth/v1/admin/users/:id', (req, res) => {
+    if (req.get('authorization') !== `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`) {
+      return res.status(401).json({ msg: 'Invalid API key' });
+    }
+
+    const user = users[req.params.id];
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    res.json({ id: req.params.id, ...user });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  SUPABASE_URL,
+  SUPABASE_JWT_SECRET,
+  SUPABASE_SERVICE_ROLE_KEY,
+  supabaseClaims,
+  signSupabaseToken,
+  startSupabaseJwksServer,
+  startSupabaseAdminServer
+};
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const UserModel = require('../../src/models/users');
+const PasswordHistoryModel = require('../../src/models/passwordHistory');
+const MagicLinkTokenModel = require('../../src/models/magicLinkTokens');
+const SecurityEventModel = require('../../src/models/securityEvents');
+const PasswordPolicy = require('../../src/utils/passwordPolicy');
+const AccountDeletionService = require('../../src/utils/accountDeletion');
+const config = require('../../src/config');
+const { testData } = require('../setup');
+const { createAuthHeader } = require('../helpers/auth');
+
+describe('Account Data API', () => {
+  let userId;
+  let userToken;
+
+  beforeEach(async () => {
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    userId = registered.body.data.user.id;
+    userToken = registered.body.data.tokens.accessToken;
+  });
+
+  const asUser = (req) => req.set('Authorization', createAuthHeader(userToken));
+
+  const requestDeletion = (password = testData.user.password) =>
+    asUser(request(app).delete('/api/v1/auth/me')).send({ password });
+
+  describe('GET /api/v1/auth/me/export', () => {
+    it('should download the data as JSON', async () => {
+      const response = await asUser(request(app).get('/api/v1/auth/me/export')).expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="account-export-.*\.json"/);
+      expect(response.body.profile.email).toBe(testData.user.email);
+      expect(response.body.profile.password).toBeUndefined();
+      expect(response.body.orders).toEqual([]);
+      expect(response.body.cart).toEqual([]);
+      expect(response.body.securityEvents).toEqual([
+        expect.objectContaining({ type: 'user_registered', details: { method: 'password' } })
+      ]);
+    });
+
+    it('should download the data as a ZIP archive', async () => {
+      const response = await asUser(request(app).get('/api/v1/auth/me/export'))
+        .query({ format: 'zip' })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.body.readUInt32LE(0)).toBe(0x04034b50);
+    });
+
+    it('should reject unknown formats', async () => {
+      await asUser(request(app).get('/api/v1/auth/me/export'))
+        .query({ format: 'xml' })
+        .expect(400);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/v1/auth/me/export').expect(401);
+    });
+  });
+
+  describe('DELETE /api/v1/auth/me', () => {
+    it('should schedule the deletion after the cooling-off period', async () => {
+      const response = await requestDeletion().expect(202);
+
+      const scheduledAt = new Date(response.body.data.deletionScheduledAt);
+      expect(scheduledAt.getTime()).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000);
+
+      // The account keeps working until then
+      const profile = await asUser(request(app).get('/api/v1/auth/profile')).expect(200);
+      expect(profile.body.data.user.deletionScheduledAt).toBeTruthy();
+    });
+
+    it('should require the password', async () => {
+      await requestDeletion('WrongPassword123').expect(400);
+    });
+
+    it('should accept a recent login instead of the password', async () => {
+      await asUser(request(app).delete('/api/v1/auth/me')).send({}).expect(202);
+    });
+
+    it('should require the password once the login is no longer recent', async () => {
+      const originalMaxAge = config.accountDeletionReauthMaxAge;
+      config.accountDeletionReauthMaxAge = '1ms';
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      try {
+        const response = await asUser(request(app).delete('/api/v1/auth/me')).send({}).expect(400);
+        expect(response.body.error).toBe('Confirmation required');
+      } finally {
+        config.accountDeletionReauthMaxAge = originalMaxAge;
+      }
+    });
+
+    it('should not schedule the deletion twice', async () => {
+      await requestDeletion().expect(202);
+      await requestDeletion().expect(409);
+    });
+  });
+
+  describe('POST /api/v1/auth/me/deletion/cancel', () => {
+    it('should cancel a pending deletion', async () => {
+      await requestDeletion().expect(202);
+      await asUser(request(app).post('/api/v1/auth/me/deletion/cancel')).expect(200);
+
+      const profile = await asUser(request(app).get('/api/v1/auth/profile')).expect(200);
+      expect(profile.body.data.user.deletionScheduledAt).toBeNull();
+    });
+
+    it('should fail without a pending deletion', async () => {
+      await asUser(request(app).post('/api/v1/auth/me/deletion/cancel')).expect(400);
+    });
+  });
+
+  describe('Carrying out deletions', () => {
+    it('should anonymize the account once the cooling-off period is over', async () => {
+      await requestDeletion().expect(202);
+
+      // Puts the registration password into the password history
+      await PasswordPolicy.changePassword(userId, 'Changed7Horse');
+      expect(await PasswordHistoryModel.findRecent(userId, 5)).toHaveLength(1);
+
+      // A sign-in link, stored by email address
+      await MagicLinkTokenModel.create({
+        email: testData.user.email,
+        tokenHash: 'a'.repeat(64),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      // Not due yet
+      expect((await AccountDeletionService.processDue()).anonymized).toBe(0);
+
+      const later = AccountDeletionService.getScheduledDate(new Date(Date.now() + 60 * 1000));
+      expect((await AccountDeletionService.processDue(later)).anonymized).toBe(1);
+
+      const user = await UserModel.findForExport(userId);
+      expect(user.email).toBe(`deleted-${userId}@deleted.invalid`);
+      expect(user.fullName).toBeNull();
+      expect(await PasswordHistoryModel.findRecent(userId, 5)).toEqual([]);
+      expect(await MagicLinkTokenModel.invalidateForEmail(testData.user.email)).toEqual([]);
+
+      // Security events are kept without the IP address and user agent
+      const events = await SecurityEventModel.findAllForUser(userId);
+      expect(events.length).toBeGreaterThan(0);
+      expect(events.every(event => event.ipAddress === null && event.userAgent === null)).toBe(true);
+
+      await asUser(request(app).get('/api/v1/auth/profile')).expect(401);
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: testData.user.email, password: testData.user.password })
+        .expect(401);
+    });
+  });
+});
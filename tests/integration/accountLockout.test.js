@@ -0,0 +1,141 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const config = require('../../src/config');
+const { testData } = require('../setup');
+const { createTestAdmin, createAuthHeader } = require('../helpers/auth');
+const AccountLockoutService = require('../../src/utils/accountLockout');
+const AccountLockoutModel = require('../../src/models/accountLockouts');
+const LoginService = require('../../src/utils/login');
+
+describe('Account Lockout', () => {
+  const originalConfig = {
+    loginMaxFailedAttempts: config.loginMaxFailedAttempts,
+    loginFailureDelayMs: config.loginFailureDelayMs
+  };
+
+  let userId;
+
+  const login = (password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: testData.user.email, password });
+
+  beforeAll(() => {
+    // Stay below the per-IP login rate limit and skip the response delay
+    config.loginMaxFailedAttempts = 3;
+    config.loginFailureDelayMs = 0;
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    userId = response.body.data.user.id;
+  });
+
+  it('should lock the account after repeated failures', async () => {
+    for (let i = 0; i < 3; i++) {
+      await login('WrongPassword123').expect(401);
+    }
+
+    // Even the correct password is rejected while locked
+    const response = await login(testData.user.password).expect(401);
+
+    expect(response.body.error).toBe('Invalid credentials');
+  });
+
+  it('should answer locked and unknown accounts like a wrong password', async () => {
+    for (let i = 0; i < 3; i++) {
+      await login('WrongPassword123');
+    }
+
+    const locked = await login(testData.user.password).expect(401);
+    const unknown = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'nobody@example.com', password: testData.user.password })
+      .expect(401);
+
+    expect(locked.body).toEqual(unknown.body);
+  });
+
+  it('should delay unknown, existing and locked accounts the same way', async () => {
+    const delays = jest.spyOn(AccountLockoutService, 'getFailureDelay');
+    const attempt = (email) => LoginService.withPassword(email, 'WrongPassword123');
+
+    // Start from a successful login, which clears earlier failures of the email
+    await LoginService.withPassword(testData.user.email, testData.user.password);
+
+    // The fourth attempt on the existing account hits its lock
+    for (let i = 0; i < 4; i++) {
+      await attempt(testData.user.email);
+    }
+    const existing = delays.mock.calls.map(([failures]) => failures);
+
+    delays.mockClear();
+    for (let i = 0; i < 4; i++) {
+      await attempt('nobody-delay@example.com');
+    }
+    const unknown = delays.mock.calls.map(([failures]) => failures);
+
+    delays.mockRestore();
+
+    expect(existing).toEqual([1, 2, 3, 4]);
+    expect(unknown).toEqual(existing);
+  });
+
+  it('should clear failed attempts when the password is right', async () => {
+    await login('WrongPassword123').expect(401);
+    expect(await AccountLockoutModel.findByUser(userId)).not.toBeNull();
+
+    const result = await LoginService.withPassword(testData.user.email, testData.user.password);
+
+    expect(result.outcome).toBe(LoginService.OUTCOMES.SUCCESS);
+    expect(result.tokens.accessToken).toBeDefined();
+    expect(await AccountLockoutModel.findByUser(userId)).toBeNull();
+  });
+
+  it('should reset the counter after a successful login', async () => {
+    await login('WrongPassword123').expect(401);
+    await login('WrongPassword123').expect(401);
+    await login(testData.user.password).expect(200);
+    await login('WrongPassword123').expect(401);
+
+    await login(testData.user.password).expect(200);
+  });
+
+  describe('Admin unlock', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const result = await createTestAdmin();
+      adminToken = result.token;
+
+      for (let i = 0; i < 3; i++) {
+        await login('WrongPassword123');
+      }
+    });
+
+    it('should report the lockout', async () => {
+      const response = await request(app)
+        .get(`/api/v1/admin/users/${userId}/lockout`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.data.isLocked).toBe(true);
+      expect(response.body.data.lockCount).toBe(1);
+    });
+
+    it('should unlock the account', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/users/${userId}/lockout`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      await login(testData.user.password).expect(200);
+    });
+  });
+});
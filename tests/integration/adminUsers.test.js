@@ -0,0 +1,119 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { testData } = require('../setup');
+const { createTestAdminAndUser, createAuthHeader } = require('../helpers/auth');
+
+describe('Admin User Management API', () => {
+  let admin;
+  let asAdmin;
+  let userId;
+  let userToken;
+
+  beforeEach(async () => {
+    ({ admin, asAdmin, userId, userToken } = await createTestAdminAndUser(app));
+  });
+
+  const login = () => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: testData.user.email, password: testData.user.password });
+
+  describe('GET /api/v1/admin/users', () => {
+    it('should search users', async () => {
+      const response = await asAdmin(request(app).get('/api/v1/admin/users'))
+        .query({ search: 'test@example' })
+        .expect(200);
+
+      expect(response.body.data.map(user => user.id)).toEqual([userId]);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', createAuthHeader(userToken))
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/v1/admin/users/:userId', () => {
+    it('should include order statistics', async () => {
+      const response = await asAdmin(request(app).get(`/api/v1/admin/users/${userId}`)).expect(200);
+
+      expect(response.body.data.email).toBe(testData.user.email);
+      expect(response.body.data.stats.orderCount).toBe(0);
+      expect(response.body.data.password).toBeUndefined();
+    });
+  });
+
+  describe('PATCH /api/v1/admin/users/:userId/status', () => {
+    it('should disable the account and sign the user out', async () => {
+      await asAdmin(request(app).patch(`/api/v1/admin/users/${userId}/status`))
+        .send({ isActive: false, reason: 'Chargeback fraud' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', createAuthHeader(userToken))
+        .expect(401);
+
+      await login().expect(401);
+
+      await asAdmin(request(app).patch(`/api/v1/admin/users/${userId}/status`))
+        .send({ isActive: true })
+        .expect(200);
+
+      await login().expect(200);
+    });
+
+    it('should not let admins disable themselves', async () => {
+      await asAdmin(request(app).patch(`/api/v1/admin/users/${admin.id}/status`))
+        .send({ isActive: false })
+        .expect(400);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/users/:userId/role', () => {
+    it('should change the role', async () => {
+      const response = await asAdmin(request(app).patch(`/api/v1/admin/users/${userId}/role`))
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('admin');
+    });
+
+    it('should reject unknown roles', async () => {
+      await asAdmin(request(app).patch(`/api/v1/admin/users/${userId}/role`))
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/admin/users/:userId/password-reset', () => {
+    it('should invalidate the current password', async () => {
+      await asAdmin(request(app).post(`/api/v1/admin/users/${userId}/password-reset`)).expect(200);
+
+      await login().expect(401);
+    });
+  });
+
+  describe('DELETE /api/v1/admin/users/:userId', () => {
+    it('should hide deleted users unless requested', async () => {
+      await asAdmin(request(app).delete(`/api/v1/admin/users/${userId}`)).expect(200);
+
+      const list = await asAdmin(request(app).get('/api/v1/admin/users')).expect(200);
+      expect(list.body.data.map(user => user.id)).not.toContain(userId);
+
+      const withDeleted = await asAdmin(request(app).get('/api/v1/admin/users'))
+        .query({ includeDeleted: true })
+        .expect(200);
+      expect(withDeleted.body.data.find(user => user.id === userId).deletedAt).not.toBeNull();
+
+      await login().expect(401);
+    });
+
+    it('should not delete twice', async () => {
+      await asAdmin(request(app).delete(`/api/v1/admin/users/${userId}`)).expect(200);
+      await asAdmin(request(app).delete(`/api/v1/admin/users/${userId}`)).expect(404);
+    });
+  });
+});
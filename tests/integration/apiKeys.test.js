@@ -0,0 +1,122 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { testData } = require('../setup');
+const { createTestAdmin, createAuthHeader } = require('../helpers/auth');
+
+describe('API Keys', () => {
+  let adminToken;
+
+  beforeEach(async () => {
+    const result = await createTestAdmin();
+    adminToken = result.token;
+  });
+
+  const createKey = (body) => request(app)
+    .post('/api/v1/admin/api-keys')
+    .set('Authorization', createAuthHeader(adminToken))
+    .send(body);
+
+  describe('POST /api/v1/admin/api-keys', () => {
+    it('should return the key once and store only its prefix', async () => {
+      const response = await createKey({ name: 'ERP', scopes: ['products:write'] }).expect(201);
+
+      const { key, apiKey } = response.body.data;
+      expect(key.startsWith(`${apiKey.prefix}_`)).toBe(true);
+      expect(apiKey.keyHash).toBeUndefined();
+      expect(apiKey.expiresAt).toBeDefined();
+
+      const list = await request(app)
+        .get('/api/v1/admin/api-keys')
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      expect(JSON.stringify(list.body)).not.toContain(key);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await createKey({ name: 'ERP', scopes: ['users:write'] }).expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .post('/api/v1/admin/api-keys')
+        .send({ name: 'ERP', scopes: ['products:write'] })
+        .expect(401);
+    });
+  });
+
+  describe('X-API-Key authentication', () => {
+    it('should allow endpoints covered by the key scopes', async () => {
+      const { body } = await createKey({ name: 'ERP', scopes: ['products:write'] });
+
+      const response = await request(app)
+        .post('/api/v1/products')
+        .set('X-API-Key', body.data.key)
+        .send(testData.product);
+
+      expect(response.status).not.toBe(401);
+      expect(response.status).not.toBe(403);
+    });
+
+    it('should reject endpoints outside the key scopes', async () => {
+      const { body } = await createKey({ name: 'Warehouse', scopes: ['orders:read'] });
+
+      await request(app)
+        .post('/api/v1/products')
+        .set('X-API-Key', body.data.key)
+        .send(testData.product)
+        .expect(403);
+
+      await request(app)
+        .get('/api/v1/orders/admin/all')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+    });
+
+    it('should record when a key was last used', async () => {
+      const { body } = await createKey({ name: 'Warehouse', scopes: ['orders:read'] });
+
+      await request(app)
+        .get('/api/v1/orders/admin/all')
+        .set('X-API-Key', body.data.key)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/admin/api-keys/${body.data.apiKey.id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.data.apiKey.lastUsedAt).not.toBeNull();
+    });
+
+    it('should reject revoked keys', async () => {
+      const { body } = await createKey({ name: 'Warehouse', scopes: ['orders:read'] });
+
+      await request(app)
+        .delete(`/api/v1/admin/api-keys/${body.data.apiKey.id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/orders/admin/all')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+    });
+
+    it('should reject unknown keys', async () => {
+      await request(app)
+        .get('/api/v1/orders/admin/all')
+        .set('X-API-Key', 'ek_000000000000_invalid')
+        .expect(401);
+    });
+
+    it('should not be accepted on user endpoints', async () => {
+      const { body } = await createKey({ name: 'Warehouse', scopes: ['orders:read'] });
+
+      await request(app)
+        .get('/api/v1/orders')
+        .set('X-API-Key', body.data.key)
+        .expect(401);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../../src/index');
 const { testData } = require('../setup');
 const { createTestUser, createAuthHeader } = require('../helpers/auth');
+const RevokedTokenModel = require('../../src/models/revokedTokens');
 
 describe('Authentication API', () => {
   describe('POST /api/v1/auth/register', () => {
@@ -365,6 +366,48 @@ describe('Authentication API', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Invalid refresh token');
     });
+
+    it('should rotate the refresh token on every use', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const rotated = response.body.data.tokens.refreshToken;
+      expect(rotated).toBeDefined();
+      expect(rotated).not.toBe(refreshToken);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: rotated })
+        .expect(200);
+    });
+
+    it('should revoke the token family when a used refresh token is replayed', async () => {
+      const first = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const rotated = first.body.data.tokens.refreshToken;
+
+      // Replaying the original token is treated as theft
+      const replay = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(replay.body.success).toBe(false);
+      expect(replay.body.message).toContain('reuse detected');
+
+      // The legitimate successor is revoked along with the family
+      const afterReplay = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: rotated })
+        .expect(401);
+
+      expect(afterReplay.body.success).toBe(false);
+    });
   });
 
   describe('POST /api/v1/auth/logout', () => {
@@ -409,6 +452,80 @@ describe('Authentication API', () => {
 
       expect(response.body.success).toBe(true);
     });
+
+    it('should revoke the access token and refresh token', async () => {
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .set('Authorization', createAuthHeader(userToken))
+        .send({ refreshToken })
+        .expect(200);
+
+      const profile = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', createAuthHeader(userToken))
+        .expect(401);
+
+      expect(profile.body.error).toBe('Token revoked');
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/logout-all', () => {
+    it('should revoke tokens from every login', async () => {
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send(testData.user);
+
+      const credentials = {
+        email: testData.user.email,
+        password: testData.user.password
+      };
+      const first = await request(app).post('/api/v1/auth/login').send(credentials);
+      const second = await request(app).post('/api/v1/auth/login').send(credentials);
+
+      await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', createAuthHeader(first.body.data.tokens.accessToken))
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: second.body.data.tokens.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('User-wide revocation', () => {
+    it('should revoke tokens issued up to the same second, but not later logins', async () => {
+      const registered = await request(app)
+        .post('/api/v1/auth/register')
+        .send(testData.user);
+      const { user, tokens } = registered.body.data;
+
+      // A token without a session (e.g. impersonation) issued in the revocation's second or before
+      const iat = Math.floor(Date.now() / 1000);
+
+      await request(app)
+        .post('/api/v1/auth/logout-all')
+        .set('Authorization', createAuthHeader(tokens.accessToken))
+        .expect(200);
+
+      expect(await RevokedTokenModel.isRevoked({ userId: user.id, iat })).toBe(true);
+
+      const login = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: testData.user.email, password: testData.user.password })
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', createAuthHeader(login.body.data.tokens.accessToken))
+        .expect(200);
+    });
   });
 
   describe('Rate Limiting', () => {
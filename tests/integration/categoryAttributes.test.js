@@ -0,0 +1,197 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { createTestUser, createTestAdmin, createAuthHeader } = require('../helpers/auth');
+const { createTestCategory, createTestProduct } = require('../helpers/database');
+const ProductModel = require('../../src/models/products');
+
+describe('Category Attributes', () => {
+  let userToken, adminToken;
+  let category, testProduct;
+
+  const createAttribute = (data) => request(app)
+    .post(`/api/v1/categories/${category.id}/attributes`)
+    .set('Authorization', createAuthHeader(adminToken))
+    .send(data);
+
+  const updateProduct = (data) => request(app)
+    .put(`/api/v1/products/${testProduct.id}`)
+    .set('Authorization', createAuthHeader(adminToken))
+    .send(data);
+
+  const screenSize = { key: 'screen_size', label: 'Screen size', type: 'number', unit: 'in' };
+  const material = {
+    key: 'material',
+    label: 'Material',
+    type: 'enum',
+    options: [{ value: 'aluminium', label: 'Aluminium' }, 'plastic'],
+    translations: { de: { label: 'Material', options: { plastic: 'Kunststoff' } } }
+  };
+
+  beforeEach(async () => {
+    userToken = (await createTestUser()).token;
+    adminToken = (await createTestAdmin()).token;
+
+    category = await createTestCategory();
+    testProduct = await createTestProduct(category.id);
+  });
+
+  describe('POST /api/v1/categories/:id/attributes', () => {
+    it('should create attributes in display order', async () => {
+      await createAttribute(screenSize).expect(201);
+      const response = await createAttribute(material).expect(201);
+
+      expect(response.body.data).toMatchObject({
+        key: 'material',
+        type: 'enum',
+        position: 1,
+        options: [{ value: 'aluminium', label: 'Aluminium' }, { value: 'plastic', label: 'plastic' }],
+        translations: { de: { label: 'Material', options: { plastic: 'Kunststoff' } } }
+      });
+    });
+
+    it('should validate definitions', async () => {
+      await createAttribute({ ...screenSize, key: 'Screen Size' }).expect(400);
+      await createAttribute({ ...material, options: [] }).expect(400);
+      await createAttribute({ ...screenSize, options: ['13'] }).expect(400);
+      await createAttribute({ ...material, translations: { fr: { label: 'Matière' } } }).expect(400);
+    });
+
+    it('should reject keys the category already has', async () => {
+      await createAttribute(screenSize).expect(201);
+      await createAttribute(screenSize).expect(409);
+    });
+
+    it('should require categories.write', async () => {
+      await request(app)
+        .post(`/api/v1/categories/${category.id}/attributes`)
+        .set('Authorization', createAuthHeader(userToken))
+        .send(screenSize)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/v1/categories/:id/attributes', () => {
+    it('should return labels in the request language', async () => {
+      await createAttribute(material).expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/categories/${category.id}/attributes`)
+        .set('Accept-Language', 'de')
+        .expect(200);
+
+      expect(response.body.data[0].options).toEqual([
+        { value: 'aluminium', label: 'Aluminium' },
+        { value: 'plastic', label: 'Kunststoff' }
+      ]);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/categories/:id/attributes/:attributeId', () => {
+    it('should not change keys or remove options products have', async () => {
+      const attribute = (await createAttribute(material).expect(201)).body.data;
+      await updateProduct({ attributes: { material: 'plastic' } }).expect(200);
+
+      const url = `/api/v1/categories/${category.id}/attributes/${attribute.id}`;
+
+      await request(app).put(url).set('Authorization', createAuthHeader(adminToken))
+        .send({ key: 'body' })
+        .expect(400);
+      await request(app).put(url).set('Authorization', createAuthHeader(adminToken))
+        .send({ options: ['aluminium'] })
+        .expect(409);
+      await request(app).put(url).set('Authorization', createAuthHeader(adminToken))
+        .send({ options: ['aluminium', 'plastic', 'steel'], isRequired: true })
+        .expect(200);
+    });
+
+    it('should remove the values of deleted attributes from products', async () => {
+      const attribute = (await createAttribute(material).expect(201)).body.data;
+      await updateProduct({ attributes: { material: 'plastic' } }).expect(200);
+
+      await request(app)
+        .delete(`/api/v1/categories/${category.id}/attributes/${attribute.id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      expect((await ProductModel.findById(testProduct.id)).attributes).toEqual({});
+    });
+  });
+
+  describe('Product attribute values', () => {
+    beforeEach(async () => {
+      await createAttribute({ ...screenSize, isRequired: true }).expect(201);
+      await createAttribute(material).expect(201);
+    });
+
+    it('should validate values on create and update', async () => {
+      const response = await request(app)
+        .post('/api/v1/products')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ name: 'Laptop', price: 999, categoryId: category.id, attributes: { material: 'wood' } })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        'Material must be one of: aluminium, plastic',
+        'Screen size is required'
+      ]);
+
+      const updated = await updateProduct({ attributes: { screen_size: 15.6, material: 'aluminium' } }).expect(200);
+      expect(updated.body.data.attributes).toEqual({ screen_size: 15.6, material: 'aluminium' });
+
+      await updateProduct({ attributes: { material: null } }).expect(200);
+      await updateProduct({ attributes: { screen_size: null } }).expect(400);
+    });
+
+    it('should show specifications with labels in the request language', async () => {
+      await updateProduct({ attributes: { screen_size: 13.3, material: 'plastic' } }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/products/${testProduct.id}`)
+        .set('Accept-Language', 'de')
+        .expect(200);
+
+      expect(response.body.data.specifications).toEqual([
+        expect.objectContaining({ key: 'screen_size', value: 13.3, unit: 'in' }),
+        expect.objectContaining({ key: 'material', value: 'plastic', valueLabel: 'Kunststoff' })
+      ]);
+    });
+
+    it('should filter product listings and count attribute values', async () => {
+      await updateProduct({ attributes: { screen_size: 13.3, material: 'plastic' } }).expect(200);
+      const other = await createTestProduct(category.id, {
+        name: 'Large laptop',
+        price: '1299.00',
+        stockQuantity: 3,
+        sku: 'LAPTOP-17',
+        isActive: true,
+        attributes: { screen_size: 17, material: 'aluminium' }
+      });
+
+      const byMaterial = await request(app)
+        .get(`/api/v1/products?category=${category.id}&attributes[material]=aluminium`)
+        .expect(200);
+
+      expect(byMaterial.body.data.map(product => product.id)).toEqual([other.id]);
+      expect(byMaterial.body.facets.attributes).toEqual([
+        expect.objectContaining({ key: 'screen_size', min: 17, max: 17 }),
+        expect.objectContaining({
+          key: 'material',
+          values: [
+            { value: 'aluminium', label: 'Aluminium', count: 1 },
+            { value: 'plastic', label: 'plastic', count: 1 }
+          ]
+        })
+      ]);
+
+      const bySize = await request(app)
+        .get(`/api/v1/products?attributes[screen_size][min]=12&attributes[screen_size][max]=14`)
+        .expect(200);
+
+      expect(bySize.body.data.map(product => product.id)).toEqual([testProduct.id]);
+
+      await request(app)
+        .get('/api/v1/products?attributes[screen_size][min]=big')
+        .expect(400);
+    });
+  });
+});
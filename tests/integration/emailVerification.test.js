@@ -0,0 +1,119 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/index');
+const { mailer, FileTransport } = require('../../src/utils/mailer');
+const { testData } = require('../setup');
+const { createAuthHeader } = require('../helpers/auth');
+
+// Pull the verification token out of the link in the last email sent
+const getVerificationToken = async (transport, email) => {
+  const messages = await transport.list(email);
+  const match = messages[messages.length - 1].text.match(/verify-email\/(\S+)/);
+  return decodeURIComponent(match[1]);
+};
+
+describe('Email Verification API', () => {
+  let transport;
+  let accessToken;
+
+  beforeEach(async () => {
+    transport = new FileTransport({
+      directory: path.join(os.tmpdir(), `verification-test-${process.pid}`)
+    });
+    mailer.setTransport(transport);
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    accessToken = response.body.data.tokens.accessToken;
+  });
+
+  afterEach(async () => {
+    await transport.clear();
+  });
+
+  it('should send a verification email on registration', async () => {
+    const messages = await transport.list(testData.user.email);
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].template).toBe('verify_email');
+    expect(messages[0].text).toContain('/api/v1/auth/verify-email/');
+  });
+
+  describe('GET /api/v1/auth/verify-email/:token', () => {
+    it('should verify the email address', async () => {
+      const token = await getVerificationToken(transport, testData.user.email);
+
+      const response = await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(token)}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.isEmailVerified).toBe(true);
+    });
+
+    it('should only accept a token once', async () => {
+      const token = await getVerificationToken(transport, testData.user.email);
+
+      await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(token)}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(token)}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject tampered tokens', async () => {
+      const token = await getVerificationToken(transport, testData.user.email);
+
+      await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(`${token}x`)}`)
+        .expect(400);
+    });
+
+    it('should not accept an access token', async () => {
+      await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(accessToken)}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/auth/verify-email/resend', () => {
+    it('should send a new link and invalidate the previous one', async () => {
+      const firstToken = await getVerificationToken(transport, testData.user.email);
+
+      await request(app)
+        .post('/api/v1/auth/verify-email/resend')
+        .set('Authorization', createAuthHeader(accessToken))
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(firstToken)}`)
+        .expect(400);
+
+      const secondToken = await getVerificationToken(transport, testData.user.email);
+
+      await request(app)
+        .get(`/api/v1/auth/verify-email/${encodeURIComponent(secondToken)}`)
+        .expect(200);
+    });
+
+    it('should be rate limited', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/v1/auth/verify-email/resend')
+          .set('Authorization', createAuthHeader(accessToken));
+      }
+
+      await request(app)
+        .post('/api/v1/auth/verify-email/resend')
+        .set('Authorization', createAuthHeader(accessToken))
+        .expect(429);
+    });
+  });
+});
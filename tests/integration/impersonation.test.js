@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { testData } = require('../setup');
+const { createTestAdminAndUser, createAuthHeader } = require('../helpers/auth');
+const JWTUtils = require('../../src/utils/jwt');
+const SecurityEventModel = require('../../src/models/securityEvents');
+
+describe('Admin Impersonation', () => {
+  let admin;
+  let asAdmin;
+  let userId;
+
+  beforeEach(async () => {
+    ({ admin, asAdmin, userId } = await createTestAdminAndUser(app));
+  });
+
+  const impersonate = (id = userId) => asAdmin(request(app).post(`/api/v1/admin/users/${id}/impersonate`))
+    .send({ reason: 'Ticket #1234: cart shows wrong total' });
+
+  const asImpersonator = (req, token) => req.set('Authorization', createAuthHeader(token));
+
+  it('should issue a short-lived token flagged with the admin', async () => {
+    const response = await impersonate().expect(200);
+
+    const { accessToken, refreshToken, expiresIn } = response.body.data;
+    const decoded = JWTUtils.decodeToken(accessToken);
+
+    expect(decoded.userId).toBe(userId);
+    expect(decoded.act).toEqual({ sub: admin.id });
+    expect(refreshToken).toBeUndefined();
+    expect(expiresIn).toBe(15 * 60);
+
+    const profile = await asImpersonator(request(app).get('/api/v1/auth/profile'), accessToken).expect(200);
+    expect(profile.body.data.user.email).toBe(testData.user.email);
+  });
+
+  it('should require a reason', async () => {
+    await asAdmin(request(app).post(`/api/v1/admin/users/${userId}/impersonate`))
+      .send({})
+      .expect(400);
+  });
+
+  it('should not let admins impersonate themselves', async () => {
+    await impersonate(admin.id).expect(400);
+  });
+
+  it('should block sensitive actions while impersonating', async () => {
+    const { accessToken } = (await impersonate().expect(200)).body.data;
+
+    const changePassword = await asImpersonator(request(app).post('/api/v1/auth/change-password'), accessToken)
+      .send({ currentPassword: testData.user.password, newPassword: 'AnotherPass123' })
+      .expect(403);
+    expect(changePassword.body.error).toBe('Not allowed while impersonating');
+
+    await asImpersonator(request(app).post('/api/v1/orders'), accessToken)
+      .send({ shippingAddress: {} })
+      .expect(403);
+
+    await asImpersonator(request(app).delete('/api/v1/auth/me'), accessToken)
+      .send({ password: testData.user.password })
+      .expect(403);
+
+    await asImpersonator(request(app).post(`/api/v1/admin/users/${userId}/impersonate`), accessToken)
+      .send({ reason: 'Nested' })
+      .expect(403);
+  });
+
+  it('should audit every impersonated request', async () => {
+    const { accessToken } = (await impersonate().expect(200)).body.data;
+
+    await asImpersonator(request(app).get('/api/v1/cart'), accessToken).expect(200);
+
+    // The request is recorded once the response has been sent
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const events = await SecurityEventModel.findByUser(userId);
+    const types = events.map(event => event.type);
+
+    expect(types).toContain('impersonation_started');
+
+    const audited = events.find(event => event.type === 'impersonated_request');
+    expect(audited.actorId).toBe(admin.id);
+    expect(audited.details).toMatchObject({ method: 'GET', path: '/api/v1/cart', statusCode: 200 });
+  });
+
+  it('should stop working once the admin logs out with it', async () => {
+    const { accessToken } = (await impersonate().expect(200)).body.data;
+
+    await asImpersonator(request(app).post('/api/v1/auth/logout'), accessToken).expect(200);
+
+    await asImpersonator(request(app).get('/api/v1/auth/profile'), accessToken).expect(401);
+  });
+});
@@ -0,0 +1,133 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/index');
+const config = require('../../src/config');
+const { mailer, FileTransport } = require('../../src/utils/mailer');
+const { testData } = require('../setup');
+
+// The sign-in email is sent in the background, so wait for it to arrive
+const getMagicLinkToken = async (transport, email) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const messages = await transport.list(email);
+    if (messages.length > 0) {
+      const match = messages[messages.length - 1].text.match(/[?&]token=(\S+)/);
+      return decodeURIComponent(match[1]);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`No sign-in email sent to ${email}`);
+};
+
+describe('Magic Link Login API', () => {
+  const originalAutoRegister = config.magicLinkAutoRegister;
+  let transport;
+
+  beforeEach(async () => {
+    transport = new FileTransport({
+      directory: path.join(os.tmpdir(), `magic-link-test-${process.pid}`)
+    });
+    mailer.setTransport(transport);
+
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    await transport.clear();
+  });
+
+  afterEach(async () => {
+    config.magicLinkAutoRegister = originalAutoRegister;
+    await transport.clear();
+  });
+
+  const requestLink = (email) => request(app)
+    .post('/api/v1/auth/magic-link')
+    .send({ email });
+
+  const verify = (token) => request(app)
+    .post('/api/v1/auth/magic-link/verify')
+    .send({ token });
+
+  it('should sign in with the emailed link', async () => {
+    await requestLink(testData.user.email).expect(200);
+    const token = await getMagicLinkToken(transport, testData.user.email);
+
+    const response = await verify(token).expect(200);
+
+    expect(response.body.data.user.email).toBe(testData.user.email);
+    expect(response.body.data.user.isEmailVerified).toBe(true);
+    expect(response.body.data.tokens.accessToken).toBeDefined();
+    expect(response.body.data.tokens.refreshToken).toBeDefined();
+  });
+
+  it('should only accept a link once', async () => {
+    await requestLink(testData.user.email).expect(200);
+    const token = await getMagicLinkToken(transport, testData.user.email);
+
+    await verify(token).expect(200);
+    await verify(token).expect(400);
+  });
+
+  it('should invalidate earlier links', async () => {
+    await requestLink(testData.user.email).expect(200);
+    const first = await getMagicLinkToken(transport, testData.user.email);
+    await transport.clear();
+
+    await requestLink(testData.user.email).expect(200);
+    const second = await getMagicLinkToken(transport, testData.user.email);
+
+    await verify(first).expect(400);
+    await verify(second).expect(200);
+  });
+
+  it('should not email unknown addresses unless auto-registration is on', async () => {
+    config.magicLinkAutoRegister = false;
+
+    const response = await requestLink('new-shopper@example.com').expect(200);
+    expect(response.body.success).toBe(true);
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(await transport.list('new-shopper@example.com')).toHaveLength(0);
+  });
+
+  it('should register unknown addresses when auto-registration is on', async () => {
+    config.magicLinkAutoRegister = true;
+
+    await requestLink('new-shopper@example.com').expect(200);
+    const token = await getMagicLinkToken(transport, 'new-shopper@example.com');
+
+    const response = await verify(token).expect(201);
+
+    expect(response.body.data.isNewUser).toBe(true);
+    expect(response.body.data.user.role).toBe('customer');
+    expect(response.body.data.user.isEmailVerified).toBe(true);
+  });
+
+  it('should reject unknown tokens', async () => {
+    await verify('not-a-real-token').expect(400);
+  });
+
+  it('should sign in to the storefront from the emailed link', async () => {
+    await requestLink(testData.user.email).expect(200);
+    await getMagicLinkToken(transport, testData.user.email);
+
+    const [message] = await transport.list(testData.user.email);
+    const link = new URL(message.text.match(/https?:\/\/\S+[?&]token=\S+/)[0]);
+    const agent = request.agent(app);
+
+    // Opening the link does not use it up; the form on the page does
+    const page = await agent.get(`${link.pathname}${link.search}`).expect(200);
+    const form = {
+      _csrf: page.text.match(/name="_csrf" value="([^"]+)"/)[1],
+      token: page.text.match(/name="token" value="([^"]+)"/)[1]
+    };
+
+    const response = await agent.post(link.pathname).type('form').send(form).expect(302);
+    expect(response.headers['set-cookie'].join('\n')).toMatch(/access_token=[^;]+;.*HttpOnly/);
+
+    await agent.get('/checkout').expect(200);
+    await agent.post(link.pathname).type('form').send(form).expect(400);
+  });
+});
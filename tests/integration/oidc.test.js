@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { OidcClient, registerProvider } = require('../../src/utils/oidc');
+const SecurityEventModel = require('../../src/models/securityEvents');
+const { startMockOidcServer, authorizeWithMock } = require('../helpers/mockOidcServer');
+const { testData } = require('../setup');
+
+describe('OpenID Connect Login API', () => {
+  let mock;
+
+  beforeAll(async () => {
+    mock = await startMockOidcServer();
+
+    registerProvider('mock', new OidcClient('mock', {
+      issuer: mock.issuer,
+      clientId: mock.clientId,
+      clientSecret: mock.clientSecret,
+      redirectUri: 'http://localhost:3000/api/v1/auth/oidc/mock/callback'
+    }));
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.user = {
+      sub: 'mock-user-1',
+      email: 'oidc-user@example.com',
+      email_verified: true,
+      name: 'OIDC User'
+    };
+  });
+
+  // Start a login and let the mock provider approve it
+  const authorize = async () => {
+    const start = await request(app)
+      .get('/api/v1/auth/oidc/mock/start?redirect=false')
+      .expect(200);
+
+    return authorizeWithMock(start.body.data.authorizationUrl);
+  };
+
+  const callback = ({ code, state }) => request(app)
+    .get('/api/v1/auth/oidc/mock/callback')
+    .query({ code, state });
+
+  describe('GET /api/v1/auth/oidc/:provider/start', () => {
+    it('should redirect to the provider', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/oidc/mock/start')
+        .expect(302);
+
+      expect(response.headers.location).toContain(`${mock.issuer}/authorize?`);
+      expect(response.headers.location).toContain('code_challenge_method=S256');
+    });
+
+    it('should return 404 for unknown providers', async () => {
+      await request(app)
+        .get('/api/v1/auth/oidc/unknown/start')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/v1/auth/oidc/:provider/callback', () => {
+    it('should create an account and return tokens', async () => {
+      const response = await callback(await authorize()).expect(201);
+
+      expect(response.body.data.isNewUser).toBe(true);
+      expect(response.body.data.user.email).toBe('oidc-user@example.com');
+      expect(response.body.data.user.isEmailVerified).toBe(true);
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+    });
+
+    it('should log the linked account in again', async () => {
+      const first = await callback(await authorize()).expect(201);
+      const second = await callback(await authorize()).expect(200);
+
+      expect(second.body.data.isNewUser).toBe(false);
+      expect(second.body.data.user.id).toBe(first.body.data.user.id);
+
+      const logins = (await SecurityEventModel.findByUser(first.body.data.user.id))
+        .filter(event => event.type === 'login_succeeded');
+      expect(logins).toHaveLength(2);
+      expect(logins[0].details).toMatchObject({ method: 'oidc', provider: 'mock' });
+    });
+
+    it('should link an existing account with a verified email', async () => {
+      const registered = await request(app)
+        .post('/api/v1/auth/register')
+        .send(testData.user);
+
+      mock.user = { ...mock.user, email: testData.user.email };
+
+      const response = await callback(await authorize()).expect(200);
+
+      expect(response.body.data.user.id).toBe(registered.body.data.user.id);
+    });
+
+    it('should not link an existing account with an unverified email', async () => {
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send(testData.user);
+
+      mock.user = { ...mock.user, email: testData.user.email, email_verified: false };
+
+      await callback(await authorize()).expect(409);
+    });
+
+    it('should only accept a state once', async () => {
+      const authorization = await authorize();
+
+      await callback(authorization).expect(201);
+      await callback(authorization).expect(400);
+    });
+
+    it('should report errors returned by the provider', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/oidc/mock/callback')
+        .query({ error: 'access_denied', error_description: 'User cancelled' })
+        .expect(400);
+
+      expect(response.body.message).toBe('User cancelled');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const config = require('../../src/config');
+const { testData } = require('../setup');
+const { createAuthHeader } = require('../helpers/auth');
+
+describe('Password Policy API', () => {
+  const originalMaxAge = config.passwordMaxAge;
+  const originalHistorySize = config.passwordHistorySize;
+  const password = 'Correct7Horse';
+  let accessToken;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ ...testData.user, password });
+
+    accessToken = response.body.data.tokens.accessToken;
+  });
+
+  afterEach(() => {
+    config.passwordMaxAge = originalMaxAge;
+    config.passwordHistorySize = originalHistorySize;
+  });
+
+  const changePassword = (currentPassword, newPassword) => request(app)
+    .post('/api/v1/auth/change-password')
+    .set('Authorization', createAuthHeader(accessToken))
+    .send({ currentPassword, newPassword });
+
+  const login = (loginPassword = password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: testData.user.email, password: loginPassword });
+
+  it('should publish the rules', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/password-policy')
+      .expect(200);
+
+    expect(response.body.data.minLength).toBe(config.passwordMinLength);
+    expect(response.body.data.historySize).toBe(config.passwordHistorySize);
+  });
+
+  it('should reject common passwords on registration', async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ ...testData.user, email: 'other@example.com', password: 'Password123!' })
+      .expect(400);
+
+    expect(response.body.details).toContain('Password is too common and easy to guess');
+  });
+
+  it('should not reuse the current or recent passwords', async () => {
+    config.passwordHistorySize = 3;
+
+    await changePassword(password, password).expect(400);
+    await changePassword(password, 'Second7Horse').expect(200);
+    await changePassword('Second7Horse', 'Third7Horse').expect(200);
+
+    const response = await changePassword('Third7Horse', password).expect(400);
+    expect(response.body.error).toBe('Password recently used');
+
+    // Three changes later the first password may be used again
+    await changePassword('Third7Horse', 'Fourth7Horse').expect(200);
+    await changePassword('Fourth7Horse', password).expect(200);
+  });
+
+  it('should require a new password once the password has expired', async () => {
+    config.passwordMaxAge = '1ms';
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const response = await login().expect(200);
+
+    expect(response.body.data.passwordChangeRequired).toBe(true);
+    expect(response.body.data.tokens).toBeUndefined();
+
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token: response.body.data.passwordResetToken, newPassword: 'Second7Horse' })
+      .expect(200);
+
+    config.passwordMaxAge = '90d';
+    const loggedIn = await login('Second7Horse').expect(200);
+    expect(loggedIn.body.data.tokens.accessToken).toBeDefined();
+  });
+
+  it('should keep the reset token when the new password was used before', async () => {
+    config.passwordMaxAge = '1ms';
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const { body } = await login().expect(200);
+    const token = body.data.passwordResetToken;
+
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, newPassword: password })
+      .expect(400);
+
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token, newPassword: 'Second7Horse' })
+      .expect(200);
+  });
+});
@@ -0,0 +1,145 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/index');
+const { mailer, FileTransport } = require('../../src/utils/mailer');
+const { testData } = require('../setup');
+
+// The reset email is sent in the background, so wait for it to arrive
+const getResetToken = async (transport, email) => {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const messages = await transport.list(email);
+    if (messages.length > 0) {
+      const match = messages[messages.length - 1].text.match(/[?&]token=(\S+)/);
+      return decodeURIComponent(match[1]);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`No password reset email sent to ${email}`);
+};
+
+describe('Password Reset API', () => {
+  let transport;
+  let refreshToken;
+
+  beforeEach(async () => {
+    transport = new FileTransport({
+      directory: path.join(os.tmpdir(), `password-reset-test-${process.pid}`)
+    });
+    mailer.setTransport(transport);
+
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    refreshToken = response.body.data.tokens.refreshToken;
+    await transport.clear();
+  });
+
+  afterEach(async () => {
+    await transport.clear();
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    it('should email a reset link', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: testData.user.email })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const token = await getResetToken(transport, testData.user.email);
+      expect(token).toBeTruthy();
+    });
+
+    it('should link to the storefront reset page', async () => {
+      await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: testData.user.email });
+
+      const token = await getResetToken(transport, testData.user.email);
+      const [message] = await transport.list(testData.user.email);
+      const link = new URL(message.text.match(/https?:\/\/\S+[?&]token=\S+/)[0]);
+
+      const page = await request(app)
+        .get(`${link.pathname}${link.search}`)
+        .expect(200);
+
+      expect(page.text).toContain('id="reset-password-form"');
+      expect(page.text).toContain(`name="token" value="${token}"`);
+    });
+
+    it('should give the same response for unknown emails', async () => {
+      const known = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: testData.user.email })
+        .expect(200);
+
+      const unknown = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+      expect(await transport.list('nobody@example.com')).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/v1/auth/reset-password', () => {
+    const newPassword = 'NewPassword123';
+
+    it('should reset the password and end existing sessions', async () => {
+      await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: testData.user.email });
+
+      const token = await getResetToken(transport, testData.user.email);
+
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, newPassword })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: testData.user.email, password: newPassword })
+        .expect(200);
+    });
+
+    it('should only accept a token once', async () => {
+      await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: testData.user.email });
+
+      const token = await getResetToken(transport, testData.user.email);
+
+      await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, newPassword })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token, newPassword: 'AnotherPassword123' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject invalid tokens', async () => {
+      await request(app)
+        .post('/api/v1/auth/reset-password')
+        .send({ token: 'invalid-token', newPassword })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/index');
+const { createTestUser, createTestAdmin, createAuthHeader } = require('../helpers/auth');
+const { testData } = require('../setup');
+const { createTestCategory, createTestProduct } = require('../helpers/database');
+const ProductModel = require('../../src/models/products');
+const { storage, LocalStorage } = require('../../src/utils/storage');
+
+const createImage = (background) => sharp({
+  create: { width: 1000, height: 800, channels: 3, background }
+}).jpeg().toBuffer();
+
+// The test product also has two linked images (plain URLs)
+const uploadedImages = (images) => images.filter(image => typeof image === 'object');
+
+describe('Product Images', () => {
+  let driver;
+  let userToken, adminToken;
+  let testProduct;
+  let redImage, blueImage;
+
+  const upload = (token, ...files) => {
+    const req = request(app)
+      .post(`/api/v1/products/${testProduct.id}/images`)
+      .set('Authorization', createAuthHeader(token));
+
+    files.forEach(([data, filename, contentType = 'image/jpeg']) => {
+      req.attach('images', data, { filename, contentType });
+    });
+
+    return req;
+  };
+
+  beforeAll(async () => {
+    redImage = await createImage({ r: 255, g: 0, b: 0 });
+    blueImage = await createImage({ r: 0, g: 0, b: 255 });
+  });
+
+  beforeEach(async () => {
+    driver = new LocalStorage({
+      directory: path.join(os.tmpdir(), `product-images-test-${process.pid}-${Date.now()}`)
+    });
+    storage.setDriver(driver);
+
+    userToken = (await createTestUser()).token;
+    adminToken = (await createTestAdmin()).token;
+
+    const category = await createTestCategory();
+    testProduct = await createTestProduct(category.id);
+  });
+
+  afterEach(async () => {
+    await driver.clear();
+  });
+
+  describe('POST /api/v1/products/:id/images', () => {
+    it('should store the renditions and append the images in order', async () => {
+      const response = await upload(adminToken, [redImage, 'red.jpg'], [blueImage, 'blue.jpg'])
+        .expect(201);
+
+      const { images, imageUrl } = response.body.data;
+      const [red, blue] = uploadedImages(images);
+
+      expect(images).toEqual([...testData.product.images, red, blue]);
+      expect(red.renditions.thumbnail).toMatchObject({ width: 200, height: 160 });
+      expect(red.renditions.large).toMatchObject({ width: 1000, height: 800 });
+      expect(imageUrl).toBe(testData.product.imageUrl);
+
+      const stored = await driver.get(blue.renditions.medium.key);
+      expect((await sharp(stored).metadata()).width).toBe(600);
+
+      const product = await ProductModel.findById(testProduct.id);
+      expect(product.images).toEqual(images);
+    });
+
+    it('should reject files that are not images', async () => {
+      await upload(adminToken, [Buffer.from('not an image'), 'fake.jpg'])
+        .expect(400);
+
+      await upload(adminToken, [Buffer.from('GIF89a'), 'animation.gif', 'image/gif'])
+        .expect(415);
+
+      const product = await ProductModel.findById(testProduct.id);
+      expect(product.images).toEqual(testData.product.images);
+    });
+
+    it('should require a file', async () => {
+      const response = await upload(adminToken).expect(400);
+
+      expect(response.body.error).toBe('No images uploaded');
+    });
+
+    it('should require products.write', async () => {
+      await upload(userToken, [redImage, 'red.jpg']).expect(403);
+    });
+  });
+
+  describe('PUT /api/v1/products/:id/images/order', () => {
+    it('should reorder the images and update the main image', async () => {
+      const [red, blue] = uploadedImages(
+        (await upload(adminToken, [redImage, 'red.jpg'], [blueImage, 'blue.jpg'])).body.data.images
+      );
+
+      const response = await request(app)
+        .put(`/api/v1/products/${testProduct.id}/images/order`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ images: [blue.id, ...testData.product.images, red.id] })
+        .expect(200);
+
+      expect(response.body.data.images).toEqual([blue, ...testData.product.images, red]);
+      expect(response.body.data.imageUrl).toBe(blue.url);
+    });
+
+    it('should require every image exactly once', async () => {
+      const [red, blue] = uploadedImages(
+        (await upload(adminToken, [redImage, 'red.jpg'], [blueImage, 'blue.jpg'])).body.data.images
+      );
+
+      await request(app)
+        .put(`/api/v1/products/${testProduct.id}/images/order`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ images: [blue.id, red.id] })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/v1/products/${testProduct.id}/images/order`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ images: [blue.id, blue.id, ...testData.product.images] })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/v1/products/:id/images/:imageId', () => {
+    it('should remove the image and its files', async () => {
+      const [red, blue] = uploadedImages(
+        (await upload(adminToken, [redImage, 'red.jpg'], [blueImage, 'blue.jpg'])).body.data.images
+      );
+
+      const response = await request(app)
+        .delete(`/api/v1/products/${testProduct.id}/images/${red.id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.data.images).toEqual([...testData.product.images, blue]);
+      await expect(driver.get(red.renditions.large.key)).rejects.toThrow();
+    });
+
+    it('should return 404 for unknown images', async () => {
+      await request(app)
+        .delete(`/api/v1/products/${testProduct.id}/images/00000000-0000-0000-0000-000000000000`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { createTestUser, createTestAdmin, createAuthHeader } = require('../helpers/auth');
+const { createTestCategory, createTestProduct } = require('../helpers/database');
+const ProductModel = require('../../src/models/products');
+const TranslationModel = require('../../src/models/translations');
+
+describe('Product Import and Export', () => {
+  let userToken, adminToken;
+  let category, testProduct;
+
+  const importJson = (products, query = '') => request(app)
+    .post(`/api/v1/products/import${query}`)
+    .set('Authorization', createAuthHeader(adminToken))
+    .send(products);
+
+  const importCsv = (text, query = '') => request(app)
+    .post(`/api/v1/products/import${query}`)
+    .set('Authorization', createAuthHeader(adminToken))
+    .set('Content-Type', 'text/csv')
+    .send(text);
+
+  beforeEach(async () => {
+    userToken = (await createTestUser()).token;
+    adminToken = (await createTestAdmin()).token;
+
+    category = await createTestCategory();
+    testProduct = await createTestProduct(category.id);
+  });
+
+  describe('POST /api/v1/products/import', () => {
+    it('should only report changes in a dry run', async () => {
+      const response = await importJson([
+        { sku: 'TEA-1', name: 'Teapot', price: 19.9, category: category.name },
+        { sku: testProduct.sku, stockQuantity: 7 }
+      ], '?dryRun=true').expect(200);
+
+      expect(response.body.data).toMatchObject({ dryRun: true, valid: true, created: 1, updated: 1 });
+      expect(response.body.data.rows).toEqual([
+        { row: 1, sku: 'TEA-1', action: 'create' },
+        { row: 2, sku: testProduct.sku, action: 'update' }
+      ]);
+
+      expect(await ProductModel.findBySku('TEA-1')).toBeNull();
+      expect((await ProductModel.findBySku(testProduct.sku)).stockQuantity).toBe(testProduct.stockQuantity);
+    });
+
+    it('should create and update products by SKU with translations', async () => {
+      await importJson([
+        {
+          sku: 'TEA-1',
+          name: 'Teapot',
+          price: '19.90',
+          category: category.name,
+          translations: { de: { name: 'Teekanne', description: 'Aus Glas' } }
+        },
+        { sku: testProduct.sku, stockQuantity: 7 }
+      ]).expect(200);
+
+      const created = await ProductModel.findBySku('TEA-1');
+      expect(created).toMatchObject({ name: 'Teapot', price: '19.90', categoryId: category.id });
+      expect(await TranslationModel.getProductTranslation(created.id, 'de'))
+        .toMatchObject({ name: 'Teekanne', description: 'Aus Glas' });
+
+      const updated = await ProductModel.findBySku(testProduct.sku);
+      expect(updated.stockQuantity).toBe(7);
+      expect(updated.name).toBe(testProduct.name);
+    });
+
+    it('should import CSV files', async () => {
+      const response = await importCsv([
+        'sku,name,price,stockQuantity,category,name.zh-TW',
+        `TEA-1,"Teapot, glass",19.90,3,${category.name},茶壺`,
+        `${testProduct.sku},,,0,,`
+      ].join('\r\n')).expect(200);
+
+      expect(response.body.data).toMatchObject({ created: 1, updated: 1 });
+
+      const created = await ProductModel.findBySku('TEA-1');
+      expect(created.name).toBe('Teapot, glass');
+      expect((await TranslationModel.getProductTranslation(created.id, 'zh-TW')).name).toBe('茶壺');
+      expect((await ProductModel.findBySku(testProduct.sku)).stockQuantity).toBe(0);
+    });
+
+    it('should report row errors and import nothing', async () => {
+      const response = await importCsv([
+        'sku,name,price,category',
+        'TEA-1,Teapot,19.90,',
+        'TEA-2,Cup,-1,No such category',
+        ',Saucer,2,'
+      ].join('\n')).expect(422);
+
+      expect(response.body.data.errors).toEqual([
+        { row: 3, sku: 'TEA-2', field: 'price', message: 'Price must be a positive number' },
+        { row: 3, sku: 'TEA-2', field: 'category', message: 'Category "No such category" does not exist' },
+        { row: 4, field: 'sku', message: 'SKU is required' }
+      ]);
+      expect(await ProductModel.findBySku('TEA-1')).toBeNull();
+    });
+
+    it('should reject other content types', async () => {
+      await request(app)
+        .post('/api/v1/products/import')
+        .set('Authorization', createAuthHeader(adminToken))
+        .set('Content-Type', 'text/plain')
+        .send('sku\nTEA-1')
+        .expect(415);
+    });
+
+    it('should require products.write', async () => {
+      await request(app)
+        .post('/api/v1/products/import')
+        .set('Authorization', createAuthHeader(userToken))
+        .send([{ sku: 'TEA-1', name: 'Teapot', price: 1 }])
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/v1/products/export', () => {
+    it('should export CSV with category names and translation columns', async () => {
+      await TranslationModel.createProductTranslation({
+        productId: testProduct.id,
+        languageCode: 'de',
+        name: 'Testprodukt'
+      });
+
+      const response = await request(app)
+        .get('/api/v1/products/export')
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const [header, row] = response.text.replace(/^\uFEFF/, '').split('\r\n');
+
+      expect(header.split(',')).toEqual(expect.arrayContaining(['sku', 'category', 'name.de', 'description.zh-TW']));
+      expect(row).toContain(testProduct.sku);
+      expect(row).toContain(category.name);
+      expect(row).toContain('Testprodukt');
+    });
+
+    it('should export JSON that can be imported again', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/export?format=json')
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0]).toMatchObject({ sku: testProduct.sku, category: category.name });
+
+      const reimport = await importJson(response.body).expect(200);
+      expect(reimport.body.data).toMatchObject({ created: 0, updated: 1 });
+    });
+  });
+});
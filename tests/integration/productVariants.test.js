@@ -0,0 +1,158 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { testData } = require('../setup');
+const { createTestUser, createTestAdmin, createAuthHeader } = require('../helpers/auth');
+const { createTestCategory, createTestProduct } = require('../helpers/database');
+const UserModel = require('../../src/models/users');
+const ProductModel = require('../../src/models/products');
+const ProductVariantModel = require('../../src/models/productVariants');
+
+describe('Product Variants', () => {
+  let userToken, adminToken;
+  let testUser, testProduct;
+
+  const createVariant = (data) => request(app)
+    .post(`/api/v1/products/${testProduct.id}/variants`)
+    .set('Authorization', createAuthHeader(adminToken))
+    .send(data);
+
+  const addToCart = (data) => request(app)
+    .post('/api/v1/cart')
+    .set('Authorization', createAuthHeader(userToken))
+    .send({ productId: testProduct.id, quantity: 1, ...data });
+
+  beforeEach(async () => {
+    const userResult = await createTestUser();
+    testUser = userResult.user;
+    userToken = userResult.token;
+
+    adminToken = (await createTestAdmin()).token;
+
+    const category = await createTestCategory();
+    testProduct = await createTestProduct(category.id);
+  });
+
+  describe('POST /api/v1/products/:id/variants', () => {
+    it('should create variants and their options', async () => {
+      const response = await createVariant({
+        sku: 'SHIRT-M-BLUE',
+        price: '34.99',
+        stockQuantity: 5,
+        options: { Size: 'M', Color: 'Blue' }
+      }).expect(201);
+
+      expect(response.body.data.sku).toBe('SHIRT-M-BLUE');
+      expect(response.body.data.name).toBe('Size: M / Color: Blue');
+
+      await createVariant({ sku: 'SHIRT-L-BLUE', stockQuantity: 2, options: { Size: 'L', Color: 'Blue' } }).expect(201);
+
+      const product = await request(app)
+        .get(`/api/v1/products/${testProduct.id}`)
+        .expect(200);
+
+      expect(product.body.data.options.map(option => option.name)).toEqual(['Size', 'Color']);
+      expect(product.body.data.options[0].values.map(({ value }) => value)).toEqual(['M', 'L']);
+      expect(product.body.data.variants).toHaveLength(2);
+    });
+
+    it('should require the same options for all variants of a product', async () => {
+      await createVariant({ sku: 'SHIRT-M', options: { Size: 'M' } }).expect(201);
+
+      await createVariant({ sku: 'SHIRT-BLUE', options: { Color: 'Blue' } }).expect(400);
+    });
+
+    it('should reject duplicate option combinations and SKUs', async () => {
+      await createVariant({ sku: 'SHIRT-M', options: { Size: 'M' } }).expect(201);
+
+      await createVariant({ sku: 'SHIRT-M-2', options: { Size: 'M' } }).expect(409);
+      await createVariant({ sku: 'SHIRT-M', options: { Size: 'L' } }).expect(409);
+    });
+
+    it('should require products.write', async () => {
+      await request(app)
+        .post(`/api/v1/products/${testProduct.id}/variants`)
+        .set('Authorization', createAuthHeader(userToken))
+        .send({ sku: 'SHIRT-M', options: { Size: 'M' } })
+        .expect(403);
+    });
+  });
+
+  describe('Cart and orders', () => {
+    let variant;
+
+    beforeEach(async () => {
+      variant = (await createVariant({
+        sku: 'SHIRT-M',
+        price: '39.99',
+        stockQuantity: 3,
+        options: { Size: 'M' }
+      })).body.data;
+    });
+
+    it('should require a variant for products with variants', async () => {
+      const response = await addToCart({}).expect(400);
+
+      expect(response.body.error).toBe('Variant required');
+    });
+
+    it('should check the stock of the variant', async () => {
+      await addToCart({ variantId: variant.id, quantity: 4 }).expect(400);
+      await addToCart({ variantId: variant.id, quantity: 3 }).expect(201);
+    });
+
+    it('should price cart items by variant', async () => {
+      await addToCart({ variantId: variant.id, quantity: 2 }).expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/cart')
+        .set('Authorization', createAuthHeader(userToken))
+        .expect(200);
+
+      expect(response.body.data.items[0].variant.name).toBe('Size: M');
+      expect(response.body.data.items[0].unitPrice).toBe('39.99');
+      expect(response.body.data.summary.totalAmount).toBe('79.98');
+    });
+
+    it('should decrement the variant stock when ordering', async () => {
+      await UserModel.verifyEmail(testUser.id);
+      await addToCart({ variantId: variant.id, quantity: 2 }).expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', createAuthHeader(userToken))
+        .send({ shippingAddress: JSON.parse(testData.order.shippingAddress) })
+        .expect(201);
+
+      expect(response.body.data.items[0]).toMatchObject({
+        variantId: variant.id,
+        variantName: 'Size: M',
+        productSku: 'SHIRT-M',
+        unitPrice: '39.99'
+      });
+      expect((await ProductVariantModel.findById(variant.id)).stockQuantity).toBe(1);
+    });
+  });
+
+  describe('Product listings', () => {
+    const list = (query) => request(app)
+      .get(`/api/v1/products?${query}`)
+      .expect(200);
+
+    const listIds = async (query) => (await list(query)).body.data.map(product => product.id);
+
+    it('should filter and count availability and prices by the variants', async () => {
+      // The product's own stock and price do not count once it has variants
+      await ProductModel.update(testProduct.id, { stockQuantity: 0 });
+      await createVariant({ sku: 'SHIRT-M', stockQuantity: 0, options: { Size: 'M' } }).expect(201);
+      await createVariant({ sku: 'SHIRT-XL', price: '32.99', stockQuantity: 4, options: { Size: 'XL' } }).expect(201);
+
+      expect(await listIds('inStock=true')).toEqual([testProduct.id]);
+      expect(await listIds('inStock=false')).toEqual([]);
+      expect((await list('')).body.facets.availability).toEqual({ inStock: 1, outOfStock: 0 });
+
+      expect(await listIds('minPrice=30&maxPrice=35')).toEqual([testProduct.id]);
+      // Both bounds apply to the same variant (M costs 29.99, XL 32.99)
+      expect(await listIds('minPrice=30&maxPrice=32')).toEqual([]);
+    });
+  });
+});
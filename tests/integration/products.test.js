@@ -2,7 +2,8 @@ const request = require('supertest');
 const app = require('../../src/index');
 const { testData } = require('../setup');
 const { createTestUser, createTestAdmin, createAuthHeader } = require('../helpers/auth');
-const { createTestCategory } = require('../helpers/database');
+const { createTestCategory, createTestProduct } = require('../helpers/database');
+const TranslationModel = require('../../src/models/translations');
 
 describe('Products API', () => {
   let userToken, adminToken;
@@ -46,6 +47,15 @@ describe('Products API', () => {
       expect(response.body.pagination).toBeDefined();
     });
 
+    it('should ignore a malformed Authorization header', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .set('Authorization', 'Basic abc')
+        .expect(200);
+
+      expect(response.body.data.length).toBe(5);
+    });
+
     it('should support pagination', async () => {
       const response = await request(app)
         .get('/api/v1/products?page=1&limit=3')
@@ -100,6 +110,57 @@ describe('Products API', () => {
         expect(currPrice).toBeGreaterThanOrEqual(prevPrice);
       }
     });
+
+    it('should count results per category, price bucket and availability', async () => {
+      const otherCategory = await createTestCategory({
+        ...testData.category,
+        name: 'Other Category',
+        slug: 'other-category'
+      });
+
+      await createTestProduct(otherCategory.id, {
+        ...testData.product,
+        name: 'Sold Out Product',
+        sku: 'SOLD-OUT-001',
+        price: '120.00',
+        stockQuantity: 0
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/products?categoryId=${testCategory.id}`)
+        .expect(200);
+
+      const { facets } = response.body;
+
+      // Each facet ignores its own filter, so the other category is still counted
+      expect(facets.categories).toEqual(expect.arrayContaining([
+        { id: testCategory.id, name: testCategory.name, count: 5 },
+        { id: otherCategory.id, name: 'Other Category', count: 1 }
+      ]));
+      expect(facets.price.slice(0, 3)).toEqual([
+        { min: 0, max: 25, count: 2 },
+        { min: 25, max: 50, count: 4 },
+        { min: 50, max: 100, count: 0 }
+      ]);
+      expect(facets.availability).toEqual({ inStock: 5, outOfStock: 0 });
+    });
+
+    it('should filter by availability', async () => {
+      await createTestProduct(testCategory.id, {
+        ...testData.product,
+        name: 'Sold Out Product',
+        sku: 'SOLD-OUT-001',
+        stockQuantity: 0
+      });
+
+      const response = await request(app)
+        .get('/api/v1/products?inStock=false')
+        .expect(200);
+
+      expect(response.body.data.map(product => product.sku)).toEqual(['SOLD-OUT-001']);
+      expect(response.body.facets.availability).toEqual({ inStock: 5, outOfStock: 1 });
+      expect(response.body.facets.categories[0].count).toBe(1);
+    });
   });
 
   describe('GET /api/v1/products/:id', () => {
@@ -346,4 +407,90 @@ describe('Products API', () => {
       expect(response.body.data.length).toBe(0);
     });
   });
+
+  describe('GET /api/v1/products/search', () => {
+    beforeEach(async () => {
+      const teapot = await createTestProduct(testCategory.id, {
+        ...testData.product,
+        name: 'Cast Iron Teapot',
+        description: 'Keeps green tea warm for hours, unlike a coffee pot',
+        sku: 'TEAPOT-001'
+      });
+
+      await createTestProduct(testCategory.id, {
+        ...testData.product,
+        name: 'Coffee Grinder',
+        description: 'Grinds beans for one cup of coffee or a pot of tea',
+        sku: 'GRINDER-001'
+      });
+
+      await TranslationModel.createProductTranslation({
+        productId: teapot.id,
+        languageCode: 'de',
+        name: 'Gusseiserne Teekanne',
+        description: 'Hält grünen Tee stundenlang warm'
+      });
+
+      await TranslationModel.createProductTranslation({
+        productId: teapot.id,
+        languageCode: 'zh-TW',
+        name: '鑄鐵茶壺',
+        description: '讓綠茶保溫數小時'
+      });
+    });
+
+    it('should rank name matches first, ignoring case and word forms', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/search?q=TEAPOTS')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].name).toBe('Cast Iron Teapot');
+      expect(response.body.data[0].highlights.name).toBe('Cast Iron <mark>Teapot</mark>');
+    });
+
+    it('should order results by relevance', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/search?q=coffee')
+        .expect(200);
+
+      expect(response.body.data.map(product => product.sku)).toEqual(['GRINDER-001', 'TEAPOT-001']);
+      expect(response.body.data[1].highlights.description).toContain('<mark>coffee</mark>');
+    });
+
+    it('should search translations in the request language', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/search?q=teekannen')
+        .set('Accept-Language', 'de')
+        .expect(200);
+
+      expect(response.body.meta.language).toBe('de');
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].name).toBe('Gusseiserne Teekanne');
+      expect(response.body.data[0].highlights.name).toBe('Gusseiserne <mark>Teekanne</mark>');
+    });
+
+    it('should find Chinese translations by substring', async () => {
+      const response = await request(app)
+        .get(`/api/v1/products/search?q=${encodeURIComponent('茶壺')}&lang=zh-TW`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].name).toBe('鑄鐵茶壺');
+    });
+
+    it('should find products by SKU', async () => {
+      const response = await request(app)
+        .get('/api/v1/products/search?q=GRINDER-001')
+        .expect(200);
+
+      expect(response.body.data[0].sku).toBe('GRINDER-001');
+    });
+
+    it('should require a query', async () => {
+      await request(app)
+        .get('/api/v1/products/search?q=')
+        .expect(400);
+    });
+  });
 });
\ No newline at end of file
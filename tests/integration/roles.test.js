@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { testData } = require('../setup');
+const { createTestAdminAndUser, createAuthHeader } = require('../helpers/auth');
+
+describe('Roles and Permissions', () => {
+  let asAdmin;
+  let userId;
+  let userToken;
+
+  beforeEach(async () => {
+    ({ asAdmin, userId, userToken } = await createTestAdminAndUser(app));
+  });
+
+  const findRole = async (name) => {
+    const response = await asAdmin(request(app).get('/api/v1/admin/roles')).expect(200);
+    return response.body.data.roles.find(role => role.name === name);
+  };
+
+  it('should list the permission catalog', async () => {
+    const response = await asAdmin(request(app).get('/api/v1/admin/permissions')).expect(200);
+
+    expect(response.body.data.permissions.map(permission => permission.name))
+      .toContain('orders.update_status');
+  });
+
+  it('should deny staff endpoints to customers', async () => {
+    await request(app)
+      .get('/api/v1/orders/admin/all')
+      .set('Authorization', createAuthHeader(userToken))
+      .expect(403);
+  });
+
+  it('should give warehouse staff shipping rights without full admin', async () => {
+    const warehouse = await findRole('warehouse');
+
+    await asAdmin(request(app).post(`/api/v1/admin/users/${userId}/roles`))
+      .send({ roleId: warehouse.id })
+      .expect(201);
+
+    await request(app)
+      .get('/api/v1/orders/admin/all')
+      .set('Authorization', createAuthHeader(userToken))
+      .expect(200);
+
+    // Allowed through, but the order does not exist
+    await request(app)
+      .patch('/api/v1/orders/admin/00000000-0000-4000-8000-000000000000/status')
+      .set('Authorization', createAuthHeader(userToken))
+      .send({ status: 'shipped' })
+      .expect(404);
+
+    await request(app)
+      .patch('/api/v1/orders/admin/00000000-0000-4000-8000-000000000000/payment-status')
+      .set('Authorization', createAuthHeader(userToken))
+      .send({ paymentStatus: 'paid' })
+      .expect(403);
+
+    await request(app)
+      .get('/api/v1/admin/roles')
+      .set('Authorization', createAuthHeader(userToken))
+      .expect(403);
+  });
+
+  it('should apply permission changes on the next request', async () => {
+    const created = await asAdmin(request(app).post('/api/v1/admin/roles'))
+      .send({ name: `catalog-${Date.now()}`, permissions: ['products.write'] })
+      .expect(201);
+
+    const roleId = created.body.data.role.id;
+
+    await asAdmin(request(app).post(`/api/v1/admin/users/${userId}/roles`))
+      .send({ roleId })
+      .expect(201);
+
+    const roles = await asAdmin(request(app).get(`/api/v1/admin/users/${userId}/roles`)).expect(200);
+    expect(roles.body.data.permissions).toEqual(['products.write']);
+
+    await asAdmin(request(app).put(`/api/v1/admin/roles/${roleId}`))
+      .send({ permissions: [] })
+      .expect(200);
+
+    await request(app)
+      .post('/api/v1/products')
+      .set('Authorization', createAuthHeader(userToken))
+      .send(testData.product)
+      .expect(403);
+
+    await asAdmin(request(app).delete(`/api/v1/admin/roles/${roleId}`)).expect(200);
+  });
+
+  it('should reject unknown permissions', async () => {
+    await asAdmin(request(app).post('/api/v1/admin/roles'))
+      .send({ name: 'invalid-role', permissions: ['orders.everything'] })
+      .expect(400);
+  });
+
+  it('should protect built-in roles', async () => {
+    const admin = await findRole('admin');
+
+    await asAdmin(request(app).put(`/api/v1/admin/roles/${admin.id}`))
+      .send({ permissions: [] })
+      .expect(400);
+
+    await asAdmin(request(app).delete(`/api/v1/admin/roles/${admin.id}`)).expect(400);
+
+    await asAdmin(request(app).post(`/api/v1/admin/users/${userId}/roles`))
+      .send({ roleId: admin.id })
+      .expect(400);
+  });
+});
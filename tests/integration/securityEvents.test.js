@@ -0,0 +1,116 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const config = require('../../src/config');
+const { testData } = require('../setup');
+const { createTestAdminAndUser, createAuthHeader } = require('../helpers/auth');
+
+describe('Security Audit Log', () => {
+  const originalDelay = config.loginFailureDelayMs;
+
+  let asAdmin;
+  let userId;
+  let tokens;
+
+  const login = (password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: testData.user.email, password });
+
+  const getActivity = () => request(app)
+    .get('/api/v1/auth/me/security-activity')
+    .set('Authorization', createAuthHeader(tokens.accessToken));
+
+  beforeAll(() => {
+    config.loginFailureDelayMs = 0;
+  });
+
+  afterAll(() => {
+    config.loginFailureDelayMs = originalDelay;
+  });
+
+  beforeEach(async () => {
+    ({ asAdmin, userId, tokens } = await createTestAdminAndUser(app));
+  });
+
+  it('should show logins and failed logins in the recent activity', async () => {
+    await login('WrongPassword123').expect(401);
+    await login(testData.user.password).expect(200);
+
+    const response = await getActivity().expect(200);
+    const types = response.body.data.map(event => event.type);
+
+    expect(types.slice(0, 2)).toEqual(['login_succeeded', 'login_failed']);
+    expect(response.body.data[1].outcome).toBe('failure');
+    expect(response.body.data[0].details).toBeUndefined();
+  });
+
+  it('should record token refreshes and refresh token reuse', async () => {
+    const refresh = () => request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: tokens.refreshToken });
+
+    await refresh().expect(200);
+    await refresh().expect(401);
+
+    const response = await asAdmin(request(app).get('/api/v1/admin/security-events'))
+      .query({ userId, type: 'token_refresh_failed' })
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].outcome).toBe('failure');
+    expect(response.body.data[0].details.reason).toMatch(/reuse/);
+  });
+
+  it('should record password changes', async () => {
+    await request(app)
+      .post('/api/v1/auth/change-password')
+      .set('Authorization', createAuthHeader(tokens.accessToken))
+      .send({ currentPassword: testData.user.password, newPassword: 'N3w-Passphrase-2024' })
+      .expect(200);
+
+    const response = await getActivity().expect(200);
+
+    expect(response.body.data[0].type).toBe('password_changed');
+  });
+
+  it('should record requests with revoked tokens', async () => {
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', createAuthHeader(tokens.accessToken))
+      .expect(200);
+
+    await getActivity().expect(401);
+
+    const response = await asAdmin(request(app).get('/api/v1/admin/security-events'))
+      .query({ userId, outcome: 'failure' })
+      .expect(200);
+
+    expect(response.body.data[0].type).toBe('access_denied');
+    expect(response.body.data[0].details.reason).toBe('Token revoked');
+  });
+
+  it('should filter and paginate the audit log for admins', async () => {
+    await login('WrongPassword123').expect(401);
+    await login('WrongPassword456').expect(401);
+
+    const response = await asAdmin(request(app).get('/api/v1/admin/security-events'))
+      .query({ userId, type: 'login_failed', limit: 1 })
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].userId).toBe(userId);
+    expect(response.body.pagination.total).toBe(2);
+  });
+
+  it('should reject invalid filters', async () => {
+    await asAdmin(request(app).get('/api/v1/admin/security-events'))
+      .query({ outcome: 'maybe' })
+      .expect(400);
+  });
+
+  it('should not let customers search the audit log', async () => {
+    await request(app)
+      .get('/api/v1/admin/security-events')
+      .set('Authorization', createAuthHeader(tokens.accessToken))
+      .expect(403);
+  });
+});
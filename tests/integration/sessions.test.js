@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const { testData } = require('../setup');
+const { createTestAdmin, createAuthHeader } = require('../helpers/auth');
+
+describe('Sessions API', () => {
+  const credentials = {
+    email: testData.user.email,
+    password: testData.user.password
+  };
+
+  let firstLogin;
+  let secondLogin;
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    firstLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36')
+      .send(credentials);
+
+    secondLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ ...credentials, deviceName: 'Warehouse tablet' });
+  });
+
+  describe('GET /api/v1/auth/sessions', () => {
+    it('should list active sessions with device information', async () => {
+      const response = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', createAuthHeader(firstLogin.body.data.tokens.accessToken))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const devices = response.body.data.sessions.map(session => session.device);
+      expect(devices).toContain('Chrome on Windows');
+      expect(devices).toContain('Warehouse tablet');
+
+      const current = response.body.data.sessions.filter(session => session.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].device).toBe('Chrome on Windows');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/v1/auth/sessions')
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/v1/auth/sessions/:id', () => {
+    it('should end a session and reject its tokens immediately', async () => {
+      const list = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', createAuthHeader(firstLogin.body.data.tokens.accessToken));
+
+      const tablet = list.body.data.sessions.find(session => session.device === 'Warehouse tablet');
+
+      await request(app)
+        .delete(`/api/v1/auth/sessions/${tablet.id}`)
+        .set('Authorization', createAuthHeader(firstLogin.body.data.tokens.accessToken))
+        .expect(200);
+
+      const profile = await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', createAuthHeader(secondLogin.body.data.tokens.accessToken))
+        .expect(401);
+
+      expect(profile.body.error).toBe('Session ended');
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: secondLogin.body.data.tokens.refreshToken })
+        .expect(401);
+    });
+
+    it('should not end sessions of other users', async () => {
+      const { token: adminToken } = await createTestAdmin();
+
+      const list = await request(app)
+        .get('/api/v1/auth/sessions')
+        .set('Authorization', createAuthHeader(firstLogin.body.data.tokens.accessToken));
+
+      await request(app)
+        .delete(`/api/v1/auth/sessions/${list.body.data.sessions[0].id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(404);
+    });
+  });
+
+  describe('Admin session management', () => {
+    let adminToken;
+    let userId;
+
+    beforeEach(async () => {
+      const result = await createTestAdmin();
+      adminToken = result.token;
+      userId = firstLogin.body.data.user.id;
+    });
+
+    it('should list sessions of any user', async () => {
+      const response = await request(app)
+        .get(`/api/v1/admin/users/${userId}/sessions`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      expect(response.body.data.sessions).toHaveLength(2);
+    });
+
+    it('should end every session of a user', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/users/${userId}/sessions`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .expect(200);
+
+      await request(app)
+        .get('/api/v1/auth/profile')
+        .set('Authorization', createAuthHeader(firstLogin.body.data.tokens.accessToken))
+        .expect(401);
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .get(`/api/v1/admin/users/${userId}/sessions`)
+        .set('Authorization', createAuthHeader(firstLogin.body.data.tokens.accessToken))
+        .expect(403);
+    });
+  });
+});
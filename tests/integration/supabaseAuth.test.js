@@ -0,0 +1,73 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const config = require('../../src/config');
+const { testData } = require('../setup');
+const {
+  SUPABASE_URL,
+  SUPABASE_JWT_SECRET,
+  supabaseClaims,
+  signSupabaseToken
+} = require('../helpers/supabaseTokens');
+
+describe('Supabase Auth tokens', () => {
+  const originalConfig = {
+    supabaseAuthEnabled: config.supabaseAuthEnabled,
+    supabaseUrl: config.supabaseUrl,
+    supabaseJwtSecret: config.supabaseJwtSecret
+  };
+
+  beforeAll(() => {
+    Object.assign(config, {
+      supabaseAuthEnabled: true,
+      supabaseUrl: SUPABASE_URL,
+      supabaseJwtSecret: SUPABASE_JWT_SECRET
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  const getProfile = (token) => request(app)
+    .get('/api/v1/auth/profile')
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should create a profile for a new Supabase user', async () => {
+    const claims = supabaseClaims();
+
+    const response = await getProfile(signSupabaseToken(claims)).expect(200);
+
+    expect(response.body.data.user.id).toBe(claims.sub);
+    expect(response.body.data.user.email).toBe(claims.email);
+    expect(response.body.data.user.role).toBe('customer');
+  });
+
+  it('should map later requests to the same profile', async () => {
+    const claims = supabaseClaims();
+
+    await getProfile(signSupabaseToken(claims)).expect(200);
+    const response = await getProfile(signSupabaseToken(claims)).expect(200);
+
+    expect(response.body.data.user.id).toBe(claims.sub);
+  });
+
+  it('should reject tokens with an invalid signature', async () => {
+    await getProfile(signSupabaseToken(supabaseClaims(), { secret: 'not-the-project-secret' })).expect(401);
+  });
+
+  it('should not take over an existing account with the same email', async () => {
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    await getProfile(signSupabaseToken(supabaseClaims({ email: testData.user.email }))).expect(401);
+  });
+
+  it('should keep accepting our own access tokens', async () => {
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    await getProfile(registered.body.data.tokens.accessToken).expect(200);
+  });
+});
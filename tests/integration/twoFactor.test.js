@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const TOTP = require('../../src/utils/totp');
+const AccountLockoutModel = require('../../src/models/accountLockouts');
+const { testData } = require('../setup');
+const { createAuthHeader } = require('../helpers/auth');
+
+// Code for the step after the last accepted one (each step is accepted once)
+const nextCode = (secret, stepOffset = 0) =>
+  TOTP.generateCode(secret, TOTP.getTimeStep() + stepOffset);
+
+describe('Two-Factor Authentication API', () => {
+  let accessToken;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    accessToken = response.body.data.tokens.accessToken;
+  });
+
+  // Run setup and enable, returning the secret and recovery codes
+  const enrollTwoFactor = async () => {
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', createAuthHeader(accessToken))
+      .expect(200);
+
+    const { secret } = setup.body.data;
+
+    const enable = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', createAuthHeader(accessToken))
+      .send({ code: nextCode(secret, -1) })
+      .expect(200);
+
+    return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+  };
+
+  describe('POST /api/v1/auth/2fa/setup', () => {
+    it('should return a secret and otpauth URI', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', createAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    });
+  });
+
+  describe('POST /api/v1/auth/2fa/enable', () => {
+    it('should reject a wrong code', async () => {
+      await request(app)
+        .post('/api/v1/auth/2fa/setup')
+        .set('Authorization', createAuthHeader(accessToken));
+
+      await request(app)
+        .post('/api/v1/auth/2fa/enable')
+        .set('Authorization', createAuthHeader(accessToken))
+        .send({ code: '000000' })
+        .expect(400);
+    });
+
+    it('should enable 2FA and return recovery codes', async () => {
+      const { recoveryCodes } = await enrollTwoFactor();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const status = await request(app)
+        .get('/api/v1/auth/2fa')
+        .set('Authorization', createAuthHeader(accessToken))
+        .expect(200);
+
+      expect(status.body.data.enabled).toBe(true);
+      expect(status.body.data.recoveryCodesRemaining).toBe(10);
+    });
+  });
+
+  describe('Two-step login', () => {
+    const login = () => request(app)
+      .post('/api/v1/auth/login')
+      .send({
+        email: testData.user.email,
+        password: testData.user.password
+      })
+      .expect(200);
+
+    it('should return a challenge instead of tokens', async () => {
+      await enrollTwoFactor();
+
+      const response = await login();
+
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.challengeToken).toBeDefined();
+      expect(response.body.data.tokens).toBeUndefined();
+    });
+
+    it('should issue tokens for a valid code', async () => {
+      const { secret } = await enrollTwoFactor();
+      const { challengeToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken, code: nextCode(secret) })
+        .expect(200);
+
+      expect(response.body.data.tokens.accessToken).toBeDefined();
+      expect(response.body.data.usedRecoveryCode).toBe(false);
+    });
+
+    it('should clear failed attempts after a valid code', async () => {
+      const { secret } = await enrollTwoFactor();
+      const { challengeToken } = (await login()).body.data;
+
+      await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken, code: nextCode(secret) })
+        .expect(200);
+
+      expect(await AccountLockoutModel.findByUser(response.body.data.user.id)).toBeNull();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enrollTwoFactor();
+      const code = nextCode(secret);
+
+      const first = (await login()).body.data.challengeToken;
+      await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken: first, code })
+        .expect(200);
+
+      const second = (await login()).body.data.challengeToken;
+      await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken: second, code })
+        .expect(401);
+    });
+
+    it('should accept a recovery code once', async () => {
+      const { recoveryCodes } = await enrollTwoFactor();
+
+      const first = (await login()).body.data.challengeToken;
+      const response = await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken: first, code: recoveryCodes[0] })
+        .expect(200);
+
+      expect(response.body.data.usedRecoveryCode).toBe(true);
+
+      const second = (await login()).body.data.challengeToken;
+      await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken: second, code: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      await request(app)
+        .post('/api/v1/auth/login/2fa')
+        .send({ challengeToken: accessToken, code: '123456' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/auth/2fa/disable', () => {
+    it('should require the password', async () => {
+      const { secret } = await enrollTwoFactor();
+
+      await request(app)
+        .post('/api/v1/auth/2fa/disable')
+        .set('Authorization', createAuthHeader(accessToken))
+        .send({ password: 'WrongPassword123', code: nextCode(secret) })
+        .expect(400);
+    });
+
+    it('should turn 2FA off', async () => {
+      const { secret } = await enrollTwoFactor();
+
+      await request(app)
+        .post('/api/v1/auth/2fa/disable')
+        .set('Authorization', createAuthHeader(accessToken))
+        .send({ password: testData.user.password, code: nextCode(secret) })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({
+          email: testData.user.email,
+          password: testData.user.password
+        })
+        .expect(200);
+
+      expect(response.body.data.tokens).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../../src/index');
+const config = require('../../src/config');
+const { testData } = require('../setup');
+
+// The CSRF token embedded in a rendered form
+const getCsrfToken = (html) => html.match(/name="_csrf" value="([^"]+)"/)[1];
+
+describe('Storefront Cookie Session', () => {
+  let agent;
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send(testData.user);
+
+    agent = request.agent(app);
+  });
+
+  const loginForm = async ({ next, password = testData.user.password } = {}) => {
+    const page = await agent.get('/auth/login').expect(200);
+
+    return agent
+      .post('/auth/login')
+      .type('form')
+      .send({ _csrf: getCsrfToken(page.text), email: testData.user.email, password, next });
+  };
+
+  it('should redirect protected pages to the login page', async () => {
+    const response = await agent.get('/checkout').expect(302);
+
+    expect(response.headers.location).toBe('/auth/login?next=%2Fcheckout');
+  });
+
+  it('should sign in with the form and set httpOnly session cookies', async () => {
+    const response = await loginForm({ next: '/orders' }).expect(302);
+
+    expect(response.headers.location).toBe('/orders');
+
+    const cookies = response.headers['set-cookie'].join('\n');
+    expect(cookies).toMatch(/access_token=[^;]+;.*HttpOnly/);
+    expect(cookies).toMatch(/refresh_token=[^;]+;.*HttpOnly/);
+
+    const orders = await agent.get('/orders').expect(200);
+    expect(orders.text).toContain(testData.user.fullName);
+  });
+
+  it('should not redirect to other sites after login', async () => {
+    const response = await loginForm({ next: '//evil.example.com' }).expect(302);
+
+    expect(response.headers.location).toBe('/');
+  });
+
+  it('should show the form again for wrong passwords', async () => {
+    const response = await loginForm({ password: 'WrongPassword123' }).expect(401);
+
+    expect(response.headers['set-cookie'] || []).not.toEqual(
+      expect.arrayContaining([expect.stringMatching(/^access_token=/)])
+    );
+  });
+
+  it('should reject form posts without a CSRF token', async () => {
+    await agent.get('/auth/login').expect(200);
+
+    await agent
+      .post('/auth/login')
+      .type('form')
+      .send({ email: testData.user.email, password: testData.user.password })
+      .expect(403);
+  });
+
+  it('should let API calls use the session cookie, with a CSRF header for changes', async () => {
+    await loginForm().expect(302);
+
+    await agent.get('/api/v1/auth/profile').expect(200);
+
+    await agent
+      .put('/api/v1/auth/profile')
+      .send({ fullName: 'Changed Name' })
+      .expect(403);
+
+    const page = await agent.get('/auth/login?next=/').expect(302);
+    expect(page.headers.location).toBe('/');
+  });
+
+  it('should end the session on logout', async () => {
+    // The CSRF token stays valid for the whole browser session
+    const page = await agent.get('/auth/login').expect(200);
+    const csrfToken = getCsrfToken(page.text);
+
+    await loginForm().expect(302);
+    await agent.get('/checkout').expect(200);
+
+    await agent
+      .post('/auth/logout')
+      .type('form')
+      .send({ _csrf: csrfToken })
+      .expect(302);
+
+    await agent.get('/checkout').expect(302);
+  });
+
+  it('should keep the session when parallel pages renew the same refresh token', async () => {
+    const login = await loginForm().expect(302);
+    const refreshCookie = login.headers['set-cookie'].find(cookie => cookie.startsWith('refresh_token='));
+    const refreshToken = refreshCookie.split(';')[0];
+
+    // Both pages arrive with an expired access token and the same refresh token
+    const loadPage = () => request(app)
+      .get('/checkout')
+      .set('Cookie', `access_token=expired; ${refreshToken}`);
+
+    const first = await loadPage().expect(200);
+    const second = await loadPage().expect(200);
+
+    expect(first.headers['set-cookie'].join('\n')).toMatch(/refresh_token=[^;]+/);
+    expect(second.headers['set-cookie'].join('\n')).not.toMatch(/refresh_token=/);
+
+    // The rotated refresh token still works, so the session was not ended
+    const rotated = first.headers['set-cookie'].find(cookie => cookie.startsWith('refresh_token=')).split(';')[0];
+    await request(app)
+      .get('/checkout')
+      .set('Cookie', `access_token=expired; ${rotated}`)
+      .expect(200);
+  });
+
+  it('should end the session when an old refresh token comes back later', async () => {
+    const originalGrace = config.webRefreshReuseGraceMs;
+    config.webRefreshReuseGraceMs = 0;
+
+    try {
+      const login = await loginForm().expect(302);
+      const refreshToken = login.headers['set-cookie'].find(cookie => cookie.startsWith('refresh_token=')).split(';')[0];
+      const loadPage = () => request(app)
+        .get('/checkout')
+        .set('Cookie', `access_token=expired; ${refreshToken}`);
+
+      await loadPage().expect(200);
+      await loadPage().expect(302);
+    } finally {
+      config.webRefreshReuseGraceMs = originalGrace;
+    }
+  });
+
+  it('should send expired passwords to the reset page', async () => {
+    const originalMaxAge = config.passwordMaxAge;
+    config.passwordMaxAge = '1ms';
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    try {
+      const response = await loginForm().expect(302);
+      const location = new URL(response.headers.location, 'http://localhost');
+
+      expect(location.pathname).toBe('/auth/reset-password');
+
+      const page = await agent.get(`${location.pathname}${location.search}`).expect(200);
+      expect(page.text).toContain('id="reset-password-form"');
+      expect(page.text).toContain('alert-warning');
+    } finally {
+      config.passwordMaxAge = originalMaxAge;
+    }
+  });
+});
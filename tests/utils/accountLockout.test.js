@@ -0,0 +1,57 @@
+const config = require('../../src/config');
+const AccountLockoutService = require('../../src/utils/accountLockout');
+
+describe('AccountLockoutService', () => {
+  const original = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, original);
+  });
+
+  describe('countFailure', () => {
+    it('should count failures per normalised email', () => {
+      expect(AccountLockoutService.countFailure('Delay-Test@Example.com')).toBe(1);
+      expect(AccountLockoutService.countFailure(' delay-test@example.com ')).toBe(2);
+      expect(AccountLockoutService.countFailure('other-delay-test@example.com')).toBe(1);
+    });
+
+    it('should start again once the failure window has passed', () => {
+      AccountLockoutService.countFailure('window-test@example.com');
+      config.loginFailureWindowMs = 0;
+
+      expect(AccountLockoutService.countFailure('window-test@example.com')).toBe(1);
+    });
+  });
+
+  describe('tracked emails', () => {
+    it('should forget emails once their failure window has passed', () => {
+      AccountLockoutService.countFailure('expired-a@example.com');
+      AccountLockoutService.countFailure('expired-b@example.com');
+      config.loginFailureWindowMs = 0;
+
+      AccountLockoutService.countFailure('current@example.com');
+
+      expect(AccountLockoutService.getTrackedEmailCount()).toBe(1);
+    });
+
+    it('should keep at most 10000 emails, dropping the least recently failed', () => {
+      for (let i = 0; i <= 10000; i++) {
+        AccountLockoutService.countFailure(`bound-${i}@example.com`);
+      }
+
+      expect(AccountLockoutService.getTrackedEmailCount()).toBe(10000);
+      expect(AccountLockoutService.countFailure('bound-0@example.com')).toBe(1);
+      expect(AccountLockoutService.countFailure('bound-10000@example.com')).toBe(2);
+    });
+  });
+
+  describe('getFailureDelay', () => {
+    it('should double the delay per failure up to the maximum', () => {
+      config.loginFailureDelayMs = 250;
+      config.loginMaxFailureDelayMs = 4000;
+
+      expect([1, 2, 3, 5, 8].map(failures => AccountLockoutService.getFailureDelay(failures)))
+        .toEqual([250, 500, 1000, 4000, 4000]);
+    });
+  });
+});
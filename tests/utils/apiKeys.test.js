@@ -0,0 +1,65 @@
+const config = require('../../src/config');
+const ApiKeyService = require('../../src/utils/apiKeys');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ApiKeyService', () => {
+  describe('resolveExpiry', () => {
+    it('should default to API_KEY_DEFAULT_EXPIRES_IN', () => {
+      const expiresAt = ApiKeyService.resolveExpiry();
+      const expected = Date.now() + 90 * DAY_MS;
+
+      expect(config.apiKeyDefaultExpiresIn).toBe('90d');
+      expect(Math.abs(expiresAt.getTime() - expected)).toBeLessThan(1000);
+    });
+
+    it('should accept a date within the maximum lifetime', () => {
+      const date = new Date(Date.now() + 30 * DAY_MS);
+
+      expect(ApiKeyService.resolveExpiry(date.toISOString()).getTime()).toBe(date.getTime());
+    });
+
+    it('should refuse dates in the past', () => {
+      expect(() => ApiKeyService.resolveExpiry(new Date(Date.now() - 1000).toISOString()))
+        .toThrow('Expiry date must be in the future');
+    });
+
+    it('should refuse dates beyond the maximum lifetime', () => {
+      expect(() => ApiKeyService.resolveExpiry(new Date(Date.now() + 400 * DAY_MS).toISOString()))
+        .toThrow('at most 365d');
+    });
+  });
+
+  describe('hasScopes', () => {
+    const apiKey = { scopes: ['products:write', 'orders:read'] };
+
+    it('should require every scope', () => {
+      expect(ApiKeyService.hasScopes(apiKey, ['orders:read'])).toBe(true);
+      expect(ApiKeyService.hasScopes(apiKey, ['orders:read', 'orders:write'])).toBe(false);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should reject malformed keys without a lookup', async () => {
+      expect(await ApiKeyService.authenticate('not-a-key')).toBeNull();
+      expect(await ApiKeyService.authenticate(undefined)).toBeNull();
+    });
+  });
+
+  describe('toPublic', () => {
+    it('should never expose the key hash', () => {
+      const apiKey = ApiKeyService.toPublic({
+        id: 'key-1',
+        name: 'ERP',
+        prefix: 'ek_3f9ac2e1b07d',
+        keyHash: 'secret-hash',
+        scopes: ['orders:read'],
+        expiresAt: new Date(Date.now() + DAY_MS),
+        revokedAt: null
+      });
+
+      expect(apiKey.keyHash).toBeUndefined();
+      expect(apiKey.isActive).toBe(true);
+    });
+  });
+});
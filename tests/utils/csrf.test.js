@@ -0,0 +1,34 @@
+const { createSecret, createToken, verifyToken, isUnsafeMethod } = require('../../src/utils/csrf');
+
+describe('CSRF tokens', () => {
+  it('should accept the token derived from the secret', () => {
+    const secret = createSecret();
+
+    expect(verifyToken(secret, createToken(secret))).toBe(true);
+  });
+
+  it('should reject tokens of another secret', () => {
+    expect(verifyToken(createSecret(), createToken(createSecret()))).toBe(false);
+  });
+
+  it('should not accept the secret itself as token', () => {
+    const secret = createSecret();
+
+    expect(verifyToken(secret, secret)).toBe(false);
+  });
+
+  it('should reject missing secrets and tokens', () => {
+    const secret = createSecret();
+
+    expect(verifyToken(undefined, createToken(secret))).toBe(false);
+    expect(verifyToken(secret, undefined)).toBe(false);
+    expect(verifyToken(secret, '')).toBe(false);
+  });
+
+  it('should only require tokens for state-changing methods', () => {
+    expect(isUnsafeMethod('GET')).toBe(false);
+    expect(isUnsafeMethod('HEAD')).toBe(false);
+    expect(isUnsafeMethod('POST')).toBe(true);
+    expect(isUnsafeMethod('DELETE')).toBe(true);
+  });
+});
@@ -0,0 +1,51 @@
+const { parse, formatRecord, unprotectFormula } = require('../../src/utils/csv');
+
+describe('CSV', () => {
+  describe('parse', () => {
+    it('should split records and fields', () => {
+      expect(parse('sku,name\r\nA-1,Teapot\nA-2,Cup\n')).toEqual([
+        ['sku', 'name'],
+        ['A-1', 'Teapot'],
+        ['A-2', 'Cup']
+      ]);
+    });
+
+    it('should read quoted fields with commas, quotes and line breaks', () => {
+      expect(parse('"Teapot, large","Say ""hi""","two\nlines"')).toEqual([
+        ['Teapot, large', 'Say "hi"', 'two\nlines']
+      ]);
+    });
+
+    it('should skip the byte order mark and keep blank lines', () => {
+      expect(parse('\uFEFFsku\n\nA-1')).toEqual([['sku'], [''], ['A-1']]);
+    });
+
+    it('should keep empty fields', () => {
+      expect(parse('a,,c,')).toEqual([['a', '', 'c', '']]);
+    });
+
+    it('should reject unterminated quotes', () => {
+      expect(() => parse('"open')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('formatRecord', () => {
+    it('should quote fields only when needed', () => {
+      expect(formatRecord(['A-1', 'Teapot, large', 'Say "hi"', null, 12.5, true]))
+        .toBe('A-1,"Teapot, large","Say ""hi""",,12.5,true\r\n');
+    });
+
+    it('should round-trip through parse', () => {
+      const values = ['line\nbreak', ' padded ', '"quoted"', '中文'];
+
+      expect(parse(formatRecord(values))).toEqual([values]);
+    });
+
+    it('should keep spreadsheets from running text as formulas', () => {
+      const line = formatRecord(['=HYPERLINK("http://evil.example")', '@SUM(A1)']);
+
+      expect(line).toBe('"\'=HYPERLINK(""http://evil.example"")",\'@SUM(A1)\r\n');
+      expect(parse(line)[0].map(unprotectFormula)).toEqual(['=HYPERLINK("http://evil.example")', '@SUM(A1)']);
+    });
+  });
+});
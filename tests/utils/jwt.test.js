@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config');
+const JWTUtils = require('../../src/utils/jwt');
+const SigningKeyStore = require('../../src/utils/signingKeys');
+
+const payload = { userId: 'user-1', email: 'user@example.com', role: 'customer' };
+
+// Store record for a generated key pair
+const keyRecord = (algorithm, overrides = {}) => ({
+  ...SigningKeyStore.generateKeyPair(algorithm),
+  activatesAt: new Date(Date.now() - 1000),
+  retiredAt: null,
+  expiresAt: null,
+  ...overrides
+});
+
+describe('JWTUtils', () => {
+  const originalAlgorithm = config.jwtAlgorithm;
+
+  afterEach(() => {
+    config.jwtAlgorithm = originalAlgorithm;
+    SigningKeyStore.setKeys([]);
+  });
+
+  describe('HS256', () => {
+    it('should sign and verify access tokens with JWT_SECRET', () => {
+      config.jwtAlgorithm = 'HS256';
+
+      const token = JWTUtils.generateAccessToken(payload);
+
+      expect(jwt.decode(token, { complete: true }).header.alg).toBe('HS256');
+      expect(JWTUtils.verifyAccessToken(token).userId).toBe('user-1');
+    });
+
+    it('should issue short-lived impersonation tokens naming the admin', () => {
+      config.jwtAlgorithm = 'HS256';
+
+      const token = JWTUtils.generateImpersonationToken({ ...payload, actorId: 'admin-1' }, '5m');
+      const decoded = JWTUtils.verifyAccessToken(token);
+
+      expect(decoded.userId).toBe('user-1');
+      expect(decoded.act).toEqual({ sub: 'admin-1' });
+      expect(decoded.sid).toBeUndefined();
+      expect(decoded.exp - decoded.iat).toBe(300);
+    });
+
+    it('should carry the login time of the session as auth_time', () => {
+      config.jwtAlgorithm = 'HS256';
+
+      const authTime = new Date('2024-05-01T10:00:00Z');
+      const { accessToken } = JWTUtils.generateTokenPair({ ...payload, sessionId: 'session-1', authTime });
+
+      expect(JWTUtils.verifyAccessToken(accessToken).auth_time).toBe(authTime.getTime() / 1000);
+    });
+
+    it('should publish no keys', () => {
+      config.jwtAlgorithm = 'HS256';
+
+      expect(SigningKeyStore.getJwks()).toEqual({ keys: [] });
+    });
+  });
+
+  describe.each(['RS256', 'ES256'])('%s', (algorithm) => {
+    beforeEach(() => {
+      config.jwtAlgorithm = algorithm;
+    });
+
+    it('should sign with the active key and include its kid', () => {
+      const record = keyRecord(algorithm);
+      SigningKeyStore.setKeys([record]);
+
+      const token = JWTUtils.generateAccessToken(payload);
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header.alg).toBe(algorithm);
+      expect(header.kid).toBe(record.kid);
+      expect(JWTUtils.verifyAccessToken(token).userId).toBe('user-1');
+    });
+
+    it('should be verifiable with only the published JWKS', () => {
+      SigningKeyStore.setKeys([keyRecord(algorithm)]);
+
+      const token = JWTUtils.generateAccessToken(payload);
+      const { header } = jwt.decode(token, { complete: true });
+      const jwk = SigningKeyStore.getJwks().keys.find(key => key.kid === header.kid);
+
+      expect(jwk.d).toBeUndefined();
+
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      expect(jwt.verify(token, publicKey, { algorithms: [algorithm] }).userId).toBe('user-1');
+    });
+
+    it('should keep verifying tokens of a retired key during its grace period', () => {
+      const old = keyRecord(algorithm, { activatesAt: new Date(Date.now() - 60000) });
+      SigningKeyStore.setKeys([old]);
+      const token = JWTUtils.generateAccessToken(payload);
+
+      const next = keyRecord(algorithm);
+      SigningKeyStore.setKeys([
+        { ...old, retiredAt: new Date(), expiresAt: new Date(Date.now() + 60000) },
+        next
+      ]);
+
+      expect(JWTUtils.verifyAccessToken(token).userId).toBe('user-1');
+      expect(jwt.decode(JWTUtils.generateAccessToken(payload), { complete: true }).header.kid).toBe(next.kid);
+    });
+
+    it('should reject tokens of expired keys', () => {
+      const old = keyRecord(algorithm);
+      SigningKeyStore.setKeys([old]);
+      const token = JWTUtils.generateAccessToken(payload);
+
+      SigningKeyStore.setKeys([{ ...old, retiredAt: new Date(), expiresAt: new Date(Date.now() - 1000) }]);
+
+      expect(() => JWTUtils.verifyAccessToken(token)).toThrow('unknown signing key');
+    });
+
+    it('should not sign with keys that are not active yet', () => {
+      SigningKeyStore.setKeys([keyRecord(algorithm, { activatesAt: new Date(Date.now() + 60000) })]);
+
+      expect(() => JWTUtils.generateAccessToken(payload)).toThrow('No active JWT signing key');
+      expect(SigningKeyStore.getJwks().keys).toHaveLength(1);
+    });
+
+    it('should reject HS256 tokens signed with the secret', () => {
+      SigningKeyStore.setKeys([keyRecord(algorithm)]);
+
+      const forged = jwt.sign(payload, config.jwtSecret, {
+        issuer: 'ecommerce-demo-api',
+        audience: 'ecommerce-demo-client'
+      });
+
+      expect(() => JWTUtils.verifyAccessToken(forged)).toThrow('Invalid access token');
+    });
+  });
+});
+
+describe('Production secrets', () => {
+  const loadConfig = (env) => {
+    const originalEnv = process.env;
+    process.env = {
+      ...originalEnv,
+      NODE_ENV: 'production',
+      SUPABASE_URL: 'https://example.supabase.co',
+      SUPABASE_ANON_KEY: 'anon-key',
+      ...env
+    };
+
+    try {
+      let loaded;
+      jest.isolateModules(() => {
+        loaded = require('../../src/config');
+      });
+      return loaded;
+    } finally {
+      process.env = originalEnv;
+    }
+  };
+
+  const strongSecret = crypto.randomBytes(32).toString('hex');
+  const strongRefreshSecret = crypto.randomBytes(32).toString('hex');
+
+  it('should refuse placeholder secrets', () => {
+    expect(() => loadConfig({
+      JWT_SECRET: 'your-super-secret-jwt-key-change-this-in-production',
+      JWT_REFRESH_SECRET: strongRefreshSecret
+    })).toThrow('JWT_SECRET must be a random value');
+  });
+
+  it('should refuse a missing refresh secret', () => {
+    expect(() => loadConfig({
+      JWT_SECRET: strongSecret,
+      JWT_REFRESH_SECRET: ''
+    })).toThrow('JWT_REFRESH_SECRET is missing');
+  });
+
+  it('should refuse the same secret for access and refresh tokens', () => {
+    expect(() => loadConfig({
+      JWT_SECRET: strongSecret,
+      JWT_REFRESH_SECRET: strongSecret
+    })).toThrow('must be different');
+  });
+
+  it('should accept strong, distinct secrets', () => {
+    expect(loadConfig({
+      JWT_SECRET: strongSecret,
+      JWT_REFRESH_SECRET: strongRefreshSecret
+    }).jwtSecret).toBe(strongSecret);
+  });
+});
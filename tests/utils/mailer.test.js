@@ -0,0 +1,72 @@
+const os = require('os');
+const path = require('path');
+const { Mailer, FileTransport, createTransport, registerTransport } = require('../../src/utils/mailer');
+
+describe('Mailer', () => {
+  let transport;
+  let mailer;
+
+  beforeEach(() => {
+    transport = new FileTransport({
+      directory: path.join(os.tmpdir(), `mailer-test-${process.pid}-${Date.now()}`)
+    });
+    mailer = new Mailer({ transport, from: 'shop@example.com' });
+  });
+
+  afterEach(async () => {
+    await transport.clear();
+  });
+
+  describe('send', () => {
+    it('should deliver the message through the transport', async () => {
+      await mailer.send({
+        to: 'user@example.com',
+        subject: 'Hello',
+        text: 'Plain text body'
+      });
+
+      const messages = await transport.list('user@example.com');
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].from).toBe('shop@example.com');
+      expect(messages[0].subject).toBe('Hello');
+      expect(messages[0].text).toBe('Plain text body');
+    });
+  });
+
+  describe('sendTemplate', () => {
+    it('should render localized subject and body', async () => {
+      await mailer.sendTemplate('verify_email', {
+        to: 'kunde@example.com',
+        locale: 'de',
+        data: {
+          name: 'Kunde',
+          link: 'https://shop.example.com/verify?token=a&b=c',
+          expiresIn: '24h'
+        }
+      });
+
+      const [message] = await transport.list('kunde@example.com');
+
+      expect(message.subject).toBe('Bitte bestätigen Sie Ihre E-Mail-Adresse');
+      expect(message.text).toContain('Hallo Kunde');
+      // Links must not be HTML-escaped
+      expect(message.text).toContain('https://shop.example.com/verify?token=a&b=c');
+      expect(message.locale).toBe('de');
+    });
+  });
+
+  describe('transports', () => {
+    it('should create registered transports by name', () => {
+      const custom = { send: jest.fn() };
+      registerTransport('custom', () => custom);
+
+      expect(createTransport('custom')).toBe(custom);
+      expect(createTransport('file')).toBeInstanceOf(FileTransport);
+    });
+
+    it('should reject unknown transports', () => {
+      expect(() => createTransport('pigeon')).toThrow('Unknown mail transport: pigeon');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { OidcClient, createCodeChallenge } = require('../../src/utils/oidc');
+const { startMockOidcServer, authorizeWithMock } = require('../helpers/mockOidcServer');
+
+describe('OIDC client', () => {
+  let mock;
+  let client;
+
+  beforeAll(async () => {
+    mock = await startMockOidcServer();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.idTokenOverrides = {};
+    client = new OidcClient('mock', {
+      issuer: mock.issuer,
+      clientId: mock.clientId,
+      clientSecret: mock.clientSecret,
+      redirectUri: 'http://localhost:3000/api/v1/auth/oidc/mock/callback'
+    });
+  });
+
+  // Run the whole authorization code flow against the mock provider
+  const login = async () => {
+    const request = await client.createAuthorizationRequest();
+    const { code } = await authorizeWithMock(request.url);
+
+    return client.authenticate({
+      code,
+      codeVerifier: request.codeVerifier,
+      nonce: request.nonce
+    });
+  };
+
+  it('should compute S256 code challenges (unpadded base64url)', () => {
+    const verifier = 'dBjftJeZ4CK-9s-vCGZEDNy3LZS6gqdJnVTpQ9pVKDM';
+    const expected = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    expect(createCodeChallenge(verifier)).toBe(expected);
+    expect(expected).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('should build an authorization URL with PKCE', async () => {
+    const request = await client.createAuthorizationRequest();
+    const url = new URL(request.url);
+
+    expect(url.origin + url.pathname).toBe(`${mock.issuer}/authorize`);
+    expect(url.searchParams.get('client_id')).toBe(mock.clientId);
+    expect(url.searchParams.get('state')).toBe(request.state);
+    expect(url.searchParams.get('nonce')).toBe(request.nonce);
+    expect(url.searchParams.get('code_challenge')).toBe(createCodeChallenge(request.codeVerifier));
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+  });
+
+  it('should return the verified identity', async () => {
+    const identity = await login();
+
+    expect(identity).toMatchObject({
+      subject: mock.user.sub,
+      email: mock.user.email,
+      emailVerified: true,
+      name: mock.user.name
+    });
+  });
+
+  it('should reject a wrong code verifier', async () => {
+    const request = await client.createAuthorizationRequest();
+    const { code } = await authorizeWithMock(request.url);
+
+    await expect(client.authenticate({
+      code,
+      codeVerifier: 'not-the-verifier',
+      nonce: request.nonce
+    })).rejects.toMatchObject({ statusCode: 502 });
+  });
+
+  it('should reject a nonce mismatch', async () => {
+    const request = await client.createAuthorizationRequest();
+    const { code } = await authorizeWithMock(request.url);
+
+    await expect(client.authenticate({
+      code,
+      codeVerifier: request.codeVerifier,
+      nonce: 'another-nonce'
+    })).rejects.toThrow('nonce');
+  });
+
+  it('should reject ID tokens for another audience', async () => {
+    mock.idTokenOverrides = { aud: 'someone-else' };
+
+    await expect(login()).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should reject ID tokens from another issuer', async () => {
+    mock.idTokenOverrides = { iss: 'https://evil.example.com' };
+
+    await expect(login()).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should require a client id and an issuer or endpoints', () => {
+    expect(() => new OidcClient('broken', { clientId: 'x' })).toThrow('needs a client id');
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const PasswordPolicy = require('../../src/utils/passwordPolicy');
+
+describe('PasswordPolicy', () => {
+  const original = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, original);
+    PasswordPolicy.reloadBlocklist();
+  });
+
+  describe('validate', () => {
+    it('should accept passwords that follow the default rules', () => {
+      expect(PasswordPolicy.validate('Correct7Horse')).toEqual([]);
+    });
+
+    it('should report every rule that is broken', () => {
+      expect(PasswordPolicy.validate('xkq')).toEqual([
+        'Password must be at least 8 characters long',
+        'Password must contain at least one uppercase letter',
+        'Password must contain at least one number'
+      ]);
+    });
+
+    it('should use the field label in messages', () => {
+      expect(PasswordPolicy.validate('', { label: 'New password' })).toEqual(['New password is required']);
+    });
+
+    it('should follow the configured rules', () => {
+      config.passwordMinLength = 14;
+      config.passwordRequireSymbol = true;
+      config.passwordRequireUppercase = false;
+
+      expect(PasswordPolicy.validate('correct7horse')).toEqual([
+        'Password must be at least 14 characters long',
+        'Password must contain at least one symbol'
+      ]);
+      expect(PasswordPolicy.validate('correct7horse!')).toEqual([]);
+    });
+
+    it('should reject passwords longer than bcrypt can hash', () => {
+      expect(PasswordPolicy.validate(`Aa1${'x'.repeat(70)}`)).toEqual([
+        'Password must be at most 72 bytes long'
+      ]);
+    });
+  });
+
+  describe('isCommon', () => {
+    it.each([
+      'Password1',
+      'Qwerty123',
+      'P@ssw0rd',
+      'Summer2024!',
+      'Passwort123',
+      'Schalke04'
+    ])('should reject %s', (password) => {
+      expect(PasswordPolicy.isCommon(password)).toBe(true);
+      expect(PasswordPolicy.validate(password)).toContain('Password is too common and easy to guess');
+    });
+
+    it('should accept uncommon passwords', () => {
+      expect(PasswordPolicy.isCommon('Correct7Horse')).toBe(false);
+    });
+
+    it('should be possible to turn off', () => {
+      config.passwordBlocklistEnabled = false;
+
+      expect(PasswordPolicy.validate('Password1')).toEqual([]);
+    });
+
+    it('should read a custom blocklist file', () => {
+      const file = path.join(os.tmpdir(), `blocklist-${process.pid}.txt`);
+      fs.writeFileSync(file, '# custom\ncorrect7horse\n');
+
+      try {
+        config.passwordBlocklistFile = file;
+        expect(PasswordPolicy.reloadBlocklist()).toBe(1);
+        expect(PasswordPolicy.isCommon('Correct7Horse')).toBe(true);
+        expect(PasswordPolicy.isCommon('Password1')).toBe(false);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  describe('isExpired', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    it('should never expire passwords without a maximum age', () => {
+      config.passwordMaxAge = null;
+
+      expect(PasswordPolicy.isExpired({ passwordChangedAt: daysAgo(1000) })).toBe(false);
+    });
+
+    it('should expire passwords older than the maximum age', () => {
+      config.passwordMaxAge = '90d';
+
+      expect(PasswordPolicy.isExpired({ passwordChangedAt: daysAgo(91) })).toBe(true);
+      expect(PasswordPolicy.isExpired({ passwordChangedAt: daysAgo(89) })).toBe(false);
+    });
+  });
+});
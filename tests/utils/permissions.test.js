@@ -0,0 +1,44 @@
+const PermissionService = require('../../src/utils/permissions');
+
+const { PERMISSIONS } = PermissionService;
+
+describe('PermissionService', () => {
+  const access = (permissions) => ({ roles: [], permissions: new Set(permissions) });
+
+  it('should grant listed permissions only', () => {
+    const warehouse = access([PERMISSIONS.ORDERS_READ_ALL, PERMISSIONS.ORDERS_UPDATE_STATUS]);
+
+    expect(PermissionService.can(warehouse, PERMISSIONS.ORDERS_UPDATE_STATUS)).toBe(true);
+    expect(PermissionService.can(warehouse, PERMISSIONS.ORDERS_UPDATE_PAYMENT_STATUS)).toBe(false);
+  });
+
+  it('should grant everything for the wildcard', () => {
+    const admin = access([PermissionService.ALL_PERMISSIONS]);
+
+    for (const permission of Object.values(PERMISSIONS)) {
+      expect(PermissionService.can(admin, permission)).toBe(true);
+    }
+  });
+
+  it('should describe every permission', () => {
+    const names = PermissionService.list().map(permission => permission.name);
+
+    expect(names.sort()).toEqual(Object.values(PERMISSIONS).sort());
+    expect(PermissionService.isKnown('orders.update_status')).toBe(true);
+    expect(PermissionService.isKnown(PermissionService.ALL_PERMISSIONS)).toBe(false);
+  });
+
+  it('should load access once per request', async () => {
+    const getUserAccess = jest
+      .spyOn(PermissionService, 'getUserAccess')
+      .mockResolvedValue(access([PERMISSIONS.PRODUCTS_WRITE]));
+
+    const req = { user: { id: 'user-1', role: 'customer' } };
+
+    expect(await PermissionService.hasPermission(req, PERMISSIONS.PRODUCTS_WRITE)).toBe(true);
+    expect(await PermissionService.hasPermission(req, PERMISSIONS.ROLES_MANAGE)).toBe(false);
+    expect(getUserAccess).toHaveBeenCalledTimes(1);
+
+    getUserAccess.mockRestore();
+  });
+});
@@ -0,0 +1,122 @@
+const ProductAttributeService = require('../../src/utils/productAttributes');
+
+describe('ProductAttributeService', () => {
+  const definitions = [
+    { key: 'screen_size', label: 'Screen size', type: 'number', unit: 'in', options: [], isRequired: true },
+    {
+      key: 'material',
+      label: 'Material',
+      type: 'enum',
+      options: [{ value: 'cotton', label: 'Baumwolle' }, { value: 'wool', label: 'Wolle' }],
+      isRequired: false
+    },
+    { key: 'waterproof', label: 'Waterproof', type: 'boolean', options: [], isRequired: false },
+    { key: 'model', label: 'Model', type: 'text', options: [], isRequired: false }
+  ];
+
+  describe('validate', () => {
+    it('should return the values to store', () => {
+      expect(ProductAttributeService.validate(definitions, {
+        screen_size: 15.6,
+        material: 'wool',
+        waterproof: false,
+        model: ' X1 '
+      })).toEqual({
+        attributes: { screen_size: 15.6, material: 'wool', waterproof: false, model: 'X1' },
+        errors: []
+      });
+    });
+
+    it('should reject attributes the category does not have', () => {
+      expect(ProductAttributeService.validate(definitions, { screen_size: 13, color: 'red' }).errors)
+        .toEqual([{ key: 'color', message: 'Unknown attribute "color" for this category' }]);
+    });
+
+    it('should report values that do not fit the type and missing required values', () => {
+      const { errors } = ProductAttributeService.validate(definitions, {
+        material: 'silk',
+        waterproof: 'yes',
+        model: ''
+      });
+
+      expect(errors).toEqual([
+        { key: 'material', message: 'Material must be one of: cotton, wool' },
+        { key: 'waterproof', message: 'Waterproof must be true or false' },
+        { key: 'screen_size', message: 'Screen size is required' }
+      ]);
+    });
+
+    it('should read numbers and booleans from text when coercing', () => {
+      expect(ProductAttributeService.validate(definitions, { screen_size: '13.3', waterproof: 'yes' }, { coerce: true }))
+        .toEqual({ attributes: { screen_size: 13.3, waterproof: true }, errors: [] });
+      expect(ProductAttributeService.validate(definitions, { screen_size: '13.3' }).errors)
+        .toEqual([{ key: 'screen_size', message: 'Screen size must be a number' }]);
+    });
+  });
+
+  describe('merge and keepDefined', () => {
+    it('should replace given values and remove null ones', () => {
+      expect(ProductAttributeService.merge({ material: 'wool', model: 'X1' }, { material: 'cotton', model: null }))
+        .toEqual({ material: 'cotton' });
+    });
+
+    it('should keep the values of attributes the category has', () => {
+      expect(ProductAttributeService.keepDefined(definitions, { material: 'wool', color: 'red' }))
+        .toEqual({ material: 'wool' });
+    });
+  });
+
+  describe('parseFilters', () => {
+    it('should read value lists and number ranges', () => {
+      expect(ProductAttributeService.parseFilters({
+        material: 'cotton, wool,cotton',
+        waterproof: ['true'],
+        screen_size: { min: '13', max: '' }
+      })).toEqual({
+        material: { values: ['cotton', 'wool'] },
+        waterproof: { values: ['true'] },
+        screen_size: { min: 13 }
+      });
+    });
+
+    it('should reject invalid keys and ranges', () => {
+      expect(() => ProductAttributeService.parseFilters({ 'Screen Size': '13' })).toThrow('Invalid attribute key');
+      expect(() => ProductAttributeService.parseFilters({ screen_size: { min: 'big' } })).toThrow('Attribute ranges');
+      expect(() => ProductAttributeService.parseFilters('material')).toThrow('attributes[key]=value');
+    });
+  });
+
+  describe('options and translations', () => {
+    it('should normalize options and reject invalid ones', () => {
+      expect(ProductAttributeService.normalizeOptions(['cotton', { value: 'wool', label: 'Merino wool' }]))
+        .toEqual([{ value: 'cotton', label: 'cotton' }, { value: 'wool', label: 'Merino wool' }]);
+
+      expect(ProductAttributeService.getOptionsError(['cotton', { value: 'wool' }])).toBeNull();
+      expect(ProductAttributeService.getOptionsError([])).toMatch('1 to 100 values');
+      expect(ProductAttributeService.getOptionsError(['a,b'])).toMatch('without commas');
+      expect(ProductAttributeService.getOptionsError(['wool', 'wool'])).toBe('Option values must be unique');
+    });
+
+    it('should check translation languages and option values', () => {
+      const context = { languages: ['de', 'zh-TW'], values: ['cotton'] };
+
+      expect(ProductAttributeService.getTranslationsError({
+        de: { label: 'Material', options: { cotton: 'Baumwolle' } },
+        'zh-TW': null
+      }, context)).toBeNull();
+      expect(ProductAttributeService.getTranslationsError({ fr: { label: 'Matière' } }, context))
+        .toMatch('Translations into "fr" are not supported');
+      expect(ProductAttributeService.getTranslationsError({ de: { label: 'Material', options: { silk: 'Seide' } } }, context))
+        .toBe('Unknown option "silk" in the de translation');
+    });
+  });
+
+  describe('getSpecifications', () => {
+    it('should list set values in definition order with enum labels', () => {
+      expect(ProductAttributeService.getSpecifications(definitions, { material: 'wool', screen_size: 15.6 })).toEqual([
+        { key: 'screen_size', label: 'Screen size', type: 'number', unit: 'in', value: 15.6, valueLabel: undefined },
+        { key: 'material', label: 'Material', type: 'enum', unit: undefined, value: 'wool', valueLabel: 'Wolle' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const ProductCatalogService = require('../../src/utils/productCatalog');
+
+describe('ProductCatalogService', () => {
+  const context = (overrides = {}) => ({
+    existing: null,
+    categoryIds: new Map([['Electronics', 'category-1']]),
+    languages: ['de', 'zh-TW'],
+    seenSkus: new Set(),
+    ...overrides
+  });
+
+  describe('fromCsv', () => {
+    it('should read fields, translation columns and image lists', () => {
+      const records = ProductCatalogService.fromCsv([
+        'sku,name,price,images,name.de,description.de,name.zh-TW',
+        'TEA-1,Teapot,19.90,https://example.com/a.jpg | https://example.com/b.jpg,Teekanne,Aus Glas,茶壺',
+        '',
+        'TEA-2,,5,,,,'
+      ].join('\n'));
+
+      expect(records).toEqual([
+        {
+          row: 2,
+          sku: 'TEA-1',
+          name: 'Teapot',
+          price: '19.90',
+          images: ['https://example.com/a.jpg', 'https://example.com/b.jpg'],
+          translations: {
+            de: { name: 'Teekanne', description: 'Aus Glas' },
+            'zh-TW': { name: '茶壺' }
+          }
+        },
+        { row: 4, sku: 'TEA-2', price: '5', translations: {} }
+      ]);
+    });
+
+    it('should read attribute columns', () => {
+      expect(ProductCatalogService.fromCsv('sku,attributes.material,attributes.screen_size\nTEA-1,glass,')).toEqual([
+        { row: 2, sku: 'TEA-1', attributes: { material: 'glass' }, translations: {} }
+      ]);
+    });
+
+    it('should reject unknown columns', () => {
+      expect(() => ProductCatalogService.fromCsv('sku,colour\nTEA-1,red'))
+        .toThrow('Unknown columns: colour');
+    });
+
+    it('should require a sku column', () => {
+      expect(() => ProductCatalogService.fromCsv('name\nTeapot'))
+        .toThrow('including sku');
+    });
+  });
+
+  describe('fromJson', () => {
+    it('should accept an array or { products }', () => {
+      const product = { sku: 'TEA-1', name: 'Teapot', weight: null };
+
+      expect(ProductCatalogService.fromJson([product])).toEqual(ProductCatalogService.fromJson({ products: [product] }));
+      expect(ProductCatalogService.fromJson([product])[0]).toEqual({
+        row: 1,
+        sku: 'TEA-1',
+        name: 'Teapot',
+        translations: {},
+        unknownFields: []
+      });
+    });
+
+    it('should reject other bodies', () => {
+      expect(() => ProductCatalogService.fromJson({ sku: 'TEA-1' })).toThrow('Send an array of products');
+    });
+  });
+
+  describe('validateRecord', () => {
+    it('should convert a valid new product', () => {
+      const { data, translations, errors } = ProductCatalogService.validateRecord({
+        sku: ' TEA-1 ',
+        name: 'Teapot',
+        price: '19.9',
+        stockQuantity: '12',
+        category: 'Electronics',
+        isActive: 'no',
+        translations: { de: { name: 'Teekanne' } }
+      }, context());
+
+      expect(errors).toEqual([]);
+      expect(data).toEqual({
+        sku: 'TEA-1',
+        name: 'Teapot',
+        price: '19.90',
+        stockQuantity: 12,
+        categoryId: 'category-1',
+        isActive: false
+      });
+      expect(translations).toEqual({ de: { name: 'Teekanne' } });
+    });
+
+    it('should require a name and price for new products only', () => {
+      const record = { sku: 'TEA-1', stockQuantity: 3, translations: {} };
+
+      expect(ProductCatalogService.validateRecord(record, context()).errors.map(error => error.field))
+        .toEqual(['name', 'price']);
+      expect(ProductCatalogService.validateRecord(record, context({ existing: { id: 'product-1' } })).errors)
+        .toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+      const { errors } = ProductCatalogService.validateRecord({
+        sku: 'TEA-1',
+        name: 'Teapot',
+        price: '-1',
+        stockQuantity: '1.5',
+        category: 'Toys',
+        imageUrl: 'javascript:alert(1)',
+        isActive: 'maybe',
+        translations: { fr: { name: 'Théière' }, de: { description: 'Ohne Namen' } },
+        unknownFields: ['colour']
+      }, context());
+
+      expect(errors.map(error => error.field)).toEqual([
+        'colour', 'price', 'stockQuantity', 'category', 'imageUrl', 'isActive', 'name.fr', 'name.de'
+      ]);
+    });
+
+    it('should check attribute values against the category', () => {
+      const attributeDefinitions = new Map([['category-1', [
+        { key: 'screen_size', label: 'Screen size', type: 'number', options: [], isRequired: true },
+        { key: 'waterproof', label: 'Waterproof', type: 'boolean', options: [], isRequired: false }
+      ]]]);
+      const record = { sku: 'TV-1', name: 'TV', price: 399, category: 'Electronics', translations: {} };
+
+      expect(ProductCatalogService.validateRecord(
+        { ...record, attributes: { screen_size: '55', waterproof: 'no' } },
+        context({ attributeDefinitions })
+      ).data.attributes).toEqual({ screen_size: 55, waterproof: false });
+
+      expect(ProductCatalogService.validateRecord(
+        { ...record, attributes: { waterproof: 'maybe' } },
+        context({ attributeDefinitions })
+      ).errors).toEqual([
+        { field: 'attributes.waterproof', message: 'Waterproof must be true or false' },
+        { field: 'attributes.screen_size', message: 'Screen size is required' }
+      ]);
+    });
+
+    it('should reject SKUs that appear twice', () => {
+      const seenSkus = new Set();
+      const record = { sku: 'TEA-1', name: 'Teapot', price: 1, translations: {} };
+
+      expect(ProductCatalogService.validateRecord(record, context({ seenSkus })).errors).toEqual([]);
+      expect(ProductCatalogService.validateRecord(record, context({ seenSkus })).errors)
+        .toEqual([{ field: 'sku', message: 'SKU appears more than once in the file' }]);
+    });
+  });
+
+  describe('mergeImages', () => {
+    it('should keep uploaded images and link new URLs', () => {
+      const front = { id: 'image-1', url: '/uploads/products/1/image-1-medium.jpg', renditions: {} };
+      const back = { id: 'image-2', url: '/uploads/products/1/image-2-medium.jpg', renditions: {} };
+
+      expect(ProductCatalogService.mergeImages(
+        [front, back, 'https://example.com/old.jpg'],
+        ['https://example.com/new.jpg', front.url]
+      )).toEqual(['https://example.com/new.jpg', front, back]);
+    });
+  });
+
+  describe('toRecord and getCsvValue', () => {
+    it('should export image URLs and translation columns', () => {
+      const record = ProductCatalogService.toRecord({
+        sku: 'TEA-1',
+        name: 'Teapot',
+        categoryName: 'Kitchen',
+        images: [{ id: 'image-1', url: '/uploads/a.jpg', renditions: {} }, 'https://example.com/b.jpg']
+      }, [{ languageCode: 'de', name: 'Teekanne', description: null }]);
+
+      expect(record.category).toBe('Kitchen');
+      expect(ProductCatalogService.getCsvValue(record, 'images')).toBe('/uploads/a.jpg|https://example.com/b.jpg');
+      expect(ProductCatalogService.getCsvValue(record, 'name.de')).toBe('Teekanne');
+      expect(ProductCatalogService.getCsvValue(record, 'name.zh-TW')).toBeUndefined();
+      expect(ProductCatalogService.getCsvValue({ ...record, attributes: { material: 'glass' } }, 'attributes.material')).toBe('glass');
+    });
+  });
+});
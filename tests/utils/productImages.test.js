@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const ProductImageService = require('../../src/utils/productImages');
+const { storage, LocalStorage } = require('../../src/utils/storage');
+
+// A JPEG photo taken sideways (EXIF orientation 6) with a camera model and GPS position
+const createPhoto = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+})
+  .jpeg()
+  .withMetadata({
+    orientation: 6,
+    exif: {
+      IFD0: { Model: 'Test Camera' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' }
+    }
+  })
+  .toBuffer();
+
+describe('ProductImageService', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = new LocalStorage({
+      directory: path.join(os.tmpdir(), `storage-test-${process.pid}-${Date.now()}`),
+      baseUrl: '/uploads'
+    });
+    storage.setDriver(driver);
+  });
+
+  afterEach(async () => {
+    await driver.clear();
+  });
+
+  describe('render', () => {
+    it('should render each size, upright and without metadata', async () => {
+      const photo = await createPhoto(1600, 800);
+      expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+      const { mimeType, renditions } = await ProductImageService.render(photo);
+
+      expect(mimeType).toBe('image/jpeg');
+      expect(Object.keys(renditions)).toEqual(['thumbnail', 'medium', 'large']);
+
+      // Rotated by the EXIF orientation: the 1600x800 photo is 800x1600 upright
+      expect(renditions.thumbnail).toMatchObject({ width: 100, height: 200 });
+      expect(renditions.medium).toMatchObject({ width: 300, height: 600 });
+      expect(renditions.large).toMatchObject({ width: 600, height: 1200 });
+
+      const metadata = await sharp(renditions.large.data).metadata();
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+    });
+
+    it('should not enlarge small images', async () => {
+      const { renditions } = await ProductImageService.render(await createPhoto(100, 50));
+
+      expect(renditions.large).toMatchObject({ width: 50, height: 100 });
+    });
+
+    it('should detect the format from the contents', async () => {
+      const png = await sharp({
+        create: { width: 10, height: 10, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+      }).png().toBuffer();
+
+      const { mimeType, extension } = await ProductImageService.render(png);
+
+      expect(mimeType).toBe('image/png');
+      expect(extension).toBe('png');
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(ProductImageService.render(Buffer.from('<svg onload="alert(1)"></svg>')))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject unsupported image formats', async () => {
+      const gif = await sharp({
+        create: { width: 10, height: 10, channels: 3, background: { r: 0, g: 0, b: 0 } }
+      }).gif().toBuffer();
+
+      await expect(ProductImageService.render(gif))
+        .rejects.toThrow('Unsupported image format gif');
+    });
+  });
+
+  describe('store and remove', () => {
+    it('should store each rendition under the product and delete them again', async () => {
+      const image = await ProductImageService.store(
+        'product-1',
+        await ProductImageService.render(await createPhoto(800, 800))
+      );
+
+      expect(image.id).toBeDefined();
+      expect(image.url).toBe(`/uploads/products/product-1/${image.id}-medium.jpg`);
+      expect(image.renditions.thumbnail.key).toBe(`products/product-1/${image.id}-thumbnail.jpg`);
+
+      const stored = await driver.get(image.renditions.thumbnail.key);
+      expect((await sharp(stored).metadata()).width).toBe(200);
+
+      await ProductImageService.remove(image);
+
+      expect(fs.existsSync(driver.resolve(image.renditions.thumbnail.key))).toBe(false);
+    });
+  });
+
+  describe('getKey and getUrl', () => {
+    it('should identify uploaded images by ID and linked images by URL', () => {
+      const uploaded = { id: 'image-1', url: '/uploads/products/1/image-1-medium.jpg', renditions: {} };
+      const linked = 'https://example.com/photo.jpg';
+
+      expect(ProductImageService.getKey(uploaded)).toBe('image-1');
+      expect(ProductImageService.getUrl(uploaded)).toBe('/uploads/products/1/image-1-medium.jpg');
+      expect(ProductImageService.getKey(linked)).toBe(linked);
+      expect(ProductImageService.getUrl(linked)).toBe(linked);
+    });
+  });
+});
+
+describe('LocalStorage', () => {
+  it('should not accept keys outside its directory', () => {
+    const driver = new LocalStorage({ directory: os.tmpdir() });
+
+    expect(() => driver.resolve('../etc/passwd')).toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,26 @@
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toHighlightHtml,
+} = require('../../src/utils/searchHighlight');
+
+const mark = (text) => `${HIGHLIGHT_START}${text}${HIGHLIGHT_END}`;
+
+describe('Search highlights', () => {
+  it('should turn the markers into <mark> tags', () => {
+    expect(toHighlightHtml(`Cast Iron ${mark('Teapot')}`)).toBe('Cast Iron <mark>Teapot</mark>');
+  });
+
+  it('should escape markup in product texts', () => {
+    expect(toHighlightHtml(`<script>alert("${mark('tea')}")</script> & more`))
+      .toBe('&lt;script&gt;alert(&quot;<mark>tea</mark>&quot;)&lt;/script&gt; &amp; more');
+  });
+
+  it('should keep text without matches', () => {
+    expect(toHighlightHtml('Coffee Grinder')).toBe('Coffee Grinder');
+  });
+
+  it('should return null without a headline', () => {
+    expect(toHighlightHtml(null)).toBeNull();
+  });
+});
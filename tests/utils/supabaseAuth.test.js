@@ -0,0 +1,163 @@
+const config = require('../../src/config');
+const JWTUtils = require('../../src/utils/jwt');
+const SupabaseAuthService = require('../../src/utils/supabaseAuth');
+const {
+  SUPABASE_URL,
+  SUPABASE_JWT_SECRET,
+  SUPABASE_SERVICE_ROLE_KEY,
+  supabaseClaims,
+  signSupabaseToken,
+  startSupabaseJwksServer,
+  startSupabaseAdminServer
+} = require('../helpers/supabaseTokens');
+
+describe('SupabaseAuthService', () => {
+  const originalConfig = {
+    supabaseAuthEnabled: config.supabaseAuthEnabled,
+    supabaseUrl: config.supabaseUrl,
+    supabaseJwtSecret: config.supabaseJwtSecret,
+    supabaseJwksUrl: config.supabaseJwksUrl,
+    supabaseServiceRoleKey: config.supabaseServiceRoleKey
+  };
+
+  beforeEach(() => {
+    Object.assign(config, {
+      supabaseAuthEnabled: true,
+      supabaseUrl: SUPABASE_URL,
+      supabaseJwtSecret: SUPABASE_JWT_SECRET,
+      supabaseJwksUrl: undefined,
+      supabaseServiceRoleKey: undefined
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config, originalConfig);
+  });
+
+  describe('isSupabaseToken', () => {
+    it('should recognise tokens by their issuer', () => {
+      expect(SupabaseAuthService.isSupabaseToken(signSupabaseToken())).toBe(true);
+      expect(SupabaseAuthService.isSupabaseToken(JWTUtils.generateAccessToken({ userId: 'user-1' }))).toBe(false);
+    });
+
+    it('should ignore Supabase tokens while disabled', () => {
+      config.supabaseAuthEnabled = false;
+
+      expect(SupabaseAuthService.isSupabaseToken(signSupabaseToken())).toBe(false);
+    });
+  });
+
+  describe('getAuthenticationMethods', () => {
+    const methods = (amr, aal = 'aal1') => SupabaseAuthService.getAuthenticationMethods({ amr, aal });
+
+    it('should count TOTP factors and aal2 as a second factor', () => {
+      expect(methods([{ method: 'password' }, { method: 'totp' }], 'aal2')).toEqual(['password', 'otp']);
+      expect(methods([{ method: 'oauth' }], 'aal2')).toEqual(['oauth', 'otp']);
+    });
+
+    it('should not count emailed codes and magic links as a second factor', () => {
+      expect(methods([{ method: 'otp' }])).toEqual([]);
+      expect(methods([{ method: 'password' }, 'otp'])).toEqual(['password']);
+    });
+  });
+
+  describe('getAuthTime', () => {
+    it('should take the latest authentication timestamp', () => {
+      expect(SupabaseAuthService.getAuthTime({
+        amr: [{ method: 'password', timestamp: 1714557600 }, { method: 'totp', timestamp: 1714557660 }]
+      })).toBe(1714557660);
+      expect(SupabaseAuthService.getAuthTime({ amr: ['password'] })).toBeUndefined();
+    });
+  });
+
+  describe('verifyToken with the project secret', () => {
+    it('should accept tokens signed with the secret', async () => {
+      const claims = supabaseClaims();
+
+      const verified = await SupabaseAuthService.verifyToken(signSupabaseToken(claims));
+
+      expect(verified.sub).toBe(claims.sub);
+    });
+
+    it('should reject tokens signed with another secret', async () => {
+      await expect(SupabaseAuthService.verifyToken(signSupabaseToken(supabaseClaims(), { secret: 'another-secret' })))
+        .rejects.toThrow('invalid signature');
+    });
+
+    it('should reject tokens for another audience', async () => {
+      await expect(SupabaseAuthService.verifyToken(signSupabaseToken(supabaseClaims(), { audience: 'anon' })))
+        .rejects.toThrow('audience invalid');
+    });
+
+    it('should reject expired tokens', async () => {
+      await expect(SupabaseAuthService.verifyToken(signSupabaseToken(supabaseClaims(), { expiresIn: -60 })))
+        .rejects.toThrow('jwt expired');
+    });
+  });
+
+  describe('verifyToken with JWKS', () => {
+    let jwks;
+
+    beforeAll(async () => {
+      jwks = await startSupabaseJwksServer();
+    });
+
+    afterAll(async () => {
+      await jwks.close();
+    });
+
+    beforeEach(() => {
+      config.supabaseJwksUrl = jwks.jwksUrl;
+    });
+
+    it('should accept tokens signed with a published key', async () => {
+      const claims = supabaseClaims();
+
+      const verified = await SupabaseAuthService.verifyToken(jwks.sign(claims));
+
+      expect(verified.sub).toBe(claims.sub);
+    });
+
+    it('should only accept HS256 tokens with a configured secret', async () => {
+      config.supabaseJwtSecret = undefined;
+
+      await expect(SupabaseAuthService.verifyToken(signSupabaseToken()))
+        .rejects.toThrow('SUPABASE_JWT_SECRET is not configured');
+    });
+  });
+
+  describe('isEmailConfirmed', () => {
+    let admin;
+
+    beforeAll(async () => {
+      admin = await startSupabaseAdminServer({
+        confirmed: { email_confirmed_at: '2024-05-01T10:00:00Z' },
+        unconfirmed: { email_confirmed_at: null }
+      });
+    });
+
+    afterAll(async () => {
+      await admin.close();
+    });
+
+    beforeEach(() => {
+      config.supabaseUrl = admin.url;
+      config.supabaseServiceRoleKey = SUPABASE_SERVICE_ROLE_KEY;
+    });
+
+    it('should read email_confirmed_at from the Admin API', async () => {
+      expect(await SupabaseAuthService.isEmailConfirmed('confirmed')).toBe(true);
+      expect(await SupabaseAuthService.isEmailConfirmed('unconfirmed')).toBe(false);
+    });
+
+    it('should count emails as unconfirmed without the service role key', async () => {
+      config.supabaseServiceRoleKey = undefined;
+
+      expect(await SupabaseAuthService.isEmailConfirmed('confirmed')).toBe(false);
+    });
+
+    it('should fail when the Admin API does', async () => {
+      await expect(SupabaseAuthService.isEmailConfirmed('unknown')).rejects.toThrow('Supabase user request failed (404)');
+    });
+  });
+});
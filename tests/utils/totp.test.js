@@ -0,0 +1,98 @@
+const TOTP = require('../../src/utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890" as base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+
+      expect(TOTP.base32Encode(bytes)).toBe(RFC_SECRET);
+      expect(TOTP.base32Decode(RFC_SECRET)).toEqual(bytes);
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(TOTP.base32Decode('gezd gnbv====')).toEqual(TOTP.base32Decode('GEZDGNBV'));
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => TOTP.base32Decode('GEZD1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ])('should match the RFC 6238 vector at T=%i', (seconds, expected) => {
+      const step = TOTP.getTimeStep(seconds * 1000);
+
+      expect(TOTP.generateCode(RFC_SECRET, step)).toBe(expected);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = TOTP.getTimeStep(timestamp);
+
+    it('should return the matching step', () => {
+      expect(TOTP.verifyCode(RFC_SECRET, '050471', { timestamp })).toBe(step);
+    });
+
+    it('should accept codes from adjacent steps (clock drift)', () => {
+      const previous = TOTP.generateCode(RFC_SECRET, step - 1);
+
+      expect(TOTP.verifyCode(RFC_SECRET, previous, { timestamp })).toBe(step - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = TOTP.generateCode(RFC_SECRET, step - 2);
+
+      expect(TOTP.verifyCode(RFC_SECRET, old, { timestamp })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(TOTP.verifyCode(RFC_SECRET, '', { timestamp })).toBeNull();
+      expect(TOTP.verifyCode(RFC_SECRET, '12345', { timestamp })).toBeNull();
+      expect(TOTP.verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include the secret, issuer and account', () => {
+      const uri = TOTP.buildOtpauthUri({
+        secret: RFC_SECRET,
+        accountName: 'admin@example.com',
+        issuer: 'Shop'
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Shop%3Aadmin%40example\.com\?/);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('issuer=Shop');
+      expect(uri).toContain('digits=6');
+      expect(uri).toContain('period=30');
+    });
+  });
+
+  describe('secret encryption', () => {
+    it('should decrypt what it encrypted', () => {
+      const secret = TOTP.generateSecret();
+      const encrypted = TOTP.encryptSecret(secret);
+
+      expect(encrypted).not.toContain(secret);
+      expect(TOTP.decryptSecret(encrypted)).toBe(secret);
+    });
+
+    it('should reject tampered ciphertext', () => {
+      const [iv, tag, data] = TOTP.encryptSecret(TOTP.generateSecret()).split('.');
+      const tampered = Buffer.from(data, 'base64');
+      tampered[0] ^= 1;
+
+      expect(() => TOTP.decryptSecret([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+    });
+  });
+});
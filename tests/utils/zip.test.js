@@ -0,0 +1,54 @@
+const zlib = require('zlib');
+const { crc32, createZip } = require('../../src/utils/zip');
+
+// Read the entries back through the central directory
+const readZip = (buffer) => {
+  const end = buffer.length - 22;
+  expect(buffer.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(position)).toBe(0x02014b50);
+
+    const checksum = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    expect(crc32(content)).toBe(checksum);
+    entries[name] = content.toString('utf8');
+    position += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('ZIP archives', () => {
+  it('should compute standard CRC-32 values', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('should round-trip files', () => {
+    const archive = createZip([
+      { name: 'profile.json', content: JSON.stringify({ fullName: 'Jürgen Müller' }) },
+      { name: 'orders.json', content: Buffer.from('[]') }
+    ]);
+
+    expect(readZip(archive)).toEqual({
+      'profile.json': '{"fullName":"Jürgen Müller"}',
+      'orders.json': '[]'
+    });
+  });
+
+  it('should build an empty archive', () => {
+    expect(readZip(createZip([]))).toEqual({});
+  });
+});